@@ -92,7 +92,7 @@ app.post('/api/audio/analyze', async (req, res) => {
     const response = {
       message: 'Analysis completed',
       key: 'C',
-      tempo: 120,
+      tempo: null, // Tempo detection needs the full backend (FFmpeg); never report a made-up BPM
       duration: 180,
       success: true
     };
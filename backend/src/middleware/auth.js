@@ -0,0 +1,90 @@
+const userStore = require('../services/userStore');
+
+const SESSION_COOKIE = 'kp_session';
+
+/**
+ * Read a cookie from the request without a cookie-parsing dependency
+ * @param {Object} req - Express request
+ * @param {string} name - Cookie name
+ * @returns {string|null} - Cookie value, or null
+ */
+const readCookie = (req, name) => {
+  const cookies = (req.headers.cookie || '').split(';');
+  for (const cookie of cookies) {
+    const [key, ...value] = cookie.trim().split('=');
+    if (key === name) {
+      try {
+        return decodeURIComponent(value.join('='));
+      } catch (error) {
+        return null;
+      }
+    }
+  }
+  return null;
+};
+
+/**
+ * Session token (cookie) or API/session token (`Authorization: Bearer ...`) of a request
+ * @param {Object} req - Express request
+ * @returns {string|null} - Raw token, or null
+ */
+const getRequestToken = (req) => {
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  if (scheme === 'Bearer' && token) return token;
+  return readCookie(req, SESSION_COOKIE);
+};
+
+/**
+ * Session middleware: attach the signed-in user (or null) as req.user.
+ * Never rejects a request; routes that need a user add requireUser.
+ */
+const authenticate = async (req, res, next) => {
+  try {
+    req.user = await userStore.authenticateToken(getRequestToken(req));
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Reject requests without a signed-in user
+ */
+const requireUser = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Sign in required', requiresLogin: true });
+  }
+  next();
+};
+
+/**
+ * Set the session cookie after login
+ * @param {Object} res - Express response
+ * @param {Object} session - { token, expiresAt } from userStore.createSession
+ */
+const setSessionCookie = (res, session) => {
+  res.cookie(SESSION_COOKIE, session.token, {
+    httpOnly: true,
+    // Use SESSION_COOKIE_SAMESITE=none when the frontend is served from another site
+    sameSite: process.env.SESSION_COOKIE_SAMESITE || 'lax',
+    secure: process.env.NODE_ENV === 'production' || process.env.SESSION_COOKIE_SAMESITE === 'none',
+    expires: new Date(session.expiresAt),
+    path: '/'
+  });
+};
+
+/**
+ * Clear the session cookie on logout
+ * @param {Object} res - Express response
+ */
+const clearSessionCookie = (res) => {
+  res.clearCookie(SESSION_COOKIE, { path: '/' });
+};
+
+module.exports = {
+  authenticate,
+  requireUser,
+  getRequestToken,
+  setSessionCookie,
+  clearSessionCookie
+};
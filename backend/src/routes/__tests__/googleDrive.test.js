@@ -0,0 +1,106 @@
+const express = require('express');
+const GoogleDriveService = require('../../services/googleDriveService');
+const userStore = require('../../services/userStore');
+const googleDriveRoutes = require('../googleDrive');
+
+const USERS = {
+  'ann-session': { id: 'ann', driveTokens: null },
+  'ann-other-session': { id: 'ann', driveTokens: null },
+  'bob-session': { id: 'bob', driveTokens: null }
+};
+
+describe('Google Drive OAuth', () => {
+  let server;
+  let baseUrl;
+
+  /**
+   * Call the Drive API as the user behind a bearer token
+   * @param {string} token - Key of USERS
+   * @param {string} route - Path below /api/google-drive
+   * @param {Object} body - JSON body (POST when given)
+   * @returns {Promise<Object>} - { status, body }
+   */
+  const call = async (token, route, body) => {
+    const response = await fetch(`${baseUrl}${route}`, {
+      method: body ? 'POST' : 'GET',
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: body && JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  const startAuthorization = async (token) => {
+    const { body } = await call(token, '/auth-url');
+    return new URL(body.authUrl).searchParams.get('state');
+  };
+
+  beforeAll(async () => {
+    process.env.GOOGLE_CLIENT_ID = 'client-id';
+    process.env.GOOGLE_REDIRECT_URI = 'http://localhost/callback';
+    jest.spyOn(GoogleDriveService.prototype, 'getTokensFromCode').mockResolvedValue({ access_token: 'access' });
+    jest.spyOn(userStore, 'setDriveTokens').mockResolvedValue();
+
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = USERS[(req.headers.authorization || '').split(' ')[1]];
+      next();
+    });
+    app.use('/api/google-drive', googleDriveRoutes);
+
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/google-drive`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    userStore.setDriveTokens.mockClear();
+  });
+
+  it('puts a fresh state in every authorization URL', async () => {
+    const first = await startAuthorization('ann-session');
+    const second = await startAuthorization('ann-session');
+    expect(first).toMatch(/^[\w-]{32}$/);
+    expect(second).not.toBe(first);
+  });
+
+  it('accepts a state once, from the session that started the authorization', async () => {
+    const state = await startAuthorization('ann-session');
+
+    expect((await call('ann-session', '/auth-callback', { code: 'c', state })).status).toBe(200);
+    expect(userStore.setDriveTokens).toHaveBeenCalledWith('ann', { access_token: 'access' });
+
+    expect((await call('ann-session', '/auth-callback', { code: 'c', state })).status).toBe(400);
+  });
+
+  it('rejects a missing, unknown or foreign state without saving tokens', async () => {
+    const state = await startAuthorization('ann-session');
+
+    expect((await call('ann-session', '/auth-callback', { code: 'c' })).status).toBe(400);
+    expect((await call('ann-session', '/auth-callback', { code: 'c', state: 'forged' })).status).toBe(400);
+    expect((await call('bob-session', '/auth-callback', { code: 'c', state })).status).toBe(400);
+    expect(userStore.setDriveTokens).not.toHaveBeenCalled();
+  });
+
+  it('rejects a state started from another session of the same user', async () => {
+    const state = await startAuthorization('ann-session');
+    expect((await call('ann-other-session', '/auth-callback', { code: 'c', state })).status).toBe(400);
+  });
+});
+
+describe('GoogleDriveService', () => {
+  it('passes tokens the OAuth client refreshes to onTokens', () => {
+    const onTokens = jest.fn();
+    const service = new GoogleDriveService({ onTokens });
+    service.setTokens({ access_token: 'old', refresh_token: 'refresh' });
+
+    service.auth.emit('tokens', { access_token: 'new' });
+    expect(onTokens).toHaveBeenCalledWith({ access_token: 'new' });
+  });
+});
@@ -0,0 +1,88 @@
+const express = require('express');
+const crypto = require('crypto');
+const storageManager = require('../services/storageManager');
+const { migrateOwnerlessAssets } = require('../services/assetMigration');
+
+const router = express.Router();
+
+/**
+ * Require `Authorization: Bearer <ADMIN_TOKEN>`; the admin API is disabled when ADMIN_TOKEN is unset
+ */
+const requireAdmin = (req, res, next) => {
+  const adminToken = process.env.ADMIN_TOKEN;
+  if (!adminToken) {
+    return res.status(403).json({ error: 'Admin API is disabled (set ADMIN_TOKEN)' });
+  }
+
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  const expected = Buffer.from(adminToken);
+  const provided = Buffer.from(token || '');
+
+  if (scheme !== 'Bearer' || provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return res.status(401).json({ error: 'Admin token required' });
+  }
+
+  next();
+};
+
+router.use(requireAdmin);
+
+/**
+ * GET /api/admin/storage
+ * Report disk usage of the uploads directory and the last sweep
+ */
+router.get('/storage', async (req, res) => {
+  try {
+    res.json(await storageManager.getUsage());
+  } catch (error) {
+    console.error('Storage usage error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/storage/sweep
+ * Run the storage sweeper now (expire old renders, evict until under the size limit)
+ */
+router.post('/storage/sweep', async (req, res) => {
+  try {
+    const sweep = await storageManager.sweep();
+
+    res.json({
+      message: 'Storage sweep completed',
+      sweep: sweep,
+      usage: await storageManager.getUsage()
+    });
+  } catch (error) {
+    console.error('Storage sweep error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/assets/assign-owner
+ * Give every owner-less asset (uploaded before accounts existed) to a user: { username }
+ */
+router.post('/assets/assign-owner', async (req, res) => {
+  try {
+    const { username } = req.body;
+    if (!username || typeof username !== 'string') {
+      return res.status(400).json({ error: 'username is required' });
+    }
+
+    const assigned = await migrateOwnerlessAssets(username);
+
+    res.json({
+      message: `Assigned ${assigned} asset(s) to ${username}`,
+      assigned: assigned
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Assign owner error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -3,6 +3,15 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
 const AudioProcessor = require('../services/audioProcessor');
+const createAudioTasks = require('../services/audioTasks');
+const assetRegistry = require('../services/assetRegistry');
+const jobQueue = require('../services/jobQueue');
+const storageManager = require('../services/storageManager');
+const { getMimeType, normalizeOutput, withOutputExtension } = require('../utils/audioFormats');
+const { sendFileWithRanges } = require('../utils/rangeStream');
+const { isKaraokeFile, resolveKaraokePackage } = require('../utils/karaokeFiles');
+const { parseMidi, extractLyrics } = require('../utils/midiFile');
+const { midiToNoteName, rankTranspositions } = require('../utils/melodyRange');
 
 const router = express.Router();
 const audioProcessor = new AudioProcessor();
@@ -18,45 +27,63 @@ const ensureUploadsDir = () => {
   }
 };
 
+/**
+ * Extension to store a file under, taken from a client-supplied name
+ * @param {string} name - Original filename
+ * @returns {string} - Lower-case extension, or '' when it is missing or unusual
+ */
+const storedExtension = (name) => {
+  const extension = path.extname(name).toLowerCase();
+  return /^\.[a-z0-9]{1,5}$/.test(extension) ? extension : '';
+};
+
+/**
+ * Delete a stored file that never became an asset (e.g. its probe failed)
+ * @param {string} filePath - File to delete
+ * @returns {Promise<void>}
+ */
+const discardFile = async (filePath) => {
+  try {
+    await fs.unlink(filePath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Could not delete unregistered file:', error.message);
+    }
+  }
+};
+
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
     ensureUploadsDir(); // Ensure directory exists before each upload
     cb(null, uploadsDir);
   },
   filename: (req, file, cb) => {
-    // Preserve original filename with timestamp prefix for uniqueness
-    const timestamp = Date.now();
-    const originalName = path.basename(file.originalname, path.extname(file.originalname));
-    const extension = path.extname(file.originalname);
-    
-    // Clean the filename to remove invalid characters
-    const cleanName = originalName.replace(/[^a-zA-Z0-9\-_\(\)\s]/g, '');
-    const finalName = `${timestamp}-${cleanName}${extension}`;
-    
-    cb(null, finalName);
+    // Store under the new asset's ID; the original name lives only in the registry
+    req.assetId = assetRegistry.createId();
+    cb(null, `${req.assetId}${storedExtension(file.originalname)}`);
   }
 });
 
+const AUDIO_MIME_TYPES = [
+  'audio/mpeg',
+  'audio/mp3',
+  'audio/wav',
+  'audio/x-wav',
+  'audio/aac',
+  'audio/mp4',
+  'audio/x-m4a',
+  'audio/ogg',
+  'audio/flac',
+  'audio/x-flac'
+];
+
 const upload = multer({
   storage: storage,
   limits: {
     fileSize: 50 * 1024 * 1024 // 50MB limit
   },
   fileFilter: (req, file, cb) => {
-    const allowedTypes = [
-      'audio/mpeg',
-      'audio/mp3',
-      'audio/wav',
-      'audio/x-wav',
-      'audio/aac',
-      'audio/mp4',
-      'audio/x-m4a',
-      'audio/ogg',
-      'audio/flac',
-      'audio/x-flac'
-    ];
-    
-    if (allowedTypes.includes(file.mimetype)) {
+    if (AUDIO_MIME_TYPES.includes(file.mimetype)) {
       cb(null, true);
     } else {
       cb(new Error('Unsupported audio format'), false);
@@ -64,6 +91,67 @@ const upload = multer({
   }
 });
 
+// Karaoke packages are unpacked in memory before anything is written to uploads.
+// Browsers send .cdg/.kar files with generic MIME types, so those go by extension.
+const karaokeUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 50 * 1024 * 1024, // 50MB limit
+    files: 2
+  },
+  fileFilter: (req, file, cb) => {
+    if (AUDIO_MIME_TYPES.includes(file.mimetype) || isKaraokeFile(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Unsupported karaoke format'), false);
+    }
+  }
+});
+
+// Processing work is shared with the background job queue (see routes/jobs.js)
+const audioTasks = createAudioTasks(audioProcessor);
+Object.entries(audioTasks).forEach(([type, task]) => jobQueue.register(type, task));
+
+/**
+ * Resolve :assetId route parameters to the current user's assets (as req.asset).
+ * Unknown, foreign or malformed IDs are rejected before any filesystem access.
+ */
+router.param('assetId', async (req, res, next, assetId) => {
+  try {
+    const invalid = await assetRegistry.check(assetId, req.user.id);
+    if (invalid) {
+      return res.status(invalid.status).json({ error: invalid.error });
+    }
+
+    req.asset = await assetRegistry.get(assetId);
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Build a synchronous route handler for a processing task
+ * @param {Object} task - Task from createAudioTasks
+ * @param {string} label - Label used in error logs
+ * @returns {Function} - Express route handler
+ */
+const runTask = (task, label) => async (req, res) => {
+  try {
+    // The owner always comes from the session, never from the request body
+    const params = { ...req.body, owner: req.user.id };
+    const invalid = await task.validate(params);
+    if (invalid) {
+      return res.status(invalid.status).json({ error: invalid.error });
+    }
+
+    res.json(await task.run(params));
+  } catch (error) {
+    console.error(`${label} error:`, error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
 /**
  * POST /api/audio/upload
  * Upload an audio file
@@ -75,114 +163,238 @@ router.post('/upload', upload.single('audio'), async (req, res) => {
     }
 
     const metadata = await audioProcessor.getAudioMetadata(req.file.path);
+    const asset = await assetRegistry.register({
+      id: req.assetId,
+      file: req.file.filename,
+      originalName: req.file.originalname,
+      owner: req.user.id
+    });
+
+    // Make room if this upload pushed the directory over its size limit
+    storageManager.requestSweep();
     
     res.json({
       message: 'Audio file uploaded successfully',
       file: {
-        id: path.basename(req.file.filename, path.extname(req.file.filename)),
-        originalName: req.file.originalname,
-        filename: req.file.filename,
-        path: req.file.path,
+        id: asset.id,
+        originalName: asset.originalName,
         size: req.file.size,
         mimetype: req.file.mimetype
       },
+      asset: assetRegistry.toPublic(asset),
       metadata: metadata
     });
   } catch (error) {
     console.error('Upload error:', error);
+    // No asset points at the file, so nothing else could ever reach or delete it
+    if (req.file) {
+      await discardFile(req.file.path);
+    }
     res.status(500).json({ error: error.message });
   }
 });
 
 /**
- * POST /api/audio/transpose
- * Transpose an audio file
+ * POST /api/audio/karaoke
+ * Upload a karaoke song: an MP3+G pair (audio + .cdg, or a zip holding both)
+ * or a .kar/MIDI file, whose backing track is synthesized. The audio becomes a
+ * regular asset; the graphics or MIDI (with its lyrics) come back for the client to store.
  */
-router.post('/transpose', async (req, res) => {
+router.post('/karaoke', karaokeUpload.array('files', 2), async (req, res) => {
+  let filePath = null;
   try {
-    const { filename, semitones, originalKey, mode } = req.body;
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ error: 'No karaoke files provided' });
+    }
 
-    if (!filename) {
-      return res.status(400).json({ error: 'Filename is required' });
+    let karaokePackage;
+    let midi;
+    try {
+      karaokePackage = resolveKaraokePackage(
+        req.files.map(file => ({ name: file.originalname, data: file.buffer }))
+      );
+      if (karaokePackage.format === 'kar') {
+        midi = parseMidi(karaokePackage.midi.data);
+      }
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
     }
 
-    if (semitones === undefined || semitones < -12 || semitones > 12) {
-      return res.status(400).json({ error: 'Semitones must be between -12 and +12' });
+    ensureUploadsDir();
+    const id = assetRegistry.createId();
+    let filename;
+    let originalName;
+    let karaoke;
+
+    if (karaokePackage.format === 'cdg') {
+      const { audio, graphics } = karaokePackage;
+      filename = `${id}${storedExtension(audio.name)}`;
+      originalName = audio.name;
+      filePath = path.join(uploadsDir, filename);
+      await fs.writeFile(filePath, audio.data);
+      karaoke = { format: 'cdg', graphics: graphics.data.toString('base64') };
+    } else {
+      const output = normalizeOutput();
+      filename = withOutputExtension(id, output);
+      originalName = withOutputExtension(karaokePackage.midi.name, output);
+      filePath = path.join(uploadsDir, filename);
+      await audioProcessor.renderMidi(midi, filePath, { output });
+      karaoke = {
+        format: 'kar',
+        midi: karaokePackage.midi.data.toString('base64'),
+        lyrics: extractLyrics(midi)
+      };
     }
 
-    const inputPath = path.join(__dirname, '../../uploads', filename);
-    const outputFilename = `transposed_${semitones > 0 ? 'up' : 'down'}_${Math.abs(semitones)}_${filename}`;
-    const outputPath = path.join(__dirname, '../../uploads', outputFilename);
+    const metadata = await audioProcessor.getAudioMetadata(filePath);
+    const stats = await fs.stat(filePath);
+    const asset = await assetRegistry.register({
+      id,
+      file: filename,
+      originalName,
+      owner: req.user.id
+    });
+    filePath = null; // Registered: the asset owns the file now
 
-    // Check if input file exists
-    try {
-      await fs.access(inputPath);
-    } catch (error) {
-      return res.status(404).json({ error: 'Audio file not found' });
+    storageManager.requestSweep();
+
+    res.json({
+      message: 'Karaoke file uploaded successfully',
+      file: {
+        id: asset.id,
+        originalName: asset.originalName,
+        size: stats.size,
+        mimetype: getMimeType(filename)
+      },
+      asset: assetRegistry.toPublic(asset),
+      metadata,
+      karaoke
+    });
+  } catch (error) {
+    console.error('Karaoke upload error:', error);
+    if (filePath) {
+      await discardFile(filePath);
     }
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    // Transpose the audio
-    const transposedPath = await audioProcessor.transposeAudio(inputPath, semitones, outputPath);
-    const metadata = await audioProcessor.getAudioMetadata(transposedPath);
+/**
+ * POST /api/audio/transpose
+ * Transpose an audio file
+ */
+router.post('/transpose', runTask(audioTasks.transpose, 'Transpose'));
 
-    // Calculate key change if original key is provided
-    let keyInfo = null;
-    if (originalKey && mode) {
-      keyInfo = audioProcessor.calculateNewKey(originalKey, mode, semitones);
+/**
+ * POST /api/audio/batch-transpose
+ * Queue a batch transposition of several songs (e.g. a playlist into a singer's key).
+ * Returns the background job at once; its result lists a render per song.
+ */
+router.post('/batch-transpose', async (req, res) => {
+  try {
+    // The owner always comes from the session, never from the request body
+    const params = { ...req.body, owner: req.user.id };
+    const invalid = await audioTasks['batch-transpose'].validate(params);
+    if (invalid) {
+      return res.status(invalid.status).json({ error: invalid.error });
     }
 
-    res.json({
-      message: 'Audio transposed successfully',
-      originalFile: filename,
-      transposedFile: path.basename(transposedPath),
-      semitones: semitones,
-      metadata: metadata,
-      keyInfo: keyInfo
+    const job = jobQueue.submit('batch-transpose', params);
+
+    res.status(202).json({
+      message: 'Batch transposition queued',
+      job: jobQueue.toJSON(job)
     });
   } catch (error) {
-    console.error('Transpose error:', error);
+    console.error('Batch transpose error:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
+/**
+ * POST /api/audio/tempo
+ * Change playback speed without changing pitch, optionally transposing in the same render
+ */
+router.post('/tempo', runTask(audioTasks.tempo, 'Tempo'));
+
+/**
+ * Validate a singer's range from a request body
+ * @param {Object} singerRange - { lowest, highest } as MIDI note numbers
+ * @returns {string|null} - Error message, or null when the range is valid (or absent)
+ */
+const getSingerRangeError = (singerRange) => {
+  if (singerRange === undefined || singerRange === null) return null;
+
+  const { lowest, highest } = singerRange;
+  if (!Number.isInteger(lowest) || !Number.isInteger(highest) || lowest < 24 || highest > 108 || lowest >= highest) {
+    return 'singerRange must be { lowest, highest } MIDI notes with 24 <= lowest < highest <= 108';
+  }
+  return null;
+};
+
 /**
  * POST /api/audio/analyze
- * Analyze audio file for key detection
+ * Analyze audio file for key, tempo (with beat grid), loudness and melody range.
+ * With a singerRange, each transposition says how well the melody fits it.
  */
 router.post('/analyze', async (req, res) => {
   try {
-    const { filename } = req.body;
+    const { assetId, keyProfile = 'krumhansl', singerRange } = req.body;
 
-    if (!filename) {
-      return res.status(400).json({ error: 'Filename is required' });
+    if (!['krumhansl', 'temperley'].includes(keyProfile)) {
+      return res.status(400).json({ error: 'keyProfile must be "krumhansl" or "temperley"' });
     }
 
-    const audioPath = path.join(__dirname, '../../uploads', filename);
+    const singerRangeError = getSingerRangeError(singerRange);
+    if (singerRangeError) {
+      return res.status(400).json({ error: singerRangeError });
+    }
 
-    // Check if file exists
-    try {
-      await fs.access(audioPath);
-    } catch (error) {
-      return res.status(404).json({ error: 'Audio file not found' });
+    const invalid = await assetRegistry.check(assetId, req.user.id);
+    if (invalid) {
+      return res.status(invalid.status).json({ error: invalid.error });
     }
 
-    // Get metadata and detect key
-    const [metadata, keyInfo] = await Promise.all([
-      audioProcessor.getAudioMetadata(audioPath),
-      audioProcessor.detectKey(audioPath)
-    ]);
+    const audioPath = assetRegistry.resolvePath(await assetRegistry.get(assetId));
+
+    // Stop decoding if the client goes away before the analysis finishes
+    const controller = new AbortController();
+    res.on('close', () => controller.abort());
+
+    // Get metadata, detect key, tempo and melody range, and measure loudness
+    const { metadata, keyInfo, tempo, loudness, melodyRange } = await audioProcessor.analyze(audioPath, {
+      profile: keyProfile,
+      signal: controller.signal
+    });
+
+    const newKeyFor = (semitones) => (keyInfo.key && keyInfo.mode ?
+      audioProcessor.calculateNewKey(keyInfo.key, keyInfo.mode, semitones).newKey : null);
+
+    // Fit of the melody in the singer's range for every shift (0 = original key)
+    const ranking = melodyRange && singerRange ?
+      rankTranspositions(melodyRange, singerRange, Array.from({ length: 25 }, (_, i) => i - 12)) : null;
+    const fitFor = (semitones) => ranking?.find(rank => rank.semitones === semitones);
 
     res.json({
-      filename: filename,
+      assetId: assetId,
       metadata: metadata,
       keyInfo: keyInfo,
+      tempo: tempo,
+      loudness: loudness,
+      melodyRange: melodyRange,
+      recommendedTransposition: ranking ? {
+        ...ranking[0],
+        lowestNote: midiToNoteName(ranking[0].lowest),
+        highestNote: midiToNoteName(ranking[0].highest),
+        newKey: newKeyFor(ranking[0].semitones)
+      } : null,
       supportedTranspositions: Array.from({ length: 25 }, (_, i) => i - 12)
         .filter(semitones => semitones !== 0)
         .map(semitones => ({
           semitones: semitones,
           interval: audioProcessor.getIntervalName(semitones),
-          newKey: keyInfo.key && keyInfo.mode ? 
-            audioProcessor.calculateNewKey(keyInfo.key, keyInfo.mode, semitones).newKey : null
+          newKey: newKeyFor(semitones),
+          ...(ranking ? { fitsRange: fitFor(semitones).fits, outOfRange: fitFor(semitones).outOfRange } : {})
         }))
     });
   } catch (error) {
@@ -192,215 +404,209 @@ router.post('/analyze', async (req, res) => {
 });
 
 /**
- * GET /api/audio/download/:filename
- * Download processed audio file
+ * POST /api/audio/tuning
+ * Estimate the reference pitch of an audio file (for retuning to A440)
  */
-router.get('/download/:filename', async (req, res) => {
+router.post('/tuning', async (req, res) => {
   try {
-    const filename = req.params.filename;
-    const filePath = path.join(__dirname, '../../uploads', filename);
+    const { assetId } = req.body;
 
-    // Check if file exists
-    try {
-      await fs.access(filePath);
-    } catch (error) {
-      return res.status(404).json({ error: 'File not found' });
+    const invalid = await assetRegistry.check(assetId, req.user.id);
+    if (invalid) {
+      return res.status(invalid.status).json({ error: invalid.error });
     }
 
-    // Set appropriate headers
-    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-    res.setHeader('Content-Type', 'audio/mpeg');
-
-    // Stream the file
-    const fileStream = require('fs').createReadStream(filePath);
-    fileStream.pipe(res);
+    const audioPath = assetRegistry.resolvePath(await assetRegistry.get(assetId));
+    const tuning = await audioProcessor.estimateReferencePitch(audioPath);
 
-    fileStream.on('error', (error) => {
-      console.error('File stream error:', error);
-      if (!res.headersSent) {
-        res.status(500).json({ error: 'File download failed' });
-      }
+    res.json({
+      assetId: assetId,
+      ...tuning
     });
   } catch (error) {
-    console.error('Download error:', error);
+    console.error('Tuning error:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
 /**
- * DELETE /api/audio/:filename
- * Delete an audio file
+ * POST /api/audio/chords
+ * Detect the chord progression as a timed chord list
  */
-router.delete('/:filename', async (req, res) => {
+router.post('/chords', async (req, res) => {
   try {
-    const filename = req.params.filename;
-    const filePath = path.join(__dirname, '../../uploads', filename);
+    const { assetId } = req.body;
 
-    // Check if file exists
-    try {
-      await fs.access(filePath);
-    } catch (error) {
-      return res.status(404).json({ error: 'File not found' });
+    const invalid = await assetRegistry.check(assetId, req.user.id);
+    if (invalid) {
+      return res.status(invalid.status).json({ error: invalid.error });
     }
 
-    // Delete the file
-    await fs.unlink(filePath);
+    const audioPath = assetRegistry.resolvePath(await assetRegistry.get(assetId));
+    const chords = await audioProcessor.detectChords(audioPath);
 
     res.json({
-      message: 'File deleted successfully',
-      filename: filename
+      assetId: assetId,
+      chords: chords
     });
   } catch (error) {
-    console.error('Delete error:', error);
+    console.error('Chord detection error:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
 /**
- * GET /api/audio/files
- * List uploaded audio files
+ * POST /api/audio/loudness
+ * Measure EBU R128 loudness (integrated LUFS, loudness range, true peak)
  */
-router.get('/files', async (req, res) => {
+router.post('/loudness', async (req, res) => {
   try {
-    const uploadsDir = path.join(__dirname, '../../uploads');
-    const files = await fs.readdir(uploadsDir);
+    const { assetId } = req.body;
 
-    const audioFiles = [];
-    for (const file of files) {
-      const filePath = path.join(uploadsDir, file);
-      const stats = await fs.stat(filePath);
-      
-      if (stats.isFile() && file.match(/\.(mp3|wav|aac|m4a|ogg|flac)$/i)) {
-        audioFiles.push({
-          filename: file,
-          size: stats.size,
-          createdAt: stats.birthtime,
-          modifiedAt: stats.mtime
-        });
-      }
+    const invalid = await assetRegistry.check(assetId, req.user.id);
+    if (invalid) {
+      return res.status(invalid.status).json({ error: invalid.error });
     }
 
-    // Sort by creation date (newest first)
-    audioFiles.sort((a, b) => b.createdAt - a.createdAt);
+    const audioPath = assetRegistry.resolvePath(await assetRegistry.get(assetId));
+    const loudness = await audioProcessor.analyzeLoudness(audioPath);
 
     res.json({
-      files: audioFiles,
-      count: audioFiles.length
+      assetId: assetId,
+      loudness: loudness
     });
   } catch (error) {
-    console.error('List files error:', error);
+    console.error('Loudness error:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
 /**
- * POST /api/audio/convert
- * Convert audio file to MP3 format
+ * POST /api/audio/normalize
+ * Render a copy of a song at a target loudness (EBU R128)
+ */
+router.post('/normalize', runTask(audioTasks.normalize, 'Normalize'));
+
+/**
+ * POST /api/audio/instrumental
+ * Remove lead vocals to create a karaoke instrumental
+ */
+router.post('/instrumental', runTask(audioTasks.instrumental, 'Instrumental'));
+
+/**
+ * POST /api/audio/stems
+ * Split a song into stems (e.g. vocals, drums, bass, other) with the local separation model
+ */
+router.post('/stems', runTask(audioTasks.stems, 'Stem separation'));
+
+/**
+ * GET /api/audio/download/:assetId
+ * Download an audio asset under its original name (supports ranges and conditional GETs)
  */
-router.post('/convert', async (req, res) => {
+router.get('/download/:assetId', async (req, res) => {
   try {
-    const { filename } = req.body;
+    storageManager.touch(req.asset.file);
 
-    if (!filename) {
-      return res.status(400).json({ error: 'Filename is required' });
+    res.attachment(req.asset.originalName);
+    await sendFileWithRanges(req, res, assetRegistry.resolvePath(req.asset), {
+      contentType: getMimeType(req.asset.file)
+    });
+  } catch (error) {
+    console.error('Download error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'File download failed' });
+    } else {
+      res.destroy(error);
     }
+  }
+});
 
-    const inputPath = path.join(__dirname, '../../uploads', filename);
-    const outputFilename = `converted_${Date.now()}_${path.parse(filename).name}.mp3`;
-    const outputPath = path.join(__dirname, '../../uploads', outputFilename);
+/**
+ * DELETE /api/audio/:assetId
+ * Delete an audio asset
+ */
+router.delete('/:assetId', async (req, res) => {
+  try {
+    const { id, file } = req.asset;
+    await assetRegistry.remove(id);
 
-    // Check if input file exists
-    try {
-      await fs.access(inputPath);
-    } catch (error) {
-      return res.status(404).json({ error: 'Audio file not found' });
+    // Cached renders can back several assets; only delete the file (and its
+    // cache entry) once nothing else references it
+    if ((await assetRegistry.findByFile(file)).length === 0) {
+      await storageManager.remove(file);
     }
 
-    // Convert to MP3
-    const convertedPath = await audioProcessor.convertToMp3(inputPath, outputPath);
-    const metadata = await audioProcessor.getAudioMetadata(convertedPath);
-
     res.json({
-      message: 'Audio converted successfully',
-      originalFile: filename,
-      convertedFile: path.basename(convertedPath),
-      metadata: metadata
+      message: 'File deleted successfully',
+      assetId: id
     });
   } catch (error) {
-    console.error('Convert error:', error);
+    console.error('Delete error:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Handle OPTIONS for audio streaming
-router.options('/stream/:filename', (req, res) => {
-  res.set({
-    'Access-Control-Allow-Origin': 'http://localhost:3000',
-    'Access-Control-Allow-Methods': 'GET, OPTIONS',
-    'Access-Control-Allow-Headers': 'Range, Accept-Ranges, Content-Range, Content-Length, Content-Type',
-    'Access-Control-Expose-Headers': 'Accept-Ranges, Content-Range, Content-Length, Content-Type',
-    'Access-Control-Allow-Credentials': 'true'
-  });
-  res.sendStatus(200);
-});
-
-// Stream audio file
-router.get('/stream/:filename', async (req, res) => {
+/**
+ * GET /api/audio/files
+ * List the current user's audio assets (uploads and their derived renders), newest first
+ */
+router.get('/files', async (req, res) => {
   try {
-    const filename = req.params.filename;
-    const filePath = path.join(__dirname, '../../uploads', filename);
-    
-    // Check if file exists
-    try {
-      await fs.access(filePath);
-    } catch (error) {
-      return res.status(404).json({ error: 'Audio file not found' });
+    const assets = await assetRegistry.list({ owner: req.user.id, kind: req.query.kind });
+
+    const audioFiles = [];
+    for (const asset of assets) {
+      try {
+        const stats = await fs.stat(assetRegistry.resolvePath(asset));
+        audioFiles.push({
+          ...assetRegistry.toPublic(asset),
+          size: stats.size,
+          modifiedAt: stats.mtime
+        });
+      } catch (error) {
+        // The file was removed outside the storage manager; skip it
+      }
     }
 
-    // Get file stats
-    const stats = await fs.stat(filePath);
-    const fileSize = stats.size;
+    res.json({
+      files: audioFiles,
+      count: audioFiles.length
+    });
+  } catch (error) {
+    console.error('List files error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/audio/convert
+ * Convert audio file to another format (MP3 unless `output` says otherwise)
+ */
+router.post('/convert', runTask(audioTasks.convert, 'Convert'));
 
-    // Support range requests for audio streaming
+/**
+ * GET /api/audio/stream/:assetId
+ * Stream an audio asset for playback: byte ranges (incl. suffix and multi-range),
+ * If-Range, ETag/Last-Modified revalidation. CORS comes from the app-wide cors middleware.
+ */
+router.get('/stream/:assetId', async (req, res) => {
+  try {
+    // Range requests arrive continuously during playback; only the first marks the file as used
     const range = req.headers.range;
-    
-    // Set CORS headers for audio streaming
-    res.set({
-      'Access-Control-Allow-Origin': 'http://localhost:3000',
-      'Access-Control-Allow-Methods': 'GET, OPTIONS',
-      'Access-Control-Allow-Headers': 'Range, Accept-Ranges, Content-Range, Content-Length, Content-Type',
-      'Access-Control-Expose-Headers': 'Accept-Ranges, Content-Range, Content-Length, Content-Type',
-      'Access-Control-Allow-Credentials': 'true'
-    });
-    
-    if (range) {
-      const parts = range.replace(/bytes=/, "").split("-");
-      const start = parseInt(parts[0], 10);
-      const end = parts[1] ? parseInt(parts[1], 10) : fileSize - 1;
-      const chunksize = (end - start) + 1;
-      
-      res.writeHead(206, {
-        'Content-Range': `bytes ${start}-${end}/${fileSize}`,
-        'Accept-Ranges': 'bytes',
-        'Content-Length': chunksize,
-        'Content-Type': 'audio/mpeg',
-      });
-      
-      const stream = require('fs').createReadStream(filePath, { start, end });
-      stream.pipe(res);
-    } else {
-      res.writeHead(200, {
-        'Content-Length': fileSize,
-        'Content-Type': 'audio/mpeg',
-        'Accept-Ranges': 'bytes'
-      });
-      
-      const stream = require('fs').createReadStream(filePath);
-      stream.pipe(res);
+    if (!range || /^bytes=0-/.test(range)) {
+      storageManager.touch(req.asset.file);
     }
+
+    await sendFileWithRanges(req, res, assetRegistry.resolvePath(req.asset), {
+      contentType: getMimeType(req.asset.file)
+    });
   } catch (error) {
     console.error('Stream error:', error);
-    res.status(500).json({ error: error.message });
+    if (!res.headersSent) {
+      res.status(500).json({ error: error.message });
+    } else {
+      res.destroy(error);
+    }
   }
 });
 
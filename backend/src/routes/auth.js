@@ -0,0 +1,189 @@
+const express = require('express');
+const userStore = require('../services/userStore');
+const { migrateOwnerlessAssets } = require('../services/assetMigration');
+const {
+  requireUser,
+  getRequestToken,
+  setSessionCookie,
+  clearSessionCookie
+} = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * Whether ALLOW_REGISTRATION permits sign-ups; unset, it is on for local
+ * development and off in production
+ * @returns {boolean} - True when self-registration is enabled
+ */
+const registrationEnabled = () => {
+  const setting = process.env.ALLOW_REGISTRATION;
+  if (setting === undefined || setting === '') {
+    return process.env.NODE_ENV !== 'production';
+  }
+  return setting === 'true';
+};
+
+/**
+ * Whether new accounts may be created (the first account can always be created)
+ * @returns {Promise<boolean>} - True when registration is open
+ */
+const registrationOpen = async () => {
+  return registrationEnabled() || (await userStore.count()) === 0;
+};
+
+/**
+ * POST /api/auth/register
+ * Create an account and sign in
+ */
+router.post('/register', async (req, res) => {
+  try {
+    const { username, password } = req.body;
+
+    if (!(await registrationOpen())) {
+      return res.status(403).json({ error: 'Registration is closed on this server' });
+    }
+
+    const credentialsError = userStore.getCredentialsError(username, password);
+    if (credentialsError) {
+      return res.status(400).json({ error: credentialsError });
+    }
+
+    if (await userStore.findByUsername(username)) {
+      return res.status(409).json({ error: 'Username is already taken' });
+    }
+
+    // With sign-up closed only the first account may be created; userStore
+    // checks that again while it holds the write, so concurrent requests can't both pass
+    const user = await userStore.createUser(username, password, { firstOnly: !registrationEnabled() });
+    setSessionCookie(res, await userStore.createSession(user.id));
+
+    if (user.username === process.env.LEGACY_ASSET_OWNER?.toLowerCase()) {
+      // Files uploaded before there were accounts were reserved for this user
+      await migrateOwnerlessAssets();
+    }
+
+    res.status(201).json({
+      message: 'Account created',
+      user: userStore.toPublic(user)
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Register error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/auth/login
+ * Sign in with username and password (sets the session cookie)
+ */
+router.post('/login', async (req, res) => {
+  try {
+    const { username, password } = req.body;
+
+    if (!username || !password) {
+      return res.status(400).json({ error: 'Username and password are required' });
+    }
+
+    const user = await userStore.verifyPassword(username, password);
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+
+    setSessionCookie(res, await userStore.createSession(user.id));
+
+    res.json({
+      message: 'Signed in',
+      user: userStore.toPublic(user)
+    });
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/auth/logout
+ * End the current session
+ */
+router.post('/logout', async (req, res) => {
+  try {
+    const token = getRequestToken(req);
+    if (token) {
+      await userStore.destroySession(token);
+    }
+    clearSessionCookie(res);
+
+    res.json({ message: 'Signed out' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/auth/me
+ * Current user, or { user: null } when signed out
+ */
+router.get('/me', async (req, res) => {
+  res.json({
+    user: req.user ? userStore.toPublic(req.user) : null,
+    registrationOpen: await registrationOpen()
+  });
+});
+
+/**
+ * GET /api/auth/tokens
+ * List the current user's API tokens
+ */
+router.get('/tokens', requireUser, (req, res) => {
+  res.json({
+    tokens: req.user.apiTokens.map(apiToken => userStore.toPublicToken(apiToken))
+  });
+});
+
+/**
+ * POST /api/auth/tokens
+ * Create an API token (`Authorization: Bearer <token>`); the token is only returned once
+ */
+router.post('/tokens', requireUser, async (req, res) => {
+  try {
+    const { name } = req.body;
+
+    if (name !== undefined && (typeof name !== 'string' || name.length > 64)) {
+      return res.status(400).json({ error: 'Token name must be a string of at most 64 characters' });
+    }
+
+    const { token, apiToken } = await userStore.createApiToken(req.user.id, name);
+
+    res.status(201).json({
+      message: 'API token created - copy it now, it will not be shown again',
+      token: token,
+      apiToken: apiToken
+    });
+  } catch (error) {
+    console.error('Create token error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/auth/tokens/:id
+ * Revoke an API token
+ */
+router.delete('/tokens/:id', requireUser, async (req, res) => {
+  try {
+    if (!(await userStore.revokeApiToken(req.user.id, req.params.id))) {
+      return res.status(404).json({ error: 'API token not found' });
+    }
+
+    res.json({ message: 'API token revoked' });
+  } catch (error) {
+    console.error('Revoke token error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,9 +1,82 @@
 const express = require('express');
+const crypto = require('crypto');
 const GoogleDriveService = require('../services/googleDriveService');
+const assetRegistry = require('../services/assetRegistry');
+const userStore = require('../services/userStore');
+const { getRequestToken } = require('../middleware/auth');
 const path = require('path');
 
 const router = express.Router();
-const driveService = new GoogleDriveService();
+
+// How long an authorization started with /auth-url may take to come back
+const OAUTH_STATE_TTL_MS = 10 * 60 * 1000;
+
+// One Drive client per user, so each user only ever sees their own Drive
+const driveServices = new Map();
+
+// Outstanding OAuth `state` values: state -> { userId, sessionKey, expiresAt }
+const oauthStates = new Map();
+
+/**
+ * Digest of the session or API token a request was made with, binding an OAuth
+ * state to the sign-in that started it
+ * @param {Object} req - Express request
+ * @returns {string} - Hex SHA-256 digest
+ */
+const getSessionKey = (req) => crypto.createHash('sha256').update(getRequestToken(req) || '').digest('hex');
+
+/**
+ * Start an authorization: a random single-use state tied to this user and session
+ * @param {Object} req - Express request
+ * @returns {string} - State to send to Google
+ */
+const createOAuthState = (req) => {
+  const now = Date.now();
+  for (const [state, pending] of oauthStates) {
+    if (pending.expiresAt <= now) oauthStates.delete(state);
+  }
+
+  const state = crypto.randomBytes(24).toString('base64url');
+  oauthStates.set(state, { userId: req.user.id, sessionKey: getSessionKey(req), expiresAt: now + OAUTH_STATE_TTL_MS });
+  return state;
+};
+
+/**
+ * Check (and use up) the state returned to the callback
+ * @param {Object} req - Express request
+ * @param {string} state - State from the callback
+ * @returns {boolean} - True when this user's session started the authorization
+ */
+const consumeOAuthState = (req, state) => {
+  const pending = typeof state === 'string' ? oauthStates.get(state) : null;
+  if (!pending) return false;
+
+  oauthStates.delete(state);
+  return pending.expiresAt > Date.now() &&
+    pending.userId === req.user.id &&
+    pending.sessionKey === getSessionKey(req);
+};
+
+/**
+ * Google Drive client for a user, restored from their stored tokens on first use
+ * @param {Object} user - Signed-in user
+ * @returns {GoogleDriveService} - The user's Drive client
+ */
+const getDriveService = (user) => {
+  let service = driveServices.get(user.id);
+  if (!service) {
+    // Access tokens the client refreshes on its own are saved for the next restart
+    service = new GoogleDriveService({
+      onTokens: (tokens) => userStore.setDriveTokens(user.id, tokens)
+        .catch(error => console.error('Saving refreshed Drive tokens failed:', error.message))
+    });
+    if (user.driveTokens) {
+      service.setTokens(user.driveTokens);
+    }
+    driveServices.set(user.id, service);
+  }
+  return service;
+};
 
 /**
  * GET /api/google-drive/auth-url
@@ -11,7 +84,7 @@ const driveService = new GoogleDriveService();
  */
 router.get('/auth-url', async (req, res) => {
   try {
-    const authUrl = driveService.getAuthUrl();
+    const authUrl = getDriveService(req.user).getAuthUrl(createOAuthState(req));
     res.json({ 
       authUrl: authUrl,
       message: 'Visit this URL to authorize the application' 
@@ -24,17 +97,23 @@ router.get('/auth-url', async (req, res) => {
 
 /**
  * POST /api/google-drive/auth-callback
- * Handle OAuth2 callback and exchange code for tokens
+ * Handle OAuth2 callback and exchange code for tokens: { code, state }, where
+ * state must come from an /auth-url request made in the same session
  */
 router.post('/auth-callback', async (req, res) => {
   try {
-    const { code } = req.body;
+    const { code, state } = req.body;
 
     if (!code) {
       return res.status(400).json({ error: 'Authorization code is required' });
     }
 
-    const tokens = await driveService.getTokensFromCode(code);
+    if (!consumeOAuthState(req, state)) {
+      return res.status(400).json({ error: 'Invalid or expired authorization state; start again from /auth-url' });
+    }
+
+    const tokens = await getDriveService(req.user).getTokensFromCode(code);
+    await userStore.setDriveTokens(req.user.id, tokens);
     
     res.json({
       message: 'Authentication successful',
@@ -52,7 +131,7 @@ router.post('/auth-callback', async (req, res) => {
 
 /**
  * POST /api/google-drive/set-tokens
- * Set user access tokens for the session
+ * Store Google Drive tokens for the current user
  */
 router.post('/set-tokens', async (req, res) => {
   try {
@@ -62,7 +141,8 @@ router.post('/set-tokens', async (req, res) => {
       return res.status(400).json({ error: 'Valid tokens are required' });
     }
 
-    driveService.setTokens(tokens);
+    getDriveService(req.user).setTokens(tokens);
+    await userStore.setDriveTokens(req.user.id, tokens);
     
     res.json({ 
       message: 'Tokens set successfully',
@@ -74,6 +154,25 @@ router.post('/set-tokens', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/google-drive/disconnect
+ * Forget the current user's Google Drive tokens
+ */
+router.post('/disconnect', async (req, res) => {
+  try {
+    driveServices.delete(req.user.id);
+    await userStore.setDriveTokens(req.user.id, null);
+
+    res.json({
+      message: 'Google Drive disconnected',
+      authenticated: false
+    });
+  } catch (error) {
+    console.error('Disconnect error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * GET /api/google-drive/files
  * List audio files from Google Drive
@@ -81,7 +180,7 @@ router.post('/set-tokens', async (req, res) => {
 router.get('/files', async (req, res) => {
   try {
     const { folderId } = req.query;
-    const audioFiles = await driveService.listAudioFiles(folderId);
+    const audioFiles = await getDriveService(req.user).listAudioFiles(folderId);
     
     res.json({
       files: audioFiles,
@@ -108,7 +207,7 @@ router.get('/files', async (req, res) => {
 router.get('/file-info/:fileId', async (req, res) => {
   try {
     const { fileId } = req.params;
-    const fileInfo = await driveService.getFileInfo(fileId);
+    const fileInfo = await getDriveService(req.user).getFileInfo(fileId);
     
     res.json(fileInfo);
   } catch (error) {
@@ -138,14 +237,19 @@ router.post('/download', async (req, res) => {
     }
 
     const downloadPath = path.join(__dirname, '../../uploads');
-    const filePath = await driveService.downloadFile(fileId, downloadPath);
-    const filename = path.basename(filePath);
+    const assetId = assetRegistry.createId();
+    const { filePath, fileName } = await getDriveService(req.user).downloadFile(fileId, downloadPath, { basename: assetId });
+    const asset = await assetRegistry.register({
+      id: assetId,
+      file: path.basename(filePath),
+      originalName: fileName,
+      owner: req.user.id
+    });
 
     res.json({
       message: 'File downloaded successfully',
-      filename: filename,
-      path: filePath,
-      downloadUrl: `/api/audio/download/${filename}`
+      asset: assetRegistry.toPublic(asset),
+      downloadUrl: `/api/audio/download/${asset.id}`
     });
   } catch (error) {
     console.error('Download error:', error);
@@ -175,7 +279,7 @@ router.get('/search', async (req, res) => {
       return res.status(400).json({ error: 'Search term is required' });
     }
 
-    const searchResults = await driveService.searchFiles(searchTerm);
+    const searchResults = await getDriveService(req.user).searchFiles(searchTerm);
     
     res.json({
       results: searchResults,
@@ -202,7 +306,7 @@ router.get('/search', async (req, res) => {
  */
 router.get('/supported-formats', (req, res) => {
   try {
-    const supportedFormats = driveService.getSupportedFormats();
+    const supportedFormats = getDriveService(req.user).getSupportedFormats();
     res.json({
       formats: supportedFormats,
       count: supportedFormats.length
@@ -219,6 +323,7 @@ router.get('/supported-formats', (req, res) => {
  */
 router.get('/status', (req, res) => {
   try {
+    const driveService = getDriveService(req.user);
     const isAuthenticated = driveService.auth !== null && driveService.drive !== null;
     
     res.json({
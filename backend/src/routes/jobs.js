@@ -0,0 +1,136 @@
+const express = require('express');
+const jobQueue = require('../services/jobQueue');
+
+const router = express.Router();
+
+// Keep idle Server-Sent Events connections open through proxies
+const HEARTBEAT_INTERVAL = 15000;
+
+/**
+ * Resolve :id route parameters to the current user's jobs (as req.job)
+ */
+router.param('id', (req, res, next, id) => {
+  const job = jobQueue.get(id);
+
+  // Other users' jobs look the same as jobs that do not exist
+  if (!job || job.params.owner !== req.user.id) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  req.job = job;
+  next();
+});
+
+/**
+ * POST /api/jobs
+ * Queue a background job ({ type, params }); returns immediately with the job id
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { type } = req.body;
+    // The owner always comes from the session, never from the request body
+    const params = { ...req.body.params, owner: req.user.id };
+
+    if (!type) {
+      return res.status(400).json({ error: 'Job type is required' });
+    }
+
+    const invalid = await jobQueue.validate(type, params);
+    if (invalid) {
+      return res.status(invalid.status).json({ error: invalid.error });
+    }
+
+    const job = jobQueue.submit(type, params);
+
+    res.status(202).json({
+      message: 'Job queued',
+      job: jobQueue.toJSON(job)
+    });
+  } catch (error) {
+    console.error('Submit job error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/jobs
+ * List the current user's retained jobs, newest first
+ */
+router.get('/', (req, res) => {
+  res.json({
+    jobs: jobQueue.list({ owner: req.user.id }).map(job => jobQueue.toJSON(job)),
+    types: jobQueue.getTypes()
+  });
+});
+
+/**
+ * GET /api/jobs/:id
+ * Get job state, progress and (once completed) result
+ */
+router.get('/:id', (req, res) => {
+  const job = req.job;
+
+  res.json({ job: jobQueue.toJSON(job) });
+});
+
+/**
+ * GET /api/jobs/:id/events
+ * Stream job updates as Server-Sent Events until the job finishes
+ */
+router.get('/:id/events', (req, res) => {
+  const job = req.job;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = (jobView) => res.write(`data: ${JSON.stringify(jobView)}\n\n`);
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL);
+
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    jobQueue.off('update', onUpdate);
+  };
+
+  const onUpdate = (jobView) => {
+    if (jobView.id !== job.id) return;
+    send(jobView);
+    if (jobQueue.isFinished(jobView)) {
+      cleanup();
+      res.end();
+    }
+  };
+
+  send(jobQueue.toJSON(job));
+  if (jobQueue.isFinished(job)) {
+    clearInterval(heartbeat);
+    return res.end();
+  }
+
+  jobQueue.on('update', onUpdate);
+  req.on('close', cleanup);
+});
+
+/**
+ * POST /api/jobs/:id/cancel
+ * Cancel a queued or running job
+ */
+router.post('/:id/cancel', (req, res) => {
+  const job = req.job;
+
+  if (!jobQueue.cancel(job.id)) {
+    return res.status(409).json({ error: `Job already ${job.state}` });
+  }
+
+  res.json({
+    message: 'Job cancellation requested',
+    job: jobQueue.toJSON(job)
+  });
+});
+
+module.exports = router;
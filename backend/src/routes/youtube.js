@@ -1,10 +1,74 @@
 const express = require('express');
 const YouTubeService = require('../services/youtubeService');
+const jobQueue = require('../services/jobQueue');
+const storageManager = require('../services/storageManager');
+const assetRegistry = require('../services/assetRegistry');
 const path = require('path');
 
 const router = express.Router();
 const youtubeService = new YouTubeService();
 
+/**
+ * YouTube audio download, shared by /download-audio and the 'youtube-download' job type
+ */
+const downloadTask = {
+  async validate({ url }) {
+    if (!url) {
+      return { status: 400, error: 'YouTube URL is required' };
+    }
+
+    if (!youtubeService.isValidYouTubeUrl(url)) {
+      return { status: 400, error: 'Invalid YouTube URL format' };
+    }
+
+    // Check if video is downloadable
+    const isDownloadable = await youtubeService.isDownloadable(url);
+    if (!isDownloadable) {
+      return { status: 400, error: 'Video cannot be downloaded (may be live, private, or restricted)' };
+    }
+
+    return null;
+  },
+
+  async run({ url, quality = 'highestaudio', owner }, context = {}) {
+    const outputPath = path.join(__dirname, '../../uploads');
+    const assetId = assetRegistry.createId();
+    const downloadOptions = {
+      basename: assetId,
+      quality: quality,
+      timeout: 300000, // 5 minutes
+      onProgress: context.onProgress,
+      signal: context.signal
+    };
+
+    // Start download
+    const audioPath = await youtubeService.downloadAudio(url, outputPath, downloadOptions);
+    storageManager.requestSweep();
+    const videoInfo = await youtubeService.getVideoInfo(url);
+    const asset = await assetRegistry.register({
+      id: assetId,
+      file: path.basename(audioPath),
+      originalName: `${youtubeService.sanitizeFilename(videoInfo.title)}.mp3`,
+      owner: owner
+    });
+
+    return {
+      message: 'Audio downloaded successfully',
+      asset: assetRegistry.toPublic(asset),
+      videoInfo: {
+        title: videoInfo.title,
+        author: videoInfo.author,
+        duration: videoInfo.lengthSeconds,
+        formattedDuration: youtubeService.formatDuration(videoInfo.lengthSeconds),
+        videoId: videoInfo.videoId
+      },
+      downloadUrl: `/api/audio/download/${asset.id}`
+    };
+  }
+};
+
+jobQueue.register('youtube-download', downloadTask);
+
 /**
  * POST /api/youtube/video-info
  * Get information about a YouTube video
@@ -42,48 +106,13 @@ router.post('/video-info', async (req, res) => {
  */
 router.post('/download-audio', async (req, res) => {
   try {
-    const { url, quality = 'highestaudio' } = req.body;
-
-    if (!url) {
-      return res.status(400).json({ error: 'YouTube URL is required' });
-    }
-
-    if (!youtubeService.isValidYouTubeUrl(url)) {
-      return res.status(400).json({ error: 'Invalid YouTube URL format' });
+    const params = { ...req.body, owner: req.user.id };
+    const invalid = await downloadTask.validate(params);
+    if (invalid) {
+      return res.status(invalid.status).json({ error: invalid.error });
     }
 
-    // Check if video is downloadable
-    const isDownloadable = await youtubeService.isDownloadable(url);
-    if (!isDownloadable) {
-      return res.status(400).json({ 
-        error: 'Video cannot be downloaded (may be live, private, or restricted)' 
-      });
-    }
-
-    const outputPath = path.join(__dirname, '../../uploads');
-    const downloadOptions = {
-      quality: quality,
-      timeout: 300000 // 5 minutes
-    };
-
-    // Start download
-    const audioPath = await youtubeService.downloadAudio(url, outputPath, downloadOptions);
-    const filename = path.basename(audioPath);
-    const videoInfo = await youtubeService.getVideoInfo(url);
-
-    res.json({
-      message: 'Audio downloaded successfully',
-      filename: filename,
-      path: audioPath,
-      videoInfo: {
-        title: videoInfo.title,
-        author: videoInfo.author,
-        duration: videoInfo.lengthSeconds,
-        formattedDuration: youtubeService.formatDuration(videoInfo.lengthSeconds),
-        videoId: videoInfo.videoId
-      },
-      downloadUrl: `/api/audio/download/${filename}`
-    });
+    res.json(await downloadTask.run(params));
   } catch (error) {
     console.error('Download audio error:', error);
     
@@ -276,19 +305,28 @@ router.get('/supported-urls', (req, res) => {
 
 /**
  * GET /api/youtube/download-progress/:videoId
- * Check download progress (placeholder for future WebSocket implementation)
+ * Check progress of the latest 'youtube-download' job for a video
  */
 router.get('/download-progress/:videoId', (req, res) => {
   try {
     const { videoId } = req.params;
-    
-    // This is a placeholder - in a real implementation, you might use WebSockets
-    // or server-sent events to track download progress
+
+    const job = jobQueue.list({ owner: req.user.id }).find(candidate =>
+      candidate.type === 'youtube-download' &&
+      youtubeService.extractVideoId(candidate.params.url) === videoId
+    );
+
+    if (!job) {
+      return res.status(404).json({ error: 'No download job found for this video' });
+    }
+
     res.json({
       videoId: videoId,
-      status: 'not_implemented',
-      message: 'Progress tracking not yet implemented',
-      suggestion: 'Use WebSocket connection for real-time progress updates'
+      jobId: job.id,
+      status: job.state,
+      progress: job.progress,
+      error: job.error,
+      result: job.result
     });
   } catch (error) {
     console.error('Download progress error:', error);
@@ -9,6 +9,12 @@ require('dotenv').config();
 const audioRoutes = require('./routes/audio');
 const googleDriveRoutes = require('./routes/googleDrive');
 const youtubeRoutes = require('./routes/youtube');
+const jobRoutes = require('./routes/jobs');
+const adminRoutes = require('./routes/admin');
+const authRoutes = require('./routes/auth');
+const { authenticate, requireUser } = require('./middleware/auth');
+const storageManager = require('./services/storageManager');
+const { migrateOwnerlessAssets } = require('./services/assetMigration');
 
 const app = express();
 const PORT = process.env.PORT || 10000;
@@ -41,7 +47,9 @@ app.use(helmet({
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // limit each IP to 100 requests per windowMs
-  message: 'Too many requests from this IP, please try again later.'
+  message: 'Too many requests from this IP, please try again later.',
+  // Job status polling and event streams would otherwise exhaust the limit during a long render
+  skip: (req) => req.method === 'GET' && req.path.startsWith('/api/jobs')
 });
 app.use(limiter);
 
@@ -49,7 +57,7 @@ app.use(limiter);
 app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:3000',
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  methods: ['GET', 'HEAD', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
   allowedHeaders: [
     'Origin',
     'X-Requested-With',
@@ -57,6 +65,9 @@ app.use(cors({
     'Accept',
     'Authorization',
     'Range',
+    'If-Range',
+    'If-None-Match',
+    'If-Modified-Since',
     'Accept-Ranges',
     'Content-Range',
     'Content-Length'
@@ -65,7 +76,10 @@ app.use(cors({
     'Accept-Ranges',
     'Content-Range',
     'Content-Length',
-    'Content-Type'
+    'Content-Type',
+    'Content-Disposition',
+    'ETag',
+    'Last-Modified'
   ]
 }));
 
@@ -73,8 +87,9 @@ app.use(cors({
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
-// Static files
-app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
+// Session middleware: resolves the session cookie or API token to req.user.
+// Uploads are not served statically; files are only reachable through their owner's asset IDs.
+app.use(authenticate);
 
 // Serve React build files in production
 if (process.env.NODE_ENV === 'production') {
@@ -82,9 +97,12 @@ if (process.env.NODE_ENV === 'production') {
 }
 
 // Routes
-app.use('/api/audio', audioRoutes);
-app.use('/api/google-drive', googleDriveRoutes);
-app.use('/api/youtube', youtubeRoutes);
+app.use('/api/auth', authRoutes);
+app.use('/api/audio', requireUser, audioRoutes);
+app.use('/api/google-drive', requireUser, googleDriveRoutes);
+app.use('/api/youtube', requireUser, youtubeRoutes);
+app.use('/api/jobs', requireUser, jobRoutes);
+app.use('/api/admin', adminRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -124,4 +142,9 @@ app.use('*', (req, res) => {
 app.listen(PORT, () => {
   console.log(`🎵 Karaoke Processor Backend running on port ${PORT}`);
   console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+
+  // Expire old renders and keep uploads under STORAGE_MAX_SIZE
+  storageManager.start();
+
+  migrateOwnerlessAssets().catch(error => console.error('Asset owner migration failed:', error.message));
 });
\ No newline at end of file
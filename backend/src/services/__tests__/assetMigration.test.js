@@ -0,0 +1,46 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const assetRegistry = require('../assetRegistry');
+const userStore = require('../userStore');
+const { migrateOwnerlessAssets } = require('../assetMigration');
+
+describe('migrateOwnerlessAssets', () => {
+  let directory;
+  let ann;
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'asset-migration-'));
+    // Point the shared registry and user store at a scratch directory
+    Object.assign(assetRegistry, { directory, indexPath: path.join(directory, '.assets.json'), loaded: null });
+    Object.assign(userStore, { directory, filePath: path.join(directory, 'users.json'), loaded: null });
+
+    await userStore.createUser('stranger', 'password1');
+    ann = await userStore.createUser('ann', 'password1');
+    await assetRegistry.register({ file: 'legacy.mp3' });
+    await assetRegistry.register({ file: 'owned.mp3', owner: 'someone-else' });
+  });
+
+  afterAll(async () => {
+    await Promise.all([assetRegistry.saving, userStore.saving]);
+    await fs.rm(directory, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  it('leaves owner-less assets alone unless an owner is named', async () => {
+    expect(await migrateOwnerlessAssets(undefined)).toBe(0);
+    expect((await assetRegistry.list({ file: 'legacy.mp3' }))[0].owner).toBeNull();
+  });
+
+  it('rejects an unknown owner', async () => {
+    await expect(migrateOwnerlessAssets('nobody')).rejects.toMatchObject({ status: 404 });
+  });
+
+  it('gives only owner-less assets to the named user', async () => {
+    expect(await migrateOwnerlessAssets('Ann')).toBe(1);
+    expect((await assetRegistry.list({ file: 'legacy.mp3' }))[0].owner).toBe(ann.id);
+    expect((await assetRegistry.list({ file: 'owned.mp3' }))[0].owner).toBe('someone-else');
+    expect(await migrateOwnerlessAssets('ann')).toBe(0);
+  });
+});
@@ -0,0 +1,97 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const AssetRegistry = require('../assetRegistry').constructor;
+
+describe('AssetRegistry', () => {
+  let directory;
+  let registry;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'asset-registry-'));
+    registry = new AssetRegistry({ directory });
+  });
+
+  afterEach(async () => {
+    await registry.saving;
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  it('accepts only v4 UUIDs as IDs', () => {
+    expect(registry.isValidId(registry.createId())).toBe(true);
+    expect(registry.isValidId('../etc/passwd')).toBe(false);
+    expect(registry.isValidId('song.mp3')).toBe(false);
+    expect(registry.isValidId(42)).toBe(false);
+  });
+
+  it('only registers files directly inside the uploads directory', async () => {
+    await expect(registry.register({ file: '../secret.mp3' })).rejects.toThrow('directly inside');
+    await expect(registry.register({ file: 'nested/song.mp3' })).rejects.toThrow('directly inside');
+    await expect(registry.register({ file: '.assets.json' })).rejects.toThrow('directly inside');
+    await expect(registry.register({ file: 'song.mp3', kind: 'other' })).rejects.toThrow('Asset kind');
+  });
+
+  it('persists assets and reloads them', async () => {
+    const asset = await registry.register({ file: 'song.mp3', originalName: 'Song.mp3', owner: 'u1' });
+    expect(asset).toMatchObject({ file: 'song.mp3', originalName: 'Song.mp3', owner: 'u1', kind: 'upload', mimeType: 'audio/mpeg' });
+
+    const reloaded = new AssetRegistry({ directory });
+    expect(await reloaded.get(asset.id)).toEqual(asset);
+  });
+
+  describe('check', () => {
+    let asset;
+
+    beforeEach(async () => {
+      await fs.writeFile(path.join(directory, 'song.mp3'), 'audio');
+      asset = await registry.register({ file: 'song.mp3', owner: 'u1' });
+    });
+
+    it('rejects missing and malformed IDs with 400', async () => {
+      expect(await registry.check(undefined, 'u1')).toEqual({ status: 400, error: 'Asset ID is required' });
+      expect(await registry.check('song.mp3', 'u1')).toEqual({ status: 400, error: 'Invalid asset ID' });
+    });
+
+    it('passes the owner when the file exists', async () => {
+      expect(await registry.check(asset.id, 'u1')).toBeNull();
+    });
+
+    it('hides other users’ and owner-less assets', async () => {
+      const ownerless = await registry.register({ file: 'song.mp3' });
+      expect(await registry.check(asset.id, 'u2')).toMatchObject({ status: 404 });
+      expect(await registry.check(ownerless.id, 'u1')).toMatchObject({ status: 404 });
+    });
+
+    it('reports a deleted file as not found', async () => {
+      await fs.unlink(path.join(directory, 'song.mp3'));
+      expect(await registry.check(asset.id, 'u1')).toMatchObject({ status: 404 });
+    });
+  });
+
+  it('lists assets by field, newest first', async () => {
+    const first = await registry.register({ file: 'a.mp3', owner: 'u1' });
+    await registry.register({ file: 'b.mp3', owner: 'u2' });
+    const render = await registry.register({ file: 'c.mp3', owner: 'u1', kind: 'derived', parentId: first.id });
+    render.createdAt = new Date(Date.now() + 1000).toISOString();
+
+    expect((await registry.list({ owner: 'u1' })).map(asset => asset.file)).toEqual(['c.mp3', 'a.mp3']);
+    expect((await registry.list({ owner: 'u1', kind: 'derived', parentId: first.id }))).toEqual([render]);
+  });
+
+  it('removes every asset sharing a deleted file', async () => {
+    await registry.register({ file: 'shared.mp3', owner: 'u1' });
+    await registry.register({ file: 'shared.mp3', owner: 'u2' });
+    const other = await registry.register({ file: 'other.mp3', owner: 'u1' });
+
+    await registry.removeByFile('shared.mp3');
+    expect(await registry.findByFile('shared.mp3')).toEqual([]);
+    expect(await registry.list()).toEqual([other]);
+  });
+
+  it('keeps the stored filename out of the public view', async () => {
+    const asset = await registry.register({ file: 'song.mp3', owner: 'u1' });
+    const publicAsset = registry.toPublic(asset);
+    expect(publicAsset).not.toHaveProperty('file');
+    expect(publicAsset).toMatchObject({ id: asset.id, originalName: 'song.mp3' });
+  });
+});
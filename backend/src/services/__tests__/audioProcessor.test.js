@@ -0,0 +1,111 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const ffmpeg = require('fluent-ffmpeg');
+const AudioProcessor = require('../audioProcessor');
+
+/**
+ * Stand-in for FFmpeg: answers the capability probes, then writes two float
+ * samples to stdout and exits with the given code
+ * @param {number} exitCode - Exit code of the decode
+ * @returns {string} - Shell script
+ */
+const fakeFfmpeg = (exitCode) => `#!/bin/sh
+case "$1" in
+  -formats) echo ' DE f32le           PCM 32-bit floating-point little-endian' ;;
+  -encoders) echo ' A..... pcm_f32le            PCM 32-bit floating point little-endian' ;;
+  *) printf '\\000\\000\\200\\077\\000\\000\\000\\077'; exit ${exitCode} ;;
+esac
+`;
+
+describe('AudioProcessor key math', () => {
+  const audioProcessor = new AudioProcessor();
+
+  describe('calculateNewKey', () => {
+    it('transposes up using sharps and down using flats', () => {
+      expect(audioProcessor.calculateNewKey('C', 'major', 1).newKey).toBe('C#');
+      expect(audioProcessor.calculateNewKey('C', 'major', -1).newKey).toBe('B');
+      expect(audioProcessor.calculateNewKey('D', 'minor', -1).newKey).toBe('Db');
+      expect(audioProcessor.calculateNewKey('A', 'minor', 3)).toEqual(expect.objectContaining({
+        newKey: 'C',
+        newMode: 'minor',
+        interval: 'Minor Third'
+      }));
+    });
+
+    it('accepts flat and sharp key names and wraps around the octave', () => {
+      expect(audioProcessor.calculateNewKey('Bb', 'major', 2).newKey).toBe('C');
+      expect(audioProcessor.calculateNewKey('F#', 'major', 12).newKey).toBe('F#');
+      expect(audioProcessor.calculateNewKey('C', 'major', -14).newKey).toBe('Bb');
+    });
+
+    it('snaps fractional shifts to the nearest key and keeps the rest as cents', () => {
+      const shift = audioProcessor.calculateNewKey('C', 'major', 2, 30);
+      expect(shift).toEqual(expect.objectContaining({ newKey: 'D', nearestSemitones: 2, residualCents: 30 }));
+
+      const rounded = audioProcessor.calculateNewKey('C', 'major', 1.5, 20);
+      expect(rounded).toEqual(expect.objectContaining({ newKey: 'D', nearestSemitones: 2, residualCents: -30 }));
+    });
+
+    it('rejects unknown keys', () => {
+      expect(() => audioProcessor.calculateNewKey('H', 'major', 1)).toThrow('Invalid key: H');
+    });
+  });
+
+  describe('getSemitonesBetween', () => {
+    it('takes the shorter way round', () => {
+      expect(audioProcessor.getSemitonesBetween('C', 'D')).toBe(2);
+      expect(audioProcessor.getSemitonesBetween('E', 'C')).toBe(-4);
+      expect(audioProcessor.getSemitonesBetween('C', 'A')).toBe(-3);
+      expect(audioProcessor.getSemitonesBetween('A', 'C')).toBe(3);
+    });
+
+    it('goes down a tritone and treats enharmonic keys as equal', () => {
+      expect(audioProcessor.getSemitonesBetween('C', 'F#')).toBe(-6);
+      expect(audioProcessor.getSemitonesBetween('C#', 'Db')).toBe(0);
+    });
+
+    it('rejects unknown keys', () => {
+      expect(() => audioProcessor.getSemitonesBetween('C', 'X')).toThrow('Invalid key: X');
+    });
+  });
+});
+
+describe('AudioProcessor.decodePcm', () => {
+  const audioProcessor = new AudioProcessor();
+  let directory;
+
+  /**
+   * Make decodePcm run a fake FFmpeg
+   * @param {number} exitCode - Exit code of the decode
+   */
+  const useFakeFfmpeg = async (exitCode) => {
+    const ffmpegPath = path.join(directory, `ffmpeg-${exitCode}`);
+    await fs.writeFile(ffmpegPath, fakeFfmpeg(exitCode), { mode: 0o755 });
+    ffmpeg.setFfmpegPath(ffmpegPath);
+  };
+
+  beforeAll(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'fake-ffmpeg-'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterAll(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  it('returns the decoded samples when FFmpeg succeeds', async () => {
+    await useFakeFfmpeg(0);
+    const { samples, sampleRate, channels } = await audioProcessor.decodePcm('song.mp3', { sampleRate: 8000 });
+
+    expect(Array.from(samples)).toEqual([1, 0.5]);
+    expect(sampleRate).toBe(8000);
+    expect(channels).toBe(1);
+  });
+
+  it('rejects a decode that FFmpeg ends with an error, even after writing samples', async () => {
+    await useFakeFfmpeg(1);
+    await expect(audioProcessor.decodePcm('song.mp3')).rejects.toThrow('Audio decoding failed');
+  });
+});
@@ -0,0 +1,160 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const RenderCache = require('../renderCache').constructor;
+
+/**
+ * A render that only finishes when the test says so
+ * @param {RenderCache} cache - Cache the output is written for
+ * @returns {Object} - { render (jest mock), finish(file), calls }
+ */
+const deferredRender = (cache) => {
+  const calls = [];
+  const render = jest.fn(context => new Promise((resolve, reject) => {
+    calls.push({ ...context, resolve, reject });
+    context.signal.addEventListener('abort', () => reject(new Error('Job cancelled')));
+  }));
+
+  const finish = async (file) => {
+    await fs.writeFile(path.join(cache.directory, file), 'audio');
+    calls[calls.length - 1].resolve({ file, metadata: {} });
+  };
+
+  return { render, finish, calls };
+};
+
+describe('RenderCache.getOrRender', () => {
+  let directory;
+  let cache;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'render-cache-'));
+    cache = new RenderCache({ directory });
+    await cache.load();
+  });
+
+  afterEach(async () => {
+    await cache.saving;
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  it('renders once for concurrent requests and shares the result', async () => {
+    const { render, finish } = deferredRender(cache);
+
+    const first = cache.getOrRender('key', render);
+    const second = cache.getOrRender('key', render);
+    await new Promise(setImmediate);
+    expect(render).toHaveBeenCalledTimes(1);
+
+    await finish('out.mp3');
+    const [a, b] = await Promise.all([first, second]);
+    expect(a).toEqual({ hit: false, entry: expect.objectContaining({ key: 'key', file: 'out.mp3' }) });
+    expect(b.entry).toBe(a.entry);
+    expect(cache.inFlight.size).toBe(0);
+  });
+
+  it('serves later requests from the cache', async () => {
+    const { render, finish } = deferredRender(cache);
+    const first = cache.getOrRender('key', render);
+    await new Promise(setImmediate);
+    await finish('out.mp3');
+    await first;
+
+    const again = await cache.getOrRender('key', render);
+    expect(again.hit).toBe(true);
+    expect(again.entry.hits).toBe(1);
+    expect(render).toHaveBeenCalledTimes(1);
+  });
+
+  it('sends the shared progress to every waiter, replaying it to late joiners', async () => {
+    const { render, finish, calls } = deferredRender(cache);
+    const early = jest.fn();
+    const late = jest.fn();
+
+    const first = cache.getOrRender('key', render, { onProgress: early });
+    await new Promise(setImmediate);
+    calls[0].onProgress(40);
+
+    const second = cache.getOrRender('key', render, { onProgress: late });
+    await new Promise(setImmediate);
+    calls[0].onProgress(80);
+
+    await finish('out.mp3');
+    await Promise.all([first, second]);
+    expect(early.mock.calls).toEqual([[40], [80]]);
+    expect(late.mock.calls).toEqual([[40], [80]]);
+  });
+
+  it('keeps rendering for the remaining waiters when one cancels', async () => {
+    const { render, finish, calls } = deferredRender(cache);
+    const controller = new AbortController();
+
+    const cancelled = cache.getOrRender('key', render, { signal: controller.signal });
+    const kept = cache.getOrRender('key', render);
+    await new Promise(setImmediate);
+
+    controller.abort();
+    await expect(cancelled).rejects.toThrow('Job cancelled');
+    expect(calls[0].signal.aborted).toBe(false);
+
+    await finish('out.mp3');
+    await expect(kept).resolves.toEqual(expect.objectContaining({ hit: false }));
+  });
+
+  it('cancels the render once every waiter has cancelled', async () => {
+    const { render, calls } = deferredRender(cache);
+    const first = new AbortController();
+    const second = new AbortController();
+
+    const a = cache.getOrRender('key', render, { signal: first.signal });
+    const b = cache.getOrRender('key', render, { signal: second.signal });
+    await new Promise(setImmediate);
+
+    first.abort();
+    second.abort();
+    await expect(a).rejects.toThrow('Job cancelled');
+    await expect(b).rejects.toThrow('Job cancelled');
+    expect(calls[0].signal.aborted).toBe(true);
+    expect(cache.inFlight.size).toBe(0);
+  });
+
+  it('starts a fresh render after a cancelled one', async () => {
+    const { render, finish, calls } = deferredRender(cache);
+    const controller = new AbortController();
+
+    const cancelled = cache.getOrRender('key', render, { signal: controller.signal });
+    await new Promise(setImmediate);
+    controller.abort();
+    await expect(cancelled).rejects.toThrow('Job cancelled');
+
+    const retry = cache.getOrRender('key', render);
+    await new Promise(setImmediate);
+    expect(render).toHaveBeenCalledTimes(2);
+    expect(calls[1].signal.aborted).toBe(false);
+
+    await finish('out.mp3');
+    await expect(retry).resolves.toEqual(expect.objectContaining({ hit: false }));
+  });
+
+  it('lists the inputs of renders while they run', async () => {
+    const { render, finish } = deferredRender(cache);
+    const request = cache.getOrRender('key', render, { inputs: ['source.mp3'] });
+    await new Promise(setImmediate);
+    expect(cache.getInputsInFlight()).toEqual(['source.mp3']);
+
+    await finish('out.mp3');
+    await request;
+    expect(cache.getInputsInFlight()).toEqual([]);
+  });
+
+  it('passes a failed render on to its waiters without caching it', async () => {
+    const { render, calls } = deferredRender(cache);
+    const request = cache.getOrRender('key', render);
+    await new Promise(setImmediate);
+
+    calls[0].reject(new Error('Transposition failed'));
+    await expect(request).rejects.toThrow('Transposition failed');
+    expect(await cache.lookup('key')).toBeNull();
+    expect(cache.inFlight.size).toBe(0);
+  });
+});
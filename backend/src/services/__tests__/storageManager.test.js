@@ -0,0 +1,120 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const storageManager = require('../storageManager');
+const renderCache = require('../renderCache');
+const assetRegistry = require('../assetRegistry');
+const jobQueue = require('../jobQueue');
+
+const StorageManager = storageManager.constructor;
+const HOUR = 60 * 60 * 1000;
+
+describe('StorageManager', () => {
+  let directory;
+
+  /**
+   * Create a stored file last used some time ago
+   * @param {string} filename - File name
+   * @param {number} size - Bytes
+   * @param {number} ageMs - How long ago it was last used
+   */
+  const storeFile = async (filename, size, ageMs) => {
+    const filePath = path.join(directory, filename);
+    await fs.writeFile(filePath, Buffer.alloc(size));
+    const lastUsed = new Date(Date.now() - ageMs);
+    await fs.utimes(filePath, lastUsed, lastUsed);
+  };
+
+  const remainingFiles = async () => (await fs.readdir(directory)).filter(name => !name.startsWith('.')).sort();
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'storage-manager-'));
+    // Removals also update the shared cache index and asset registry; keep those in the scratch directory
+    Object.assign(renderCache, { directory, indexPath: path.join(directory, '.render-cache.json'), loaded: null });
+    renderCache.entries.clear();
+    Object.assign(assetRegistry, { directory, indexPath: path.join(directory, '.assets.json'), loaded: null });
+    assetRegistry.assets.clear();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await Promise.all([renderCache.saving, assetRegistry.saving]);
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  it('parses size settings', () => {
+    expect(StorageManager.parseSize('2GB', 0)).toBe(2 * 1024 ** 3);
+    expect(StorageManager.parseSize('1.5 mb', 0)).toBe(1.5 * 1024 ** 2);
+    expect(StorageManager.parseSize('4096', 0)).toBe(4096);
+    expect(StorageManager.parseSize('lots', 7)).toBe(7);
+  });
+
+  it('expires derived renders after their TTL but keeps uploads', async () => {
+    await storeFile('upload.mp3', 10, 48 * HOUR);
+    await storeFile('transposed_old.mp3', 10, 48 * HOUR);
+    await storeFile('transposed_new.mp3', 10, HOUR);
+
+    const manager = new StorageManager({ directory, maxBytes: 1000, derivedTtlMs: 24 * HOUR });
+    const sweep = await manager.sweep();
+
+    expect(sweep.deleted).toEqual([{ filename: 'transposed_old.mp3', size: 10, reason: 'expired' }]);
+    expect(await remainingFiles()).toEqual(['transposed_new.mp3', 'upload.mp3']);
+  });
+
+  it('evicts least recently used files over quota, derived renders before uploads', async () => {
+    await storeFile('upload_old.mp3', 100, 5 * HOUR);
+    await storeFile('upload_new.mp3', 100, 3 * HOUR);
+    await storeFile('tempo_a.mp3', 100, 2 * HOUR);
+    await storeFile('tempo_b.mp3', 100, 4 * HOUR);
+
+    const manager = new StorageManager({ directory, maxBytes: 150, derivedTtlMs: 24 * HOUR });
+    const sweep = await manager.sweep();
+
+    expect(sweep.deleted.map(file => file.filename)).toEqual(['tempo_b.mp3', 'tempo_a.mp3', 'upload_old.mp3']);
+    expect(await remainingFiles()).toEqual(['upload_new.mp3']);
+  });
+
+  it('never evicts files used in the last few minutes', async () => {
+    await storeFile('upload.mp3', 100, 60 * 1000);
+
+    const manager = new StorageManager({ directory, maxBytes: 10 });
+    expect((await manager.sweep()).deleted).toEqual([]);
+  });
+
+  it('keeps the sources of unfinished jobs and in-flight renders', async () => {
+    await storeFile('job_source.mp3', 100, 5 * HOUR);
+    await storeFile('batch_song.mp3', 100, 5 * HOUR);
+    await storeFile('render_input.mp3', 100, 5 * HOUR);
+    await storeFile('done_source.mp3', 100, 5 * HOUR);
+    await storeFile('transposed_expired.mp3', 100, 48 * HOUR);
+
+    const running = await assetRegistry.register({ file: 'job_source.mp3' });
+    const batched = await assetRegistry.register({ file: 'batch_song.mp3' });
+    const done = await assetRegistry.register({ file: 'done_source.mp3' });
+    jest.spyOn(jobQueue, 'list').mockReturnValue([
+      { state: 'running', params: { assetId: running.id } },
+      { state: 'queued', params: { songs: [{ assetId: batched.id }] } },
+      { state: 'completed', params: { assetId: done.id } }
+    ]);
+    jest.spyOn(renderCache, 'getInputsInFlight').mockReturnValue(['render_input.mp3', 'transposed_expired.mp3']);
+
+    const manager = new StorageManager({ directory, maxBytes: 10, derivedTtlMs: 24 * HOUR });
+    const sweep = await manager.sweep();
+
+    expect(sweep.deleted.map(file => file.filename)).toEqual(['done_source.mp3']);
+    expect(await remainingFiles()).toEqual(['batch_song.mp3', 'job_source.mp3', 'render_input.mp3', 'transposed_expired.mp3']);
+  });
+
+  it('forgets assets and cache entries of deleted files', async () => {
+    await storeFile('converted_x.mp3', 10, 48 * HOUR);
+    await assetRegistry.register({ file: 'converted_x.mp3', kind: 'derived' });
+    renderCache.entries.set('key', { key: 'key', file: 'converted_x.mp3' });
+
+    await new StorageManager({ directory, derivedTtlMs: HOUR }).sweep();
+
+    expect(await assetRegistry.findByFile('converted_x.mp3')).toEqual([]);
+    expect(renderCache.entries.has('key')).toBe(false);
+  });
+});
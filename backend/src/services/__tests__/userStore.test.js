@@ -0,0 +1,96 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const UserStore = require('../userStore').constructor;
+
+describe('UserStore', () => {
+  let directory;
+  let store;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'user-store-'));
+    store = new UserStore({ directory });
+  });
+
+  afterEach(async () => {
+    await store.saving;
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  it('validates usernames and passwords', () => {
+    expect(store.getCredentialsError('ann', 'long enough')).toBeNull();
+    expect(store.getCredentialsError('an', 'long enough')).toMatch(/Username/);
+    expect(store.getCredentialsError('ann/../x', 'long enough')).toMatch(/Username/);
+    expect(store.getCredentialsError('ann', 'short')).toMatch(/Password/);
+  });
+
+  it('checks passwords against the stored hash', async () => {
+    const user = await store.createUser('Ann', 'correct horse');
+    expect(user.username).toBe('ann');
+    expect(user.passwordHash).not.toContain('correct horse');
+
+    expect(await store.verifyPassword('ANN', 'correct horse')).toBe(user);
+    expect(await store.verifyPassword('ann', 'wrong horse')).toBeNull();
+    expect(await store.verifyPassword('bob', 'correct horse')).toBeNull();
+  });
+
+  it('refuses a taken username', async () => {
+    await store.createUser('ann', 'password1');
+    await expect(store.createUser('ANN', 'password2')).rejects.toMatchObject({ status: 409 });
+  });
+
+  it('lets only one of several concurrent sign-ups become the first account', async () => {
+    const results = await Promise.allSettled(['ann', 'bob', 'cat'].map(username =>
+      store.createUser(username, 'password1', { firstOnly: true })
+    ));
+
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+    expect(results.filter(result => result.reason?.status === 403)).toHaveLength(2);
+    expect(await store.count()).toBe(1);
+  });
+
+  it('resolves sessions until they end or expire', async () => {
+    const user = await store.createUser('ann', 'password1');
+    const { token } = await store.createSession(user.id);
+    expect(await store.authenticateToken(token)).toBe(user);
+
+    await store.destroySession(token);
+    expect(await store.authenticateToken(token)).toBeNull();
+
+    const shortLived = new UserStore({ directory, sessionTtlMs: -1 });
+    const expired = await shortLived.createSession(user.id);
+    expect(await shortLived.authenticateToken(expired.token)).toBeNull();
+  });
+
+  it('stores API tokens as digests and stops accepting revoked ones', async () => {
+    const user = await store.createUser('ann', 'password1');
+    const { token, apiToken } = await store.createApiToken(user.id, 'script');
+
+    expect(token.startsWith('kp_')).toBe(true);
+    expect(apiToken).not.toHaveProperty('tokenHash');
+    expect(JSON.stringify(user.apiTokens)).not.toContain(token);
+    expect(await store.authenticateToken(token)).toBe(user);
+
+    expect(await store.revokeApiToken(user.id, apiToken.id)).toBe(true);
+    expect(await store.authenticateToken(token)).toBeNull();
+  });
+
+  it('persists users and sessions across restarts', async () => {
+    const user = await store.createUser('ann', 'password1');
+    const { token } = await store.createSession(user.id);
+    await store.saving;
+
+    const restarted = new UserStore({ directory });
+    expect((await restarted.authenticateToken(token)).id).toBe(user.id);
+  });
+
+  it('keeps the Drive refresh token when Google omits it on re-consent', async () => {
+    const user = await store.createUser('ann', 'password1');
+    await store.setDriveTokens(user.id, { access_token: 'a1', refresh_token: 'r1' });
+    await store.setDriveTokens(user.id, { access_token: 'a2' });
+
+    expect(user.driveTokens).toEqual({ access_token: 'a2', refresh_token: 'r1' });
+    expect(store.toPublic(user)).toEqual(expect.objectContaining({ driveConnected: true }));
+    expect(store.toPublic(user)).not.toHaveProperty('passwordHash');
+  });
+});
@@ -0,0 +1,29 @@
+const assetRegistry = require('./assetRegistry');
+const userStore = require('./userStore');
+
+/**
+ * Assign assets registered before user accounts existed to an explicitly chosen
+ * owner, so they are neither lost nor handed to whoever happens to sign up first.
+ * Runs at startup for LEGACY_ASSET_OWNER (a username), again when that user signs
+ * up, and on demand through the admin API; until then the assets stay hidden.
+ * @param {string} username - Username taking the assets over (defaults to LEGACY_ASSET_OWNER)
+ * @returns {Promise<number>} - Number of assets assigned (0 when no owner is configured)
+ */
+const migrateOwnerlessAssets = async (username = process.env.LEGACY_ASSET_OWNER) => {
+  if (!username) return 0;
+
+  const owner = await userStore.findByUsername(username);
+  if (!owner) {
+    const error = new Error(`User "${username}" does not exist`);
+    error.status = 404;
+    throw error;
+  }
+
+  const assigned = await assetRegistry.assignOwnerless(owner.id);
+  if (assigned > 0) {
+    console.log(`Assigned ${assigned} owner-less asset(s) to ${owner.username}`);
+  }
+  return assigned;
+};
+
+module.exports = { migrateOwnerlessAssets };
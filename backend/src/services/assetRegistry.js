@@ -0,0 +1,247 @@
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const { getMimeType } = require('../utils/audioFormats');
+
+// Asset IDs are random v4 UUIDs; anything else is rejected before touching the filesystem
+const ASSET_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/;
+
+// Asset kinds: files users brought in, and renders derived from them
+const ASSET_KINDS = ['upload', 'derived'];
+
+/**
+ * Server-side registry mapping opaque asset IDs to stored files.
+ * Clients only ever see asset IDs; the stored filename never leaves the server.
+ * Several assets may share one stored file (e.g. a cached render reused for
+ * another request), so files are only deleted once no asset references them.
+ */
+class AssetRegistry {
+  constructor(options = {}) {
+    this.directory = options.directory || path.join(__dirname, '../../uploads');
+    this.indexPath = path.join(this.directory, '.assets.json');
+    this.assets = new Map();
+    this.loaded = null;
+    this.saving = Promise.resolve();
+  }
+
+  /**
+   * Whether a value is a well-formed asset ID
+   * @param {*} id - Candidate ID
+   * @returns {boolean} - True for a v4 UUID string
+   */
+  isValidId(id) {
+    return typeof id === 'string' && ASSET_ID_PATTERN.test(id);
+  }
+
+  /**
+   * Load the persisted registry (once)
+   * @returns {Promise<void>}
+   */
+  async load() {
+    if (!this.loaded) {
+      this.loaded = fs.readFile(this.indexPath, 'utf8')
+        .then(data => {
+          for (const asset of JSON.parse(data).assets || []) {
+            this.assets.set(asset.id, asset);
+          }
+        })
+        .catch(error => {
+          if (error.code !== 'ENOENT') {
+            console.error('Asset registry unreadable, starting empty:', error.message);
+          }
+        });
+    }
+    return this.loaded;
+  }
+
+  /**
+   * Persist the registry; writes are serialized so concurrent updates cannot interleave
+   * @returns {Promise<void>}
+   */
+  save() {
+    const data = JSON.stringify({ assets: Array.from(this.assets.values()) });
+
+    this.saving = this.saving
+      .then(() => fs.mkdir(this.directory, { recursive: true }))
+      .then(() => fs.writeFile(this.indexPath, data))
+      .catch(error => console.error('Asset registry write failed:', error.message));
+    return this.saving;
+  }
+
+  /**
+   * Generate a new asset ID (e.g. to name a file before registering it)
+   * @returns {string} - v4 UUID
+   */
+  createId() {
+    return crypto.randomUUID();
+  }
+
+  /**
+   * Register a stored file as an asset
+   * @param {Object} details - { id (optional), file, originalName, owner, kind, parentId, operation }
+   * @returns {Promise<Object>} - The new asset
+   */
+  async register(details) {
+    await this.load();
+
+    const { file } = details;
+    if (!file || path.basename(file) !== file || file.startsWith('.')) {
+      throw new Error('Assets must reference a file directly inside the uploads directory');
+    }
+
+    const kind = details.kind || 'upload';
+    if (!ASSET_KINDS.includes(kind)) {
+      throw new Error(`Asset kind must be one of: ${ASSET_KINDS.join(', ')}`);
+    }
+
+    const asset = {
+      id: details.id || this.createId(),
+      file,
+      originalName: details.originalName || file,
+      mimeType: getMimeType(file),
+      owner: details.owner || null,
+      kind,
+      parentId: details.parentId || null,
+      operation: details.operation || null,
+      createdAt: new Date().toISOString()
+    };
+
+    this.assets.set(asset.id, asset);
+    await this.save();
+    return asset;
+  }
+
+  /**
+   * Look up an asset; malformed IDs never match
+   * @param {string} id - Asset ID
+   * @returns {Promise<Object|null>} - Asset, or null when unknown or malformed
+   */
+  async get(id) {
+    if (!this.isValidId(id)) return null;
+    await this.load();
+    return this.assets.get(id) || null;
+  }
+
+  /**
+   * Validate an asset ID from a request. Malformed IDs are rejected before
+   * the registry or the filesystem is consulted; other users' assets look unknown.
+   * @param {string} id - Asset ID
+   * @param {string} owner - Id of the user making the request
+   * @returns {Promise<Object|null>} - 400/404 validation error, or null when the asset's file exists
+   */
+  async check(id, owner) {
+    if (!id) {
+      return { status: 400, error: 'Asset ID is required' };
+    }
+
+    if (!this.isValidId(id)) {
+      return { status: 400, error: 'Invalid asset ID' };
+    }
+
+    const asset = await this.get(id);
+    // Owner-less assets (from before accounts existed) stay hidden until migrated
+    if (!asset || !asset.owner || asset.owner !== owner) {
+      return { status: 404, error: 'Audio file not found' };
+    }
+
+    try {
+      await fs.access(this.resolvePath(asset));
+      return null;
+    } catch (error) {
+      return { status: 404, error: 'Audio file not found' };
+    }
+  }
+
+  /**
+   * Absolute path of an asset's stored file
+   * @param {Object} asset - Asset
+   * @returns {string} - File path inside the uploads directory
+   */
+  resolvePath(asset) {
+    return path.join(this.directory, asset.file);
+  }
+
+  /**
+   * Assets, optionally filtered
+   * @param {Object} filter - { owner, kind, parentId }
+   * @returns {Promise<Object[]>} - Matching assets, newest first
+   */
+  async list(filter = {}) {
+    await this.load();
+    return Array.from(this.assets.values())
+      .filter(asset => Object.entries(filter).every(([field, value]) => value === undefined || asset[field] === value))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Assets that reference a stored file
+   * @param {string} file - Stored filename
+   * @returns {Promise<Object[]>} - Assets
+   */
+  async findByFile(file) {
+    await this.load();
+    return Array.from(this.assets.values()).filter(asset => asset.file === file);
+  }
+
+  /**
+   * Give every owner-less asset (registered before accounts existed) to a user
+   * @param {string} owner - Id of the user taking them over
+   * @returns {Promise<number>} - Number of assets assigned
+   */
+  async assignOwnerless(owner) {
+    await this.load();
+    let assigned = 0;
+    for (const asset of this.assets.values()) {
+      if (!asset.owner) {
+        asset.owner = owner;
+        assigned++;
+      }
+    }
+    if (assigned > 0) await this.save();
+    return assigned;
+  }
+
+  /**
+   * Remove an asset from the registry (the stored file is left alone)
+   * @param {string} id - Asset ID
+   * @returns {Promise<boolean>} - Whether the asset existed
+   */
+  async remove(id) {
+    await this.load();
+    const existed = this.assets.delete(id);
+    if (existed) await this.save();
+    return existed;
+  }
+
+  /**
+   * Remove every asset that references a stored file (after the file is deleted)
+   * @param {string} file - Stored filename
+   * @returns {Promise<void>}
+   */
+  async removeByFile(file) {
+    await this.load();
+    let changed = false;
+    for (const [id, asset] of this.assets) {
+      if (asset.file === file) {
+        this.assets.delete(id);
+        changed = true;
+      }
+    }
+    if (changed) await this.save();
+  }
+
+  /**
+   * Client-facing view of an asset (the stored filename stays private)
+   * @param {Object} asset - Asset
+   * @returns {Object} - Public asset record
+   */
+  toPublic(asset) {
+    const { file, ...publicAsset } = asset;
+    return publicAsset;
+  }
+}
+
+AssetRegistry.ASSET_ID_PATTERN = ASSET_ID_PATTERN;
+
+// Shared by every router so IDs issued anywhere resolve everywhere
+module.exports = new AssetRegistry();
@@ -1,53 +1,353 @@
 const ffmpeg = require('fluent-ffmpeg');
 const path = require('path');
 const fs = require('fs').promises;
+const { Readable } = require('stream');
+const { computeChromagram, estimateTuningOffset, pearsonCorrelation } = require('../utils/dsp');
+const { pitchShiftInWorker, deinterleave, interleave } = require('../utils/phaseVocoder');
+const { reduceCenter } = require('../utils/vocalReduction');
+const { measureLoudness, normalizationGain } = require('../utils/loudness');
+const { analyzeTempo } = require('../utils/beatTracking');
+const { recognizeChords } = require('../utils/chordRecognition');
+const { extractCenter, analyzeMelodyRange } = require('../utils/melodyRange');
+const { collectNotes } = require('../utils/midiFile');
+const { synthesizeNotes } = require('../utils/midiSynth');
+const { applyOutputFormat, normalizeOutput, isEncodedAs, OUTPUT_FORMATS } = require('../utils/audioFormats');
+const SeparationModel = require('./separationModel');
+
+// Pitch-class names used for detected keys (index 0 = C)
+const KEY_NAMES = ['C', 'C#', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B'];
+
+// Spellings accepted for keys, and used for transposed keys (sharps up, flats down)
+const SHARP_NOTES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+const FLAT_NOTES = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab', 'A', 'Bb', 'B'];
+
+// Major/minor key profiles, tonic first
+const KEY_PROFILES = {
+  krumhansl: {
+    major: [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88],
+    minor: [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17]
+  },
+  temperley: {
+    major: [0.748, 0.060, 0.488, 0.082, 0.670, 0.460, 0.096, 0.715, 0.104, 0.366, 0.057, 0.400],
+    minor: [0.712, 0.084, 0.474, 0.618, 0.049, 0.460, 0.105, 0.747, 0.404, 0.067, 0.133, 0.330]
+  }
+};
+
+// Sample rate used when decoding audio for analysis
+const ANALYSIS_SAMPLE_RATE = 11025;
+
+// Chroma frames for chord recognition: ~0.37s frames every ~0.09s (at ANALYSIS_SAMPLE_RATE)
+const CHORD_FRAME_SIZE = 4096;
+const CHORD_HOP_SIZE = 1024;
+
+// Sample rate used for loudness measurement (BS.1770 is specified at 48kHz)
+const LOUDNESS_SAMPLE_RATE = 48000;
+
+// Sample rate of backing tracks synthesized from MIDI/.kar files
+const MIDI_SAMPLE_RATE = 22050;
+
+// Pitch-shift engines accepted by transposeAudio ('auto' picks the best available)
+const PITCH_ENGINES = ['auto', 'rubberband', 'vocoder', 'resample'];
+
+// Render quality presets: rubberband pitch quality and phase vocoder frame settings
+const RENDER_QUALITIES = {
+  draft: { pitchq: 'speed', frameSize: 2048, overlap: 4 },
+  standard: { pitchq: 'quality', frameSize: 4096, overlap: 4 },
+  high: { pitchq: 'quality', frameSize: 4096, overlap: 8, channelsTogether: true }
+};
+
+/**
+ * Convert an FFmpeg timemark ('HH:MM:SS.ss') to seconds
+ * @param {string} timemark - Timemark reported in FFmpeg progress
+ * @returns {number} - Seconds
+ */
+function parseTimemark(timemark = '0') {
+  return String(timemark).split(':').reduce((total, part) => total * 60 + parseFloat(part), 0);
+}
+
+// Vocal removal methods ('auto' uses the separation model when one is configured)
+const VOCAL_REMOVAL_METHODS = ['auto', 'center', 'model'];
 
 class AudioProcessor {
   constructor() {
     // Set FFmpeg path if needed (adjust for your system)
     // ffmpeg.setFfmpegPath('/path/to/ffmpeg');
+
+    // Lazily populated map of filters supported by the local FFmpeg build
+    this.availableFilters = null;
+
+    // Optional ONNX source-separation model (see SEPARATION_MODEL_PATH)
+    this.separationModel = new SeparationModel();
   }
 
   /**
-   * Transpose audio file by semitones
+   * Check whether the local FFmpeg build provides a given filter
+   * @param {string} name - Filter name (e.g. 'rubberband')
+   * @returns {Promise<boolean>} - Whether the filter is available
+   */
+  async hasFilter(name) {
+    if (!this.availableFilters) {
+      this.availableFilters = new Promise((resolve) => {
+        ffmpeg.getAvailableFilters((err, filters) => {
+          if (err) {
+            console.error('Failed to list FFmpeg filters:', err.message);
+            resolve({});
+            return;
+          }
+          resolve(filters || {});
+        });
+      });
+    }
+
+    const filters = await this.availableFilters;
+    return Boolean(filters[name]);
+  }
+
+  /**
+   * Resolve the pitch-shift engine to use for a render
+   * @param {string} engine - 'auto', 'rubberband', 'vocoder' or 'resample'
+   * @returns {Promise<string>} - Concrete engine name
+   */
+  async resolvePitchEngine(engine = 'auto') {
+    if (!PITCH_ENGINES.includes(engine)) {
+      throw new Error(`Unknown pitch engine: ${engine}`);
+    }
+
+    const hasRubberband = await this.hasFilter('rubberband');
+    if (engine === 'auto') {
+      return hasRubberband ? 'rubberband' : 'vocoder';
+    }
+    if (engine === 'rubberband' && !hasRubberband) {
+      throw new Error('The installed FFmpeg was built without the rubberband filter');
+    }
+    return engine;
+  }
+
+  /**
+   * Get render settings for a quality preset
+   * @param {string} quality - 'draft', 'standard' or 'high'
+   * @returns {Object} - Quality settings
+   */
+  getQualitySettings(quality = 'standard') {
+    const settings = RENDER_QUALITIES[quality];
+    if (!settings) {
+      throw new Error(`Unknown quality preset: ${quality}`);
+    }
+    return settings;
+  }
+
+  /**
+   * Transpose audio file by semitones (plus optional cents) while keeping its tempo
    * @param {string} inputPath - Path to input audio file
-   * @param {number} semitones - Number of semitones to transpose (-12 to +12)
+   * @param {number} semitones - Number of semitones to transpose (-12 to +12, may be fractional)
    * @param {string} outputPath - Path for output file
+   * @param {Object} options - { cents, engine, quality, preserveFormants, output }
    * @returns {Promise<string>} - Path to transposed audio file
    */
-  async transposeAudio(inputPath, semitones, outputPath) {
+  async transposeAudio(inputPath, semitones, outputPath, options = {}) {
+    return this.processAudio(inputPath, outputPath, { ...options, semitones, tempo: 1 });
+  }
+
+  /**
+   * Change the playback speed of an audio file without changing its pitch
+   * @param {string} inputPath - Path to input audio file
+   * @param {number} tempo - Speed factor (0.5 = half speed, 1.5 = 150%)
+   * @param {string} outputPath - Path for output file
+   * @param {Object} options - { semitones, cents, engine, quality, preserveFormants, output } to transpose in the same render
+   * @returns {Promise<string>} - Path to processed audio file
+   */
+  async changeTempo(inputPath, tempo, outputPath, options = {}) {
+    return this.processAudio(inputPath, outputPath, { ...options, tempo });
+  }
+
+  /**
+   * Render pitch and tempo changes in a single pass
+   * @param {string} inputPath - Path to input audio file
+   * @param {string} outputPath - Path for output file
+   * @param {Object} options - { semitones, cents, tempo, engine, quality, preserveFormants,
+   *   output (see utils/audioFormats), onProgress, signal }
+   * @returns {Promise<string>} - Path to processed audio file
+   */
+  async processAudio(inputPath, outputPath, options = {}) {
+    const semitones = options.semitones || 0;
+    const cents = options.cents || 0;
+    const tempo = options.tempo || 1;
+
     if (semitones < -12 || semitones > 12) {
       throw new Error('Semitones must be between -12 and +12');
     }
 
-    if (semitones === 0) {
-      // No transposition needed, just copy the file
-      await fs.copyFile(inputPath, outputPath);
-      return outputPath;
+    if (cents < -100 || cents > 100) {
+      throw new Error('Cents must be between -100 and +100');
+    }
+
+    if (tempo < 0.5 || tempo > 1.5) {
+      throw new Error('Tempo must be between 0.5 and 1.5');
+    }
+
+    const totalSemitones = semitones + cents / 100;
+
+    const output = normalizeOutput(options.output);
+    const metadata = await this.getAudioMetadata(inputPath);
+    const { sampleRate, channels } = metadata;
+
+    if (totalSemitones === 0 && tempo === 1) {
+      if (path.extname(inputPath).toLowerCase() === OUTPUT_FORMATS[output.format].extension &&
+          isEncodedAs(metadata, output)) {
+        // No processing needed and already in the requested encoding, just copy the file
+        await fs.copyFile(inputPath, outputPath);
+        return outputPath;
+      }
+
+      // Only the encoding changes
+      return this.renderWithFilters(inputPath, [], outputPath, {
+        output,
+        target: { sampleRate, channels },
+        onProgress: options.onProgress,
+        signal: options.signal
+      });
     }
 
+    const engine = await this.resolvePitchEngine(options.engine);
+    const quality = this.getQualitySettings(options.quality);
+    const preserveFormants = Boolean(options.preserveFormants);
+    const pitchRatio = Math.pow(2, totalSemitones / 12);
+
+    console.log(`Processing ${semitones} semitones ${cents} cents at ${tempo}x tempo with ${engine} engine`);
+
+    if (engine === 'vocoder') {
+      return this.processWithPhaseVocoder(inputPath, outputPath, {
+        pitchRatio,
+        tempo,
+        sampleRate,
+        channels,
+        quality,
+        preserveFormants,
+        output,
+        onProgress: options.onProgress,
+        signal: options.signal
+      });
+    }
+
+    let filters;
+    if (engine === 'rubberband') {
+      const rubberbandOptions = [
+        `tempo=${tempo}`,
+        `pitch=${pitchRatio}`,
+        `pitchq=${quality.pitchq}`,
+        `formant=${preserveFormants ? 'preserved' : 'shifted'}`
+      ];
+      if (quality.channelsTogether) {
+        rubberbandOptions.push('channels=together');
+      }
+      filters = [`rubberband=${rubberbandOptions.join(':')}`];
+    } else {
+      // Resample at the input's real rate, then correct the tempo
+      filters = [
+        `asetrate=${sampleRate}*${pitchRatio}`,
+        `aresample=${sampleRate}`,
+        ...this.buildAtempoChain(tempo / pitchRatio)
+      ];
+    }
+
+    return this.renderWithFilters(inputPath, filters, outputPath, {
+      output,
+      target: { sampleRate, channels },
+      onProgress: options.onProgress,
+      signal: options.signal
+    });
+  }
+
+  /**
+   * Split a speed factor into atempo filters (each limited to 0.5-2.0 on older FFmpeg)
+   * @param {number} factor - Overall speed factor
+   * @returns {string[]} - atempo filter strings
+   */
+  buildAtempoChain(factor) {
+    const filters = [];
+    let remaining = factor;
+    while (remaining < 0.5 || remaining > 2) {
+      const step = remaining < 0.5 ? 0.5 : 2;
+      filters.push(`atempo=${step}`);
+      remaining /= step;
+    }
+    filters.push(`atempo=${remaining}`);
+    return filters;
+  }
+
+  /**
+   * Throw if a job has been cancelled (checked between processing stages)
+   * @param {AbortSignal} signal - Cancellation signal from the job queue
+   */
+  throwIfCancelled(signal) {
+    if (signal?.aborted) {
+      throw new Error('Job cancelled');
+    }
+  }
+
+  /**
+   * Map a stage's 0-100 progress into a slice of the overall progress
+   * @param {Function} onProgress - Overall progress callback (may be undefined)
+   * @param {number} from - Overall percent at the start of the stage
+   * @param {number} to - Overall percent at the end of the stage
+   * @returns {Function|undefined} - Stage progress callback
+   */
+  scaleProgress(onProgress, from, to) {
+    if (!onProgress) return undefined;
+    return (percent) => onProgress(from + ((to - from) * percent) / 100);
+  }
+
+  /**
+   * Run an FFmpeg filter chain and encode the result
+   * @param {string|Readable} input - Input file path or raw PCM stream
+   * @param {string[]} filters - Audio filters to apply
+   * @param {string} outputPath - Path for output file
+   * @param {Object} options - { pcm: { sampleRate, channels } for stream input,
+   *   duration (seconds, for progress on stream input), output (encoder settings),
+   *   target: { sampleRate, channels } to encode at (defaults to the PCM layout), onProgress, signal }
+   * @returns {Promise<string>} - Path to rendered audio file
+   */
+  async renderWithFilters(input, filters, outputPath, options = {}) {
+    const { pcm, duration, onProgress, signal } = options;
+    const output = normalizeOutput(options.output);
+    this.throwIfCancelled(signal);
+
     return new Promise((resolve, reject) => {
-      // Calculate pitch shift using asetrate and atempo filters
-      const pitchRatio = Math.pow(2, semitones / 12);
-      
-      ffmpeg(inputPath)
-        .audioFilters([
-          // Use asetrate and atempo for pitch shifting (more compatible)
-          `asetrate=44100*${pitchRatio}`,
-          `atempo=${1/pitchRatio}`
-        ])
-        .format('mp3')
-        .audioBitrate('128k')
-        .audioFrequency(44100)
-        .audioChannels(2)
+      const command = ffmpeg(input);
+
+      if (pcm) {
+        command
+          .inputFormat('f32le')
+          .inputOptions([`-ar ${pcm.sampleRate}`, `-ac ${pcm.channels}`]);
+      }
+
+      if (filters.length > 0) {
+        command.audioFilters(filters);
+      }
+
+      const onAbort = () => command.kill('SIGKILL');
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      applyOutputFormat(command, output, options.target || pcm);
+
+      command
         .on('progress', (progress) => {
-          console.log(`Processing: ${progress.percent}% done`);
+          // FFmpeg can't know the duration of piped PCM, so derive it from the timemark
+          const percent = progress.percent ?? (duration ? (parseTimemark(progress.timemark) / duration) * 100 : null);
+          console.log(`Processing: ${percent}% done`);
+          if (percent !== null && onProgress) onProgress(percent);
         })
         .on('end', () => {
-          console.log('Audio transposition completed');
+          signal?.removeEventListener('abort', onAbort);
+          console.log('Audio render completed');
           resolve(outputPath);
         })
         .on('error', (err) => {
+          signal?.removeEventListener('abort', onAbort);
+          if (signal?.aborted) {
+            reject(new Error('Job cancelled'));
+            return;
+          }
           console.error('FFmpeg error:', err);
           reject(new Error(`Audio processing failed: ${err.message}`));
         })
@@ -56,44 +356,198 @@ class AudioProcessor {
   }
 
   /**
-   * Alternative transposition method using FFmpeg asetrate filter
+   * Pitch-shift and/or time-stretch with the built-in phase vocoder (no rubberband required)
    * @param {string} inputPath - Path to input audio file
-   * @param {number} semitones - Number of semitones to transpose
    * @param {string} outputPath - Path for output file
-   * @returns {Promise<string>} - Path to transposed audio file
+   * @param {Object} options - { pitchRatio, tempo, sampleRate, channels, quality, preserveFormants, output, onProgress, signal }
+   * @returns {Promise<string>} - Path to processed audio file
    */
-  async transposeWithFFmpegOnly(inputPath, semitones, outputPath) {
-    if (semitones === 0) {
-      // No transposition needed, just copy the file
-      await fs.copyFile(inputPath, outputPath);
-      return outputPath;
+  async processWithPhaseVocoder(inputPath, outputPath, options) {
+    const { pitchRatio, tempo, sampleRate, quality, preserveFormants, output, onProgress, signal } = options;
+    const channels = Math.min(options.channels || 2, 2);
+
+    const { samples } = await this.decodePcm(inputPath, { sampleRate, channels, signal });
+    onProgress?.(10);
+
+    // Each channel runs in its own worker thread, keeping the server responsive;
+    // cancelling the job terminates the workers
+    const channelProgress = new Array(channels).fill(0);
+    const processed = await Promise.all(deinterleave(samples, channels).map((channel, index) =>
+      pitchShiftInWorker(channel, pitchRatio, {
+        tempo,
+        frameSize: quality.frameSize,
+        overlap: quality.overlap,
+        preserveFormants,
+        signal,
+        onProgress: (percent) => {
+          channelProgress[index] = percent;
+          onProgress?.(10 + (60 * channelProgress.reduce((sum, value) => sum + value, 0)) / (100 * channels));
+        }
+      })
+    ));
+
+    return this.renderPcm(processed, sampleRate, outputPath, {
+      output,
+      onProgress: this.scaleProgress(onProgress, 70, 100),
+      signal
+    });
+  }
+
+  /**
+   * Encode planar float PCM to the output format
+   * @param {Float32Array[]} planar - One buffer per channel
+   * @param {number} sampleRate - Sample rate of the buffers
+   * @param {string} outputPath - Path for output file
+   * @param {Object} options - { output, target, onProgress, signal } (see renderWithFilters)
+   * @returns {Promise<string>} - Path to rendered audio file
+   */
+  async renderPcm(planar, sampleRate, outputPath, options = {}) {
+    const pcm = interleave(planar);
+    const stream = Readable.from([Buffer.from(pcm.buffer, pcm.byteOffset, pcm.byteLength)]);
+    return this.renderWithFilters(stream, [], outputPath, {
+      ...options,
+      pcm: { sampleRate, channels: planar.length },
+      duration: planar[0].length / sampleRate
+    });
+  }
+
+  /**
+   * Synthesize a backing track from a parsed MIDI/.kar file
+   * @param {Object} midi - Result of parseMidi
+   * @param {string} outputPath - Path for output file
+   * @param {Object} options - { output, onProgress, signal } (see renderWithFilters)
+   * @returns {Promise<string>} - Path to rendered audio file
+   */
+  async renderMidi(midi, outputPath, options = {}) {
+    const notes = collectNotes(midi);
+    if (notes.length === 0) {
+      throw new Error('MIDI file has no notes to play');
     }
 
-    return new Promise((resolve, reject) => {
-      // Calculate pitch shift ratio
-      const pitchRatio = Math.pow(2, semitones / 12);
-      
-      ffmpeg(inputPath)
-        .audioFilters([
-          `asetrate=44100*${pitchRatio},aresample=44100`
-        ])
-        .audioCodec('mp3')
-        .audioBitrate('128k')
-        .on('progress', (progress) => {
-          console.log(`Processing: ${progress.percent}% done`);
-        })
-        .on('end', () => {
-          console.log('Audio transposition completed');
-          resolve(outputPath);
-        })
-        .on('error', (err) => {
-          console.error('FFmpeg error:', err);
-          reject(new Error(`Audio processing failed: ${err.message}`));
-        })
-        .save(outputPath);
+    const samples = synthesizeNotes(notes, MIDI_SAMPLE_RATE);
+    return this.renderPcm([samples], MIDI_SAMPLE_RATE, outputPath, options);
+  }
+
+  /**
+   * Resolve the requested vocal removal method to one that can run here
+   * @param {string} method - 'auto', 'center' or 'model'
+   * @returns {string} - Method that will be used
+   */
+  resolveVocalRemovalMethod(method = 'auto') {
+    if (method === 'auto') {
+      return this.separationModel.isConfigured() ? 'model' : 'center';
+    }
+
+    if (method === 'model' && !this.separationModel.isConfigured()) {
+      throw new Error('No separation model configured (set SEPARATION_MODEL_PATH)');
+    }
+
+    return method;
+  }
+
+  /**
+   * Remove lead vocals to produce a karaoke instrumental
+   * @param {string} inputPath - Path to input audio file
+   * @param {string} outputPath - Path for output file
+   * @param {Object} options - { method, lowCutoff, highCutoff, strength, output, onProgress, signal }.
+   *   lowCutoff/highCutoff (Hz) bound the band where centre cancellation applies;
+   *   strength (0-1) scales how much of the centre is removed.
+   * @returns {Promise<string>} - Path to instrumental audio file
+   */
+  async removeVocals(inputPath, outputPath, options = {}) {
+    const { output, onProgress, signal } = options;
+    const method = this.resolveVocalRemovalMethod(options.method);
+    const metadata = await this.getAudioMetadata(inputPath);
+    // Encode back at the source rate, whatever rate the processing ran at
+    const target = { sampleRate: metadata.sampleRate || 44100, channels: 2 };
+
+    if (method === 'model') {
+      const { sampleRate } = this.separationModel;
+      const { samples } = await this.decodePcm(inputPath, { sampleRate, channels: 2, signal });
+      onProgress?.(10);
+      const [left, right] = deinterleave(samples, 2);
+      const stems = await this.separationModel.separate(left, right, {
+        onProgress: this.scaleProgress(onProgress, 10, 80),
+        signal
+      });
+
+      // Instrumental = every source except the vocals
+      const instrumental = [new Float32Array(left.length), new Float32Array(left.length)];
+      for (const [source, channels] of Object.entries(stems)) {
+        if (source === 'vocals') continue;
+        channels.forEach((channel, index) => {
+          for (let i = 0; i < channel.length; i++) {
+            instrumental[index][i] += channel[i];
+          }
+        });
+      }
+      return this.renderPcm(instrumental, sampleRate, outputPath, {
+        output,
+        target,
+        onProgress: this.scaleProgress(onProgress, 80, 100),
+        signal
+      });
+    }
+
+    if (metadata.channels < 2) {
+      throw new Error('Center-channel vocal removal requires a stereo recording');
+    }
+
+    const { sampleRate } = target;
+    const { samples } = await this.decodePcm(inputPath, { sampleRate, channels: 2, signal });
+    onProgress?.(10);
+    this.throwIfCancelled(signal);
+
+    const [left, right] = deinterleave(samples, 2);
+    const instrumental = reduceCenter(left, right, sampleRate, {
+      lowCutoff: options.lowCutoff,
+      highCutoff: options.highCutoff,
+      strength: options.strength
+    });
+    onProgress?.(60);
+
+    return this.renderPcm(instrumental, sampleRate, outputPath, {
+      output,
+      onProgress: this.scaleProgress(onProgress, 60, 100),
+      signal
     });
   }
 
+  /**
+   * Split a song into separate stems with the configured separation model
+   * @param {string} inputPath - Path to input audio file
+   * @param {Function} getOutputPath - Maps a stem name (e.g. 'vocals') to its output path
+   * @param {Object} options - { output, onProgress, signal }
+   * @returns {Promise<Object>} - Map of stem name to rendered file path
+   */
+  async separateStems(inputPath, getOutputPath, options = {}) {
+    const { output, onProgress, signal } = options;
+    const { sampleRate } = this.separationModel;
+    const metadata = await this.getAudioMetadata(inputPath);
+    const target = { sampleRate: metadata.sampleRate || sampleRate, channels: 2 };
+    const { samples } = await this.decodePcm(inputPath, { sampleRate, channels: 2, signal });
+    onProgress?.(5);
+    const [left, right] = deinterleave(samples, 2);
+    const stems = await this.separationModel.separate(left, right, {
+      onProgress: this.scaleProgress(onProgress, 5, 60),
+      signal
+    });
+
+    const outputs = {};
+    const entries = Object.entries(stems);
+    // Render one stem at a time; FFmpeg encodes are the expensive part
+    for (const [index, [source, channels]] of entries.entries()) {
+      const from = 60 + (40 * index) / entries.length;
+      outputs[source] = await this.renderPcm(channels, sampleRate, getOutputPath(source), {
+        output,
+        target,
+        onProgress: this.scaleProgress(onProgress, from, from + 40 / entries.length),
+        signal
+      });
+    }
+    return outputs;
+  }
+
   /**
    * Get audio metadata including key detection
    * @param {string} audioPath - Path to audio file
@@ -116,9 +570,11 @@ class AudioProcessor {
         const result = {
           duration: parseFloat(metadata.format.duration),
           bitrate: parseInt(metadata.format.bit_rate),
+          streamBitrate: parseInt(audioStream.bit_rate) || null,
           sampleRate: parseInt(audioStream.sample_rate),
           channels: parseInt(audioStream.channels),
           codec: audioStream.codec_name,
+          bitDepth: parseInt(audioStream.bits_per_raw_sample) || parseInt(audioStream.bits_per_sample) || null,
           size: parseInt(metadata.format.size),
           format: metadata.format.format_name
         };
@@ -128,78 +584,431 @@ class AudioProcessor {
     });
   }
 
+  /**
+   * Convert audio to another format, keeping its sample rate and channel layout
+   * @param {string} inputPath - Path to input file
+   * @param {string} outputPath - Path for output file (extension should match the format)
+   * @param {Object} options - { output (see utils/audioFormats), onProgress, signal }
+   * @returns {Promise<string>} - Path to converted file
+   */
+  async convertAudio(inputPath, outputPath, options = {}) {
+    const { sampleRate, channels } = await this.getAudioMetadata(inputPath);
+
+    return this.renderWithFilters(inputPath, [], outputPath, {
+      output: options.output,
+      target: { sampleRate, channels },
+      onProgress: options.onProgress,
+      signal: options.signal
+    });
+  }
+
   /**
    * Convert audio to MP3 format
    * @param {string} inputPath - Path to input file
    * @param {string} outputPath - Path for output MP3 file
+   * @param {Object} options - { bitrate, vbr, onProgress, signal }
    * @returns {Promise<string>} - Path to converted file
    */
-  async convertToMp3(inputPath, outputPath) {
+  async convertToMp3(inputPath, outputPath, options = {}) {
+    const { bitrate, vbr, ...rest } = options;
+    return this.convertAudio(inputPath, outputPath, { ...rest, output: { format: 'mp3', bitrate, vbr } });
+  }
+
+  /**
+   * Decode an audio file to raw 32-bit float PCM
+   * @param {string} audioPath - Path to audio file
+   * @param {Object} options - Target sampleRate, channels, optional maxDuration (seconds) and cancellation signal
+   * @returns {Promise<Object>} - { samples: Float32Array, sampleRate, channels }
+   */
+  async decodePcm(audioPath, options = {}) {
+    const sampleRate = options.sampleRate || ANALYSIS_SAMPLE_RATE;
+    const channels = options.channels || 1;
+    const { signal } = options;
+    this.throwIfCancelled(signal);
+
     return new Promise((resolve, reject) => {
-      ffmpeg(inputPath)
-        .format('mp3')
-        .audioBitrate('128k')
-        .audioFrequency(44100)
-        .audioChannels(2)
-        .on('end', () => {
-          console.log('Audio conversion to MP3 completed');
-          resolve(outputPath);
-        })
-        .on('error', (err) => {
-          console.error('Conversion error:', err);
-          reject(new Error(`Audio conversion failed: ${err.message}`));
-        })
-        .save(outputPath);
+      const chunks = [];
+      const command = ffmpeg(audioPath)
+        .noVideo()
+        .audioChannels(channels)
+        .audioFrequency(sampleRate)
+        .audioCodec('pcm_f32le')
+        .format('f32le');
+
+      if (options.maxDuration) {
+        command.duration(options.maxDuration);
+      }
+
+      const onAbort = () => command.kill('SIGKILL');
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      // The PCM stream can end before FFmpeg reports a failure, so only a
+      // successful exit (with the stream drained) counts as a complete decode
+      let failed = false;
+      let streamEnded = false;
+      let exited = false;
+
+      command.on('error', (err) => {
+        failed = true;
+        signal?.removeEventListener('abort', onAbort);
+        if (signal?.aborted) {
+          reject(new Error('Job cancelled'));
+          return;
+        }
+        console.error('FFmpeg decode error:', err);
+        reject(new Error(`Audio decoding failed: ${err.message}`));
+      });
+
+      const finish = () => {
+        if (failed || !streamEnded || !exited) return;
+        signal?.removeEventListener('abort', onAbort);
+        const buffer = Buffer.concat(chunks);
+        const byteLength = buffer.length - (buffer.length % 4);
+        // Copy into an aligned ArrayBuffer before viewing it as floats
+        const samples = new Float32Array(
+          buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + byteLength)
+        );
+        resolve({ samples, sampleRate, channels });
+      };
+
+      command.on('end', () => {
+        exited = true;
+        finish();
+      });
+
+      const stream = command.pipe();
+      stream.on('data', (chunk) => chunks.push(chunk));
+      stream.on('end', () => {
+        streamEnded = true;
+        finish();
+      });
     });
   }
 
   /**
-   * Detect musical key of audio file (simplified placeholder)
+   * Detect musical key of audio file using a chromagram and key-profile correlation
    * @param {string} audioPath - Path to audio file
-   * @returns {Promise<Object>} - Detected key information
-   */
-  async detectKey(audioPath) {
-    // This is a simplified key detection - in a real application,
-    // you might want to use more sophisticated audio analysis libraries
-    // For now, return a placeholder with common keys
-    const commonKeys = ['C', 'G', 'D', 'A', 'E', 'B', 'F#', 'F', 'Bb', 'Eb', 'Ab', 'Db'];
-    const randomKey = commonKeys[Math.floor(Math.random() * commonKeys.length)];
-    const randomMode = Math.random() > 0.5 ? 'major' : 'minor';
-    
-    return new Promise((resolve) => {
-      resolve({
-        key: randomKey,
-        mode: randomMode,
-        confidence: 0.75,
-        note: 'This is a placeholder key detection. For production, integrate with audio analysis libraries like Essentia.js or use Spotify Web API.'
-      });
+   * @param {Object} options - { profile: 'krumhansl' | 'temperley', candidates: number }
+   * @returns {Promise<Object>} - Detected key information with ranked candidates
+   */
+  async detectKey(audioPath, options = {}) {
+    const { samples, sampleRate } = await this.decodePcm(audioPath, {
+      sampleRate: ANALYSIS_SAMPLE_RATE
+    });
+
+    return this.keyFromPcm(samples, sampleRate, options);
+  }
+
+  /**
+   * Detect the musical key of decoded mono PCM
+   * @param {Float32Array} samples - Mono samples
+   * @param {number} sampleRate - Sample rate
+   * @param {Object} options - { profile: 'krumhansl' | 'temperley', candidates: number }
+   * @returns {Object} - Detected key information with ranked candidates
+   */
+  keyFromPcm(samples, sampleRate, options = {}) {
+    const { frames } = computeChromagram(samples, sampleRate);
+    if (frames.length === 0) {
+      throw new Error('Audio is too short for key detection');
+    }
+
+    return this.estimateKeyFromChroma(this.summarizeChroma(frames), options);
+  }
+
+  /**
+   * Estimate tempo and a beat grid from onsets
+   * @param {string} audioPath - Path to audio file
+   * @returns {Promise<Object>} - { bpm, confidence (0-1), beatInterval (seconds), beats (seconds) };
+   *   bpm is null when no steady pulse is found
+   */
+  async detectTempo(audioPath) {
+    const { samples, sampleRate } = await this.decodePcm(audioPath, {
+      sampleRate: ANALYSIS_SAMPLE_RATE
+    });
+
+    return this.tempoFromPcm(samples, sampleRate);
+  }
+
+  /**
+   * Estimate tempo and a beat grid from decoded mono PCM
+   * @param {Float32Array} samples - Mono samples
+   * @param {number} sampleRate - Sample rate
+   * @returns {Object} - Same shape as detectTempo
+   */
+  tempoFromPcm(samples, sampleRate) {
+    return analyzeTempo(samples, sampleRate) || { bpm: null, confidence: 0, beatInterval: null, beats: [] };
+  }
+
+  /**
+   * Recognize the chord progression over time
+   * @param {string} audioPath - Path to audio file
+   * @returns {Promise<Object[]>} - [{ start, end, chord, root, quality }] in seconds;
+   *   chord is 'N' where no chord is playing
+   */
+  async detectChords(audioPath) {
+    const { samples, sampleRate } = await this.decodePcm(audioPath, {
+      sampleRate: ANALYSIS_SAMPLE_RATE
+    });
+
+    const { frames, hopSeconds } = computeChromagram(samples, sampleRate, {
+      frameSize: CHORD_FRAME_SIZE,
+      hopSize: CHORD_HOP_SIZE
+    });
+    if (frames.length === 0) {
+      throw new Error('Audio is too short for chord detection');
+    }
+
+    return recognizeChords(frames, hopSeconds, CHORD_FRAME_SIZE / sampleRate, samples.length / sampleRate);
+  }
+
+  /**
+   * Estimate the range of the sung melody (lead vocal taken from the centre of the mix)
+   * @param {string} audioPath - Path to audio file
+   * @returns {Promise<Object|null>} - { lowest, highest, median (MIDI notes), lowestNote,
+   *   highestNote, medianNote, voicedSeconds }, or null when no steady singing is found
+   */
+  async detectMelodyRange(audioPath) {
+    const { samples, sampleRate } = await this.decodePcm(audioPath, {
+      sampleRate: ANALYSIS_SAMPLE_RATE,
+      channels: 2
+    });
+
+    const [left, right] = deinterleave(samples, 2);
+    return analyzeMelodyRange(extractCenter(left, right, sampleRate), sampleRate);
+  }
+
+  /**
+   * Everything the analyze endpoint reports: metadata, key, tempo, melody range
+   * and loudness. Key, tempo and melody range share one decode; loudness needs
+   * full-rate audio for its true peak, so it is decoded afterwards rather than
+   * alongside, keeping only one PCM copy in memory at a time.
+   * @param {string} audioPath - Path to audio file
+   * @param {Object} options - { profile (key profile), signal }
+   * @returns {Promise<Object>} - { metadata, keyInfo, tempo, melodyRange, loudness }
+   */
+  async analyze(audioPath, options = {}) {
+    const { signal } = options;
+    const metadata = await this.getAudioMetadata(audioPath);
+
+    const analysis = await this.decodePcm(audioPath, {
+      sampleRate: ANALYSIS_SAMPLE_RATE,
+      channels: 2,
+      signal
     });
+    const [left, right] = deinterleave(analysis.samples, 2);
+    const mono = new Float32Array(left.length);
+    for (let i = 0; i < mono.length; i++) {
+      mono[i] = (left[i] + right[i]) / 2;
+    }
+
+    const keyInfo = this.keyFromPcm(mono, ANALYSIS_SAMPLE_RATE, { profile: options.profile });
+    const tempo = this.tempoFromPcm(mono, ANALYSIS_SAMPLE_RATE);
+    const melodyRange = analyzeMelodyRange(extractCenter(left, right, ANALYSIS_SAMPLE_RATE), ANALYSIS_SAMPLE_RATE);
+
+    const loudness = await this.analyzeLoudness(audioPath, { metadata, signal });
+    return { metadata, keyInfo, tempo, melodyRange, loudness };
+  }
+
+  /**
+   * Collapse chroma frames into a single pitch-class distribution.
+   * Each frame is normalized first so loud passages don't dominate,
+   * and near-silent frames are skipped.
+   * @param {Float32Array[]} frames - Chroma frames
+   * @returns {number[]} - 12-bin pitch-class distribution summing to 1
+   */
+  summarizeChroma(frames) {
+    const energies = frames.map(frame => frame.reduce((sum, value) => sum + value, 0));
+    const peakEnergy = Math.max(...energies);
+    const threshold = peakEnergy * 0.01;
+    const profile = new Array(12).fill(0);
+
+    frames.forEach((frame, index) => {
+      const energy = energies[index];
+      if (energy <= threshold || energy === 0) return;
+      for (let pc = 0; pc < 12; pc++) {
+        profile[pc] += frame[pc] / energy;
+      }
+    });
+
+    const total = profile.reduce((sum, value) => sum + value, 0);
+    return total > 0 ? profile.map(value => value / total) : profile;
+  }
+
+  /**
+   * Correlate a pitch-class distribution against all 24 major/minor keys
+   * @param {number[]} chroma - 12-bin pitch-class distribution (index 0 = C)
+   * @param {Object} options - { profile: 'krumhansl' | 'temperley', candidates: number }
+   * @returns {Object} - Best key, confidence and top candidates
+   */
+  estimateKeyFromChroma(chroma, options = {}) {
+    const profileName = options.profile || 'krumhansl';
+    const profiles = KEY_PROFILES[profileName];
+    if (!profiles) {
+      throw new Error(`Unknown key profile: ${profileName}`);
+    }
+
+    const scores = [];
+    for (const mode of ['major', 'minor']) {
+      for (let tonic = 0; tonic < 12; tonic++) {
+        // Rotate the profile so its tonic lines up with this pitch class
+        const rotated = Array.from({ length: 12 }, (_, pc) => profiles[mode][(pc - tonic + 12) % 12]);
+        scores.push({
+          key: KEY_NAMES[tonic],
+          mode: mode,
+          correlation: pearsonCorrelation(chroma, rotated)
+        });
+      }
+    }
+
+    // Softmax over correlations turns them into comparable confidence scores
+    const sharpness = 10;
+    const maxCorrelation = Math.max(...scores.map(score => score.correlation));
+    const weights = scores.map(score => Math.exp(sharpness * (score.correlation - maxCorrelation)));
+    const weightSum = weights.reduce((sum, weight) => sum + weight, 0);
+
+    const ranked = scores
+      .map((score, index) => ({
+        ...score,
+        correlation: Number(score.correlation.toFixed(4)),
+        confidence: Number((weights[index] / weightSum).toFixed(4))
+      }))
+      .sort((a, b) => b.correlation - a.correlation);
+
+    const best = ranked[0];
+    return {
+      key: best.key,
+      mode: best.mode,
+      confidence: best.confidence,
+      correlation: best.correlation,
+      profile: profileName,
+      candidates: ranked.slice(0, options.candidates || 5),
+      chroma: chroma.map(value => Number(value.toFixed(4)))
+    };
+  }
+
+  /**
+   * Estimate the reference pitch (A4) a recording was tuned to
+   * @param {string} audioPath - Path to audio file
+   * @returns {Promise<Object>} - Reference frequency, offset from A440 and correction in cents
+   */
+  async estimateReferencePitch(audioPath) {
+    const { samples, sampleRate } = await this.decodePcm(audioPath, {
+      sampleRate: 22050,
+      maxDuration: 120
+    });
+
+    const { centsOffset, confidence, peakCount } = estimateTuningOffset(samples, sampleRate);
+    if (peakCount === 0) {
+      throw new Error('Not enough tonal content to estimate tuning');
+    }
+
+    const offset = Number(centsOffset.toFixed(1));
+    return {
+      referenceFrequency: Number((440 * Math.pow(2, centsOffset / 1200)).toFixed(2)),
+      centsOffset: offset,
+      correctionCents: Math.round(-centsOffset),
+      confidence: Number(confidence.toFixed(3))
+    };
+  }
+
+  /**
+   * Measure EBU R128 loudness: integrated loudness, loudness range and true peak
+   * @param {string} audioPath - Path to audio file
+   * @param {Object} options - { metadata (when already probed), signal }
+   * @returns {Promise<Object>} - { integrated (LUFS), loudnessRange (LU), truePeak (dBTP), samplePeak (dBFS) }
+   */
+  async analyzeLoudness(audioPath, options = {}) {
+    const metadata = options.metadata || await this.getAudioMetadata(audioPath);
+    // Surround sources are measured on a stereo downmix
+    const channels = Math.min(metadata.channels || 2, 2);
+    const { samples } = await this.decodePcm(audioPath, {
+      sampleRate: LOUDNESS_SAMPLE_RATE,
+      channels,
+      signal: options.signal
+    });
+
+    this.throwIfCancelled(options.signal);
+    return measureLoudness(deinterleave(samples, channels), LOUDNESS_SAMPLE_RATE);
+  }
+
+  /**
+   * Render a copy of a file at a target loudness (a plain gain change, capped so
+   * the true peak stays under the limit rather than compressing)
+   * @param {string} inputPath - Path to input audio file
+   * @param {string} outputPath - Path for output file
+   * @param {Object} options - { targetLufs, truePeakLimit, output, onProgress, signal }
+   * @returns {Promise<Object>} - { path, loudness (measured before), gain (dB), limitedByPeak }
+   */
+  async normalizeLoudness(inputPath, outputPath, options = {}) {
+    const { targetLufs = -14, truePeakLimit = -1, onProgress, signal } = options;
+    const { sampleRate, channels } = await this.getAudioMetadata(inputPath);
+
+    const loudness = await this.analyzeLoudness(inputPath, { signal });
+    if (loudness.integrated === null) {
+      throw new Error('Audio is silent; nothing to normalize');
+    }
+    onProgress?.(40);
+
+    const { gain, limitedByPeak } = normalizationGain(loudness, targetLufs, truePeakLimit);
+    const renderedPath = await this.renderWithFilters(inputPath, [`volume=${gain}dB`], outputPath, {
+      output: options.output,
+      target: { sampleRate, channels },
+      onProgress: this.scaleProgress(onProgress, 40, 100),
+      signal
+    });
+
+    return { path: renderedPath, loudness, gain, limitedByPeak };
+  }
+
+  /**
+   * Pitch class of a key name
+   * @param {string} key - Key name (e.g., 'C', 'F#', 'Bb')
+   * @returns {number} - 0-11 (0 = C), or -1 for an unknown name
+   */
+  getNoteIndex(key) {
+    const sharpIndex = SHARP_NOTES.indexOf(key);
+    return sharpIndex !== -1 ? sharpIndex : FLAT_NOTES.indexOf(key);
+  }
+
+  /**
+   * Smallest transposition that moves one key to another
+   * @param {string} fromKey - Current key (e.g., 'E')
+   * @param {string} toKey - Wanted key (e.g., 'C')
+   * @returns {number} - Semitones from -6 to +5 (a tritone goes down)
+   */
+  getSemitonesBetween(fromKey, toKey) {
+    const from = this.getNoteIndex(fromKey);
+    const to = this.getNoteIndex(toKey);
+    if (from === -1 || to === -1) {
+      throw new Error(`Invalid key: ${from === -1 ? fromKey : toKey}`);
+    }
+
+    const up = (to - from + 12) % 12;
+    return up >= 6 ? up - 12 : up;
   }
 
   /**
    * Calculate new key after transposition
    * @param {string} originalKey - Original key (e.g., 'C', 'F#', 'Bb')
    * @param {string} mode - Mode ('major' or 'minor')
-   * @param {number} semitones - Number of semitones to transpose
-   * @returns {Object} - New key information
-   */
-  calculateNewKey(originalKey, mode, semitones) {
-    const notes = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
-    const flatNotes = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab', 'A', 'Bb', 'B'];
-    
-    // Convert key to note index
-    let noteIndex = notes.indexOf(originalKey);
-    if (noteIndex === -1) {
-      noteIndex = flatNotes.indexOf(originalKey);
-    }
-    
+   * @param {number} semitones - Number of semitones to transpose (may be fractional)
+   * @param {number} cents - Additional fine-tuning in cents
+   * @returns {Object} - New key information, with the nearest key and residual cents
+   */
+  calculateNewKey(originalKey, mode, semitones, cents = 0) {
+    const noteIndex = this.getNoteIndex(originalKey);
     if (noteIndex === -1) {
       throw new Error(`Invalid key: ${originalKey}`);
     }
 
+    // Snap the total shift to the nearest key and keep what's left as cents
+    const totalSemitones = semitones + cents / 100;
+    const nearestSemitones = Math.round(totalSemitones);
+    const residualCents = Math.round((totalSemitones - nearestSemitones) * 100);
+
     // Calculate new note index
-    const newIndex = (noteIndex + semitones + 12) % 12;
-    const newKey = semitones >= 0 ? notes[newIndex] : flatNotes[newIndex];
+    const newIndex = ((noteIndex + nearestSemitones) % 12 + 12) % 12;
+    const newKey = nearestSemitones >= 0 ? SHARP_NOTES[newIndex] : FLAT_NOTES[newIndex];
 
     return {
       originalKey: originalKey,
@@ -207,7 +1016,10 @@ class AudioProcessor {
       newKey: newKey,
       newMode: mode,
       semitoneChange: semitones,
-      interval: this.getIntervalName(semitones)
+      cents: cents,
+      nearestSemitones: nearestSemitones,
+      residualCents: residualCents,
+      interval: this.getIntervalName(nearestSemitones)
     };
   }
 
@@ -249,4 +1061,8 @@ class AudioProcessor {
   }
 }
 
+AudioProcessor.PITCH_ENGINES = PITCH_ENGINES;
+AudioProcessor.RENDER_QUALITIES = Object.keys(RENDER_QUALITIES);
+AudioProcessor.VOCAL_REMOVAL_METHODS = VOCAL_REMOVAL_METHODS;
+
 module.exports = AudioProcessor;
\ No newline at end of file
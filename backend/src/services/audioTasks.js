@@ -0,0 +1,683 @@
+const path = require('path');
+const AudioProcessor = require('./audioProcessor');
+const assetRegistry = require('./assetRegistry');
+const renderCache = require('./renderCache');
+const storageManager = require('./storageManager');
+const { OUTPUT_FORMATS, getOutputError, normalizeOutput, withOutputExtension } = require('../utils/audioFormats');
+
+const uploadsDir = path.join(__dirname, '../../uploads');
+
+// Most songs one batch transposition may render
+const MAX_BATCH_SONGS = 100;
+
+/**
+ * Validate the pitch engine, quality and output options shared by processing tasks
+ * @param {Object} options - { engine, quality, output }
+ * @returns {string|null} - Error message, or null when the options are valid
+ */
+const getRenderOptionsError = ({ engine, quality, output }) => {
+  if (!AudioProcessor.PITCH_ENGINES.includes(engine)) {
+    return `Engine must be one of: ${AudioProcessor.PITCH_ENGINES.join(', ')}`;
+  }
+
+  if (!AudioProcessor.RENDER_QUALITIES.includes(quality)) {
+    return `Quality must be one of: ${AudioProcessor.RENDER_QUALITIES.join(', ')}`;
+  }
+
+  return getOutputError(output);
+};
+
+/**
+ * Look up the input asset of a task (it may have been deleted since validation)
+ * @param {string} assetId - Asset ID
+ * @param {string} owner - Id of the user running the task
+ * @returns {Promise<Object>} - Asset
+ */
+const requireAsset = async (assetId, owner) => {
+  const asset = await assetRegistry.get(assetId);
+  if (!asset || asset.owner !== owner) {
+    throw new Error('Audio file not found');
+  }
+  return asset;
+};
+
+/**
+ * Register a render as an asset derived from its source. Cached renders are
+ * shared between requests, so an existing asset for the same file and source is reused.
+ * @param {Object} source - Input asset
+ * @param {string} file - Stored filename of the render
+ * @param {string} operation - Operation that produced it (e.g. 'transpose')
+ * @param {string} label - Human-readable description used in the download name
+ * @param {Object} output - Normalized output settings
+ * @returns {Promise<Object>} - Public derived asset
+ */
+const registerRender = async (source, file, operation, label, output) => {
+  const existing = (await assetRegistry.findByFile(file))
+    .find(asset => asset.parentId === source.id && asset.owner === source.owner);
+  if (existing) return assetRegistry.toPublic(existing);
+
+  const asset = await assetRegistry.register({
+    file,
+    originalName: `${path.parse(source.originalName).name} (${label})${OUTPUT_FORMATS[output.format].extension}`,
+    owner: source.owner,
+    kind: 'derived',
+    parentId: source.id,
+    operation
+  });
+  return assetRegistry.toPublic(asset);
+};
+
+/**
+ * Record file use for storage LRU, and enforce the storage limit after new renders
+ * @param {string} inputFile - Input file name
+ * @param {Object} render - { hit, entry } from the render cache, when there is one
+ */
+const recordUsage = (inputFile, render) => {
+  storageManager.touch(inputFile);
+  if (render?.hit) {
+    renderCache.entryFiles(render.entry).forEach(file => storageManager.touch(file));
+  } else {
+    storageManager.requestSweep();
+  }
+};
+
+/**
+ * Describe a pitch shift for asset names, e.g. '+2 semitones' or '-1 semitone -25c'
+ * @param {number} semitones - Semitone shift
+ * @param {number} cents - Cent offset
+ * @returns {string} - Label
+ */
+const formatShift = (semitones, cents = 0) => {
+  const sign = (value) => (value > 0 ? `+${value}` : `${value}`);
+  const label = `${sign(semitones)} semitone${Math.abs(semitones) === 1 ? '' : 's'}`;
+  return cents !== 0 ? `${label} ${sign(cents)}c` : label;
+};
+
+/**
+ * Build the audio processing tasks shared by the synchronous /api/audio routes
+ * and the background job queue. Params always carry `owner`, the id of the
+ * requesting user, set by the server (never taken from the client). Each task has:
+ *   validate(params) -> Promise<{ status, error }|null>
+ *   run(params, { onProgress, signal }) -> Promise<Object> (the JSON response body)
+ * @param {AudioProcessor} audioProcessor - Processor instance to run the work on
+ * @returns {Object} - Tasks keyed by job type
+ */
+function createAudioTasks(audioProcessor) {
+  const transpose = {
+    async validate(params) {
+      const { assetId, owner, semitones, cents = 0, engine = 'auto', quality = 'standard', output } = params;
+
+      if (typeof semitones !== 'number' || semitones < -12 || semitones > 12) {
+        return { status: 400, error: 'Semitones must be between -12 and +12' };
+      }
+
+      if (typeof cents !== 'number' || cents < -100 || cents > 100) {
+        return { status: 400, error: 'Cents must be between -100 and +100' };
+      }
+
+      const optionsError = getRenderOptionsError({ engine, quality, output });
+      if (optionsError) {
+        return { status: 400, error: optionsError };
+      }
+
+      return assetRegistry.check(assetId, owner);
+    },
+
+    async run(params, context = {}) {
+      const {
+        assetId,
+        semitones,
+        cents = 0,
+        originalKey,
+        mode,
+        engine = 'auto',
+        quality = 'standard',
+        preserveFormants = false
+      } = params;
+
+      const source = await requireAsset(assetId, params.owner);
+      const filename = source.file;
+      const inputPath = assetRegistry.resolvePath(source);
+      const output = normalizeOutput(params.output);
+      const resolvedEngine = await audioProcessor.resolvePitchEngine(engine);
+      const cacheKey = renderCache.createKey(await renderCache.hashFile(inputPath), 'transpose', {
+        semitones,
+        cents,
+        engine: resolvedEngine,
+        quality,
+        preserveFormants: Boolean(preserveFormants),
+        output
+      });
+
+      const { hit, entry } = await renderCache.getOrRender(cacheKey, async ({ onProgress, signal }) => {
+        const totalSemitones = semitones + cents / 100;
+        const centsSuffix = cents !== 0 ? `_${cents > 0 ? 'plus' : 'minus'}${Math.abs(cents)}c` : '';
+        const outputFilename = withOutputExtension(
+          `transposed_${totalSemitones > 0 ? 'up' : 'down'}_${Math.abs(semitones)}${centsSuffix}_${renderCache.shortKey(cacheKey)}_${filename}`,
+          output
+        );
+        const outputPath = path.join(uploadsDir, outputFilename);
+
+        // Transpose the audio
+        const transposedPath = await audioProcessor.transposeAudio(inputPath, semitones, outputPath, {
+          cents,
+          engine: resolvedEngine,
+          quality,
+          preserveFormants,
+          output,
+          onProgress,
+          signal
+        });
+
+        return {
+          file: path.basename(transposedPath),
+          metadata: await audioProcessor.getAudioMetadata(transposedPath)
+        };
+      }, { ...context, inputs: [filename] });
+      recordUsage(filename, { hit, entry });
+      const asset = await registerRender(source, entry.file, 'transpose', formatShift(semitones, cents), output);
+
+      // Calculate key change if original key is provided
+      let keyInfo = null;
+      if (originalKey && mode) {
+        keyInfo = audioProcessor.calculateNewKey(originalKey, mode, semitones, cents);
+      }
+
+      return {
+        message: 'Audio transposed successfully',
+        sourceAssetId: source.id,
+        asset: asset,
+        semitones: semitones,
+        cents: cents,
+        engine: resolvedEngine,
+        quality: quality,
+        preserveFormants: Boolean(preserveFormants),
+        output: output,
+        metadata: entry.metadata,
+        keyInfo: keyInfo,
+        cache: { hit, key: cacheKey }
+      };
+    }
+  };
+
+  const tempo = {
+    async validate(params) {
+      const { tempo, semitones = 0 } = params;
+
+      if (typeof tempo !== 'number' || tempo < 0.5 || tempo > 1.5) {
+        return { status: 400, error: 'Tempo must be between 0.5 and 1.5' };
+      }
+
+      // Pitch, engine and quality follow the same rules as a plain transposition
+      return transpose.validate({ ...params, semitones });
+    },
+
+    async run(params, context = {}) {
+      const {
+        assetId,
+        tempo,
+        semitones = 0,
+        cents = 0,
+        originalKey,
+        mode,
+        engine = 'auto',
+        quality = 'standard',
+        preserveFormants = false
+      } = params;
+
+      const source = await requireAsset(assetId, params.owner);
+      const filename = source.file;
+      const inputPath = assetRegistry.resolvePath(source);
+      const output = normalizeOutput(params.output);
+      const resolvedEngine = await audioProcessor.resolvePitchEngine(engine);
+      const cacheKey = renderCache.createKey(await renderCache.hashFile(inputPath), 'tempo', {
+        tempo,
+        semitones,
+        cents,
+        engine: resolvedEngine,
+        quality,
+        preserveFormants: Boolean(preserveFormants),
+        output
+      });
+
+      const { hit, entry } = await renderCache.getOrRender(cacheKey, async ({ onProgress, signal }) => {
+        const pitchSuffix = semitones !== 0 || cents !== 0 ? `_pitch_${semitones}_${cents}c` : '';
+        const outputFilename = withOutputExtension(
+          `tempo_${Math.round(tempo * 100)}${pitchSuffix}_${renderCache.shortKey(cacheKey)}_${filename}`,
+          output
+        );
+        const outputPath = path.join(uploadsDir, outputFilename);
+
+        const processedPath = await audioProcessor.changeTempo(inputPath, tempo, outputPath, {
+          semitones,
+          cents,
+          engine: resolvedEngine,
+          quality,
+          preserveFormants,
+          output,
+          onProgress,
+          signal
+        });
+
+        return {
+          file: path.basename(processedPath),
+          metadata: await audioProcessor.getAudioMetadata(processedPath)
+        };
+      }, { ...context, inputs: [filename] });
+      recordUsage(filename, { hit, entry });
+      const pitchLabel = semitones !== 0 || cents !== 0 ? `, ${formatShift(semitones, cents)}` : '';
+      const asset = await registerRender(source, entry.file, 'tempo', `${Math.round(tempo * 100)}% tempo${pitchLabel}`, output);
+
+      // Calculate key change if original key is provided
+      let keyInfo = null;
+      if (originalKey && mode) {
+        keyInfo = audioProcessor.calculateNewKey(originalKey, mode, semitones, cents);
+      }
+
+      return {
+        message: 'Audio tempo changed successfully',
+        sourceAssetId: source.id,
+        asset: asset,
+        tempo: tempo,
+        semitones: semitones,
+        cents: cents,
+        engine: resolvedEngine,
+        quality: quality,
+        preserveFormants: Boolean(preserveFormants),
+        output: output,
+        metadata: entry.metadata,
+        keyInfo: keyInfo,
+        cache: { hit, key: cacheKey }
+      };
+    }
+  };
+
+  const convert = {
+    async validate({ assetId, owner, output }) {
+      const outputError = getOutputError(output);
+      if (outputError) {
+        return { status: 400, error: outputError };
+      }
+
+      return assetRegistry.check(assetId, owner);
+    },
+
+    async run(params, context = {}) {
+      const { assetId } = params;
+      const source = await requireAsset(assetId, params.owner);
+      const filename = source.file;
+      const inputPath = assetRegistry.resolvePath(source);
+      const output = normalizeOutput(params.output);
+      const outputFilename = withOutputExtension(`converted_${Date.now()}_${filename}`, output);
+      const outputPath = path.join(uploadsDir, outputFilename);
+
+      // Convert to the requested format (MP3 by default)
+      const convertedPath = await audioProcessor.convertAudio(inputPath, outputPath, {
+        output,
+        onProgress: context.onProgress,
+        signal: context.signal
+      });
+      const metadata = await audioProcessor.getAudioMetadata(convertedPath);
+      recordUsage(filename);
+      const asset = await registerRender(source, path.basename(convertedPath), 'convert', output.format, output);
+
+      return {
+        message: 'Audio converted successfully',
+        sourceAssetId: source.id,
+        asset: asset,
+        output: output,
+        metadata: metadata
+      };
+    }
+  };
+
+  const instrumental = {
+    async validate(params) {
+      const { assetId, owner, method = 'auto', lowCutoff = 120, highCutoff = 8000, strength = 1, output } = params;
+
+      if (!AudioProcessor.VOCAL_REMOVAL_METHODS.includes(method)) {
+        return { status: 400, error: `Method must be one of: ${AudioProcessor.VOCAL_REMOVAL_METHODS.join(', ')}` };
+      }
+
+      if (typeof lowCutoff !== 'number' || typeof highCutoff !== 'number' ||
+          lowCutoff < 0 || highCutoff > 20000 || lowCutoff >= highCutoff) {
+        return { status: 400, error: 'Cutoffs must satisfy 0 <= lowCutoff < highCutoff <= 20000 Hz' };
+      }
+
+      if (typeof strength !== 'number' || strength < 0 || strength > 1) {
+        return { status: 400, error: 'Strength must be between 0 and 1' };
+      }
+
+      const outputError = getOutputError(output);
+      if (outputError) {
+        return { status: 400, error: outputError };
+      }
+
+      const missing = await assetRegistry.check(assetId, owner);
+      if (missing) return missing;
+
+      if (method === 'model' && !audioProcessor.separationModel.isConfigured()) {
+        return { status: 400, error: 'No separation model configured on this server' };
+      }
+
+      if (audioProcessor.resolveVocalRemovalMethod(method) === 'center') {
+        const source = await assetRegistry.get(assetId);
+        const sourceMetadata = await audioProcessor.getAudioMetadata(assetRegistry.resolvePath(source));
+        if (sourceMetadata.channels < 2) {
+          return { status: 400, error: 'Center-channel vocal removal requires a stereo recording' };
+        }
+      }
+
+      return null;
+    },
+
+    async run(params, context = {}) {
+      const { assetId, method = 'auto', lowCutoff = 120, highCutoff = 8000, strength = 1 } = params;
+
+      const source = await requireAsset(assetId, params.owner);
+      const filename = source.file;
+      const inputPath = assetRegistry.resolvePath(source);
+      const output = normalizeOutput(params.output);
+      const resolvedMethod = audioProcessor.resolveVocalRemovalMethod(method);
+      const cacheKey = renderCache.createKey(await renderCache.hashFile(inputPath), 'instrumental', {
+        method: resolvedMethod,
+        model: resolvedMethod === 'model' ? audioProcessor.separationModel.getCacheParams() : null,
+        lowCutoff,
+        highCutoff,
+        strength,
+        output
+      });
+
+      const { hit, entry } = await renderCache.getOrRender(cacheKey, async ({ onProgress, signal }) => {
+        const outputFilename = withOutputExtension(
+          `instrumental_${resolvedMethod}_${renderCache.shortKey(cacheKey)}_${filename}`,
+          output
+        );
+        const outputPath = path.join(uploadsDir, outputFilename);
+
+        const instrumentalPath = await audioProcessor.removeVocals(inputPath, outputPath, {
+          method: resolvedMethod,
+          lowCutoff,
+          highCutoff,
+          strength,
+          output,
+          onProgress,
+          signal
+        });
+
+        return {
+          file: path.basename(instrumentalPath),
+          metadata: await audioProcessor.getAudioMetadata(instrumentalPath)
+        };
+      }, { ...context, inputs: [filename] });
+      recordUsage(filename, { hit, entry });
+      const asset = await registerRender(source, entry.file, 'instrumental', 'instrumental', output);
+
+      return {
+        message: 'Vocals removed successfully',
+        sourceAssetId: source.id,
+        asset: asset,
+        method: resolvedMethod,
+        lowCutoff: lowCutoff,
+        highCutoff: highCutoff,
+        strength: strength,
+        output: output,
+        metadata: entry.metadata,
+        cache: { hit, key: cacheKey }
+      };
+    }
+  };
+
+  const normalize = {
+    async validate({ assetId, owner, targetLufs = -14, truePeakLimit = -1, output }) {
+      if (typeof targetLufs !== 'number' || targetLufs < -31 || targetLufs > -5) {
+        return { status: 400, error: 'Target loudness must be between -31 and -5 LUFS' };
+      }
+
+      if (typeof truePeakLimit !== 'number' || truePeakLimit < -9 || truePeakLimit > 0) {
+        return { status: 400, error: 'True peak limit must be between -9 and 0 dBTP' };
+      }
+
+      const outputError = getOutputError(output);
+      if (outputError) {
+        return { status: 400, error: outputError };
+      }
+
+      return assetRegistry.check(assetId, owner);
+    },
+
+    async run(params, context = {}) {
+      const { assetId, targetLufs = -14, truePeakLimit = -1 } = params;
+
+      const source = await requireAsset(assetId, params.owner);
+      const filename = source.file;
+      const inputPath = assetRegistry.resolvePath(source);
+      const output = normalizeOutput(params.output);
+      const cacheKey = renderCache.createKey(await renderCache.hashFile(inputPath), 'normalize', {
+        targetLufs,
+        truePeakLimit,
+        output
+      });
+
+      const { hit, entry } = await renderCache.getOrRender(cacheKey, async ({ onProgress, signal }) => {
+        const outputFilename = withOutputExtension(
+          `normalized_${Math.abs(targetLufs)}lufs_${renderCache.shortKey(cacheKey)}_${filename}`,
+          output
+        );
+        const outputPath = path.join(uploadsDir, outputFilename);
+
+        const normalized = await audioProcessor.normalizeLoudness(inputPath, outputPath, {
+          targetLufs,
+          truePeakLimit,
+          output,
+          onProgress,
+          signal
+        });
+
+        return {
+          file: path.basename(normalized.path),
+          metadata: await audioProcessor.getAudioMetadata(normalized.path),
+          sourceLoudness: normalized.loudness,
+          gain: normalized.gain,
+          limitedByPeak: normalized.limitedByPeak
+        };
+      }, { ...context, inputs: [filename] });
+      recordUsage(filename, { hit, entry });
+      const asset = await registerRender(source, entry.file, 'normalize', `${targetLufs} LUFS`, output);
+
+      return {
+        message: 'Audio normalized successfully',
+        sourceAssetId: source.id,
+        asset: asset,
+        targetLufs: targetLufs,
+        truePeakLimit: truePeakLimit,
+        sourceLoudness: entry.sourceLoudness,
+        gain: entry.gain,
+        limitedByPeak: entry.limitedByPeak,
+        output: output,
+        metadata: entry.metadata,
+        cache: { hit, key: cacheKey }
+      };
+    }
+  };
+
+  const stems = {
+    async validate({ assetId, owner, output }) {
+      const outputError = getOutputError(output);
+      if (outputError) {
+        return { status: 400, error: outputError };
+      }
+
+      if (!audioProcessor.separationModel.isConfigured()) {
+        return { status: 400, error: 'No separation model configured on this server' };
+      }
+
+      return assetRegistry.check(assetId, owner);
+    },
+
+    async run(params, context = {}) {
+      const { assetId } = params;
+      const source = await requireAsset(assetId, params.owner);
+      const filename = source.file;
+      const inputPath = assetRegistry.resolvePath(source);
+      const output = normalizeOutput(params.output);
+      const cacheKey = renderCache.createKey(await renderCache.hashFile(inputPath), 'stems', {
+        model: audioProcessor.separationModel.getCacheParams(),
+        output
+      });
+
+      const { hit, entry } = await renderCache.getOrRender(cacheKey, async ({ onProgress, signal }) => {
+        const stemPaths = await audioProcessor.separateStems(
+          inputPath,
+          (stem) => path.join(
+            uploadsDir,
+            withOutputExtension(`stem_${stem}_${renderCache.shortKey(cacheKey)}_${filename}`, output)
+          ),
+          { output, onProgress, signal }
+        );
+
+        const stems = await Promise.all(
+          Object.entries(stemPaths).map(async ([name, stemPath]) => ({
+            name: name,
+            file: path.basename(stemPath),
+            metadata: await audioProcessor.getAudioMetadata(stemPath)
+          }))
+        );
+        return { files: stems.map(stem => stem.file), stems };
+      }, { ...context, inputs: [filename] });
+      recordUsage(filename, { hit, entry });
+
+      const stemFiles = await Promise.all(
+        entry.stems.map(async (stem) => ({
+          name: stem.name,
+          asset: await registerRender(source, stem.file, 'stems', `${stem.name} stem`, output),
+          metadata: stem.metadata
+        }))
+      );
+
+      return {
+        message: 'Stems separated successfully',
+        sourceAssetId: source.id,
+        output: output,
+        stems: stemFiles,
+        cache: { hit, key: cacheKey }
+      };
+    }
+  };
+
+  // A playlist moved into a singer's key: each song gets a fixed semitone offset or
+  // the shift that takes its key to a target key (detected on the server when the
+  // client doesn't know it). Song settings override the batch-wide ones.
+  const batchTranspose = {
+    async validate(params) {
+      const { songs, semitones, targetKey } = params;
+
+      if (!Array.isArray(songs) || songs.length === 0) {
+        return { status: 400, error: 'Songs must be a non-empty array' };
+      }
+
+      if (songs.length > MAX_BATCH_SONGS) {
+        return { status: 400, error: `A batch can transpose at most ${MAX_BATCH_SONGS} songs` };
+      }
+
+      if (semitones !== undefined && targetKey !== undefined) {
+        return { status: 400, error: 'Give either semitones or targetKey, not both' };
+      }
+
+      for (const [index, song] of songs.entries()) {
+        const label = `Song ${index + 1}`;
+        if (!song || typeof song !== 'object') {
+          return { status: 400, error: `${label} must be an object` };
+        }
+
+        if (song.semitones !== undefined && song.targetKey !== undefined) {
+          return { status: 400, error: `${label}: give either semitones or targetKey, not both` };
+        }
+
+        const songTargetKey = song.semitones === undefined ? (song.targetKey ?? targetKey) : undefined;
+        const songSemitones = song.semitones ?? (songTargetKey === undefined ? semitones : 0);
+        if (songSemitones === undefined) {
+          return { status: 400, error: `${label}: semitones or a target key is required` };
+        }
+
+        for (const key of [songTargetKey, song.originalKey]) {
+          if (key !== undefined && audioProcessor.getNoteIndex(key) === -1) {
+            return { status: 400, error: `${label}: invalid key ${key}` };
+          }
+        }
+
+        // Engine, quality, output and the asset itself follow the single-song rules
+        const invalid = await transpose.validate({ ...params, assetId: song.assetId, semitones: songSemitones });
+        if (invalid) {
+          return { ...invalid, error: `${label}: ${invalid.error}` };
+        }
+      }
+
+      return null;
+    },
+
+    async run(params, context = {}) {
+      const { songs, semitones, targetKey, keyProfile, ...renderOptions } = params;
+      const cents = renderOptions.cents || 0;
+      const results = [];
+
+      for (const [index, song] of songs.entries()) {
+        audioProcessor.throwIfCancelled(context.signal);
+        const onProgress = (percent) => context.onProgress?.(((index + percent / 100) / songs.length) * 100);
+
+        try {
+          let { originalKey, mode } = song;
+          let songSemitones = song.semitones ?? semitones;
+          const songTargetKey = song.semitones === undefined ? (song.targetKey ?? targetKey) : undefined;
+
+          if (songTargetKey !== undefined) {
+            if (!originalKey) {
+              const source = await requireAsset(song.assetId, params.owner);
+              ({ key: originalKey, mode } = await audioProcessor.detectKey(assetRegistry.resolvePath(source), {
+                profile: keyProfile
+              }));
+            }
+            songSemitones = audioProcessor.getSemitonesBetween(originalKey, songTargetKey);
+          }
+
+          // Songs already in the wanted key are not rendered again
+          if (songSemitones === 0 && cents === 0) {
+            results.push({ assetId: song.assetId, semitones: 0, originalKey, mode, unchanged: true });
+            onProgress(100);
+            continue;
+          }
+
+          const result = await transpose.run(
+            { ...renderOptions, assetId: song.assetId, semitones: songSemitones, originalKey, mode },
+            { onProgress, signal: context.signal }
+          );
+          results.push({
+            assetId: song.assetId,
+            semitones: songSemitones,
+            originalKey,
+            mode,
+            asset: result.asset,
+            metadata: result.metadata,
+            keyInfo: result.keyInfo,
+            cache: result.cache
+          });
+        } catch (error) {
+          // One bad song doesn't stop the batch; cancelling does
+          if (context.signal?.aborted) throw error;
+          results.push({ assetId: song.assetId, error: error.message });
+        }
+      }
+
+      const failed = results.filter(result => result.error).length;
+      return {
+        message: `Transposed ${songs.length - failed} of ${songs.length} songs`,
+        output: normalizeOutput(renderOptions.output),
+        results
+      };
+    }
+  };
+
+  return { transpose, tempo, convert, instrumental, normalize, stems, 'batch-transpose': batchTranspose };
+}
+
+module.exports = createAudioTasks;
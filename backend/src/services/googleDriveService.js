@@ -3,9 +3,30 @@ const fs = require('fs').promises;
 const path = require('path');
 
 class GoogleDriveService {
-  constructor() {
+  /**
+   * @param {Object} options - { onTokens(tokens): called when the client refreshes its tokens }
+   */
+  constructor(options = {}) {
     this.drive = null;
     this.auth = null;
+    this.onTokens = options.onTokens || null;
+  }
+
+  /**
+   * OAuth2 client for the configured app; tokens it refreshes are passed to onTokens
+   * @returns {OAuth2Client} - Client
+   */
+  createOAuthClient() {
+    const oauth2Client = new google.auth.OAuth2(
+      process.env.GOOGLE_CLIENT_ID,
+      process.env.GOOGLE_CLIENT_SECRET,
+      process.env.GOOGLE_REDIRECT_URI
+    );
+
+    if (this.onTokens) {
+      oauth2Client.on('tokens', tokens => this.onTokens(tokens));
+    }
+    return oauth2Client;
   }
 
   /**
@@ -41,14 +62,11 @@ class GoogleDriveService {
 
   /**
    * Get OAuth2 URL for user authentication
+   * @param {string} state - Value Google echoes back to the callback (CSRF protection)
    * @returns {string} - OAuth2 authorization URL
    */
-  getAuthUrl() {
-    const oauth2Client = new google.auth.OAuth2(
-      process.env.GOOGLE_CLIENT_ID,
-      process.env.GOOGLE_CLIENT_SECRET,
-      process.env.GOOGLE_REDIRECT_URI
-    );
+  getAuthUrl(state) {
+    const oauth2Client = this.createOAuthClient();
 
     const scopes = [
       'https://www.googleapis.com/auth/drive.readonly',
@@ -58,7 +76,8 @@ class GoogleDriveService {
     const url = oauth2Client.generateAuthUrl({
       access_type: 'offline',
       scope: scopes,
-      include_granted_scopes: true
+      include_granted_scopes: true,
+      state: state
     });
 
     return url;
@@ -70,11 +89,7 @@ class GoogleDriveService {
    * @returns {Object} - Token information
    */
   async getTokensFromCode(code) {
-    const oauth2Client = new google.auth.OAuth2(
-      process.env.GOOGLE_CLIENT_ID,
-      process.env.GOOGLE_CLIENT_SECRET,
-      process.env.GOOGLE_REDIRECT_URI
-    );
+    const oauth2Client = this.createOAuthClient();
 
     try {
       const { tokens } = await oauth2Client.getToken(code);
@@ -95,11 +110,7 @@ class GoogleDriveService {
    * @param {Object} tokens - Access tokens from OAuth2
    */
   setTokens(tokens) {
-    const oauth2Client = new google.auth.OAuth2(
-      process.env.GOOGLE_CLIENT_ID,
-      process.env.GOOGLE_CLIENT_SECRET,
-      process.env.GOOGLE_REDIRECT_URI
-    );
+    const oauth2Client = this.createOAuthClient();
     
     oauth2Client.setCredentials(tokens);
     this.auth = oauth2Client;
@@ -147,9 +158,10 @@ class GoogleDriveService {
    * Download an audio file from Google Drive
    * @param {string} fileId - Google Drive file ID
    * @param {string} downloadPath - Local path to save the file
-   * @returns {Promise<string>} - Path to downloaded file
+   * @param {Object} options - { basename } to store the file under instead of its Drive name
+   * @returns {Promise<Object>} - { filePath, fileName } of the downloaded file and its Drive name
    */
-  async downloadFile(fileId, downloadPath) {
+  async downloadFile(fileId, downloadPath, options = {}) {
     if (!this.drive) {
       throw new Error('Google Drive API not initialized');
     }
@@ -174,7 +186,10 @@ class GoogleDriveService {
         alt: 'media'
       }, { responseType: 'stream' });
 
-      const fullPath = path.join(downloadPath, fileName);
+      const storedName = options.basename
+        ? `${options.basename}${path.extname(fileName).toLowerCase()}`
+        : path.basename(fileName);
+      const fullPath = path.join(downloadPath, storedName);
       const writer = require('fs').createWriteStream(fullPath);
 
       return new Promise((resolve, reject) => {
@@ -182,7 +197,7 @@ class GoogleDriveService {
         
         writer.on('finish', () => {
           console.log(`Downloaded file: ${fileName}`);
-          resolve(fullPath);
+          resolve({ filePath: fullPath, fileName });
         });
         
         writer.on('error', (error) => {
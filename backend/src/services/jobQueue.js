@@ -0,0 +1,204 @@
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+
+// Job states; the last three are final
+const JOB_STATES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+const FINAL_STATES = ['completed', 'failed', 'cancelled'];
+
+/**
+ * In-memory background job queue for long-running audio work.
+ * Job types are registered by the routers that own them; each handler receives
+ * the submitted params plus { onProgress, signal } and resolves with the same
+ * JSON body the equivalent synchronous endpoint would return.
+ */
+class JobQueue extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.concurrency = options.concurrency || parseInt(process.env.JOB_CONCURRENCY, 10) || 1;
+    // How long finished jobs stay queryable
+    this.retentionMs = options.retentionMs || parseInt(process.env.JOB_RETENTION_MS, 10) || 60 * 60 * 1000;
+    this.handlers = new Map();
+    this.jobs = new Map();
+    this.pending = [];
+    this.running = 0;
+    // One 'update' listener per open Server-Sent Events stream
+    this.setMaxListeners(0);
+  }
+
+  /**
+   * Register the handler for a job type
+   * @param {string} type - Job type (e.g. 'transpose')
+   * @param {Object} task - { validate(params) -> Promise<{ status, error }|null>, run(params, context) -> Promise<Object> }
+   */
+  register(type, task) {
+    this.handlers.set(type, task);
+  }
+
+  /**
+   * Names of all registered job types
+   * @returns {string[]} - Job types
+   */
+  getTypes() {
+    return Array.from(this.handlers.keys());
+  }
+
+  /**
+   * Validate params for a job type without queueing anything
+   * @param {string} type - Job type
+   * @param {Object} params - Job parameters
+   * @returns {Promise<Object|null>} - { status, error } when invalid, null otherwise
+   */
+  async validate(type, params) {
+    const task = this.handlers.get(type);
+    if (!task) {
+      return { status: 400, error: `Job type must be one of: ${this.getTypes().join(', ')}` };
+    }
+    return task.validate ? task.validate(params) : null;
+  }
+
+  /**
+   * Queue a job
+   * @param {string} type - Registered job type
+   * @param {Object} params - Job parameters
+   * @returns {Object} - The queued job
+   */
+  submit(type, params = {}) {
+    if (!this.handlers.has(type)) {
+      throw new Error(`Unknown job type: ${type}`);
+    }
+
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      params,
+      state: 'queued',
+      progress: 0,
+      result: null,
+      error: null,
+      createdAt: new Date(),
+      startedAt: null,
+      finishedAt: null,
+      controller: new AbortController()
+    };
+
+    this.jobs.set(job.id, job);
+    this.pending.push(job);
+    this.emitUpdate(job);
+    this.runNext();
+
+    return job;
+  }
+
+  /**
+   * Look up a job
+   * @param {string} id - Job id
+   * @returns {Object|undefined} - Job, if it is still retained
+   */
+  get(id) {
+    return this.jobs.get(id);
+  }
+
+  /**
+   * Retained jobs, newest first
+   * @param {Object} filter - { owner } to only list one user's jobs
+   * @returns {Object[]} - Jobs
+   */
+  list(filter = {}) {
+    return Array.from(this.jobs.values())
+      .filter(job => filter.owner === undefined || job.params.owner === filter.owner)
+      .sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  /**
+   * Cancel a queued or running job
+   * @param {string} id - Job id
+   * @returns {boolean} - False when the job was already finished
+   */
+  cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job || FINAL_STATES.includes(job.state)) return false;
+
+    if (job.state === 'queued') {
+      this.pending = this.pending.filter(pendingJob => pendingJob !== job);
+      this.finish(job, 'cancelled');
+    } else {
+      // The handler sees the abort, stops its work and rejects; runJob settles the state
+      job.controller.abort();
+    }
+    return true;
+  }
+
+  /**
+   * Whether a job has reached a final state
+   * @param {Object} job - Job
+   * @returns {boolean} - True for completed, failed or cancelled jobs
+   */
+  isFinished(job) {
+    return FINAL_STATES.includes(job.state);
+  }
+
+  /**
+   * Public representation of a job (no internal controller)
+   * @param {Object} job - Job
+   * @returns {Object} - JSON-safe job view
+   */
+  toJSON(job) {
+    const { controller, ...publicJob } = job;
+    return publicJob;
+  }
+
+  runNext() {
+    while (this.running < this.concurrency && this.pending.length > 0) {
+      this.runJob(this.pending.shift());
+    }
+  }
+
+  async runJob(job) {
+    const task = this.handlers.get(job.type);
+    this.running++;
+    job.state = 'running';
+    job.startedAt = new Date();
+    this.emitUpdate(job);
+
+    const onProgress = (percent) => {
+      const progress = Math.max(0, Math.min(100, Math.round(percent)));
+      if (progress === job.progress || job.state !== 'running') return;
+      job.progress = progress;
+      this.emitUpdate(job);
+    };
+
+    try {
+      job.result = await task.run(job.params, { onProgress, signal: job.controller.signal });
+      job.progress = 100;
+      this.finish(job, 'completed');
+    } catch (error) {
+      if (job.controller.signal.aborted) {
+        this.finish(job, 'cancelled');
+      } else {
+        console.error(`Job ${job.id} (${job.type}) failed:`, error);
+        job.error = error.message;
+        this.finish(job, 'failed');
+      }
+    } finally {
+      this.running--;
+      this.runNext();
+    }
+  }
+
+  finish(job, state) {
+    job.state = state;
+    job.finishedAt = new Date();
+    this.emitUpdate(job);
+
+    setTimeout(() => this.jobs.delete(job.id), this.retentionMs).unref();
+  }
+
+  emitUpdate(job) {
+    this.emit('update', this.toJSON(job));
+  }
+}
+
+JobQueue.JOB_STATES = JOB_STATES;
+
+// Shared by every router so jobs submitted anywhere can be queried from /api/jobs
+module.exports = new JobQueue();
@@ -0,0 +1,277 @@
+const path = require('path');
+const crypto = require('crypto');
+const fsSync = require('fs');
+const fs = require('fs').promises;
+
+// Bump when DSP or encoder changes make earlier renders stale
+const RENDER_CACHE_VERSION = 2;
+
+/**
+ * Content-addressed cache for rendered audio.
+ * Renders are keyed by a SHA-256 of the input file's content plus the processing
+ * parameters, so re-uploads of the same song and repeat requests for the same key
+ * reuse one file. The index is persisted next to the uploads so it survives restarts.
+ */
+class RenderCache {
+  constructor(options = {}) {
+    this.directory = options.directory || path.join(__dirname, '../../uploads');
+    this.indexPath = path.join(this.directory, '.render-cache.json');
+    this.entries = new Map();
+    this.inputHashes = new Map();
+    this.inFlight = new Map();
+    this.loaded = null;
+    this.saving = Promise.resolve();
+  }
+
+  /**
+   * Load the persisted index (once)
+   * @returns {Promise<void>}
+   */
+  async load() {
+    if (!this.loaded) {
+      this.loaded = fs.readFile(this.indexPath, 'utf8')
+        .then(data => {
+          for (const entry of JSON.parse(data).entries || []) {
+            this.entries.set(entry.key, entry);
+          }
+        })
+        .catch(error => {
+          if (error.code !== 'ENOENT') {
+            console.error('Render cache index unreadable, starting empty:', error.message);
+          }
+        });
+    }
+    return this.loaded;
+  }
+
+  /**
+   * Persist the index; writes are serialized so concurrent updates cannot interleave
+   * @returns {Promise<void>}
+   */
+  save() {
+    const data = JSON.stringify({
+      version: RENDER_CACHE_VERSION,
+      entries: Array.from(this.entries.values())
+    });
+
+    this.saving = this.saving
+      .then(() => fs.mkdir(this.directory, { recursive: true }))
+      .then(() => fs.writeFile(this.indexPath, data))
+      .catch(error => console.error('Render cache index write failed:', error.message));
+    return this.saving;
+  }
+
+  /**
+   * SHA-256 of a file's content, memoized by path, size and modification time
+   * @param {string} filePath - File to hash
+   * @returns {Promise<string>} - Hex digest
+   */
+  async hashFile(filePath) {
+    const stats = await fs.stat(filePath);
+    const memo = this.inputHashes.get(filePath);
+    if (memo && memo.size === stats.size && memo.mtimeMs === stats.mtimeMs) {
+      return memo.hash;
+    }
+
+    const hash = await new Promise((resolve, reject) => {
+      const digest = crypto.createHash('sha256');
+      fsSync.createReadStream(filePath)
+        .on('data', chunk => digest.update(chunk))
+        .on('end', () => resolve(digest.digest('hex')))
+        .on('error', reject);
+    });
+
+    this.inputHashes.set(filePath, { size: stats.size, mtimeMs: stats.mtimeMs, hash });
+    return hash;
+  }
+
+  /**
+   * Build the cache key for a render
+   * @param {string} inputHash - Content hash of the input file
+   * @param {string} operation - Processing operation (e.g. 'transpose')
+   * @param {Object} params - Parameters that affect the rendered audio
+   * @returns {string} - Hex cache key
+   */
+  createKey(inputHash, operation, params) {
+    const sortedParams = Object.keys(params).sort().reduce((sorted, name) => {
+      sorted[name] = params[name];
+      return sorted;
+    }, {});
+
+    return crypto.createHash('sha256')
+      .update(JSON.stringify([RENDER_CACHE_VERSION, operation, inputHash, sortedParams]))
+      .digest('hex');
+  }
+
+  /**
+   * Short form of a cache key, for use in output filenames
+   * @param {string} key - Cache key
+   * @returns {string} - First 12 hex digits
+   */
+  shortKey(key) {
+    return key.slice(0, 12);
+  }
+
+  /**
+   * Output files of a cache entry: `files` for renders with several outputs
+   * (e.g. stems), otherwise just `file`
+   * @param {Object} entry - Cache entry
+   * @returns {string[]} - Filenames
+   */
+  entryFiles(entry) {
+    return entry.files || [entry.file];
+  }
+
+  /**
+   * Find a cached render whose output files all still exist
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} - Cache entry, or null on a miss
+   */
+  async lookup(key) {
+    await this.load();
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    try {
+      await Promise.all(this.entryFiles(entry).map(file => fs.access(path.join(this.directory, file))));
+    } catch (error) {
+      // Output was deleted out from under the cache
+      this.entries.delete(key);
+      this.save();
+      return null;
+    }
+
+    entry.hits = (entry.hits || 0) + 1;
+    entry.lastAccessedAt = new Date().toISOString();
+    this.save();
+    return entry;
+  }
+
+  /**
+   * Return a cached render, or run `render` and cache what it produces.
+   * Concurrent requests for the same key share a single render, which belongs to
+   * none of them: every waiter gets its progress, and it is only cancelled once
+   * all of its waiters have cancelled.
+   * @param {string} key - Cache key
+   * @param {Function} render - async ({ onProgress, signal }) => { file, metadata, ...extra }
+   *   (or { files, ...extra } for several outputs) for the new output; gets the shared
+   *   render's progress callback and signal
+   * @param {Object} options - { onProgress, signal } of this caller, and the `inputs`
+   *   (stored filenames) the render reads, kept from eviction while it runs
+   * @returns {Promise<Object>} - { hit, entry }
+   */
+  async getOrRender(key, render, options = {}) {
+    const cached = await this.lookup(key);
+    if (cached) {
+      return { hit: true, entry: cached };
+    }
+
+    let flight = this.inFlight.get(key);
+    if (!flight) {
+      flight = { controller: new AbortController(), waiters: new Set(), progress: null, inputs: options.inputs || [] };
+      const onProgress = (percent) => {
+        flight.progress = percent;
+        flight.waiters.forEach(waiter => waiter.onProgress?.(percent));
+      };
+
+      flight.promise = (async () => {
+        const output = await render({ onProgress, signal: flight.controller.signal });
+        const now = new Date().toISOString();
+        const entry = { ...output, key, hits: 0, createdAt: now, lastAccessedAt: now };
+        this.entries.set(key, entry);
+        await this.save();
+        return entry;
+      })();
+
+      this.inFlight.set(key, flight);
+      const settled = () => this.leaveInFlight(key, flight);
+      flight.promise.then(settled, settled);
+    }
+
+    return { hit: false, entry: await this.waitForRender(key, flight, options) };
+  }
+
+  /**
+   * Wait for a shared render as one of its waiters
+   * @param {string} key - Cache key
+   * @param {Object} flight - In-flight render
+   * @param {Object} options - { onProgress, signal } of the waiter
+   * @returns {Promise<Object>} - Cache entry of the render
+   */
+  waitForRender(key, flight, { onProgress, signal } = {}) {
+    if (signal?.aborted) {
+      return Promise.reject(new Error('Job cancelled'));
+    }
+
+    const waiter = { onProgress };
+    flight.waiters.add(waiter);
+    if (flight.progress !== null) onProgress?.(flight.progress);
+
+    return new Promise((resolve, reject) => {
+      const leave = () => {
+        flight.waiters.delete(waiter);
+        signal?.removeEventListener('abort', onAbort);
+      };
+      const onAbort = () => {
+        leave();
+        if (flight.waiters.size === 0) {
+          // Nobody wants it any more; a later request starts a fresh render
+          this.leaveInFlight(key, flight);
+          flight.controller.abort();
+        }
+        reject(new Error('Job cancelled'));
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      flight.promise.then(
+        entry => {
+          leave();
+          resolve(entry);
+        },
+        error => {
+          leave();
+          reject(error);
+        }
+      );
+    });
+  }
+
+  /**
+   * Stored files that in-flight renders are reading
+   * @returns {string[]} - Filenames
+   */
+  getInputsInFlight() {
+    return Array.from(this.inFlight.values()).flatMap(flight => flight.inputs);
+  }
+
+  /**
+   * Forget an in-flight render, unless a newer one has taken its key
+   * @param {string} key - Cache key
+   * @param {Object} flight - In-flight render
+   */
+  leaveInFlight(key, flight) {
+    if (this.inFlight.get(key) === flight) {
+      this.inFlight.delete(key);
+    }
+  }
+
+  /**
+   * Drop every cache entry that points at a file (e.g. after it is deleted)
+   * @param {string} filename - Output filename
+   * @returns {Promise<void>}
+   */
+  async removeFile(filename) {
+    await this.load();
+    let changed = false;
+    for (const [key, entry] of this.entries) {
+      if (this.entryFiles(entry).includes(filename)) {
+        this.entries.delete(key);
+        changed = true;
+      }
+    }
+    if (changed) await this.save();
+  }
+}
+
+// Shared so every route and job sees the same index and in-flight renders
+module.exports = new RenderCache();
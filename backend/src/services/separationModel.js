@@ -0,0 +1,183 @@
+const path = require('path');
+const fs = require('fs').promises;
+
+/**
+ * Optional neural source separation backed by a local ONNX model.
+ *
+ * The model is expected to follow the Demucs-style export convention: a single
+ * float32 input of shape [1, 2, samples] (planar stereo) and a single output of
+ * shape [1, sources, 2, samples]. Source names and order come from
+ * SEPARATION_MODEL_SOURCES. The `onnxruntime-node` package is loaded lazily
+ * and only needs to be installed when a model is configured.
+ */
+class SeparationModel {
+  constructor(options = {}) {
+    this.modelPath = options.modelPath || process.env.SEPARATION_MODEL_PATH || null;
+    this.sources = (options.sources || process.env.SEPARATION_MODEL_SOURCES || 'drums,bass,other,vocals')
+      .split(',')
+      .map(source => source.trim())
+      .filter(Boolean);
+    this.sampleRate = parseInt(options.sampleRate || process.env.SEPARATION_MODEL_SAMPLE_RATE, 10) || 44100;
+    this.segmentSeconds = parseFloat(options.segmentSeconds || process.env.SEPARATION_MODEL_SEGMENT) || 10;
+    // Fraction of each segment shared with the next, cross-faded so there are no seams
+    this.overlap = Math.min(0.5, parseFloat(options.overlap ?? process.env.SEPARATION_MODEL_OVERLAP) || 0.25);
+    this.session = null;
+    this.runtime = null;
+  }
+
+  /**
+   * Whether a model file has been configured
+   * @returns {boolean} - True when SEPARATION_MODEL_PATH (or modelPath) is set
+   */
+  isConfigured() {
+    return Boolean(this.modelPath);
+  }
+
+  /**
+   * Settings that determine what the model outputs, for render cache keys
+   * @returns {Object} - { model, sources, sampleRate, segmentSeconds, overlap }
+   */
+  getCacheParams() {
+    return {
+      model: path.basename(this.modelPath || ''),
+      sources: this.sources,
+      sampleRate: this.sampleRate,
+      segmentSeconds: this.segmentSeconds,
+      overlap: this.overlap
+    };
+  }
+
+  /**
+   * Load the ONNX runtime and create an inference session (once)
+   * @returns {Promise<Object>} - ONNX inference session
+   */
+  async load() {
+    if (this.session) return this.session;
+
+    if (!this.isConfigured()) {
+      throw new Error('No separation model configured (set SEPARATION_MODEL_PATH)');
+    }
+
+    try {
+      this.runtime = require('onnxruntime-node');
+    } catch (error) {
+      throw new Error('Separation model requires the optional "onnxruntime-node" package to be installed');
+    }
+
+    try {
+      await fs.access(this.modelPath);
+    } catch (error) {
+      throw new Error(`Separation model not found at ${this.modelPath}`);
+    }
+
+    this.session = await this.runtime.InferenceSession.create(this.modelPath);
+    console.log(`Loaded separation model ${this.modelPath} (${this.sources.join(', ')})`);
+    return this.session;
+  }
+
+  /**
+   * Start offsets of the overlapping segments covering a signal. The last segment
+   * ends at the end of the signal, so only a signal shorter than one segment is padded.
+   * @param {number} length - Signal length in samples
+   * @param {number} segment - Segment length in samples
+   * @param {number} hop - Distance between segment starts
+   * @returns {number[]} - Segment start offsets
+   */
+  segmentStarts(length, segment, hop) {
+    const starts = [];
+    for (let start = 0; start + segment < length; start += hop) {
+      starts.push(start);
+    }
+    const last = Math.max(0, length - segment);
+    if (starts[starts.length - 1] !== last) starts.push(last);
+    return starts;
+  }
+
+  /**
+   * Cross-fade weights of one segment: linear ramps over the overlap on each side
+   * that has a neighbouring segment, flat elsewhere
+   * @param {number} count - Samples of the segment that lie within the signal
+   * @param {number} fade - Ramp length in samples
+   * @param {boolean} fadeIn - Whether a segment precedes this one
+   * @param {boolean} fadeOut - Whether a segment follows this one
+   * @returns {Float32Array} - Weight per sample
+   */
+  segmentWeights(count, fade, fadeIn, fadeOut) {
+    const weights = new Float32Array(count).fill(1);
+    for (let i = 0; i < Math.min(fade, count); i++) {
+      const ramp = (i + 0.5) / fade;
+      if (fadeIn) weights[i] = Math.min(weights[i], ramp);
+      if (fadeOut) weights[count - 1 - i] = Math.min(weights[count - 1 - i], ramp);
+    }
+    return weights;
+  }
+
+  /**
+   * Separate a stereo signal into the model's sources
+   * @param {Float32Array} left - Left channel at the model sample rate
+   * @param {Float32Array} right - Right channel at the model sample rate
+   * @param {Object} options - { onProgress, signal }; cancellation is checked between segments
+   * @returns {Promise<Object>} - Map of source name to [left, right] channel buffers
+   */
+  async separate(left, right, options = {}) {
+    const { onProgress, signal } = options;
+    const session = await this.load();
+    const length = left.length;
+    const segment = Math.round(this.segmentSeconds * this.sampleRate);
+    const fade = Math.round(segment * this.overlap);
+    const starts = this.segmentStarts(length, segment, segment - fade);
+
+    const stems = {};
+    for (const source of this.sources) {
+      stems[source] = [new Float32Array(length), new Float32Array(length)];
+    }
+    const weightSum = new Float32Array(length);
+
+    // Run the model segment by segment to bound memory use on long songs, and
+    // overlap-add the segments with cross-fades so their edges don't click
+    for (const [index, start] of starts.entries()) {
+      if (signal?.aborted) {
+        throw new Error('Job cancelled');
+      }
+
+      const count = Math.min(segment, length - start);
+      const input = new Float32Array(2 * segment);
+      input.set(left.subarray(start, start + count), 0);
+      input.set(right.subarray(start, start + count), segment);
+
+      const feeds = {
+        [session.inputNames[0]]: new this.runtime.Tensor('float32', input, [1, 2, segment])
+      };
+      const results = await session.run(feeds);
+      const output = results[session.outputNames[0]].data;
+
+      // Samples past `count` are the model's output for the padding, and are dropped
+      const weights = this.segmentWeights(count, fade, index > 0, index < starts.length - 1);
+      this.sources.forEach((source, sourceIndex) => {
+        for (let channel = 0; channel < 2; channel++) {
+          const offset = (sourceIndex * 2 + channel) * segment;
+          const target = stems[source][channel];
+          for (let i = 0; i < count; i++) {
+            target[start + i] += output[offset + i] * weights[i];
+          }
+        }
+      });
+      for (let i = 0; i < count; i++) {
+        weightSum[start + i] += weights[i];
+      }
+      onProgress?.(((index + 1) / starts.length) * 100);
+    }
+
+    for (const channels of Object.values(stems)) {
+      for (const samples of channels) {
+        for (let i = 0; i < length; i++) {
+          samples[i] /= weightSum[i];
+        }
+      }
+    }
+
+    return stems;
+  }
+}
+
+module.exports = SeparationModel;
@@ -0,0 +1,259 @@
+const path = require('path');
+const fs = require('fs').promises;
+const renderCache = require('./renderCache');
+const assetRegistry = require('./assetRegistry');
+const jobQueue = require('./jobQueue');
+
+// Filename prefixes of files the server rendered (safe to delete: they can be re-rendered)
+const DERIVED_PREFIXES = ['transposed_', 'tempo_', 'instrumental_', 'stem_', 'converted_', 'normalized_'];
+
+// Never evict files touched this recently (e.g. a render still being written)
+const MIN_EVICTION_AGE_MS = 10 * 60 * 1000;
+
+const SIZE_UNITS = { B: 1, KB: 1024, MB: 1024 ** 2, GB: 1024 ** 3, TB: 1024 ** 4 };
+
+/**
+ * Parse a size such as '2GB', '500MB' or a plain byte count
+ * @param {string|number} value - Size setting
+ * @param {number} fallback - Bytes to use when the value is missing or invalid
+ * @returns {number} - Size in bytes
+ */
+function parseSize(value, fallback) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const match = String(value).trim().toUpperCase().match(/^(\d+(?:\.\d+)?)\s*(B|KB|MB|GB|TB)?$/);
+  if (!match) return fallback;
+  return Math.round(parseFloat(match[1]) * SIZE_UNITS[match[2] || 'B']);
+}
+
+/**
+ * Keeps the uploads directory within its disk budget.
+ * Derived renders expire after a TTL; when the directory is over its maximum size,
+ * the least recently used files are evicted (derived renders before source uploads).
+ * Access times are recorded on the files themselves (atime) so they survive restarts.
+ */
+class StorageManager {
+  constructor(options = {}) {
+    this.directory = options.directory || path.join(__dirname, '../../uploads');
+    this.maxBytes = options.maxBytes || parseSize(process.env.STORAGE_MAX_SIZE, 2 * SIZE_UNITS.GB);
+    this.derivedTtlMs = options.derivedTtlMs || parseInt(process.env.STORAGE_DERIVED_TTL_MS, 10) || 24 * 60 * 60 * 1000;
+    this.sweepIntervalMs = options.sweepIntervalMs || parseInt(process.env.STORAGE_SWEEP_INTERVAL_MS, 10) || 15 * 60 * 1000;
+    this.timer = null;
+    this.sweeping = null;
+    this.lastSweep = null;
+  }
+
+  /**
+   * Whether a file is a server-side render rather than a source upload
+   * @param {string} filename - File name
+   * @returns {boolean} - True for derived renders
+   */
+  isDerived(filename) {
+    return DERIVED_PREFIXES.some(prefix => filename.startsWith(prefix));
+  }
+
+  /**
+   * Record that a file was used, for LRU ordering
+   * @param {string} filename - File in the uploads directory
+   * @returns {Promise<void>}
+   */
+  async touch(filename) {
+    const filePath = path.join(this.directory, filename);
+    try {
+      const stats = await fs.stat(filePath);
+      // Only atime changes, so content hashes keyed on mtime stay valid
+      await fs.utimes(filePath, new Date(), stats.mtime);
+    } catch (error) {
+      // The file may have just been deleted; nothing to record
+    }
+  }
+
+  /**
+   * Stat every stored file (dotfiles such as cache indexes are skipped)
+   * @returns {Promise<Object[]>} - { filename, size, derived, lastUsed, createdAt }
+   */
+  async listFiles() {
+    let names;
+    try {
+      names = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const files = [];
+    for (const filename of names) {
+      if (filename.startsWith('.')) continue;
+      try {
+        const stats = await fs.stat(path.join(this.directory, filename));
+        if (!stats.isFile()) continue;
+        files.push({
+          filename,
+          size: stats.size,
+          derived: this.isDerived(filename),
+          lastUsed: Math.max(stats.atimeMs, stats.mtimeMs),
+          createdAt: stats.birthtime
+        });
+      } catch (error) {
+        // Deleted while listing
+      }
+    }
+    return files;
+  }
+
+  /**
+   * Summarize disk usage of the uploads directory
+   * @returns {Promise<Object>} - Usage report
+   */
+  async getUsage() {
+    const files = await this.listFiles();
+    const summarize = (group) => ({
+      count: group.length,
+      bytes: group.reduce((total, file) => total + file.size, 0)
+    });
+    const uploads = summarize(files.filter(file => !file.derived));
+    const derived = summarize(files.filter(file => file.derived));
+    const totalBytes = uploads.bytes + derived.bytes;
+    const oldest = files.reduce((min, file) => (min === null || file.lastUsed < min ? file.lastUsed : min), null);
+
+    return {
+      totalBytes,
+      maxBytes: this.maxBytes,
+      percentUsed: this.maxBytes ? Math.round((totalBytes / this.maxBytes) * 1000) / 10 : null,
+      fileCount: files.length,
+      uploads,
+      derived,
+      oldestAccess: oldest ? new Date(oldest).toISOString() : null,
+      derivedTtlMs: this.derivedTtlMs,
+      sweepIntervalMs: this.sweepIntervalMs,
+      lastSweep: this.lastSweep
+    };
+  }
+
+  /**
+   * Files that must not be evicted because work is reading them: the sources of
+   * queued or running jobs (including every song of a batch) and the inputs of
+   * in-flight renders, which also covers renders requested outside the job queue
+   * @returns {Promise<Set<string>>} - Filenames
+   */
+  async getFilesInUse() {
+    const inUse = new Set(renderCache.getInputsInFlight());
+
+    for (const job of jobQueue.list()) {
+      if (jobQueue.isFinished(job)) continue;
+      const { assetId, songs } = job.params;
+      const assetIds = [assetId, ...(Array.isArray(songs) ? songs.map(song => song?.assetId) : [])];
+      for (const id of assetIds) {
+        const asset = id ? await assetRegistry.get(id) : null;
+        if (asset) inUse.add(asset.file);
+      }
+    }
+    return inUse;
+  }
+
+  /**
+   * Delete a stored file and forget any cached render or asset that points at it
+   * @param {string} filename - File in the uploads directory
+   * @returns {Promise<void>}
+   */
+  async remove(filename) {
+    await fs.unlink(path.join(this.directory, filename));
+    await renderCache.removeFile(filename);
+    await assetRegistry.removeByFile(filename);
+  }
+
+  /**
+   * Expire old derived renders, then evict least recently used files until
+   * the directory fits in maxBytes. Concurrent calls share one sweep.
+   * @returns {Promise<Object>} - { at, deleted: [{ filename, size, reason }], freedBytes, totalBytes }
+   */
+  sweep() {
+    if (!this.sweeping) {
+      this.sweeping = this.runSweep().finally(() => {
+        this.sweeping = null;
+      });
+    }
+    return this.sweeping;
+  }
+
+  async runSweep() {
+    const now = Date.now();
+    const files = await this.listFiles();
+    const inUse = await this.getFilesInUse();
+    const deleted = [];
+
+    const evict = async (file, reason) => {
+      try {
+        await this.remove(file.filename);
+        deleted.push({ filename: file.filename, size: file.size, reason });
+        return true;
+      } catch (error) {
+        console.error(`Storage sweep could not delete ${file.filename}:`, error.message);
+        return false;
+      }
+    };
+
+    // 1. Derived renders past their TTL
+    const remaining = [];
+    for (const file of files) {
+      if (file.derived && now - file.lastUsed > this.derivedTtlMs && !inUse.has(file.filename)) {
+        if (await evict(file, 'expired')) continue;
+      }
+      remaining.push(file);
+    }
+
+    // 2. LRU eviction while over budget: derived renders first, then uploads
+    let totalBytes = remaining.reduce((total, file) => total + file.size, 0);
+    const candidates = remaining
+      .filter(file => now - file.lastUsed > MIN_EVICTION_AGE_MS && !inUse.has(file.filename))
+      .sort((a, b) => (a.derived === b.derived ? a.lastUsed - b.lastUsed : a.derived ? -1 : 1));
+
+    for (const file of candidates) {
+      if (totalBytes <= this.maxBytes) break;
+      if (await evict(file, 'over-quota')) {
+        totalBytes -= file.size;
+      }
+    }
+
+    if (totalBytes > this.maxBytes) {
+      console.warn(`Uploads still use ${totalBytes} bytes (limit ${this.maxBytes}); remaining files are in use`);
+    }
+
+    const freedBytes = deleted.reduce((total, file) => total + file.size, 0);
+    if (deleted.length > 0) {
+      console.log(`🧹 Storage sweep removed ${deleted.length} file(s), freed ${freedBytes} bytes`);
+    }
+
+    this.lastSweep = { at: new Date(now).toISOString(), deleted, freedBytes, totalBytes };
+    return this.lastSweep;
+  }
+
+  /**
+   * Run a sweep in the background (e.g. after an upload), logging failures
+   */
+  requestSweep() {
+    this.sweep().catch(error => console.error('Storage sweep failed:', error));
+  }
+
+  /**
+   * Start the scheduled sweeper
+   */
+  start() {
+    if (this.timer) return;
+    this.requestSweep();
+    this.timer = setInterval(() => this.requestSweep(), this.sweepIntervalMs);
+    this.timer.unref();
+  }
+
+  /**
+   * Stop the scheduled sweeper
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+StorageManager.parseSize = parseSize;
+
+// Shared so routes, jobs and the scheduled sweeper agree on state
+module.exports = new StorageManager();
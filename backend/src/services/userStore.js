@@ -0,0 +1,357 @@
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const USERNAME_PATTERN = /^[a-z0-9_.-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const API_TOKEN_PREFIX = 'kp_';
+
+/**
+ * Hash a session or API token for storage (tokens are high-entropy, so a plain digest suffices)
+ * @param {string} token - Raw token
+ * @returns {string} - Hex SHA-256 digest
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Generate a random URL-safe token
+ * @returns {string} - Token
+ */
+const createToken = () => crypto.randomBytes(32).toString('base64url');
+
+/**
+ * Local user accounts, login sessions, API tokens and per-user Google Drive credentials.
+ * Passwords are scrypt hashes; sessions and API tokens are stored as SHA-256 digests,
+ * so the raw tokens only ever exist on the client.
+ */
+class UserStore {
+  constructor(options = {}) {
+    this.directory = options.directory || process.env.DATA_DIR || path.join(__dirname, '../../data');
+    this.filePath = path.join(this.directory, 'users.json');
+    this.sessionTtlMs = options.sessionTtlMs || parseInt(process.env.SESSION_TTL_MS, 10) || 7 * 24 * 60 * 60 * 1000;
+    this.users = new Map();
+    this.sessions = new Map();
+    this.loaded = null;
+    this.saving = Promise.resolve();
+    this.creating = Promise.resolve();
+  }
+
+  /**
+   * Load persisted users and sessions (once)
+   * @returns {Promise<void>}
+   */
+  async load() {
+    if (!this.loaded) {
+      this.loaded = fs.readFile(this.filePath, 'utf8')
+        .then(data => {
+          const { users = [], sessions = [] } = JSON.parse(data);
+          users.forEach(user => this.users.set(user.id, user));
+          sessions.forEach(session => this.sessions.set(session.tokenHash, session));
+        })
+        .catch(error => {
+          if (error.code !== 'ENOENT') {
+            console.error('User store unreadable, starting empty:', error.message);
+          }
+        });
+    }
+    return this.loaded;
+  }
+
+  /**
+   * Persist users and sessions; writes are serialized so concurrent updates cannot interleave
+   * @returns {Promise<void>}
+   */
+  save() {
+    const data = JSON.stringify({
+      users: Array.from(this.users.values()),
+      sessions: Array.from(this.sessions.values())
+    });
+
+    this.saving = this.saving
+      .then(() => fs.mkdir(this.directory, { recursive: true }))
+      .then(() => fs.writeFile(this.filePath, data, { mode: 0o600 }))
+      .catch(error => console.error('User store write failed:', error.message));
+    return this.saving;
+  }
+
+  /**
+   * Number of registered users
+   * @returns {Promise<number>} - User count
+   */
+  async count() {
+    await this.load();
+    return this.users.size;
+  }
+
+  /**
+   * Find a user by id
+   * @param {string} id - User id
+   * @returns {Promise<Object|null>} - User, or null
+   */
+  async get(id) {
+    await this.load();
+    return this.users.get(id) || null;
+  }
+
+  /**
+   * Find a user by username (case-insensitive)
+   * @param {string} username - Username
+   * @returns {Promise<Object|null>} - User, or null
+   */
+  async findByUsername(username) {
+    await this.load();
+    const normalized = String(username || '').toLowerCase();
+    return Array.from(this.users.values()).find(user => user.username === normalized) || null;
+  }
+
+  /**
+   * Validate registration details
+   * @param {string} username - Requested username
+   * @param {string} password - Requested password
+   * @returns {string|null} - Error message, or null when both are acceptable
+   */
+  getCredentialsError(username, password) {
+    if (typeof username !== 'string' || !USERNAME_PATTERN.test(username.toLowerCase())) {
+      return 'Username must be 3-32 characters: letters, numbers, dots, dashes or underscores';
+    }
+
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Create a user (call getCredentialsError first). Creations run one at a time,
+   * so the checks below still hold when the account is saved.
+   * @param {string} username - Username
+   * @param {string} password - Password
+   * @param {Object} options - { firstOnly: refuse unless this is the first account }
+   * @returns {Promise<Object>} - The new user; rejects with a 403 or 409 `status` when refused
+   */
+  createUser(username, password, options = {}) {
+    const creation = this.creating.then(() => this.insertUser(username, password, options));
+    this.creating = creation.catch(() => {});
+    return creation;
+  }
+
+  /**
+   * Create a user; only called from createUser, which serializes creations
+   * @param {string} username - Username
+   * @param {string} password - Password
+   * @param {Object} options - { firstOnly }
+   * @returns {Promise<Object>} - The new user
+   */
+  async insertUser(username, password, { firstOnly = false } = {}) {
+    await this.load();
+
+    if (firstOnly && this.users.size > 0) {
+      const error = new Error('Registration is closed on this server');
+      error.status = 403;
+      throw error;
+    }
+
+    if (await this.findByUsername(username)) {
+      const error = new Error('Username is already taken');
+      error.status = 409;
+      throw error;
+    }
+
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = (await scrypt(password, salt, 64)).toString('hex');
+    const user = {
+      id: crypto.randomUUID(),
+      username: username.toLowerCase(),
+      passwordHash: `${salt}:${hash}`,
+      createdAt: new Date().toISOString(),
+      apiTokens: [],
+      driveTokens: null
+    };
+
+    this.users.set(user.id, user);
+    await this.save();
+    return user;
+  }
+
+  /**
+   * Check a username and password
+   * @param {string} username - Username
+   * @param {string} password - Password
+   * @returns {Promise<Object|null>} - The user, or null when the credentials are wrong
+   */
+  async verifyPassword(username, password) {
+    const user = await this.findByUsername(username);
+    // Hash anyway for unknown users so response timing does not reveal which usernames exist
+    const [salt, expected] = user ? user.passwordHash.split(':') : ['0'.repeat(32), '0'.repeat(128)];
+    const actual = await scrypt(String(password || ''), salt, 64);
+
+    if (!user || !crypto.timingSafeEqual(actual, Buffer.from(expected, 'hex'))) {
+      return null;
+    }
+    return user;
+  }
+
+  /**
+   * Start a login session
+   * @param {string} userId - User id
+   * @returns {Promise<Object>} - { token, expiresAt }
+   */
+  async createSession(userId) {
+    await this.load();
+    const token = createToken();
+    const session = {
+      tokenHash: hashToken(token),
+      userId,
+      createdAt: new Date().toISOString(),
+      expiresAt: new Date(Date.now() + this.sessionTtlMs).toISOString()
+    };
+
+    this.pruneSessions();
+    this.sessions.set(session.tokenHash, session);
+    await this.save();
+    return { token, expiresAt: session.expiresAt };
+  }
+
+  /**
+   * End a login session
+   * @param {string} token - Session token
+   * @returns {Promise<void>}
+   */
+  async destroySession(token) {
+    await this.load();
+    if (this.sessions.delete(hashToken(token))) {
+      await this.save();
+    }
+  }
+
+  /**
+   * Drop expired sessions (persisted with the next save)
+   */
+  pruneSessions() {
+    const now = Date.now();
+    for (const [tokenHash, session] of this.sessions) {
+      if (Date.parse(session.expiresAt) <= now) {
+        this.sessions.delete(tokenHash);
+      }
+    }
+  }
+
+  /**
+   * Resolve a session token or API token to its user
+   * @param {string} token - Raw token from a cookie or Authorization header
+   * @returns {Promise<Object|null>} - User, or null when the token is unknown or expired
+   */
+  async authenticateToken(token) {
+    if (!token) return null;
+    await this.load();
+    const tokenHash = hashToken(token);
+
+    if (token.startsWith(API_TOKEN_PREFIX)) {
+      for (const user of this.users.values()) {
+        const apiToken = user.apiTokens.find(candidate => candidate.tokenHash === tokenHash);
+        if (apiToken) {
+          apiToken.lastUsedAt = new Date().toISOString();
+          return user;
+        }
+      }
+      return null;
+    }
+
+    const session = this.sessions.get(tokenHash);
+    if (!session || Date.parse(session.expiresAt) <= Date.now()) {
+      return null;
+    }
+    return this.users.get(session.userId) || null;
+  }
+
+  /**
+   * Create an API token for scripts and other clients
+   * @param {string} userId - User id
+   * @param {string} name - Label for the token
+   * @returns {Promise<Object>} - { token, apiToken } (the raw token is only available now)
+   */
+  async createApiToken(userId, name) {
+    const user = await this.get(userId);
+    if (!user) throw new Error('User not found');
+
+    const token = `${API_TOKEN_PREFIX}${createToken()}`;
+    const apiToken = {
+      id: crypto.randomUUID(),
+      name: name || 'API token',
+      tokenHash: hashToken(token),
+      hint: token.slice(-4),
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null
+    };
+
+    user.apiTokens.push(apiToken);
+    await this.save();
+    return { token, apiToken: this.toPublicToken(apiToken) };
+  }
+
+  /**
+   * Revoke an API token
+   * @param {string} userId - User id
+   * @param {string} tokenId - API token id
+   * @returns {Promise<boolean>} - Whether the token existed
+   */
+  async revokeApiToken(userId, tokenId) {
+    const user = await this.get(userId);
+    if (!user) return false;
+
+    const remaining = user.apiTokens.filter(apiToken => apiToken.id !== tokenId);
+    if (remaining.length === user.apiTokens.length) return false;
+
+    user.apiTokens = remaining;
+    await this.save();
+    return true;
+  }
+
+  /**
+   * Store (or clear) a user's Google Drive OAuth tokens
+   * @param {string} userId - User id
+   * @param {Object|null} tokens - OAuth2 tokens
+   * @returns {Promise<void>}
+   */
+  async setDriveTokens(userId, tokens) {
+    const user = await this.get(userId);
+    if (!user) throw new Error('User not found');
+
+    // Google omits the refresh token on re-consent; keep the one we already have
+    user.driveTokens = tokens
+      ? { ...tokens, refresh_token: tokens.refresh_token || user.driveTokens?.refresh_token }
+      : null;
+    await this.save();
+  }
+
+  /**
+   * Client-facing view of an API token (no digest)
+   * @param {Object} apiToken - Stored API token
+   * @returns {Object} - Public API token record
+   */
+  toPublicToken(apiToken) {
+    const { tokenHash, ...publicToken } = apiToken;
+    return publicToken;
+  }
+
+  /**
+   * Client-facing view of a user (no secrets)
+   * @param {Object} user - User
+   * @returns {Object} - Public user record
+   */
+  toPublic(user) {
+    return {
+      id: user.id,
+      username: user.username,
+      createdAt: user.createdAt,
+      driveConnected: Boolean(user.driveTokens)
+    };
+  }
+}
+
+// Shared by the auth middleware and every router that needs the current user
+module.exports = new UserStore();
@@ -2,6 +2,12 @@ const ytdl = require('@distube/ytdl-core');
 const fs = require('fs');
 const path = require('path');
 
+// ytdl-core dumps `<timestamp>-player-script.js` into the working directory whenever it
+// fails to parse YouTube's player; keep those out of the deployment unless explicitly wanted
+if (process.env.YTDL_NO_DEBUG_FILE === undefined && !process.env.YTDL_DEBUG_PATH) {
+  process.env.YTDL_NO_DEBUG_FILE = '1';
+}
+
 class YouTubeService {
   constructor() {
     // YouTube URL patterns
@@ -73,7 +79,7 @@ class YouTubeService {
    * Download audio from YouTube video
    * @param {string} url - YouTube URL
    * @param {string} outputPath - Directory to save the audio file
-   * @param {Object} options - Download options
+   * @param {Object} options - Download options ({ quality, timeout, onProgress, signal, basename })
    * @returns {Promise<string>} - Path to downloaded audio file
    */
   async downloadAudio(url, outputPath, options = {}) {
@@ -85,9 +91,9 @@ class YouTubeService {
       const videoId = this.extractVideoId(url);
       const info = await ytdl.getInfo(videoId);
       
-      // Sanitize filename
+      // Sanitize filename (callers may choose the stored name instead)
       const title = this.sanitizeFilename(info.videoDetails.title);
-      const filename = `${title}_${videoId}.mp3`;
+      const filename = `${options.basename || `${title}_${videoId}`}.mp3`;
       const fullPath = path.join(outputPath, filename);
 
       const downloadOptions = {
@@ -99,38 +105,53 @@ class YouTubeService {
       return new Promise((resolve, reject) => {
         const stream = ytdl(url, downloadOptions);
         const writeStream = fs.createWriteStream(fullPath);
+        let timer = null;
+
+        const abort = (error) => {
+          clearTimeout(timer);
+          stream.destroy();
+          writeStream.destroy();
+          fs.unlink(fullPath, () => {});
+          reject(error);
+        };
 
         stream.pipe(writeStream);
 
         let downloadedBytes = 0;
         stream.on('progress', (chunkLength, downloaded, total) => {
           downloadedBytes = downloaded;
-          const percent = ((downloaded / total) * 100).toFixed(2);
-          console.log(`Download progress: ${percent}% (${downloaded}/${total} bytes)`);
+          const percent = (downloaded / total) * 100;
+          options.onProgress?.(percent);
+          console.log(`Download progress: ${percent.toFixed(2)}% (${downloadedBytes}/${total} bytes)`);
         });
 
         stream.on('error', (error) => {
           console.error('Download stream error:', error);
+          clearTimeout(timer);
           reject(new Error(`Download failed: ${error.message}`));
         });
 
         writeStream.on('finish', () => {
+          clearTimeout(timer);
           console.log(`Audio downloaded successfully: ${filename}`);
           resolve(fullPath);
         });
 
         writeStream.on('error', (error) => {
           console.error('Write stream error:', error);
+          clearTimeout(timer);
           reject(new Error(`File write failed: ${error.message}`));
         });
 
+        // Stop downloading when the owning job is cancelled
+        if (options.signal) {
+          if (options.signal.aborted) return abort(new Error('Job cancelled'));
+          options.signal.addEventListener('abort', () => abort(new Error('Job cancelled')), { once: true });
+        }
+
         // Set timeout for long downloads
         const timeout = options.timeout || 300000; // 5 minutes default
-        setTimeout(() => {
-          stream.destroy();
-          writeStream.destroy();
-          reject(new Error('Download timeout'));
-        }, timeout);
+        timer = setTimeout(() => abort(new Error('Download timeout')), timeout);
       });
     } catch (error) {
       throw new Error(`Audio download failed: ${error.message}`);
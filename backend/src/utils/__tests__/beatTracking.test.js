@@ -0,0 +1,52 @@
+const { analyzeTempo } = require('../beatTracking');
+
+const SAMPLE_RATE = 22050;
+
+/**
+ * Generate a click track: short decaying noise bursts on every beat
+ * @param {number} bpm - Tempo
+ * @param {number} seconds - Length
+ * @param {number} offset - Time of the first click in seconds
+ * @returns {Float32Array} - Samples
+ */
+const clickTrack = (bpm, seconds, offset = 0) => {
+  const samples = new Float32Array(seconds * SAMPLE_RATE);
+  const clickLength = Math.round(0.02 * SAMPLE_RATE);
+  // Fixed-seed noise so the test is repeatable
+  let seed = 1;
+  const noise = () => {
+    seed = (seed * 16807) % 2147483647;
+    return seed / 1073741823.5 - 1;
+  };
+
+  for (let time = offset; time < seconds; time += 60 / bpm) {
+    const start = Math.round(time * SAMPLE_RATE);
+    for (let i = 0; i < clickLength && start + i < samples.length; i++) {
+      samples[start + i] = 0.8 * noise() * Math.exp(-i / (clickLength / 4));
+    }
+  }
+  return samples;
+};
+
+describe('analyzeTempo', () => {
+  it.each([90, 120, 150])('finds the tempo of a %i BPM click track', (bpm) => {
+    const tempo = analyzeTempo(clickTrack(bpm, 20), SAMPLE_RATE);
+    expect(Math.abs(tempo.bpm - bpm)).toBeLessThan(1.5);
+    expect(tempo.beatInterval).toBeCloseTo(60 / tempo.bpm, 3);
+  });
+
+  it('places beats on the clicks', () => {
+    const offset = 0.25;
+    const { beats } = analyzeTempo(clickTrack(120, 20, offset), SAMPLE_RATE);
+
+    expect(beats.length).toBeGreaterThan(30);
+    for (const beat of beats) {
+      const fromClick = (beat - offset) % 0.5;
+      expect(Math.min(fromClick, 0.5 - fromClick)).toBeLessThan(0.03);
+    }
+  });
+
+  it('finds no pulse in silence', () => {
+    expect(analyzeTempo(new Float32Array(SAMPLE_RATE * 10), SAMPLE_RATE)).toBeNull();
+  });
+});
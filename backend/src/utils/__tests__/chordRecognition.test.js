@@ -0,0 +1,52 @@
+const { recognizeChords } = require('../chordRecognition');
+
+const NOTES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+const HOP_SECONDS = 0.1;
+
+/**
+ * Chroma frames of a chord held for a number of frames, with the overtones
+ * real instruments add (the octave lands on the note itself, the twelfth a fifth above)
+ * @param {string[]} notes - Note names
+ * @param {number} count - Number of frames
+ * @returns {Float32Array[]} - Chroma frames
+ */
+const held = (notes, count) => {
+  const frame = new Float32Array(12);
+  for (const note of notes) {
+    frame[NOTES[note]] += 1.6;
+    frame[(NOTES[note] + 7) % 12] += 0.36;
+  }
+  return Array.from({ length: count }, () => Float32Array.from(frame));
+};
+
+const recognize = (frames) => recognizeChords(frames, HOP_SECONDS, HOP_SECONDS, frames.length * HOP_SECONDS);
+
+describe('recognizeChords', () => {
+  it('labels a progression with one segment per chord', () => {
+    const frames = [
+      ...held(['C', 'E', 'G'], 20),
+      ...held(['A', 'C', 'E'], 20),
+      ...held(['F', 'A', 'C'], 20),
+      ...held(['G', 'B', 'D', 'F'], 20)
+    ];
+    const chords = recognize(frames);
+
+    expect(chords.map(chord => chord.chord)).toEqual(['C', 'Am', 'F', 'G7']);
+    expect(chords[1]).toMatchObject({ start: 2, end: 4, root: 'A', quality: 'm' });
+    expect(chords[3].end).toBe(8);
+  });
+
+  it('ignores a single passing frame', () => {
+    const frames = [...held(['C', 'E', 'G'], 10), ...held(['D', 'F', 'A'], 1), ...held(['C', 'E', 'G'], 10)];
+    expect(recognize(frames).map(chord => chord.chord)).toEqual(['C']);
+  });
+
+  it('leaves silence and noise unlabelled', () => {
+    const noise = Array.from({ length: 20 }, () => new Float32Array(12).fill(1));
+    const silence = Array.from({ length: 20 }, () => new Float32Array(12));
+    const chords = recognize([...held(['G', 'B', 'D'], 20), ...noise, ...silence]);
+
+    expect(chords.map(chord => chord.chord)).toEqual(['G', 'N']);
+    expect(chords[1]).toMatchObject({ root: null, quality: null });
+  });
+});
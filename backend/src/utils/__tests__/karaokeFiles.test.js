@@ -0,0 +1,87 @@
+const zlib = require('zlib');
+const { isKaraokeFile, resolveKaraokePackage } = require('../karaokeFiles');
+
+/**
+ * Build a ZIP archive with deflated entries
+ * @param {Object[]} entries - [{ name, data: Buffer }]
+ * @returns {Buffer} - Archive contents
+ */
+const zip = (entries) => {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const { name, data } of entries) {
+    const compressed = zlib.deflateRawSync(data);
+    const nameBytes = Buffer.from(name, 'utf8');
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(0x800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBytes.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, nameBytes, compressed);
+    centrals.push(central, nameBytes);
+    offset += local.length + nameBytes.length + compressed.length;
+  }
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, end]);
+};
+
+const file = (name, contents = name) => ({ name, data: Buffer.from(contents) });
+
+describe('isKaraokeFile', () => {
+  it('recognizes karaoke extensions regardless of case', () => {
+    expect(['song.cdg', 'SONG.KAR', 'song.mid', 'song.midi', 'pack.zip'].every(isKaraokeFile)).toBe(true);
+    expect(isKaraokeFile('song.mp3')).toBe(false);
+  });
+});
+
+describe('resolveKaraokePackage', () => {
+  it('pairs a .cdg with the audio file of the same name', () => {
+    const result = resolveKaraokePackage([file('Other.mp3'), file('Song.MP3'), file('song.cdg')]);
+    expect(result).toMatchObject({ format: 'cdg', audio: { name: 'Song.MP3' }, graphics: { name: 'song.cdg' } });
+  });
+
+  it('pairs a .cdg with the only audio file when the names differ', () => {
+    const result = resolveKaraokePackage([file('track01.mp3'), file('song.cdg')]);
+    expect(result.audio.name).toBe('track01.mp3');
+  });
+
+  it('expands a zipped MP3+G pair', () => {
+    const archive = file('pack.zip');
+    archive.data = zip([file('folder/song.mp3', 'audio'), file('folder/song.cdg', 'graphics')]);
+
+    const result = resolveKaraokePackage([archive]);
+    expect(result.format).toBe('cdg');
+    expect(result.audio).toEqual({ name: 'song.mp3', data: Buffer.from('audio') });
+    expect(result.graphics).toEqual({ name: 'song.cdg', data: Buffer.from('graphics') });
+  });
+
+  it('prefers a MIDI file', () => {
+    expect(resolveKaraokePackage([file('song.cdg'), file('song.kar')])).toEqual({ format: 'kar', midi: file('song.kar') });
+  });
+
+  it('explains what is missing', () => {
+    expect(() => resolveKaraokePackage([file('song.mp3')])).toThrow('No .cdg, .kar or .mid file');
+    expect(() => resolveKaraokePackage([file('a.mp3'), file('b.mp3'), file('song.cdg')])).toThrow('No audio file found to go with song.cdg');
+  });
+});
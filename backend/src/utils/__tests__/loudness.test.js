@@ -0,0 +1,70 @@
+const { measureLoudness, normalizationGain } = require('../loudness');
+
+const SAMPLE_RATE = 48000;
+
+/**
+ * Generate a 1 kHz sine, optionally in segments of different levels
+ * @param {Array<[number, number]>} segments - [seconds, level in dBFS] pairs
+ * @returns {Float32Array} - Samples
+ */
+const sine = (segments) => {
+  const length = segments.reduce((sum, [seconds]) => sum + seconds * SAMPLE_RATE, 0);
+  const samples = new Float32Array(length);
+  let offset = 0;
+  for (const [seconds, level] of segments) {
+    const amplitude = Math.pow(10, level / 20);
+    for (let i = 0; i < seconds * SAMPLE_RATE; i++, offset++) {
+      samples[offset] = amplitude * Math.sin(2 * Math.PI * 1000 * offset / SAMPLE_RATE);
+    }
+  }
+  return samples;
+};
+
+describe('measureLoudness', () => {
+  // Reference signals from EBU Tech 3341 / 3342
+  it('reads a stereo 1 kHz sine at -23 dBFS as -23 LUFS', () => {
+    const samples = sine([[10, -23]]);
+    const loudness = measureLoudness([samples, samples], SAMPLE_RATE);
+
+    expect(loudness.integrated).toBeCloseTo(-23, 1);
+    expect(loudness.loudnessRange).toBeCloseTo(0, 1);
+    expect(loudness.samplePeak).toBeCloseTo(-23, 1);
+    expect(loudness.truePeak).toBeCloseTo(-23, 1);
+  });
+
+  it('measures a 10 dB step as a 10 LU loudness range', () => {
+    const samples = sine([[10, -20], [10, -30]]);
+    const loudness = measureLoudness([samples, samples], SAMPLE_RATE);
+    expect(Math.abs(loudness.loudnessRange - 10)).toBeLessThanOrEqual(1);
+  });
+
+  it('gates out silence', () => {
+    const samples = sine([[10, -23], [10, -200]]);
+    // EBU Tech 3341 allows ±0.1 LU
+    expect(Math.abs(measureLoudness([samples, samples], SAMPLE_RATE).integrated + 23)).toBeLessThanOrEqual(0.1);
+  });
+
+  it('returns nulls for silent audio', () => {
+    const silence = new Float32Array(SAMPLE_RATE * 2);
+    expect(measureLoudness([silence], SAMPLE_RATE)).toEqual({
+      integrated: null,
+      loudnessRange: null,
+      truePeak: null,
+      samplePeak: null
+    });
+  });
+});
+
+describe('normalizationGain', () => {
+  it('brings the loudness to the target', () => {
+    expect(normalizationGain({ integrated: -20, truePeak: -10 }, -14, -1)).toEqual({ gain: 6, limitedByPeak: false });
+  });
+
+  it('stops short of pushing the true peak over the limit', () => {
+    expect(normalizationGain({ integrated: -20, truePeak: -3 }, -14, -1)).toEqual({ gain: 2, limitedByPeak: true });
+  });
+
+  it('leaves silent audio alone', () => {
+    expect(normalizationGain({ integrated: null, truePeak: null }, -14, -1)).toEqual({ gain: 0, limitedByPeak: false });
+  });
+});
@@ -0,0 +1,65 @@
+const { midiToNoteName, analyzeMelodyRange, rankTranspositions } = require('../melodyRange');
+
+const SAMPLE_RATE = 22050;
+
+/**
+ * Synthesize a sung-like melody: each note held with decaying harmonics
+ * @param {number[]} notes - MIDI notes
+ * @param {number} noteSeconds - How long each note is held
+ * @returns {Float32Array} - Samples
+ */
+const melody = (notes, noteSeconds) => {
+  const noteLength = Math.round(noteSeconds * SAMPLE_RATE);
+  const samples = new Float32Array(notes.length * noteLength);
+  notes.forEach((note, index) => {
+    const frequency = 440 * Math.pow(2, (note - 69) / 12);
+    for (let i = 0; i < noteLength; i++) {
+      let value = 0;
+      for (let harmonic = 1; harmonic <= 5; harmonic++) {
+        value += Math.pow(0.6, harmonic - 1) * Math.sin(2 * Math.PI * frequency * harmonic * i / SAMPLE_RATE);
+      }
+      samples[index * noteLength + i] = 0.3 * value;
+    }
+  });
+  return samples;
+};
+
+describe('midiToNoteName', () => {
+  it('names notes with their octave', () => {
+    expect(midiToNoteName(60)).toBe('C4');
+    expect(midiToNoteName(57)).toBe('A3');
+    expect(midiToNoteName(70.4)).toBe('Bb4');
+    expect(midiToNoteName(23)).toBe('B0');
+  });
+});
+
+describe('analyzeMelodyRange', () => {
+  it('reads the lowest, highest and middle notes of a melody', () => {
+    // A3 to A4 and back, with the middle notes sung most
+    const range = analyzeMelodyRange(melody([57, 60, 62, 64, 64, 65, 64, 64, 62, 69, 60], 0.5), SAMPLE_RATE);
+
+    expect(range).toMatchObject({ lowest: 57, highest: 69, median: 64, lowestNote: 'A3', highestNote: 'A4' });
+    expect(range.voicedSeconds).toBeGreaterThan(4);
+  });
+
+  it('finds no range in too little singing', () => {
+    expect(analyzeMelodyRange(melody([60, 62], 0.5), SAMPLE_RATE)).toBeNull();
+    expect(analyzeMelodyRange(new Float32Array(SAMPLE_RATE * 5), SAMPLE_RATE)).toBeNull();
+  });
+});
+
+describe('rankTranspositions', () => {
+  const shifts = Array.from({ length: 25 }, (_, i) => i - 12);
+
+  it('puts the melody in range, centred, with the smallest shift on ties', () => {
+    const ranked = rankTranspositions({ lowest: 60, highest: 72, median: 66 }, { lowest: 53, highest: 67 }, shifts);
+
+    expect(ranked[0]).toEqual({ semitones: -6, lowest: 54, highest: 66, outOfRange: 0, fits: true });
+    expect(ranked.slice(1, 3).map(rank => rank.semitones)).toEqual([-5, -7]);
+  });
+
+  it('keeps as much of a too-wide melody in range as it can', () => {
+    const [best] = rankTranspositions({ lowest: 50, highest: 74, median: 62 }, { lowest: 55, highest: 72 }, shifts);
+    expect(best).toMatchObject({ outOfRange: 7, fits: false });
+  });
+});
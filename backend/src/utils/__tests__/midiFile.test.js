@@ -0,0 +1,125 @@
+const { parseMidi, collectNotes, extractLyrics } = require('../midiFile');
+
+const TICKS_PER_QUARTER = 480;
+
+/**
+ * Encode a MIDI variable-length quantity
+ * @param {number} value - Value
+ * @returns {number[]} - Bytes
+ */
+const varLength = (value) => {
+  const bytes = [value & 0x7f];
+  while ((value >>= 7) > 0) bytes.unshift((value & 0x7f) | 0x80);
+  return bytes;
+};
+
+/**
+ * Build an MTrk chunk from [tick, ...eventBytes] entries in time order
+ * @param {Array<Array>} events - Absolute tick, then the event's bytes
+ * @returns {Buffer} - Track chunk
+ */
+const track = (events) => {
+  const endTick = events.length ? events[events.length - 1][0] : 0;
+  let lastTick = 0;
+  const bytes = [];
+  for (const [tick, ...event] of [...events, [endTick, 0xff, 0x2f, 0x00]]) {
+    bytes.push(...varLength(tick - lastTick), ...event);
+    lastTick = tick;
+  }
+  const header = Buffer.alloc(8);
+  header.write('MTrk', 0, 'latin1');
+  header.writeUInt32BE(bytes.length, 4);
+  return Buffer.concat([header, Buffer.from(bytes)]);
+};
+
+/**
+ * Build a format 1 MIDI file
+ * @param {Buffer[]} tracks - Track chunks
+ * @param {number} division - Header time division
+ * @returns {Buffer} - File contents
+ */
+const midiFile = (tracks, division = TICKS_PER_QUARTER) => {
+  const header = Buffer.alloc(14);
+  header.write('MThd', 0, 'latin1');
+  header.writeUInt32BE(6, 4);
+  header.writeUInt16BE(1, 8);
+  header.writeUInt16BE(tracks.length, 10);
+  header.writeUInt16BE(division, 12);
+  return Buffer.concat([header, ...tracks]);
+};
+
+const text = (tick, value, metaType = 0x01) => [tick, 0xff, metaType, ...varLength(value.length), ...Buffer.from(value, 'latin1')];
+const tempo = (tick, microseconds) => [tick, 0xff, 0x51, 0x03, (microseconds >> 16) & 0xff, (microseconds >> 8) & 0xff, microseconds & 0xff];
+
+describe('parseMidi', () => {
+  it('rejects files that are not MIDI', () => {
+    expect(() => parseMidi(Buffer.from('RIFF0000WAVEfmt '))).toThrow('Not a MIDI file');
+  });
+
+  it('rejects SMPTE time division', () => {
+    expect(() => parseMidi(midiFile([track([])], 0xe728))).toThrow('SMPTE');
+  });
+
+  it('reads the header and every track', () => {
+    const midi = parseMidi(midiFile([track([tempo(0, 500000)]), track([[0, 0x90, 60, 100]])]));
+    expect(midi).toMatchObject({ format: 1, ticksPerQuarter: TICKS_PER_QUARTER });
+    expect(midi.tracks).toHaveLength(2);
+    expect(midi.tracks[1][0]).toEqual({ tick: 0, type: 'note', channel: 0, note: 60, velocity: 100 });
+  });
+});
+
+describe('collectNotes', () => {
+  it('times notes through tempo changes, with running status and program changes', () => {
+    const midi = parseMidi(midiFile([
+      // 60 BPM for the first quarter, then 120 BPM
+      track([tempo(0, 1000000), tempo(480, 500000)]),
+      track([
+        [0, 0xc1, 5],
+        [0, 0x91, 60, 100],
+        [480, 62, 90], // running status: note on 62
+        [480, 60, 0], // note on with velocity 0 ends 60
+        [960, 0x81, 62, 0]
+      ])
+    ]));
+
+    expect(collectNotes(midi)).toEqual([
+      { start: 0, end: 1, note: 60, velocity: 100, channel: 1, program: 5 },
+      { start: 1, end: 1.5, note: 62, velocity: 90, channel: 1, program: 5 }
+    ]);
+  });
+});
+
+describe('extractLyrics', () => {
+  it('builds lines and words from .kar text events', () => {
+    const midi = parseMidi(midiFile([track([
+      text(0, '@TSong'),
+      text(0, '@TSinger'),
+      text(0, '/Hel'),
+      text(240, 'lo '),
+      text(480, 'world'),
+      text(960, '\\Sec'),
+      text(1200, 'ond')
+    ])]));
+
+    expect(extractLyrics(midi)).toEqual({
+      tags: { ti: 'Song', ar: 'Singer' },
+      lines: [
+        { time: 0, text: 'Hello world', words: [{ time: 0, text: 'Hello' }, { time: 0.5, text: 'world' }] },
+        { time: 1, text: 'Second', words: [{ time: 1, text: 'Second' }] }
+      ]
+    });
+  });
+
+  it('breaks lines after lyric events ending in a newline', () => {
+    const midi = parseMidi(midiFile([track([
+      text(0, 'One\r', 0x05),
+      text(480, 'Two', 0x05)
+    ])]));
+
+    expect(extractLyrics(midi).lines.map(line => line.text)).toEqual(['One', 'Two']);
+  });
+
+  it('returns null without lyrics', () => {
+    expect(extractLyrics(parseMidi(midiFile([track([[0, 0x90, 60, 100]])])))).toBeNull();
+  });
+});
@@ -0,0 +1,66 @@
+const { resample, pitchShift } = require('../phaseVocoder');
+
+const SAMPLE_RATE = 44100;
+
+/**
+ * Generate a sine tone
+ * @param {number} frequency - Frequency in Hz
+ * @param {number} length - Length in samples
+ * @returns {Float32Array} - Samples with peak amplitude 1
+ */
+const tone = (frequency, length) => Float32Array.from(
+  { length },
+  (_, i) => Math.sin(2 * Math.PI * frequency * i / SAMPLE_RATE)
+);
+
+/**
+ * Measure the amplitude of one frequency over the middle of a signal,
+ * skipping the ends where the kernels run out of input
+ * @param {Float32Array} samples - Signal
+ * @param {number} frequency - Frequency in Hz
+ * @returns {number} - Amplitude of that frequency
+ */
+const toneLevel = (samples, frequency) => {
+  const start = Math.floor(samples.length / 4);
+  const end = start + Math.floor(samples.length / 2);
+  let re = 0;
+  let im = 0;
+  for (let i = start; i < end; i++) {
+    const phase = 2 * Math.PI * frequency * i / SAMPLE_RATE;
+    re += samples[i] * Math.cos(phase);
+    im += samples[i] * Math.sin(phase);
+  }
+  return 2 * Math.hypot(re, im) / (end - start);
+};
+
+describe('resample', () => {
+  it('returns the requested length', () => {
+    expect(resample(tone(440, 1000), 2)).toHaveLength(500);
+    expect(resample(tone(440, 1000), 0.5, 1500)).toHaveLength(1500);
+  });
+
+  it('keeps tones below the new Nyquist frequency', () => {
+    const output = resample(tone(2000, SAMPLE_RATE / 4), 2);
+    // Read twice as fast, 2 kHz plays back as 4 kHz
+    expect(toneLevel(output, 4000)).toBeCloseTo(1, 2);
+  });
+
+  it('filters out tones that would alias when decimating', () => {
+    // 15 kHz read twice as fast is 30 kHz, which folds back to 14.1 kHz
+    const output = resample(tone(15000, SAMPLE_RATE / 4), 2);
+    expect(toneLevel(output, SAMPLE_RATE - 30000)).toBeLessThan(0.01);
+    expect(Math.max(...output.slice(1000, -1000).map(Math.abs))).toBeLessThan(0.01);
+  });
+});
+
+describe('pitchShift', () => {
+  it('moves a tone up a fifth without changing the length', () => {
+    const ratio = Math.pow(2, 7 / 12);
+    const input = tone(440, SAMPLE_RATE / 2);
+    const output = pitchShift(input, ratio);
+
+    expect(output).toHaveLength(input.length);
+    expect(toneLevel(output, 440 * ratio)).toBeGreaterThan(0.5);
+    expect(toneLevel(output, 440)).toBeLessThan(0.05);
+  });
+});
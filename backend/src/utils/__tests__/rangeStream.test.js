@@ -0,0 +1,135 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const express = require('express');
+const { sendFileWithRanges, parseRange } = require('../rangeStream');
+
+const CONTENT = 'abcdefghijklmnopqrstuvwxyz0123456789';
+
+describe('sendFileWithRanges', () => {
+  let directory;
+  let server;
+  let url;
+
+  /**
+   * Request the test file
+   * @param {Object} headers - Request headers
+   * @param {string} method - HTTP method
+   * @returns {Promise<Object>} - { status, headers, body }
+   */
+  const request = async (headers = {}, method = 'GET') => {
+    const response = await fetch(url, { method, headers });
+    return { status: response.status, headers: response.headers, body: await response.text() };
+  };
+
+  beforeAll(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'range-stream-'));
+    const filePath = path.join(directory, 'song.mp3');
+    await fs.writeFile(filePath, CONTENT);
+
+    const app = express();
+    app.all('/song', (req, res, next) => {
+      sendFileWithRanges(req, res, filePath, { contentType: 'audio/mpeg' }).catch(next);
+    });
+
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    url = `http://127.0.0.1:${server.address().port}/song`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  it('sends the whole file without a Range header', async () => {
+    const response = await request();
+    expect(response.status).toBe(200);
+    expect(response.body).toBe(CONTENT);
+    expect(response.headers.get('accept-ranges')).toBe('bytes');
+    expect(response.headers.get('content-length')).toBe(String(CONTENT.length));
+  });
+
+  it('sends a single range', async () => {
+    const response = await request({ Range: 'bytes=2-5' });
+    expect(response.status).toBe(206);
+    expect(response.body).toBe('cdef');
+    expect(response.headers.get('content-range')).toBe(`bytes 2-5/${CONTENT.length}`);
+    expect(response.headers.get('content-type')).toBe('audio/mpeg');
+  });
+
+  it('sends open-ended and suffix ranges', async () => {
+    expect((await request({ Range: 'bytes=30-' })).body).toBe('456789');
+    expect((await request({ Range: 'bytes=-3' })).body).toBe('789');
+  });
+
+  it('sends several ranges as multipart/byteranges', async () => {
+    const response = await request({ Range: 'bytes=0-1, 10-12' });
+    expect(response.status).toBe(206);
+
+    const boundary = /boundary=(\w+)/.exec(response.headers.get('content-type'))[1];
+    expect(response.headers.get('content-length')).toBe(String(Buffer.byteLength(response.body)));
+    expect(response.body).toContain(`--${boundary}\r\nContent-Type: audio/mpeg\r\nContent-Range: bytes 0-1/${CONTENT.length}\r\n\r\nab`);
+    expect(response.body).toContain(`Content-Range: bytes 10-12/${CONTENT.length}\r\n\r\nklm`);
+    expect(response.body.endsWith(`\r\n--${boundary}--\r\n`)).toBe(true);
+  });
+
+  it('merges overlapping ranges into one', async () => {
+    const response = await request({ Range: 'bytes=0-3, 2-6' });
+    expect(response.status).toBe(206);
+    expect(response.body).toBe('abcdefg');
+  });
+
+  it('answers 416 when no range is satisfiable', async () => {
+    const response = await request({ Range: `bytes=${CONTENT.length}-` });
+    expect(response.status).toBe(416);
+    expect(response.headers.get('content-range')).toBe(`bytes */${CONTENT.length}`);
+  });
+
+  it('honours a Range when If-Range matches the current ETag or date', async () => {
+    const { headers } = await request();
+
+    const byETag = await request({ Range: 'bytes=0-2', 'If-Range': headers.get('etag') });
+    expect(byETag.status).toBe(206);
+    expect(byETag.body).toBe('abc');
+
+    const byDate = await request({ Range: 'bytes=0-2', 'If-Range': headers.get('last-modified') });
+    expect(byDate.status).toBe(206);
+  });
+
+  it('sends the whole file when If-Range is stale or weak', async () => {
+    const stale = await request({ Range: 'bytes=0-2', 'If-Range': '"0-0"' });
+    expect(stale.status).toBe(200);
+    expect(stale.body).toBe(CONTENT);
+
+    const { headers } = await request();
+    const weak = await request({ Range: 'bytes=0-2', 'If-Range': `W/${headers.get('etag')}` });
+    expect(weak.status).toBe(200);
+  });
+
+  it('answers conditional requests with 304 and 412', async () => {
+    const { headers } = await request();
+    expect((await request({ 'If-None-Match': headers.get('etag') })).status).toBe(304);
+    expect((await request({ 'If-Match': '"0-0"' })).status).toBe(412);
+  });
+
+  it('sends headers only for HEAD', async () => {
+    const response = await request({ Range: 'bytes=0-9' }, 'HEAD');
+    expect(response.status).toBe(206);
+    expect(response.headers.get('content-length')).toBe('10');
+    expect(response.body).toBe('');
+  });
+});
+
+describe('parseRange', () => {
+  it('ignores malformed headers and other units', () => {
+    expect(parseRange('items=0-5', 100)).toBeNull();
+    expect(parseRange('bytes=5-2', 100)).toBeNull();
+    expect(parseRange('bytes=-', 100)).toBeNull();
+  });
+
+  it('clamps ranges to the file size', () => {
+    expect(parseRange('bytes=90-200', 100)).toEqual([{ start: 90, end: 99 }]);
+  });
+});
@@ -0,0 +1,259 @@
+const path = require('path');
+
+/**
+ * Output formats accepted by the processing routes.
+ * `sampleRates` lists what the encoder accepts (null = anything);
+ * `maxChannels` caps the channel count the encoder can write;
+ * `probedCodec` is the codec name ffprobe reports for the encoder's output.
+ */
+const OUTPUT_FORMATS = {
+  mp3: {
+    extension: '.mp3',
+    mimeType: 'audio/mpeg',
+    container: 'mp3',
+    codec: 'libmp3lame',
+    probedCodec: 'mp3',
+    lossless: false,
+    bitrates: [96, 128, 160, 192, 256, 320],
+    defaultBitrate: 128,
+    sampleRates: [8000, 11025, 12000, 16000, 22050, 24000, 32000, 44100, 48000],
+    maxChannels: 2
+  },
+  aac: {
+    extension: '.m4a',
+    mimeType: 'audio/mp4',
+    container: 'ipod',
+    codec: 'aac',
+    probedCodec: 'aac',
+    lossless: false,
+    bitrates: [96, 128, 160, 192, 256, 320],
+    defaultBitrate: 192,
+    sampleRates: [8000, 11025, 12000, 16000, 22050, 24000, 32000, 44100, 48000, 64000, 88200, 96000],
+    maxChannels: 8
+  },
+  opus: {
+    extension: '.ogg',
+    mimeType: 'audio/ogg',
+    container: 'ogg',
+    codec: 'libopus',
+    probedCodec: 'opus',
+    lossless: false,
+    bitrates: [64, 96, 128, 160, 192, 256],
+    defaultBitrate: 160,
+    sampleRates: [8000, 12000, 16000, 24000, 48000],
+    maxChannels: 8
+  },
+  flac: {
+    extension: '.flac',
+    mimeType: 'audio/flac',
+    container: 'flac',
+    codec: 'flac',
+    probedCodec: 'flac',
+    lossless: true,
+    bitDepths: [16, 24],
+    defaultBitDepth: 16,
+    sampleRates: null,
+    maxChannels: 8
+  },
+  wav: {
+    extension: '.wav',
+    mimeType: 'audio/wav',
+    container: 'wav',
+    codec: 'pcm_s16le',
+    probedCodec: null, // pcm_s16le or pcm_s24le, by bit depth
+    lossless: true,
+    bitDepths: [16, 24],
+    defaultBitDepth: 16,
+    sampleRates: null,
+    maxChannels: 8
+  }
+};
+
+// How far (fraction) a probed stream bitrate may be from a CBR setting and still match it
+const BITRATE_TOLERANCE = 0.02;
+
+// MIME types for every extension we serve, including upload-only formats
+const MIME_TYPES = {
+  '.mp3': 'audio/mpeg',
+  '.m4a': 'audio/mp4',
+  '.mp4': 'audio/mp4',
+  '.aac': 'audio/aac',
+  '.ogg': 'audio/ogg',
+  '.oga': 'audio/ogg',
+  '.opus': 'audio/ogg',
+  '.flac': 'audio/flac',
+  '.wav': 'audio/wav'
+};
+
+/**
+ * Validate an `output` option from a request body
+ * @param {Object} output - { format, bitrate, vbr, bitDepth }
+ * @returns {string|null} - Error message, or null when the options are valid
+ */
+function getOutputError(output) {
+  if (output === undefined || output === null) return null;
+
+  if (typeof output !== 'object') {
+    return 'Output must be an object such as { "format": "flac" }';
+  }
+
+  const format = OUTPUT_FORMATS[output.format || 'mp3'];
+  if (!format) {
+    return `Output format must be one of: ${Object.keys(OUTPUT_FORMATS).join(', ')}`;
+  }
+
+  if (output.bitrate !== undefined) {
+    if (!format.bitrates) {
+      return `Bitrate does not apply to lossless ${output.format} output`;
+    }
+    if (!format.bitrates.includes(output.bitrate)) {
+      return `Bitrate must be one of: ${format.bitrates.join(', ')} (kbps)`;
+    }
+  }
+
+  if (output.vbr !== undefined) {
+    if (output.format && output.format !== 'mp3') {
+      return 'VBR quality applies to mp3 output only';
+    }
+    if (!Number.isInteger(output.vbr) || output.vbr < 0 || output.vbr > 9) {
+      return 'VBR quality must be an integer from 0 (best) to 9';
+    }
+  }
+
+  if (output.bitDepth !== undefined) {
+    if (!format.bitDepths) {
+      return `Bit depth applies to lossless output (${Object.keys(OUTPUT_FORMATS).filter(name => OUTPUT_FORMATS[name].lossless).join(', ')}) only`;
+    }
+    if (!format.bitDepths.includes(output.bitDepth)) {
+      return `Bit depth must be one of: ${format.bitDepths.join(', ')}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Fill in defaults for an output option (call after getOutputError)
+ * @param {Object} output - { format, bitrate, vbr, bitDepth }
+ * @returns {Object} - Normalized output settings
+ */
+function normalizeOutput(output = {}) {
+  const name = (output && output.format) || 'mp3';
+  const format = OUTPUT_FORMATS[name];
+
+  if (format.lossless) {
+    return { format: name, bitDepth: output.bitDepth || format.defaultBitDepth };
+  }
+
+  if (name === 'mp3' && output.vbr !== undefined) {
+    return { format: name, vbr: output.vbr };
+  }
+
+  return { format: name, bitrate: output.bitrate || format.defaultBitrate };
+}
+
+/**
+ * Pick the closest sample rate an encoder supports, preferring the source rate
+ * @param {number[]|null} supported - Supported rates (null = any)
+ * @param {number} sampleRate - Source sample rate
+ * @returns {number} - Sample rate to encode at
+ */
+function chooseSampleRate(supported, sampleRate) {
+  if (!supported || supported.includes(sampleRate)) return sampleRate;
+
+  // Prefer the lowest supported rate at or above the source, so nothing is lost
+  const higher = supported.filter(rate => rate >= sampleRate);
+  return higher.length > 0 ? Math.min(...higher) : Math.max(...supported);
+}
+
+/**
+ * Apply encoder settings to a fluent-ffmpeg command, keeping the source
+ * sample rate and channel layout unless the encoder cannot write them
+ * @param {Object} command - fluent-ffmpeg command
+ * @param {Object} output - Normalized output settings
+ * @param {Object} source - { sampleRate, channels } of the audio being encoded
+ * @returns {Object} - The command
+ */
+function applyOutputFormat(command, output, source = {}) {
+  const format = OUTPUT_FORMATS[output.format];
+
+  command.format(format.container);
+
+  if (format.lossless) {
+    const codec = output.format === 'wav' ? `pcm_s${output.bitDepth}le` : format.codec;
+    command.audioCodec(codec);
+    if (output.format === 'flac') {
+      command.outputOptions([`-sample_fmt ${output.bitDepth === 24 ? 's32' : 's16'}`]);
+    }
+  } else {
+    command.audioCodec(format.codec);
+    if (output.vbr !== undefined) {
+      command.outputOptions([`-q:a ${output.vbr}`]);
+    } else {
+      command.audioBitrate(`${output.bitrate}k`);
+    }
+  }
+
+  if (source.sampleRate) {
+    command.audioFrequency(chooseSampleRate(format.sampleRates, source.sampleRate));
+  }
+
+  if (source.channels) {
+    command.audioChannels(Math.min(source.channels, format.maxChannels));
+  }
+
+  return command;
+}
+
+/**
+ * Check whether probed audio is already encoded the way an output asks for
+ * (same codec and bitrate or bit depth), so it can be used without re-encoding.
+ * VBR settings can't be read back from a file, so they never match.
+ * @param {Object} metadata - From AudioProcessor.getAudioMetadata
+ * @param {Object} output - Normalized output settings
+ * @returns {boolean} - Whether the audio matches the output settings
+ */
+function isEncodedAs(metadata, output) {
+  const format = OUTPUT_FORMATS[output.format];
+
+  if (format.lossless) {
+    const codec = output.format === 'wav' ? `pcm_s${output.bitDepth}le` : format.probedCodec;
+    return metadata.codec === codec && metadata.bitDepth === output.bitDepth;
+  }
+
+  if (output.vbr !== undefined || metadata.codec !== format.probedCodec || !metadata.streamBitrate) {
+    return false;
+  }
+  const requested = output.bitrate * 1000;
+  return Math.abs(metadata.streamBitrate - requested) <= requested * BITRATE_TOLERANCE;
+}
+
+/**
+ * Replace a filename's extension with the one for an output format
+ * @param {string} filename - Original filename
+ * @param {Object} output - Normalized output settings
+ * @returns {string} - Filename with the output extension
+ */
+function withOutputExtension(filename, output) {
+  const parsed = path.parse(filename);
+  return `${parsed.name}${OUTPUT_FORMATS[output.format].extension}`;
+}
+
+/**
+ * MIME type for a stored audio file, from its extension
+ * @param {string} filename - File name
+ * @returns {string} - MIME type
+ */
+function getMimeType(filename) {
+  return MIME_TYPES[path.extname(filename).toLowerCase()] || 'application/octet-stream';
+}
+
+module.exports = {
+  OUTPUT_FORMATS,
+  getOutputError,
+  normalizeOutput,
+  applyOutputFormat,
+  isEncodedAs,
+  withOutputExtension,
+  getMimeType
+};
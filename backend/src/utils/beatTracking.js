@@ -0,0 +1,223 @@
+/**
+ * Tempo estimation and beat tracking.
+ * A spectral-flux onset envelope is autocorrelated to find the beat period
+ * (weighted towards moderate tempos, so 60 vs 120 vs 240 BPM ambiguities
+ * resolve like a listener would), then beats are placed with dynamic
+ * programming: each beat sits on a strong onset about one period after the
+ * previous one (Ellis, "Beat Tracking by Dynamic Programming", 2007).
+ */
+const { fft, hannWindow } = require('./dsp');
+
+// Tempo search range and the prior's centre (BPM)
+const MIN_BPM = 40;
+const MAX_BPM = 220;
+const PRIOR_CENTER_BPM = 120;
+const PRIOR_OCTAVE_WIDTH = 1; // Standard deviation of the prior, in octaves
+
+// Onset analysis frames (samples at the analysis rate)
+const FRAME_SIZE = 1024;
+const HOP_SIZE = 128;
+
+// How strongly beats are held to the estimated period (higher = stricter grid)
+const TIGHTNESS = 100;
+
+/**
+ * Onset strength envelope: half-wave rectified change of the log spectrum
+ * @param {Float32Array} samples - Mono PCM samples
+ * @param {number} sampleRate - Sample rate of the samples
+ * @param {Object} options - { frameSize, hopSize }
+ * @returns {Object} - { envelope: Float64Array, frameRate } (envelope frames per second)
+ */
+function onsetEnvelope(samples, sampleRate, options = {}) {
+  const frameSize = options.frameSize || FRAME_SIZE;
+  const hopSize = options.hopSize || HOP_SIZE;
+  const bins = frameSize / 2;
+  const window = hannWindow(frameSize);
+  const frameCount = Math.max(0, Math.floor((samples.length - frameSize) / hopSize) + 1);
+
+  const re = new Float64Array(frameSize);
+  const im = new Float64Array(frameSize);
+  let previous = new Float64Array(bins);
+  let current = new Float64Array(bins);
+  const flux = new Float64Array(frameCount);
+
+  for (let frame = 0; frame < frameCount; frame++) {
+    const start = frame * hopSize;
+    for (let i = 0; i < frameSize; i++) {
+      re[i] = samples[start + i] * window[i];
+      im[i] = 0;
+    }
+    fft(re, im);
+
+    let sum = 0;
+    for (let bin = 1; bin < bins; bin++) {
+      // Log compression so quiet onsets count next to loud sustained notes
+      current[bin] = Math.log1p(100 * Math.sqrt(re[bin] * re[bin] + im[bin] * im[bin]));
+      const rise = current[bin] - previous[bin];
+      if (frame > 0 && rise > 0) sum += rise;
+    }
+    flux[frame] = sum;
+    [previous, current] = [current, previous];
+  }
+
+  // Remove the slowly varying part (crescendos, dense passages) and keep the peaks
+  const frameRate = sampleRate / hopSize;
+  const radius = Math.max(1, Math.round(frameRate * 0.25));
+  const envelope = new Float64Array(frameCount);
+  let windowSum = 0;
+  let windowCount = 0;
+  for (let i = 0; i < Math.min(radius, frameCount); i++) {
+    windowSum += flux[i];
+    windowCount++;
+  }
+  for (let i = 0; i < frameCount; i++) {
+    if (i + radius < frameCount) {
+      windowSum += flux[i + radius];
+      windowCount++;
+    }
+    if (i - radius - 1 >= 0) {
+      windowSum -= flux[i - radius - 1];
+      windowCount--;
+    }
+    envelope[i] = Math.max(0, flux[i] - windowSum / windowCount);
+  }
+
+  // Unit standard deviation, so the DP tightness means the same for every song
+  const mean = envelope.reduce((sum, value) => sum + value, 0) / (frameCount || 1);
+  const variance = envelope.reduce((sum, value) => sum + (value - mean) * (value - mean), 0) / (frameCount || 1);
+  const deviation = Math.sqrt(variance);
+  if (deviation > 0) {
+    for (let i = 0; i < frameCount; i++) envelope[i] /= deviation;
+  }
+
+  return { envelope, frameRate };
+}
+
+/**
+ * Estimate the beat period from the onset envelope's autocorrelation
+ * @param {Float64Array} envelope - Onset envelope
+ * @param {number} frameRate - Envelope frames per second
+ * @returns {Object|null} - { bpm, period (frames, fractional), confidence }, or null
+ *   when the envelope is too short or has no periodicity
+ */
+function estimateTempo(envelope, frameRate) {
+  const minLag = Math.floor((60 * frameRate) / MAX_BPM);
+  const maxLag = Math.ceil((60 * frameRate) / MIN_BPM);
+  if (envelope.length < maxLag * 4) return null;
+
+  const autocorrelation = new Float64Array(maxLag + 2);
+  for (let lag = minLag - 1; lag <= maxLag + 1; lag++) {
+    let sum = 0;
+    for (let i = lag; i < envelope.length; i++) sum += envelope[i] * envelope[i - lag];
+    // Unbiased: longer lags overlap fewer frames
+    autocorrelation[lag] = sum / (envelope.length - lag);
+  }
+
+  // Log-Gaussian prior over tempo centred on PRIOR_CENTER_BPM
+  const scores = new Float64Array(maxLag + 2);
+  let best = -1;
+  for (let lag = minLag; lag <= maxLag; lag++) {
+    const bpm = (60 * frameRate) / lag;
+    const octaves = Math.log2(bpm / PRIOR_CENTER_BPM) / PRIOR_OCTAVE_WIDTH;
+    scores[lag] = Math.max(0, autocorrelation[lag]) * Math.exp(-0.5 * octaves * octaves);
+    if (best < 0 || scores[lag] > scores[best]) best = lag;
+  }
+  if (scores[best] <= 0) return null;
+
+  // Parabolic interpolation between neighbouring lags for sub-frame precision
+  const [a, b, c] = [autocorrelation[best - 1], autocorrelation[best], autocorrelation[best + 1]];
+  const denominator = a - 2 * b + c;
+  const shift = denominator < 0 ? Math.max(-0.5, Math.min(0.5, (0.5 * (a - c)) / denominator)) : 0;
+  const period = best + shift;
+
+  // How far the chosen peak stands out from the rest of the tempo range
+  let total = 0;
+  for (let lag = minLag; lag <= maxLag; lag++) total += scores[lag];
+  const mean = total / (maxLag - minLag + 1);
+  const confidence = Math.max(0, Math.min(1, (scores[best] - mean) / scores[best]));
+
+  return {
+    bpm: (60 * frameRate) / period,
+    period,
+    confidence
+  };
+}
+
+/**
+ * Place beats on the onset envelope with dynamic programming
+ * @param {Float64Array} envelope - Onset envelope
+ * @param {number} period - Beat period in frames
+ * @returns {number[]} - Beat positions in frames
+ */
+function trackBeats(envelope, period) {
+  const length = envelope.length;
+  const score = new Float64Array(length);
+  const backlink = new Int32Array(length).fill(-1);
+  const searchStart = Math.round(period / 2);
+  const searchEnd = Math.round(period * 2);
+
+  for (let t = 0; t < length; t++) {
+    let bestScore = 0;
+    let bestPrevious = -1;
+    for (let distance = searchStart; distance <= searchEnd && distance <= t; distance++) {
+      const deviation = Math.log(distance / period);
+      const candidate = score[t - distance] - TIGHTNESS * deviation * deviation;
+      if (bestPrevious < 0 || candidate > bestScore) {
+        bestScore = candidate;
+        bestPrevious = t - distance;
+      }
+    }
+    // Starting a new chain is only better than extending one near the beginning
+    if (bestPrevious >= 0 && bestScore > 0) {
+      score[t] = envelope[t] + bestScore;
+      backlink[t] = bestPrevious;
+    } else {
+      score[t] = envelope[t];
+    }
+  }
+
+  // End on the best-scoring frame within the last period
+  let last = Math.max(0, length - Math.round(period));
+  for (let t = last; t < length; t++) {
+    if (score[t] > score[last]) last = t;
+  }
+
+  const beats = [];
+  for (let t = last; t >= 0; t = backlink[t]) {
+    beats.push(t);
+  }
+  return beats.reverse();
+}
+
+/**
+ * Estimate tempo and a beat grid from mono PCM
+ * @param {Float32Array} samples - Mono PCM samples
+ * @param {number} sampleRate - Sample rate of the samples
+ * @returns {Object|null} - { bpm, confidence, beatInterval (seconds), beats (seconds) },
+ *   or null when no steady pulse is found
+ */
+function analyzeTempo(samples, sampleRate) {
+  const { envelope, frameRate } = onsetEnvelope(samples, sampleRate);
+  const tempo = estimateTempo(envelope, frameRate);
+  if (!tempo) return null;
+
+  // An onset raises the flux most while it passes the steepest part of the window's
+  // falling half, three quarters into the frame
+  const latency = (0.75 * FRAME_SIZE) / sampleRate;
+  const beats = trackBeats(envelope, tempo.period)
+    .map(frame => Number((frame / frameRate + latency).toFixed(3)));
+
+  return {
+    bpm: Number(tempo.bpm.toFixed(1)),
+    confidence: Number(tempo.confidence.toFixed(3)),
+    beatInterval: Number((60 / tempo.bpm).toFixed(4)),
+    beats
+  };
+}
+
+module.exports = {
+  onsetEnvelope,
+  estimateTempo,
+  trackBeats,
+  analyzeTempo
+};
@@ -0,0 +1,188 @@
+/**
+ * Chord recognition from a chromagram.
+ * Every frame is scored against chord templates (cosine similarity), then a
+ * Viterbi pass picks the best chord sequence with a fixed cost per chord
+ * change, so passing notes and drum hits don't make the labels flicker.
+ */
+
+// Root names, same spelling as detected keys (index 0 = C)
+const ROOT_NAMES = ['C', 'C#', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B'];
+
+// Chord qualities: suffix, intervals above the root and a small score handicap so
+// richer chords only win when their extra notes are really there
+const CHORD_QUALITIES = [
+  { suffix: '', intervals: [0, 4, 7], handicap: 0 },
+  { suffix: 'm', intervals: [0, 3, 7], handicap: 0 },
+  { suffix: '7', intervals: [0, 4, 7, 10], handicap: 0.03 },
+  { suffix: 'maj7', intervals: [0, 4, 7, 11], handicap: 0.03 },
+  { suffix: 'm7', intervals: [0, 3, 7, 10], handicap: 0.03 },
+  { suffix: 'dim', intervals: [0, 3, 6], handicap: 0.05 },
+  { suffix: 'sus4', intervals: [0, 5, 7], handicap: 0.05 }
+];
+
+// Instrument notes also put energy on their overtones (harmonics 1-4 land on the
+// pitch class itself and a fifth above); templates include them so e.g. the fifth
+// of a C chord's E (a B) isn't mistaken for a major seventh
+const HARMONICS = 4;
+const HARMONIC_DECAY = 0.6;
+
+// "No chord" is scored like a template with energy in every pitch class (noise,
+// drums, speech), so frames that look flatter than any chord are left unlabelled
+const NO_CHORD_TEMPLATE_VALUE = 1 / Math.sqrt(12);
+
+// Frames quieter than this fraction of the loudest frame count as silence
+const SILENCE_THRESHOLD = 0.01;
+
+// Cost of switching chords, in similarity units (higher = fewer, longer chords)
+const CHANGE_PENALTY = 0.6;
+
+/**
+ * Unit-length chord templates (with overtones) for every root and quality
+ * @returns {Object[]} - [{ root, quality, name, template: Float64Array(12), handicap }]
+ */
+function buildTemplates() {
+  const templates = [];
+  for (const quality of CHORD_QUALITIES) {
+    for (let root = 0; root < 12; root++) {
+      const template = new Float64Array(12);
+      for (const interval of quality.intervals) {
+        for (let harmonic = 1; harmonic <= HARMONICS; harmonic++) {
+          const semitones = Math.round(12 * Math.log2(harmonic));
+          template[(root + interval + semitones) % 12] += Math.pow(HARMONIC_DECAY, harmonic - 1);
+        }
+      }
+      const norm = Math.sqrt(template.reduce((sum, value) => sum + value * value, 0));
+      for (let pc = 0; pc < 12; pc++) template[pc] /= norm;
+      templates.push({
+        root: ROOT_NAMES[root],
+        quality: quality.suffix,
+        name: ROOT_NAMES[root] + quality.suffix,
+        template,
+        handicap: quality.handicap
+      });
+    }
+  }
+  return templates;
+}
+
+/**
+ * Score every frame against every template
+ * @param {Float32Array[]} frames - Chroma frames
+ * @param {Object[]} templates - Result of buildTemplates
+ * @returns {Float64Array[]} - Per frame: one score per template, then the no-chord score
+ */
+function frameScores(frames, templates) {
+  const energies = frames.map(frame => frame.reduce((sum, value) => sum + value, 0));
+  const threshold = Math.max(0, ...energies) * SILENCE_THRESHOLD;
+
+  return frames.map((frame, index) => {
+    const scores = new Float64Array(templates.length + 1);
+    if (energies[index] <= threshold || energies[index] === 0) {
+      scores[templates.length] = 1;
+      return scores;
+    }
+
+    // Log compression evens out loud bass notes against the rest of the chord
+    const chroma = Array.from(frame, value => Math.log1p((10 * value) / energies[index]));
+    const norm = Math.sqrt(chroma.reduce((sum, value) => sum + value * value, 0));
+
+    templates.forEach(({ template, handicap }, t) => {
+      let similarity = 0;
+      for (let pc = 0; pc < 12; pc++) similarity += chroma[pc] * template[pc];
+      scores[t] = similarity / norm - handicap;
+    });
+    scores[templates.length] = (chroma.reduce((sum, value) => sum + value, 0) * NO_CHORD_TEMPLATE_VALUE) / norm;
+    return scores;
+  });
+}
+
+/**
+ * Best state sequence with a constant penalty for every change of state
+ * @param {Float64Array[]} scores - Per-frame state scores
+ * @param {number} penalty - Cost of a change
+ * @returns {number[]} - State index per frame
+ */
+function viterbi(scores, penalty) {
+  if (scores.length === 0) return [];
+
+  const stateCount = scores[0].length;
+  const backlinks = [];
+  let previous = Float64Array.from(scores[0]);
+
+  for (let frame = 1; frame < scores.length; frame++) {
+    let bestState = 0;
+    for (let state = 1; state < stateCount; state++) {
+      if (previous[state] > previous[bestState]) bestState = state;
+    }
+
+    const current = new Float64Array(stateCount);
+    const backlink = new Int16Array(stateCount);
+    for (let state = 0; state < stateCount; state++) {
+      const switched = previous[bestState] - penalty;
+      if (previous[state] >= switched) {
+        current[state] = previous[state] + scores[frame][state];
+        backlink[state] = state;
+      } else {
+        current[state] = switched + scores[frame][state];
+        backlink[state] = bestState;
+      }
+    }
+    backlinks.push(backlink);
+    previous = current;
+  }
+
+  let state = 0;
+  for (let s = 1; s < previous.length; s++) {
+    if (previous[s] > previous[state]) state = s;
+  }
+
+  const path = new Array(scores.length);
+  path[scores.length - 1] = state;
+  for (let frame = scores.length - 1; frame > 0; frame--) {
+    state = backlinks[frame - 1][state];
+    path[frame - 1] = state;
+  }
+  return path;
+}
+
+/**
+ * Recognize a timed chord sequence
+ * @param {Float32Array[]} frames - Chroma frames (computeChromagram)
+ * @param {number} hopSeconds - Time between frames
+ * @param {number} frameSeconds - Length of one frame
+ * @param {number} duration - Length of the audio in seconds
+ * @returns {Object[]} - [{ start, end, chord, root, quality }] in seconds; chord is 'N'
+ *   (root and quality null) where nothing chord-like is playing
+ */
+function recognizeChords(frames, hopSeconds, frameSeconds, duration) {
+  const templates = buildTemplates();
+  const path = viterbi(frameScores(frames, templates), CHANGE_PENALTY);
+
+  // Chord boundaries sit halfway between the centres of neighbouring frames
+  const boundary = (frame) => Math.max(0, frame * hopSeconds + (frameSeconds - hopSeconds) / 2);
+  const round = (seconds) => Number(seconds.toFixed(2));
+
+  const segments = [];
+  path.forEach((state, frame) => {
+    const last = segments[segments.length - 1];
+    if (last && last.state === state) return;
+    if (last) last.end = boundary(frame);
+    segments.push({ state, start: last ? boundary(frame) : 0, end: duration });
+  });
+
+  return segments.map(({ state, start, end }) => {
+    const chord = templates[state];
+    return {
+      start: round(start),
+      end: round(end),
+      chord: chord ? chord.name : 'N',
+      root: chord ? chord.root : null,
+      quality: chord ? chord.quality : null
+    };
+  });
+}
+
+module.exports = {
+  CHORD_QUALITIES,
+  recognizeChords
+};
@@ -0,0 +1,248 @@
+/**
+ * Small DSP toolkit used by the audio analysis code.
+ * Everything works on plain Float32Array / Float64Array buffers so it can run
+ * on PCM decoded by FFmpeg without any native dependencies.
+ */
+
+/**
+ * In-place iterative radix-2 FFT
+ * @param {Float64Array} re - Real part (length must be a power of two)
+ * @param {Float64Array} im - Imaginary part (same length as re)
+ */
+function fft(re, im) {
+  const n = re.length;
+  if (n & (n - 1)) {
+    throw new Error(`FFT size must be a power of two, got ${n}`);
+  }
+
+  // Bit-reversal permutation
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) {
+      j ^= bit;
+    }
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+
+  for (let size = 2; size <= n; size <<= 1) {
+    const angle = (-2 * Math.PI) / size;
+    const wRe = Math.cos(angle);
+    const wIm = Math.sin(angle);
+    const half = size >> 1;
+
+    for (let start = 0; start < n; start += size) {
+      let curRe = 1;
+      let curIm = 0;
+      for (let k = 0; k < half; k++) {
+        const a = start + k;
+        const b = a + half;
+        const tRe = re[b] * curRe - im[b] * curIm;
+        const tIm = re[b] * curIm + im[b] * curRe;
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
+        const nextRe = curRe * wRe - curIm * wIm;
+        curIm = curRe * wIm + curIm * wRe;
+        curRe = nextRe;
+      }
+    }
+  }
+}
+
+/**
+ * Periodic Hann window
+ * @param {number} size - Window length
+ * @returns {Float64Array} - Window coefficients
+ */
+function hannWindow(size) {
+  const window = new Float64Array(size);
+  for (let i = 0; i < size; i++) {
+    window[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / size);
+  }
+  return window;
+}
+
+/**
+ * Convert a frequency to a (fractional) MIDI note number
+ * @param {number} frequency - Frequency in Hz
+ * @param {number} reference - Frequency of A4 in Hz
+ * @returns {number} - MIDI note number
+ */
+function frequencyToMidi(frequency, reference = 440) {
+  return 69 + 12 * Math.log2(frequency / reference);
+}
+
+/**
+ * Compute a chromagram (12 pitch-class energies per frame) from mono PCM
+ * @param {Float32Array} samples - Mono PCM samples
+ * @param {number} sampleRate - Sample rate of the samples
+ * @param {Object} options - Frame size, hop size and analysed frequency range
+ * @returns {Object} - { frames: Float32Array[12][], hopSeconds }
+ */
+function computeChromagram(samples, sampleRate, options = {}) {
+  const frameSize = options.frameSize || 8192;
+  const hopSize = options.hopSize || frameSize / 2;
+  const minFreq = options.minFreq || 65;
+  const maxFreq = Math.min(options.maxFreq || 2100, sampleRate / 2);
+  const reference = options.reference || 440;
+
+  const window = hannWindow(frameSize);
+  const bins = frameSize / 2;
+
+  // Map each FFT bin to the pitch class it belongs to (-1 = outside range)
+  const binPitchClass = new Int8Array(bins).fill(-1);
+  for (let bin = 1; bin < bins; bin++) {
+    const freq = (bin * sampleRate) / frameSize;
+    if (freq < minFreq || freq > maxFreq) continue;
+    const midi = Math.round(frequencyToMidi(freq, reference));
+    binPitchClass[bin] = ((midi % 12) + 12) % 12;
+  }
+
+  const re = new Float64Array(frameSize);
+  const im = new Float64Array(frameSize);
+  const frames = [];
+
+  for (let start = 0; start + frameSize <= samples.length; start += hopSize) {
+    for (let i = 0; i < frameSize; i++) {
+      re[i] = samples[start + i] * window[i];
+      im[i] = 0;
+    }
+    fft(re, im);
+
+    const chroma = new Float32Array(12);
+    for (let bin = 1; bin < bins; bin++) {
+      const pitchClass = binPitchClass[bin];
+      if (pitchClass < 0) continue;
+      chroma[pitchClass] += Math.sqrt(re[bin] * re[bin] + im[bin] * im[bin]);
+    }
+    frames.push(chroma);
+  }
+
+  return {
+    frames,
+    hopSeconds: hopSize / sampleRate
+  };
+}
+
+/**
+ * Estimate how far a recording's tuning deviates from the 12-TET grid.
+ * Spectral peaks are refined with parabolic interpolation and their offsets
+ * from the nearest semitone are averaged on the circle (so -49 and +49 cents
+ * don't cancel out to 0).
+ * @param {Float32Array} samples - Mono PCM samples
+ * @param {number} sampleRate - Sample rate of the samples
+ * @param {Object} options - Frame size, hop size, frequency range and reference pitch
+ * @returns {Object} - { centsOffset, confidence, peakCount }
+ */
+function estimateTuningOffset(samples, sampleRate, options = {}) {
+  const frameSize = options.frameSize || 8192;
+  const hopSize = options.hopSize || frameSize;
+  const minFreq = options.minFreq || 100;
+  const maxFreq = Math.min(options.maxFreq || 2000, sampleRate / 2);
+  const reference = options.reference || 440;
+
+  const window = hannWindow(frameSize);
+  const re = new Float64Array(frameSize);
+  const im = new Float64Array(frameSize);
+  const logMagnitudes = new Float64Array(frameSize / 2);
+  const minBin = Math.max(2, Math.floor((minFreq * frameSize) / sampleRate));
+  const maxBin = Math.min(frameSize / 2 - 2, Math.ceil((maxFreq * frameSize) / sampleRate));
+
+  let sumCos = 0;
+  let sumSin = 0;
+  let totalWeight = 0;
+  let peakCount = 0;
+
+  for (let start = 0; start + frameSize <= samples.length; start += hopSize) {
+    for (let i = 0; i < frameSize; i++) {
+      re[i] = samples[start + i] * window[i];
+      im[i] = 0;
+    }
+    fft(re, im);
+
+    let frameMax = 0;
+    for (let bin = minBin - 1; bin <= maxBin + 1; bin++) {
+      const magnitude = Math.sqrt(re[bin] * re[bin] + im[bin] * im[bin]);
+      logMagnitudes[bin] = Math.log(magnitude + 1e-12);
+      frameMax = Math.max(frameMax, magnitude);
+    }
+    if (frameMax === 0) continue;
+    const threshold = Math.log(frameMax * 0.05);
+
+    for (let bin = minBin; bin <= maxBin; bin++) {
+      const center = logMagnitudes[bin];
+      const left = logMagnitudes[bin - 1];
+      const right = logMagnitudes[bin + 1];
+      if (center < threshold || center <= left || center < right) continue;
+
+      // Parabolic interpolation of the peak position
+      const denominator = left - 2 * center + right;
+      const offset = denominator !== 0 ? (0.5 * (left - right)) / denominator : 0;
+      const frequency = ((bin + offset) * sampleRate) / frameSize;
+      const midi = frequencyToMidi(frequency, reference);
+      const deviation = midi - Math.round(midi);
+      const weight = Math.exp(center);
+
+      sumCos += weight * Math.cos(2 * Math.PI * deviation);
+      sumSin += weight * Math.sin(2 * Math.PI * deviation);
+      totalWeight += weight;
+      peakCount++;
+    }
+  }
+
+  if (totalWeight === 0) {
+    return { centsOffset: 0, confidence: 0, peakCount: 0 };
+  }
+
+  return {
+    centsOffset: (Math.atan2(sumSin, sumCos) / (2 * Math.PI)) * 100,
+    confidence: Math.sqrt(sumCos * sumCos + sumSin * sumSin) / totalWeight,
+    peakCount
+  };
+}
+
+/**
+ * Pearson correlation coefficient of two equally long vectors
+ * @param {ArrayLike<number>} a - First vector
+ * @param {ArrayLike<number>} b - Second vector
+ * @returns {number} - Correlation in [-1, 1] (0 for constant input)
+ */
+function pearsonCorrelation(a, b) {
+  const n = a.length;
+  let meanA = 0;
+  let meanB = 0;
+  for (let i = 0; i < n; i++) {
+    meanA += a[i];
+    meanB += b[i];
+  }
+  meanA /= n;
+  meanB /= n;
+
+  let cov = 0;
+  let varA = 0;
+  let varB = 0;
+  for (let i = 0; i < n; i++) {
+    const da = a[i] - meanA;
+    const db = b[i] - meanB;
+    cov += da * db;
+    varA += da * da;
+    varB += db * db;
+  }
+
+  const denominator = Math.sqrt(varA * varB);
+  return denominator > 0 ? cov / denominator : 0;
+}
+
+module.exports = {
+  fft,
+  hannWindow,
+  frequencyToMidi,
+  computeChromagram,
+  estimateTuningOffset,
+  pearsonCorrelation
+};
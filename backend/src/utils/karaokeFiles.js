@@ -0,0 +1,66 @@
+/**
+ * Karaoke package handling for uploads: MP3+G (an audio file plus a .cdg
+ * graphics file, sent as a pair or zipped together) and .kar/MIDI files.
+ */
+const path = require('path');
+const { readZipEntries } = require('./zipArchive');
+const { getMimeType } = require('./audioFormats');
+
+// Extensions accepted by the karaoke upload besides plain audio
+const KARAOKE_EXTENSIONS = ['.cdg', '.kar', '.mid', '.midi', '.zip'];
+
+const MIDI_EXTENSIONS = ['.kar', '.mid', '.midi'];
+
+const extensionOf = (name) => path.extname(name).toLowerCase();
+const baseNameOf = (name) => path.basename(name, path.extname(name)).toLowerCase();
+const isAudioName = (name) => getMimeType(name).startsWith('audio/');
+
+/**
+ * Whether a file name is a karaoke package or part of one
+ * @param {string} filename - File name
+ * @returns {boolean}
+ */
+function isKaraokeFile(filename) {
+  return KARAOKE_EXTENSIONS.includes(extensionOf(filename));
+}
+
+/**
+ * Work out what a karaoke upload contains. Zips are expanded; a .cdg is paired
+ * with the audio file of the same name (or the only audio file there is).
+ * @param {Object[]} files - [{ name, data: Buffer }]
+ * @returns {Object} - { format: 'cdg', audio, graphics } or { format: 'kar', midi },
+ *   each part a { name, data } entry
+ * @throws {Error} - When the files don't make up a karaoke package
+ */
+function resolveKaraokePackage(files) {
+  const entries = files.flatMap(file => (
+    extensionOf(file.name) === '.zip'
+      ? readZipEntries(file.data).map(entry => ({ ...entry, name: path.basename(entry.name) }))
+      : [file]
+  ));
+
+  const midi = entries.find(entry => MIDI_EXTENSIONS.includes(extensionOf(entry.name)));
+  if (midi) {
+    return { format: 'kar', midi };
+  }
+
+  const graphics = entries.find(entry => extensionOf(entry.name) === '.cdg');
+  if (!graphics) {
+    throw new Error('No .cdg, .kar or .mid file found in the upload');
+  }
+
+  const audioFiles = entries.filter(entry => isAudioName(entry.name));
+  const audio = audioFiles.find(entry => baseNameOf(entry.name) === baseNameOf(graphics.name)) ||
+    (audioFiles.length === 1 ? audioFiles[0] : null);
+  if (!audio) {
+    throw new Error(`No audio file found to go with ${graphics.name}`);
+  }
+
+  return { format: 'cdg', audio, graphics };
+}
+
+module.exports = {
+  KARAOKE_EXTENSIONS,
+  isKaraokeFile,
+  resolveKaraokePackage
+};
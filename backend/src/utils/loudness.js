@@ -0,0 +1,278 @@
+/**
+ * Loudness measurement after ITU-R BS.1770-4 / EBU R128 (integrated loudness,
+ * loudness range per EBU Tech 3342, true peak). Works on planar float PCM
+ * decoded by FFmpeg, like the rest of the analysis code.
+ */
+
+// Gating block sizes, built from 100 ms steps
+const STEP_SECONDS = 0.1;
+const MOMENTARY_STEPS = 4; // 400 ms blocks, 75% overlap
+const SHORT_TERM_STEPS = 30; // 3 s blocks for the loudness range
+
+const ABSOLUTE_GATE = -70; // LUFS
+const RELATIVE_GATE = -10; // LU below the absolute-gated loudness (integrated)
+const RANGE_RELATIVE_GATE = -20; // LU below the absolute-gated loudness (loudness range)
+
+// True-peak oversampling: 4x with a windowed-sinc interpolator
+const OVERSAMPLING = 4;
+const INTERPOLATOR_HALF_LENGTH = 8;
+
+/**
+ * Biquad coefficients of the two-stage K-weighting filter for a sample rate
+ * (pre-filter shelf + RLB high-pass, derived as in libebur128 so any rate works)
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {Object[]} - Two { b0, b1, b2, a1, a2 } stages
+ */
+function kWeightingCoefficients(sampleRate) {
+  // Stage 1: high shelf, about +4 dB above 1.5 kHz (head effects)
+  let f0 = 1681.974450955533;
+  const gain = 3.999843853973347;
+  let q = 0.7071752369554196;
+  let k = Math.tan((Math.PI * f0) / sampleRate);
+  const vh = Math.pow(10, gain / 20);
+  const vb = Math.pow(vh, 0.4996667741545416);
+  let a0 = 1 + k / q + k * k;
+  const shelf = {
+    b0: (vh + (vb * k) / q + k * k) / a0,
+    b1: (2 * (k * k - vh)) / a0,
+    b2: (vh - (vb * k) / q + k * k) / a0,
+    a1: (2 * (k * k - 1)) / a0,
+    a2: (1 - k / q + k * k) / a0
+  };
+
+  // Stage 2: high-pass at about 38 Hz (RLB weighting)
+  f0 = 38.13547087602444;
+  q = 0.5003270373238773;
+  k = Math.tan((Math.PI * f0) / sampleRate);
+  a0 = 1 + k / q + k * k;
+  const highPass = {
+    b0: 1,
+    b1: -2,
+    b2: 1,
+    a1: (2 * (k * k - 1)) / a0,
+    a2: (1 - k / q + k * k) / a0
+  };
+
+  return [shelf, highPass];
+}
+
+/**
+ * Mean-square energy of the K-weighted signal in consecutive 100 ms steps
+ * @param {Float32Array} samples - One channel
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {Float64Array} - Sum of squares per step
+ */
+function weightedStepEnergies(samples, sampleRate) {
+  const [shelf, highPass] = kWeightingCoefficients(sampleRate);
+  const stepCount = Math.floor(samples.length / (sampleRate * STEP_SECONDS));
+  const energies = new Float64Array(stepCount);
+
+  // Direct form II transposed state for both stages
+  let s1a = 0, s1b = 0, s2a = 0, s2b = 0;
+  let step = 0;
+  let stepEnd = Math.round(sampleRate * STEP_SECONDS);
+
+  for (let i = 0; i < samples.length && step < stepCount; i++) {
+    const x = samples[i];
+    const y1 = shelf.b0 * x + s1a;
+    s1a = shelf.b1 * x - shelf.a1 * y1 + s1b;
+    s1b = shelf.b2 * x - shelf.a2 * y1;
+
+    const y2 = highPass.b0 * y1 + s2a;
+    s2a = highPass.b1 * y1 - highPass.a1 * y2 + s2b;
+    s2b = highPass.b2 * y1 - highPass.a2 * y2;
+
+    energies[step] += y2 * y2;
+    if (i + 1 >= stepEnd) {
+      step++;
+      stepEnd = Math.round((step + 1) * sampleRate * STEP_SECONDS);
+    }
+  }
+
+  return energies;
+}
+
+/**
+ * Loudness (LUFS) of a mean-square power
+ * @param {number} power - Channel-summed mean square
+ * @returns {number} - Loudness, -Infinity for silence
+ */
+function powerToLoudness(power) {
+  return power > 0 ? -0.691 + 10 * Math.log10(power) : -Infinity;
+}
+
+/**
+ * Channel-summed mean-square power of sliding blocks built from step energies
+ * @param {Float64Array[]} channelSteps - Step energies per channel
+ * @param {number} stepsPerBlock - Block length in steps
+ * @param {number} samplesPerStep - Average samples per step
+ * @returns {number[]} - Power per block (one block per step)
+ */
+function blockPowers(channelSteps, stepsPerBlock, samplesPerStep) {
+  const stepCount = channelSteps[0].length;
+  const powers = [];
+
+  for (let start = 0; start + stepsPerBlock <= stepCount; start++) {
+    let power = 0;
+    for (const steps of channelSteps) {
+      let sum = 0;
+      for (let s = start; s < start + stepsPerBlock; s++) sum += steps[s];
+      // Left, right and centre channels all have a weight of 1.0
+      power += sum / (stepsPerBlock * samplesPerStep);
+    }
+    powers.push(power);
+  }
+
+  return powers;
+}
+
+/**
+ * Gated integrated loudness (BS.1770-4)
+ * @param {number[]} powers - 400 ms block powers
+ * @returns {number|null} - LUFS, or null when everything is below the absolute gate
+ */
+function integratedLoudness(powers) {
+  const aboveAbsolute = powers.filter(power => powerToLoudness(power) > ABSOLUTE_GATE);
+  if (aboveAbsolute.length === 0) return null;
+
+  const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+  const relativeGate = powerToLoudness(mean(aboveAbsolute)) + RELATIVE_GATE;
+  const gated = aboveAbsolute.filter(power => powerToLoudness(power) > relativeGate);
+
+  return powerToLoudness(mean(gated));
+}
+
+/**
+ * Loudness range (EBU Tech 3342): spread between the 10th and 95th percentile
+ * of gated short-term loudness
+ * @param {number[]} powers - 3 s block powers
+ * @returns {number|null} - LU, or null when the audio is too short or silent
+ */
+function loudnessRange(powers) {
+  const aboveAbsolute = powers.filter(power => powerToLoudness(power) > ABSOLUTE_GATE);
+  if (aboveAbsolute.length === 0) return null;
+
+  const meanPower = aboveAbsolute.reduce((sum, power) => sum + power, 0) / aboveAbsolute.length;
+  const relativeGate = powerToLoudness(meanPower) + RANGE_RELATIVE_GATE;
+  const loudness = aboveAbsolute
+    .map(powerToLoudness)
+    .filter(value => value > relativeGate)
+    .sort((a, b) => a - b);
+
+  const percentile = (p) => loudness[Math.min(loudness.length - 1, Math.round((loudness.length - 1) * p))];
+  return percentile(0.95) - percentile(0.1);
+}
+
+/**
+ * Fractional-delay interpolation filters, one per oversampled phase
+ * @returns {Float64Array[]} - Hann-windowed sinc taps for phases 1..OVERSAMPLING-1
+ */
+function interpolationFilters() {
+  const filters = [];
+  for (let phase = 1; phase < OVERSAMPLING; phase++) {
+    const delay = phase / OVERSAMPLING;
+    const taps = new Float64Array(2 * INTERPOLATOR_HALF_LENGTH);
+    for (let t = 0; t < taps.length; t++) {
+      const x = t - INTERPOLATOR_HALF_LENGTH + 1 - delay;
+      const sinc = x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x);
+      const window = 0.5 + 0.5 * Math.cos((Math.PI * x) / INTERPOLATOR_HALF_LENGTH);
+      taps[t] = sinc * window;
+    }
+    filters.push(taps);
+  }
+  return filters;
+}
+
+/**
+ * Sample peak and true (inter-sample) peak of one channel
+ * @param {Float32Array} samples - One channel
+ * @returns {Object} - { samplePeak, truePeak } as linear amplitudes
+ */
+function channelPeaks(samples) {
+  let samplePeak = 0;
+  for (let i = 0; i < samples.length; i++) {
+    const value = Math.abs(samples[i]);
+    if (value > samplePeak) samplePeak = value;
+  }
+
+  // Inter-sample overshoot is a few dB at most in real audio, so only interpolate
+  // between samples that are already within 6 dB of the sample peak
+  const threshold = samplePeak / 2;
+  const filters = interpolationFilters();
+  let truePeak = samplePeak;
+
+  for (let i = INTERPOLATOR_HALF_LENGTH - 1; i < samples.length - INTERPOLATOR_HALF_LENGTH; i++) {
+    if (Math.abs(samples[i]) < threshold && Math.abs(samples[i + 1]) < threshold) continue;
+
+    const first = i - INTERPOLATOR_HALF_LENGTH + 1;
+    for (const taps of filters) {
+      let value = 0;
+      for (let t = 0; t < taps.length; t++) value += taps[t] * samples[first + t];
+      value = Math.abs(value);
+      if (value > truePeak) truePeak = value;
+    }
+  }
+
+  return { samplePeak, truePeak };
+}
+
+/**
+ * Decibels of a linear amplitude, rounded to 0.01 dB
+ * @param {number} amplitude - Linear amplitude
+ * @returns {number|null} - dB, or null for silence
+ */
+function amplitudeToDb(amplitude) {
+  return amplitude > 0 ? Math.round(2000 * Math.log10(amplitude)) / 100 : null;
+}
+
+/**
+ * Measure integrated loudness, loudness range and peaks
+ * @param {Float32Array[]} channels - Planar PCM (mono or stereo)
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {Object} - { integrated (LUFS), loudnessRange (LU), truePeak (dBTP),
+ *   samplePeak (dBFS) }; values are null when the audio is silent or too short
+ */
+function measureLoudness(channels, sampleRate) {
+  const samplesPerStep = sampleRate * STEP_SECONDS;
+  const channelSteps = channels.map(samples => weightedStepEnergies(samples, sampleRate));
+
+  const integrated = integratedLoudness(blockPowers(channelSteps, MOMENTARY_STEPS, samplesPerStep));
+  const range = loudnessRange(blockPowers(channelSteps, SHORT_TERM_STEPS, samplesPerStep));
+
+  const peaks = channels.map(channelPeaks);
+  const round = (value) => (value === null ? null : Math.round(value * 100) / 100);
+
+  return {
+    integrated: round(integrated),
+    loudnessRange: round(range),
+    truePeak: amplitudeToDb(Math.max(...peaks.map(peak => peak.truePeak))),
+    samplePeak: amplitudeToDb(Math.max(...peaks.map(peak => peak.samplePeak)))
+  };
+}
+
+/**
+ * Gain that brings a measured loudness to a target without pushing the true
+ * peak over a ceiling
+ * @param {Object} loudness - Result of measureLoudness
+ * @param {number} targetLufs - Target integrated loudness
+ * @param {number} truePeakLimit - Highest allowed true peak after the gain (dBTP)
+ * @returns {Object} - { gain (dB), limitedByPeak }
+ */
+function normalizationGain(loudness, targetLufs, truePeakLimit) {
+  if (loudness.integrated === null) {
+    return { gain: 0, limitedByPeak: false };
+  }
+
+  const gain = targetLufs - loudness.integrated;
+  const headroom = loudness.truePeak === null ? Infinity : truePeakLimit - loudness.truePeak;
+  return {
+    gain: Math.round(Math.min(gain, headroom) * 100) / 100,
+    limitedByPeak: headroom < gain
+  };
+}
+
+module.exports = {
+  measureLoudness,
+  normalizationGain,
+  kWeightingCoefficients
+};
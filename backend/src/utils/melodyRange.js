@@ -0,0 +1,242 @@
+/**
+ * Vocal melody range estimation and key recommendations for a singer's range.
+ * The lead vocal is isolated roughly by keeping the centre of the stereo image
+ * (see vocalReduction), then each frame's most salient pitch is found by
+ * harmonic summation over the spectrum. Frames where that pitch is steady are
+ * taken as sung notes; the range is read from their distribution so a few
+ * stray frames (octave errors, backing vocals) don't stretch it.
+ */
+const { fft, hannWindow } = require('./dsp');
+const { reduceCenter } = require('./vocalReduction');
+
+// Note names used in range reports (same spellings as detected keys)
+const NOTE_NAMES = ['C', 'C#', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B'];
+
+// Pitch candidates: E2 to C6 in quarter-semitone steps
+const MIN_NOTE = 40;
+const MAX_NOTE = 84;
+const NOTE_STEP = 0.25;
+
+// Harmonic summation: number of harmonics and their weight decay
+const HARMONICS = 8;
+const HARMONIC_DECAY = 0.8;
+
+// Vocal band kept from the centre channel (Hz)
+const VOCAL_LOW_CUTOFF = 80;
+const VOCAL_HIGH_CUTOFF = 4000;
+
+// Analysis frames (samples at the analysis rate)
+const FRAME_SIZE = 2048;
+const HOP_SIZE = 512;
+
+// Voicing: frame level relative to the loudest frames, and how peaked the salience must be
+const LEVEL_THRESHOLD = 0.1;
+const SALIENCE_CONTRAST = 2.5;
+
+// A frame counts as a sung note when its neighbours agree on the pitch (semitones)
+const STABILITY_FRAMES = 2;
+const STABILITY_TOLERANCE = 0.75;
+
+// Range ends as percentiles of sung-note frames, and the least singing to report a range for
+const LOW_PERCENTILE = 0.03;
+const HIGH_PERCENTILE = 0.97;
+const MIN_VOICED_SECONDS = 3;
+
+/**
+ * Name of a MIDI note, e.g. 57 -> 'A3'
+ * @param {number} note - MIDI note number
+ * @returns {string} - Note name with octave
+ */
+function midiToNoteName(note) {
+  const rounded = Math.round(note);
+  return `${NOTE_NAMES[((rounded % 12) + 12) % 12]}${Math.floor(rounded / 12) - 1}`;
+}
+
+/**
+ * Approximate lead vocal: the part of a stereo signal common to both channels, within the vocal band
+ * @param {Float32Array} left - Left channel samples
+ * @param {Float32Array} right - Right channel samples
+ * @param {number} sampleRate - Sample rate of the samples
+ * @returns {Float32Array} - Mono centre signal
+ */
+function extractCenter(left, right, sampleRate) {
+  const [sideLeft, sideRight] = reduceCenter(left, right, sampleRate, {
+    lowCutoff: VOCAL_LOW_CUTOFF,
+    highCutoff: VOCAL_HIGH_CUTOFF,
+    frameSize: 1024
+  });
+
+  const center = new Float32Array(left.length);
+  for (let i = 0; i < center.length; i++) {
+    center[i] = ((left[i] - sideLeft[i]) + (right[i] - sideRight[i])) / 2;
+  }
+  return center;
+}
+
+/**
+ * Most salient pitch of every frame
+ * @param {Float32Array} samples - Mono PCM samples
+ * @param {number} sampleRate - Sample rate of the samples
+ * @returns {Object} - { pitches: Float64Array (MIDI, NaN where unvoiced), hopSeconds }
+ */
+function trackMelody(samples, sampleRate) {
+  const bins = FRAME_SIZE / 2;
+  const window = hannWindow(FRAME_SIZE);
+  const frameCount = Math.max(0, Math.floor((samples.length - FRAME_SIZE) / HOP_SIZE) + 1);
+  const candidateCount = Math.floor((MAX_NOTE - MIN_NOTE) / NOTE_STEP) + 1;
+  const binWidth = sampleRate / FRAME_SIZE;
+
+  // Spectrum positions and weights of each candidate's harmonics
+  const harmonicBins = [];
+  for (let c = 0; c < candidateCount; c++) {
+    const frequency = 440 * Math.pow(2, (MIN_NOTE + c * NOTE_STEP - 69) / 12);
+    const partials = [];
+    for (let h = 1; h <= HARMONICS && frequency * h < Math.min(VOCAL_HIGH_CUTOFF, sampleRate / 2); h++) {
+      partials.push({ bin: (frequency * h) / binWidth, weight: Math.pow(HARMONIC_DECAY, h - 1) });
+    }
+    harmonicBins.push(partials);
+  }
+
+  const re = new Float64Array(FRAME_SIZE);
+  const im = new Float64Array(FRAME_SIZE);
+  const magnitudes = new Float64Array(bins);
+  const levels = new Float64Array(frameCount);
+  const pitches = new Float64Array(frameCount).fill(NaN);
+  const saliences = new Float64Array(candidateCount);
+
+  for (let frame = 0; frame < frameCount; frame++) {
+    const offset = frame * HOP_SIZE;
+    let energy = 0;
+    for (let i = 0; i < FRAME_SIZE; i++) {
+      const sample = samples[offset + i];
+      energy += sample * sample;
+      re[i] = sample * window[i];
+      im[i] = 0;
+    }
+    levels[frame] = Math.sqrt(energy / FRAME_SIZE);
+    if (levels[frame] === 0) continue;
+
+    fft(re, im);
+    for (let k = 0; k < bins; k++) {
+      magnitudes[k] = Math.sqrt(Math.sqrt(re[k] * re[k] + im[k] * im[k]));
+    }
+
+    let best = 0;
+    let total = 0;
+    for (let c = 0; c < candidateCount; c++) {
+      let salience = 0;
+      for (const { bin, weight } of harmonicBins[c]) {
+        // Linear interpolation between the neighbouring bins
+        const lower = Math.floor(bin);
+        const fraction = bin - lower;
+        salience += weight * (magnitudes[lower] * (1 - fraction) + magnitudes[lower + 1] * fraction);
+      }
+      saliences[c] = salience;
+      total += salience;
+      if (salience > saliences[best]) best = c;
+    }
+
+    if (saliences[best] >= SALIENCE_CONTRAST * (total / candidateCount)) {
+      pitches[frame] = MIN_NOTE + best * NOTE_STEP;
+    }
+  }
+
+  // Quiet frames are instrumental breaks or bleed, not singing
+  const sortedLevels = Array.from(levels).sort((a, b) => a - b);
+  const loud = sortedLevels[Math.floor(sortedLevels.length * 0.95)] || 0;
+  for (let frame = 0; frame < frameCount; frame++) {
+    if (levels[frame] < loud * LEVEL_THRESHOLD) pitches[frame] = NaN;
+  }
+
+  return { pitches, hopSeconds: HOP_SIZE / sampleRate };
+}
+
+/**
+ * Frames whose pitch is held steady by their neighbours
+ * @param {Float64Array} pitches - Frame pitches (NaN where unvoiced)
+ * @returns {number[]} - Pitches of the steady frames
+ */
+function steadyPitches(pitches) {
+  const steady = [];
+  for (let frame = STABILITY_FRAMES; frame < pitches.length - STABILITY_FRAMES; frame++) {
+    const pitch = pitches[frame];
+    if (Number.isNaN(pitch)) continue;
+
+    let stable = true;
+    for (let offset = -STABILITY_FRAMES; offset <= STABILITY_FRAMES && stable; offset++) {
+      const neighbour = pitches[frame + offset];
+      stable = !Number.isNaN(neighbour) && Math.abs(neighbour - pitch) <= STABILITY_TOLERANCE;
+    }
+    if (stable) steady.push(pitch);
+  }
+  return steady;
+}
+
+/**
+ * Range of the sung melody
+ * @param {Float32Array} samples - Mono PCM of the (approximate) vocal
+ * @param {number} sampleRate - Sample rate of the samples
+ * @returns {Object|null} - { lowest, highest, median (MIDI notes), lowestNote, highestNote,
+ *   medianNote, voicedSeconds }, or null when too little singing is found
+ */
+function analyzeMelodyRange(samples, sampleRate) {
+  const { pitches, hopSeconds } = trackMelody(samples, sampleRate);
+  const steady = steadyPitches(pitches).sort((a, b) => a - b);
+
+  const voicedSeconds = steady.length * hopSeconds;
+  if (voicedSeconds < MIN_VOICED_SECONDS) return null;
+
+  const percentile = (p) => Math.round(steady[Math.min(steady.length - 1, Math.floor(p * steady.length))]);
+  const lowest = percentile(LOW_PERCENTILE);
+  const highest = percentile(HIGH_PERCENTILE);
+  const median = percentile(0.5);
+
+  return {
+    lowest,
+    highest,
+    median,
+    lowestNote: midiToNoteName(lowest),
+    highestNote: midiToNoteName(highest),
+    medianNote: midiToNoteName(median),
+    voicedSeconds: Number(voicedSeconds.toFixed(1))
+  };
+}
+
+/**
+ * How well a melody fits a singer's range after each transposition. Notes out of
+ * range count most; then the melody's median should sit near the middle of the range;
+ * then smaller shifts win.
+ * @param {Object} melodyRange - { lowest, highest, median } MIDI notes
+ * @param {Object} singerRange - { lowest, highest } MIDI notes
+ * @param {number[]} shifts - Semitone shifts to consider
+ * @returns {Object[]} - [{ semitones, lowest, highest, outOfRange (semitones), fits }], best first
+ */
+function rankTranspositions(melodyRange, singerRange, shifts) {
+  const singerMiddle = (singerRange.lowest + singerRange.highest) / 2;
+
+  return shifts
+    .map(semitones => {
+      const lowest = melodyRange.lowest + semitones;
+      const highest = melodyRange.highest + semitones;
+      const outOfRange = Math.max(0, singerRange.lowest - lowest) + Math.max(0, highest - singerRange.highest);
+      return {
+        semitones,
+        lowest,
+        highest,
+        outOfRange,
+        fits: outOfRange === 0,
+        centering: Math.abs(melodyRange.median + semitones - singerMiddle)
+      };
+    })
+    .sort((a, b) => a.outOfRange - b.outOfRange || a.centering - b.centering ||
+      Math.abs(a.semitones) - Math.abs(b.semitones))
+    .map(({ centering, ...rank }) => rank);
+}
+
+module.exports = {
+  midiToNoteName,
+  extractCenter,
+  trackMelody,
+  analyzeMelodyRange,
+  rankTranspositions
+};
@@ -0,0 +1,292 @@
+/**
+ * Standard MIDI File reader for .kar / .mid karaoke files: note events for the
+ * synthesizer and the lyric syllables (.kar text events) with times in seconds.
+ */
+
+// Default tempo until a Set Tempo meta event says otherwise (120 BPM)
+const DEFAULT_MICROSECONDS_PER_QUARTER = 500000;
+
+// Meta event types
+const META_TEXT = 0x01;
+const META_LYRIC = 0x05;
+const META_END_OF_TRACK = 0x2f;
+const META_SET_TEMPO = 0x51;
+
+/**
+ * Read a variable-length quantity
+ * @param {Buffer} buffer - File contents
+ * @param {number} offset - Where the quantity starts
+ * @returns {Object} - { value, next } (offset after the quantity)
+ */
+function readVarLength(buffer, offset) {
+  let value = 0;
+  let next = offset;
+  for (let i = 0; i < 4; i++) {
+    const byte = buffer[next++];
+    value = (value << 7) | (byte & 0x7f);
+    if (!(byte & 0x80)) break;
+  }
+  return { value, next };
+}
+
+/**
+ * Parse one MTrk chunk into events with absolute tick times
+ * @param {Buffer} buffer - File contents
+ * @param {number} start - First byte of track data
+ * @param {number} end - End of track data
+ * @returns {Object[]} - Events: { tick, type: 'note'|'program'|'meta', ... }
+ */
+function parseTrack(buffer, start, end) {
+  const events = [];
+  let offset = start;
+  let tick = 0;
+  let runningStatus = null;
+
+  while (offset < end) {
+    const delta = readVarLength(buffer, offset);
+    tick += delta.value;
+    offset = delta.next;
+
+    let status = buffer[offset];
+    if (status & 0x80) {
+      offset++;
+    } else if (runningStatus !== null) {
+      status = runningStatus;
+    } else {
+      throw new Error('Corrupt MIDI track (data byte without status)');
+    }
+
+    if (status === 0xff) {
+      const metaType = buffer[offset++];
+      const length = readVarLength(buffer, offset);
+      const data = buffer.subarray(length.next, length.next + length.value);
+      offset = length.next + length.value;
+      events.push({ tick, type: 'meta', metaType, data });
+      if (metaType === META_END_OF_TRACK) break;
+      continue;
+    }
+
+    if (status === 0xf0 || status === 0xf7) {
+      const length = readVarLength(buffer, offset);
+      offset = length.next + length.value;
+      continue;
+    }
+
+    runningStatus = status;
+    const command = status & 0xf0;
+    const channel = status & 0x0f;
+
+    if (command === 0xc0 || command === 0xd0) {
+      if (command === 0xc0) events.push({ tick, type: 'program', channel, program: buffer[offset] });
+      offset += 1;
+      continue;
+    }
+
+    const data1 = buffer[offset];
+    const data2 = buffer[offset + 1];
+    offset += 2;
+
+    if (command === 0x90 || command === 0x80) {
+      // Note on with velocity 0 is a note off
+      events.push({ tick, type: 'note', channel, note: data1, velocity: command === 0x90 ? data2 : 0 });
+    }
+  }
+
+  return events;
+}
+
+/**
+ * Parse a Standard MIDI File
+ * @param {Buffer} buffer - File contents
+ * @returns {Object} - { format, ticksPerQuarter, tracks: Object[][] }
+ */
+function parseMidi(buffer) {
+  if (buffer.length < 14 || buffer.toString('latin1', 0, 4) !== 'MThd') {
+    throw new Error('Not a MIDI file');
+  }
+
+  const headerLength = buffer.readUInt32BE(4);
+  const format = buffer.readUInt16BE(8);
+  const division = buffer.readUInt16BE(12);
+  if (division & 0x8000) {
+    throw new Error('SMPTE-timed MIDI files are not supported');
+  }
+
+  const tracks = [];
+  let offset = 8 + headerLength;
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString('latin1', offset, offset + 4);
+    const length = buffer.readUInt32BE(offset + 4);
+    const end = Math.min(buffer.length, offset + 8 + length);
+    if (id === 'MTrk') {
+      tracks.push(parseTrack(buffer, offset + 8, end));
+    }
+    offset = end;
+  }
+
+  return { format, ticksPerQuarter: division, tracks };
+}
+
+/**
+ * Build a tick-to-seconds converter from the file's tempo changes
+ * @param {Object} midi - Result of parseMidi
+ * @returns {Function} - (tick) => seconds
+ */
+function createTimeConverter(midi) {
+  const changes = midi.tracks
+    .flat()
+    .filter(event => event.type === 'meta' && event.metaType === META_SET_TEMPO && event.data.length === 3)
+    .map(event => ({ tick: event.tick, tempo: event.data.readUIntBE(0, 3) }))
+    .sort((a, b) => a.tick - b.tick);
+
+  // Seconds at the start of every tempo segment
+  const segments = [{ tick: 0, seconds: 0, tempo: DEFAULT_MICROSECONDS_PER_QUARTER }];
+  for (const change of changes) {
+    const last = segments[segments.length - 1];
+    const seconds = last.seconds + ((change.tick - last.tick) * last.tempo) / (midi.ticksPerQuarter * 1e6);
+    if (change.tick === last.tick) {
+      last.tempo = change.tempo;
+    } else {
+      segments.push({ tick: change.tick, seconds, tempo: change.tempo });
+    }
+  }
+
+  return (tick) => {
+    let segment = segments[0];
+    for (const candidate of segments) {
+      if (candidate.tick > tick) break;
+      segment = candidate;
+    }
+    return segment.seconds + ((tick - segment.tick) * segment.tempo) / (midi.ticksPerQuarter * 1e6);
+  };
+}
+
+/**
+ * Notes with start/end times, instrument and velocity
+ * @param {Object} midi - Result of parseMidi
+ * @returns {Object[]} - [{ start, end, note, velocity, channel, program }] sorted by start
+ */
+function collectNotes(midi) {
+  const toSeconds = createTimeConverter(midi);
+  const notes = [];
+
+  for (const track of midi.tracks) {
+    const programs = new Array(16).fill(0);
+    const active = new Map(); // channel:note -> started notes (a note may be re-struck)
+
+    for (const event of track) {
+      if (event.type === 'program') {
+        programs[event.channel] = event.program;
+      } else if (event.type === 'note') {
+        const key = `${event.channel}:${event.note}`;
+        if (event.velocity > 0) {
+          if (!active.has(key)) active.set(key, []);
+          active.get(key).push({
+            start: toSeconds(event.tick),
+            note: event.note,
+            velocity: event.velocity,
+            channel: event.channel,
+            program: programs[event.channel]
+          });
+        } else if (active.get(key)?.length) {
+          const started = active.get(key).shift();
+          notes.push({ ...started, end: toSeconds(event.tick) });
+        }
+      }
+    }
+
+    // Notes never released end half a second after they start
+    for (const started of active.values()) {
+      started.forEach(note => notes.push({ ...note, end: note.start + 0.5 }));
+    }
+  }
+
+  return notes.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Lyrics of a .kar file (or a MIDI file with lyric events) as timed lines.
+ * .kar text events mark a new line with '/' and a new page with '\'; '@' events
+ * are header fields (@T title and artist, @I info, @L language).
+ * @param {Object} midi - Result of parseMidi
+ * @returns {Object|null} - { lines: [{ time, text, words: [{ time, text }] }], tags }, or null
+ *   when the file has no lyrics
+ */
+function extractLyrics(midi) {
+  const toSeconds = createTimeConverter(midi);
+  const textOf = (event) => event.data.toString('latin1');
+
+  // The lyric track is the one with the most syllables; .kar uses text events,
+  // other karaoke MIDI files use lyric events
+  let best = { events: [], metaType: META_TEXT };
+  for (const metaType of [META_TEXT, META_LYRIC]) {
+    for (const track of midi.tracks) {
+      const events = track.filter(event => event.type === 'meta' && event.metaType === metaType);
+      const syllables = events.filter(event => !textOf(event).startsWith('@'));
+      if (syllables.length > best.events.filter(event => !textOf(event).startsWith('@')).length) {
+        best = { events, metaType };
+      }
+    }
+  }
+
+  const tags = {};
+  const titles = [];
+  const lines = [];
+  let line = null;
+  let word = null;
+
+  for (const event of best.events) {
+    let text = textOf(event);
+    const time = Number(toSeconds(event.tick).toFixed(3));
+
+    if (text.startsWith('@')) {
+      if (text[1] === 'T') titles.push(text.slice(2).trim());
+      continue;
+    }
+
+    // Line breaks: leading '/' or '\' (.kar), or trailing CR/LF (lyric events)
+    const breaksBefore = /^[/\\]/.test(text);
+    const breaksAfter = /[\r\n]$/.test(text);
+    text = text.replace(/^[/\\]/, '').replace(/[\r\n]+/g, '');
+
+    if (breaksBefore || !line) {
+      line = { time, text: '', words: [] };
+      lines.push(line);
+      word = null;
+    }
+
+    // Syllables join into the current word unless separated by a space
+    if (text.trim()) {
+      if (!word || /^\s/.test(text)) {
+        word = { time, text: '' };
+        line.words.push(word);
+      }
+      word.text += text.trim();
+      if (/\s$/.test(text)) word = null;
+    }
+
+    if (breaksAfter) {
+      line = null;
+    }
+  }
+
+  if (titles[0]) tags.ti = titles[0];
+  if (titles[1]) tags.ar = titles[1];
+
+  const timed = lines
+    .filter(entry => entry.words.length > 0)
+    .map(entry => ({
+      time: entry.words[0].time,
+      text: entry.words.map(item => item.text).join(' '),
+      words: entry.words
+    }));
+
+  return timed.length > 0 ? { lines: timed, tags } : null;
+}
+
+module.exports = {
+  parseMidi,
+  createTimeConverter,
+  collectNotes,
+  extractLyrics
+};
@@ -0,0 +1,127 @@
+/**
+ * Small additive synthesizer that turns MIDI notes into a backing track, so
+ * .kar files can be played, analyzed and transposed like any other song.
+ * It is a guide track, not a General MIDI sound set: pitched instruments share
+ * one harmonic voice (brighter for leads, softer for pads/strings) and drums
+ * are noise bursts and a pitched kick.
+ */
+
+// Percussion channel (channel 10 in 1-based numbering)
+const DRUM_CHANNEL = 9;
+
+// Envelope (seconds) and overall level
+const ATTACK = 0.01;
+const DECAY = 0.12;
+const SUSTAIN = 0.6;
+const RELEASE = 0.15;
+const NOTE_GAIN = 0.12;
+const PEAK_LEVEL = 0.9;
+
+// Harmonic amplitudes for General MIDI program families (program >> 3)
+const DEFAULT_HARMONICS = [1, 0.5, 0.25, 0.12];
+const FAMILY_HARMONICS = {
+  0: [1, 0.35, 0.15, 0.05], // Piano
+  3: [1, 0.6, 0.4, 0.25], // Guitar
+  4: [1, 0.3, 0.1], // Bass
+  5: [1, 0.2, 0.1], // Strings
+  6: [1, 0.2, 0.1], // Ensemble
+  11: [1, 0.15] // Pads
+};
+
+/**
+ * Amplitude envelope of a note at a time after its start
+ * @param {number} t - Seconds since note on
+ * @param {number} length - Seconds from note on to note off
+ * @returns {number} - Gain 0..1
+ */
+function envelope(t, length) {
+  let level;
+  if (t < ATTACK) level = t / ATTACK;
+  else if (t < ATTACK + DECAY) level = 1 - ((1 - SUSTAIN) * (t - ATTACK)) / DECAY;
+  else level = SUSTAIN;
+
+  if (t > length) level *= Math.max(0, 1 - (t - length) / RELEASE);
+  return level;
+}
+
+/**
+ * Add one pitched note to the mix
+ * @param {Float32Array} mix - Output buffer
+ * @param {Object} note - { start, end, note, velocity, program }
+ * @param {number} sampleRate - Output sample rate
+ */
+function addTone(mix, note, sampleRate) {
+  const frequency = 440 * Math.pow(2, (note.note - 69) / 12);
+  const harmonics = (FAMILY_HARMONICS[note.program >> 3] || DEFAULT_HARMONICS)
+    .filter((_, index) => frequency * (index + 1) < sampleRate / 2);
+  const length = Math.max(0.05, note.end - note.start);
+  const first = Math.floor(note.start * sampleRate);
+  const count = Math.min(mix.length - first, Math.ceil((length + RELEASE) * sampleRate));
+  const gain = NOTE_GAIN * (note.velocity / 127);
+  const step = (2 * Math.PI * frequency) / sampleRate;
+
+  for (let i = 0; i < count; i++) {
+    let value = 0;
+    for (let h = 0; h < harmonics.length; h++) {
+      value += harmonics[h] * Math.sin(step * (h + 1) * i);
+    }
+    mix[first + i] += gain * envelope(i / sampleRate, length) * value;
+  }
+}
+
+/**
+ * Add one drum hit: a falling sine for kicks, decaying noise for everything else
+ * @param {Float32Array} mix - Output buffer
+ * @param {Object} note - { start, note, velocity }
+ * @param {number} sampleRate - Output sample rate
+ */
+function addDrum(mix, note, sampleRate) {
+  const kick = note.note === 35 || note.note === 36;
+  const cymbal = note.note >= 49 && note.note <= 59;
+  const decay = kick ? 0.15 : cymbal ? 0.4 : 0.08;
+  const first = Math.floor(note.start * sampleRate);
+  const count = Math.min(mix.length - first, Math.ceil(decay * 4 * sampleRate));
+  const gain = NOTE_GAIN * 1.5 * (note.velocity / 127);
+  let phase = 0;
+
+  for (let i = 0; i < count; i++) {
+    const t = i / sampleRate;
+    let value;
+    if (kick) {
+      phase += (2 * Math.PI * (50 + 100 * Math.exp(-t * 30))) / sampleRate;
+      value = Math.sin(phase);
+    } else {
+      value = (Math.random() * 2 - 1) * (cymbal ? 0.5 : 1);
+    }
+    mix[first + i] += gain * Math.exp(-t / decay) * value;
+  }
+}
+
+/**
+ * Render notes to mono PCM
+ * @param {Object[]} notes - Result of collectNotes
+ * @param {number} sampleRate - Output sample rate
+ * @returns {Float32Array} - Mono PCM peaking at PEAK_LEVEL
+ */
+function synthesizeNotes(notes, sampleRate) {
+  const duration = notes.reduce((latest, note) => Math.max(latest, note.end), 0) + 1;
+  const mix = new Float32Array(Math.ceil(duration * sampleRate));
+
+  for (const note of notes) {
+    if (note.channel === DRUM_CHANNEL) addDrum(mix, note, sampleRate);
+    else addTone(mix, note, sampleRate);
+  }
+
+  let peak = 0;
+  for (let i = 0; i < mix.length; i++) peak = Math.max(peak, Math.abs(mix[i]));
+  if (peak > 0) {
+    const scale = PEAK_LEVEL / peak;
+    for (let i = 0; i < mix.length; i++) mix[i] *= scale;
+  }
+
+  return mix;
+}
+
+module.exports = {
+  synthesizeNotes
+};
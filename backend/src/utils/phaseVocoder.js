@@ -0,0 +1,382 @@
+/**
+ * Pure-JS phase vocoder used when FFmpeg is built without librubberband.
+ * Works offline on one channel of Float32 PCM at a time.
+ */
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { fft, hannWindow } = require('./dsp');
+
+const WORKER_PATH = path.join(__dirname, 'phaseVocoderWorker.js');
+
+// How many progress reports a vocoder pass makes
+const PROGRESS_STEPS = 20;
+
+// Resampler kernel: zero crossings on each side and table steps per crossing
+const SINC_ZERO_CROSSINGS = 16;
+const SINC_TABLE_STEPS = 512;
+
+let sincTable = null;
+
+/**
+ * Tabulate one side of a Blackman-windowed sinc, in units of zero crossings.
+ * Built once and shared by every resample call.
+ * @returns {Float64Array} - Kernel values from 0 to SINC_ZERO_CROSSINGS
+ */
+function getSincTable() {
+  if (!sincTable) {
+    const size = SINC_ZERO_CROSSINGS * SINC_TABLE_STEPS;
+    sincTable = new Float64Array(size + 2);
+    for (let i = 0; i <= size; i++) {
+      const x = i / SINC_TABLE_STEPS;
+      const sinc = i === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x);
+      const w = Math.PI * (1 + x / SINC_ZERO_CROSSINGS);
+      sincTable[i] = sinc * (0.42 - 0.5 * Math.cos(w) + 0.08 * Math.cos(2 * w));
+    }
+  }
+  return sincTable;
+}
+
+/**
+ * Wrap a phase value into [-PI, PI]
+ * @param {number} phase - Phase in radians
+ * @returns {number} - Wrapped phase
+ */
+function wrapPhase(phase) {
+  return phase - 2 * Math.PI * Math.round(phase / (2 * Math.PI));
+}
+
+/**
+ * Estimate a smooth spectral envelope with a running average over bins.
+ * The averaging width spans several harmonics so the envelope follows the
+ * formants rather than the individual partials.
+ * @param {Float64Array} magnitudes - Magnitude spectrum (half spectrum + 1)
+ * @param {number} halfWidth - Averaging half-width in bins
+ * @returns {Float64Array} - Envelope with the same length as magnitudes
+ */
+function spectralEnvelope(magnitudes, halfWidth) {
+  const length = magnitudes.length;
+  const envelope = new Float64Array(length);
+  let sum = 0;
+  let count = 0;
+
+  for (let i = 0; i < Math.min(halfWidth, length); i++) {
+    sum += magnitudes[i];
+    count++;
+  }
+
+  for (let k = 0; k < length; k++) {
+    const add = k + halfWidth;
+    const remove = k - halfWidth - 1;
+    if (add < length) {
+      sum += magnitudes[add];
+      count++;
+    }
+    if (remove >= 0) {
+      sum -= magnitudes[remove];
+      count--;
+    }
+    envelope[k] = sum / count;
+  }
+
+  return envelope;
+}
+
+/**
+ * Linearly interpolate a magnitude spectrum at a fractional bin
+ * @param {Float64Array} values - Spectrum values
+ * @param {number} position - Fractional bin index
+ * @returns {number} - Interpolated value (0 beyond the last bin)
+ */
+function sampleSpectrum(values, position) {
+  const index = Math.floor(position);
+  if (index >= values.length - 1) return 0;
+  const fraction = position - index;
+  return values[index] * (1 - fraction) + values[index + 1] * fraction;
+}
+
+/**
+ * Change the duration of a mono signal without changing its pitch
+ * @param {Float32Array} samples - Mono PCM samples
+ * @param {number} stretch - Output length / input length (2 = twice as long)
+ * @param {Object} options - { frameSize, overlap, formantRatio, onProgress }.
+ *   formantRatio re-shapes each frame's spectral envelope so that a following
+ *   resample by that ratio leaves the formants where they were.
+ *   onProgress(percent) is called as the frames are processed.
+ * @returns {Float32Array} - Stretched samples
+ */
+function timeStretch(samples, stretch, options = {}) {
+  const frameSize = options.frameSize || 2048;
+  const overlap = options.overlap || 4;
+  const formantRatio = options.formantRatio || 1;
+  const { onProgress } = options;
+
+  const synthesisHop = frameSize / overlap;
+  const analysisHop = synthesisHop / stretch;
+  const half = frameSize / 2;
+  const window = hannWindow(frameSize);
+  const envelopeHalfWidth = Math.max(4, Math.round(frameSize / 128));
+  // Normalize for the FFT size and the overlap-added squared window
+  const windowGain = window.reduce((sum, w) => sum + w * w, 0) / synthesisHop;
+  const outputScale = 1 / (frameSize * windowGain);
+
+  // Pad both ends by a full frame so the edges get complete overlap-add coverage
+  const padded = new Float32Array(samples.length + 2 * frameSize);
+  padded.set(samples, frameSize);
+
+  const outputLength = Math.round(samples.length * stretch);
+  const frameCount = Math.ceil((outputLength + 2 * frameSize) / synthesisHop);
+  const output = new Float64Array(frameCount * synthesisHop + frameSize);
+
+  const re = new Float64Array(frameSize);
+  const im = new Float64Array(frameSize);
+  const magnitudes = new Float64Array(half + 1);
+  const phases = new Float64Array(half + 1);
+  const lastPhase = new Float64Array(half + 1);
+  const synthesisPhase = new Float64Array(half + 1);
+  let lastPosition = null;
+  const progressInterval = Math.max(1, Math.ceil(frameCount / PROGRESS_STEPS));
+
+  for (let frame = 0; frame < frameCount; frame++) {
+    const position = Math.round(frame * analysisHop);
+    if (position + frameSize > padded.length) break;
+    if (onProgress && frame > 0 && frame % progressInterval === 0) {
+      onProgress((100 * frame) / frameCount);
+    }
+
+    for (let i = 0; i < frameSize; i++) {
+      re[i] = padded[position + i] * window[i];
+      im[i] = 0;
+    }
+    fft(re, im);
+
+    const hop = lastPosition === null ? 0 : position - lastPosition;
+    for (let k = 0; k <= half; k++) {
+      magnitudes[k] = Math.sqrt(re[k] * re[k] + im[k] * im[k]);
+      phases[k] = Math.atan2(im[k], re[k]);
+    }
+
+    // Identity phase locking: only spectral peaks get their phase propagated,
+    // the bins around each peak keep their analysed offset from it. This keeps
+    // each partial's main lobe coherent and avoids "phasey" smearing.
+    const peaks = [];
+    for (let k = 0; k <= half; k++) {
+      const value = magnitudes[k];
+      if ((k < 1 || value > magnitudes[k - 1]) && (k < 2 || value > magnitudes[k - 2]) &&
+          (k > half - 1 || value >= magnitudes[k + 1]) && (k > half - 2 || value >= magnitudes[k + 2])) {
+        peaks.push(k);
+      }
+    }
+
+    for (const k of peaks) {
+      const binFrequency = (2 * Math.PI * k) / frameSize;
+      if (hop > 0) {
+        // True frequency from the phase advance over the analysis hop
+        const deviation = wrapPhase(phases[k] - lastPhase[k] - binFrequency * hop);
+        synthesisPhase[k] += (binFrequency + deviation / hop) * synthesisHop;
+      } else {
+        synthesisPhase[k] = phases[k];
+      }
+    }
+
+    let peakIndex = 0;
+    for (let k = 0; k <= half; k++) {
+      if (peaks.length === 0) {
+        synthesisPhase[k] = phases[k];
+        continue;
+      }
+      // Nearest peak owns this bin
+      while (peakIndex < peaks.length - 1 && Math.abs(peaks[peakIndex + 1] - k) <= Math.abs(peaks[peakIndex] - k)) {
+        peakIndex++;
+      }
+      const peak = peaks[peakIndex];
+      if (k !== peak) {
+        synthesisPhase[k] = synthesisPhase[peak] + phases[k] - phases[peak];
+      }
+    }
+
+    lastPhase.set(phases);
+    lastPosition = position;
+
+    if (formantRatio !== 1) {
+      const envelope = spectralEnvelope(magnitudes, envelopeHalfWidth);
+      for (let k = 0; k <= half; k++) {
+        const target = sampleSpectrum(envelope, k * formantRatio);
+        magnitudes[k] = envelope[k] > 1e-12 ? magnitudes[k] * (target / envelope[k]) : 0;
+      }
+    }
+
+    for (let k = 0; k <= half; k++) {
+      // Hermitian spectrum, conjugated so the forward FFT acts as an inverse
+      re[k] = magnitudes[k] * Math.cos(synthesisPhase[k]);
+      im[k] = -magnitudes[k] * Math.sin(synthesisPhase[k]);
+      if (k > 0 && k < half) {
+        re[frameSize - k] = re[k];
+        im[frameSize - k] = -im[k];
+      }
+    }
+    fft(re, im);
+
+    const outStart = frame * synthesisHop;
+    for (let i = 0; i < frameSize; i++) {
+      output[outStart + i] += window[i] * re[i] * outputScale;
+    }
+  }
+
+  const offset = Math.round(frameSize * stretch);
+  return Float32Array.from(output.subarray(offset, offset + outputLength));
+}
+
+/**
+ * Resample a signal with a windowed-sinc kernel. When reading faster than
+ * the source rate the kernel's cutoff drops to the new Nyquist frequency,
+ * so content that would fold back when decimating is filtered out first.
+ * @param {Float32Array} samples - Input samples
+ * @param {number} ratio - Read-rate ratio (2 = read twice as fast, half the length)
+ * @param {number} length - Desired output length
+ * @returns {Float32Array} - Resampled samples
+ */
+function resample(samples, ratio, length = Math.floor(samples.length / ratio)) {
+  const table = getSincTable();
+  const cutoff = Math.min(1, 1 / ratio);
+  const halfWidth = SINC_ZERO_CROSSINGS / cutoff;
+  const step = cutoff * SINC_TABLE_STEPS;
+  const output = new Float32Array(length);
+
+  for (let i = 0; i < length; i++) {
+    const position = i * ratio;
+    const first = Math.max(0, Math.ceil(position - halfWidth));
+    const last = Math.min(samples.length - 1, Math.floor(position + halfWidth));
+    let sum = 0;
+    let weightSum = 0;
+    for (let j = first; j <= last; j++) {
+      const t = Math.abs(position - j) * step;
+      const index = Math.floor(t);
+      const weight = table[index] + (table[index + 1] - table[index]) * (t - index);
+      sum += samples[j] * weight;
+      weightSum += weight;
+    }
+    // Normalising keeps unity gain, including where the kernel is cut off at the ends
+    output[i] = weightSum > 0 ? sum / weightSum : 0;
+  }
+  return output;
+}
+
+/**
+ * Shift the pitch of a mono signal, optionally changing its speed as well.
+ * The signal is time-stretched by pitchRatio / tempo and then resampled by
+ * the pitch ratio, so both changes cost a single vocoder pass.
+ * @param {Float32Array} samples - Mono PCM samples
+ * @param {number} ratio - Pitch ratio (2 = one octave up)
+ * @param {Object} options - { tempo, frameSize, overlap, preserveFormants, onProgress }
+ * @returns {Float32Array} - Processed samples (input length / tempo)
+ */
+function pitchShift(samples, ratio, options = {}) {
+  const tempo = options.tempo || 1;
+  const outputLength = Math.round(samples.length / tempo);
+
+  if (ratio === 1 && tempo === 1) {
+    return Float32Array.from(samples);
+  }
+
+  const stretched = timeStretch(samples, ratio / tempo, {
+    frameSize: options.frameSize,
+    overlap: options.overlap,
+    formantRatio: options.preserveFormants ? ratio : 1,
+    onProgress: options.onProgress
+  });
+  return ratio === 1 ? stretched : resample(stretched, ratio, outputLength);
+}
+
+/**
+ * Run pitchShift in a worker thread, so a long render doesn't block the event loop.
+ * The samples' buffer is transferred to the worker (unusable afterwards).
+ * @param {Float32Array} samples - Mono PCM samples
+ * @param {number} ratio - Pitch ratio (2 = one octave up)
+ * @param {Object} options - pitchShift options, plus onProgress(percent) and an
+ *   AbortSignal `signal` that terminates the worker
+ * @returns {Promise<Float32Array>} - Processed samples
+ */
+function pitchShiftInWorker(samples, ratio, options = {}) {
+  const { onProgress, signal, ...shiftOptions } = options;
+  if (signal?.aborted) {
+    return Promise.reject(new Error('Job cancelled'));
+  }
+
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(WORKER_PATH, {
+      workerData: { samples, ratio, options: shiftOptions },
+      transferList: [samples.buffer]
+    });
+    let settled = false;
+
+    const settle = (error, result) => {
+      if (settled) return;
+      settled = true;
+      signal?.removeEventListener('abort', onAbort);
+      if (error) {
+        reject(error);
+      } else {
+        resolve(result);
+      }
+    };
+    const onAbort = () => {
+      worker.terminate();
+      settle(new Error('Job cancelled'));
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    worker.on('message', (message) => {
+      if (message.result) {
+        settle(null, message.result);
+      } else {
+        onProgress?.(message.progress);
+      }
+    });
+    worker.on('error', (error) => settle(error));
+    worker.on('exit', (code) => settle(new Error(`Phase vocoder worker exited with code ${code}`)));
+  });
+}
+
+/**
+ * Split interleaved PCM into one buffer per channel
+ * @param {Float32Array} interleaved - Interleaved samples
+ * @param {number} channels - Channel count
+ * @returns {Float32Array[]} - Planar channel buffers
+ */
+function deinterleave(interleaved, channels) {
+  const frames = Math.floor(interleaved.length / channels);
+  const planar = Array.from({ length: channels }, () => new Float32Array(frames));
+  for (let i = 0; i < frames; i++) {
+    for (let c = 0; c < channels; c++) {
+      planar[c][i] = interleaved[i * channels + c];
+    }
+  }
+  return planar;
+}
+
+/**
+ * Merge per-channel buffers back into interleaved PCM
+ * @param {Float32Array[]} planar - Planar channel buffers of equal length
+ * @returns {Float32Array} - Interleaved samples
+ */
+function interleave(planar) {
+  const channels = planar.length;
+  const frames = planar[0].length;
+  const interleaved = new Float32Array(frames * channels);
+  for (let i = 0; i < frames; i++) {
+    for (let c = 0; c < channels; c++) {
+      interleaved[i * channels + c] = planar[c][i];
+    }
+  }
+  return interleaved;
+}
+
+module.exports = {
+  pitchShift,
+  pitchShiftInWorker,
+  timeStretch,
+  resample,
+  spectralEnvelope,
+  deinterleave,
+  interleave
+};
@@ -0,0 +1,13 @@
+/**
+ * Worker thread entry for pitchShiftInWorker: runs one vocoder pass and posts
+ * { progress } messages while it works, then { result }.
+ */
+const { parentPort, workerData } = require('worker_threads');
+const { pitchShift } = require('./phaseVocoder');
+
+const { samples, ratio, options } = workerData;
+const result = pitchShift(samples, ratio, {
+  ...options,
+  onProgress: (progress) => parentPort.postMessage({ progress })
+});
+parentPort.postMessage({ result }, [result.buffer]);
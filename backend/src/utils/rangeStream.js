@@ -0,0 +1,257 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+
+// More ranges than this in one request is treated as abuse and answered with the full file
+const MAX_RANGES = 16;
+
+/**
+ * Strong validator for a file version (size + modification time)
+ * @param {fs.Stats} stats - File stats
+ * @returns {string} - Quoted ETag
+ */
+function createETag(stats) {
+  return `"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`;
+}
+
+/**
+ * Parse an HTTP date, ignoring invalid values
+ * @param {string} value - Header value
+ * @returns {number|null} - Milliseconds since the epoch, or null
+ */
+function parseHttpDate(value) {
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Whether an If-Match / If-None-Match header matches an ETag
+ * @param {string} header - Header value (`*` or a list of ETags)
+ * @param {string} etag - Current ETag
+ * @param {boolean} weak - Use weak comparison (If-None-Match) rather than strong (If-Match)
+ * @returns {boolean} - True when the header matches
+ */
+function etagMatches(header, etag, weak) {
+  if (header.trim() === '*') return true;
+  return header.split(',').some(candidate => {
+    const tag = candidate.trim();
+    if (weak) return tag.replace(/^W\//, '') === etag;
+    return !tag.startsWith('W/') && tag === etag;
+  });
+}
+
+/**
+ * Evaluate conditional request headers (RFC 9110 section 13.2.2)
+ * @param {Object} headers - Request headers
+ * @param {string} etag - Current ETag
+ * @param {number} lastModified - Last modification time in whole seconds, as milliseconds
+ * @returns {number|null} - 304 or 412 when the request short-circuits, otherwise null
+ */
+function evaluatePreconditions(headers, etag, lastModified) {
+  if (headers['if-match']) {
+    if (!etagMatches(headers['if-match'], etag, false)) return 412;
+  } else if (headers['if-unmodified-since']) {
+    const since = parseHttpDate(headers['if-unmodified-since']);
+    if (since !== null && lastModified > since) return 412;
+  }
+
+  if (headers['if-none-match']) {
+    if (etagMatches(headers['if-none-match'], etag, true)) return 304;
+  } else if (headers['if-modified-since']) {
+    const since = parseHttpDate(headers['if-modified-since']);
+    if (since !== null && lastModified <= since) return 304;
+  }
+
+  return null;
+}
+
+/**
+ * Whether a Range header may be honoured given If-Range
+ * @param {Object} headers - Request headers
+ * @param {string} etag - Current ETag
+ * @param {number} lastModified - Last modification time in whole seconds, as milliseconds
+ * @returns {boolean} - False when the client's copy is stale and needs the full file
+ */
+function ifRangeMatches(headers, etag, lastModified) {
+  const ifRange = headers['if-range'];
+  if (!ifRange) return true;
+
+  const value = ifRange.trim();
+  if (value.startsWith('"') || value.startsWith('W/')) {
+    // If-Range requires a strong match
+    return !value.startsWith('W/') && value === etag;
+  }
+  return parseHttpDate(value) === lastModified;
+}
+
+/**
+ * Parse a Range header against a file size (RFC 9110 section 14)
+ * @param {string} header - Range header value
+ * @param {number} size - File size in bytes
+ * @returns {Object[]|null|false} - Sorted, merged [{ start, end }] ranges; null when the
+ *   header should be ignored (invalid syntax, other units); false when no range is satisfiable
+ */
+function parseRange(header, size) {
+  const match = /^\s*bytes\s*=\s*(.+)$/i.exec(header || '');
+  if (!match) return null;
+
+  const specs = match[1].split(',').map(spec => spec.trim()).filter(Boolean);
+  if (specs.length === 0 || specs.length > MAX_RANGES) return null;
+
+  const ranges = [];
+  for (const spec of specs) {
+    const parts = /^(\d*)-(\d*)$/.exec(spec);
+    if (!parts || (parts[1] === '' && parts[2] === '')) return null;
+
+    if (parts[1] === '') {
+      // Suffix range: the last N bytes
+      const length = parseInt(parts[2], 10);
+      if (length > 0 && size > 0) {
+        ranges.push({ start: Math.max(size - length, 0), end: size - 1 });
+      }
+      continue;
+    }
+
+    const start = parseInt(parts[1], 10);
+    // Only an explicit end before the start is malformed; `size-` is merely unsatisfiable
+    if (parts[2] !== '' && parseInt(parts[2], 10) < start) return null;
+    const end = parts[2] === '' ? size - 1 : parseInt(parts[2], 10);
+    if (start < size) {
+      ranges.push({ start, end: Math.min(end, size - 1) });
+    }
+  }
+
+  if (ranges.length === 0) return false;
+
+  // Merge overlapping or adjacent ranges so no byte is sent twice
+  ranges.sort((a, b) => a.start - b.start);
+  return ranges.reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range.start <= last.end + 1) {
+      last.end = Math.max(last.end, range.end);
+    } else {
+      merged.push({ ...range });
+    }
+    return merged;
+  }, []);
+}
+
+/**
+ * Pipe (part of) a file into the response. A client that disconnects mid-stream
+ * (e.g. a media element seeking elsewhere) is not an error.
+ * @param {string} filePath - File to read
+ * @param {Object} res - Express response
+ * @param {Object} options - { start, end, endResponse }
+ * @returns {Promise<void>}
+ */
+async function pipeFile(filePath, res, { start, end, endResponse = true } = {}) {
+  try {
+    await pipeline(fs.createReadStream(filePath, { start, end }), res, { end: endResponse });
+  } catch (error) {
+    if (error.code !== 'ERR_STREAM_PREMATURE_CLOSE') throw error;
+  }
+}
+
+/**
+ * Send a file with full HTTP range support: single, suffix and multi-range requests
+ * (multipart/byteranges), If-Range, 416 for unsatisfiable ranges, ETag/Last-Modified
+ * validators and conditional GET/HEAD (304/412). CORS is left to the app's cors middleware.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} filePath - File to send
+ * @param {Object} options - { contentType, cacheControl }
+ * @returns {Promise<void>} - Resolves when the response has been sent
+ */
+async function sendFileWithRanges(req, res, filePath, options = {}) {
+  const stats = await fs.promises.stat(filePath);
+  const size = stats.size;
+  const contentType = options.contentType || 'application/octet-stream';
+  const etag = createETag(stats);
+  // HTTP dates have one-second precision; compare at that precision
+  const lastModified = Math.floor(stats.mtimeMs / 1000) * 1000;
+  const headOnly = req.method === 'HEAD';
+
+  res.set({
+    'Accept-Ranges': 'bytes',
+    'ETag': etag,
+    'Last-Modified': new Date(lastModified).toUTCString(),
+    'Cache-Control': options.cacheControl || 'private, no-cache'
+  });
+
+  const precondition = evaluatePreconditions(req.headers, etag, lastModified);
+  if (precondition) {
+    res.status(precondition).end();
+    return;
+  }
+
+  const ranges = req.headers.range && ifRangeMatches(req.headers, etag, lastModified)
+    ? parseRange(req.headers.range, size)
+    : null;
+
+  if (ranges === false) {
+    res.status(416).set('Content-Range', `bytes */${size}`).end();
+    return;
+  }
+
+  // Whole file
+  if (!ranges) {
+    res.status(200).set({ 'Content-Type': contentType, 'Content-Length': size });
+    if (headOnly) {
+      res.end();
+      return;
+    }
+    await pipeFile(filePath, res);
+    return;
+  }
+
+  // Single range
+  if (ranges.length === 1) {
+    const { start, end } = ranges[0];
+    res.status(206).set({
+      'Content-Type': contentType,
+      'Content-Range': `bytes ${start}-${end}/${size}`,
+      'Content-Length': end - start + 1
+    });
+    if (headOnly) {
+      res.end();
+      return;
+    }
+    await pipeFile(filePath, res, { start, end });
+    return;
+  }
+
+  // Several ranges: multipart/byteranges
+  const boundary = crypto.randomBytes(16).toString('hex');
+  const partHeaders = ranges.map(({ start, end }) =>
+    `\r\n--${boundary}\r\nContent-Type: ${contentType}\r\nContent-Range: bytes ${start}-${end}/${size}\r\n\r\n`
+  );
+  const closing = `\r\n--${boundary}--\r\n`;
+  const length = ranges.reduce(
+    (total, { start, end }, index) => total + Buffer.byteLength(partHeaders[index]) + (end - start + 1),
+    Buffer.byteLength(closing)
+  );
+
+  res.status(206).set({
+    'Content-Type': `multipart/byteranges; boundary=${boundary}`,
+    'Content-Length': length
+  });
+  if (headOnly) {
+    res.end();
+    return;
+  }
+
+  for (let index = 0; index < ranges.length; index++) {
+    if (res.destroyed) return;
+    const { start, end } = ranges[index];
+    res.write(partHeaders[index]);
+    await pipeFile(filePath, res, { start, end, endResponse: false });
+  }
+  res.end(closing);
+}
+
+module.exports = {
+  createETag,
+  parseRange,
+  evaluatePreconditions,
+  sendFileWithRanges
+};
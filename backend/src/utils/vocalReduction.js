@@ -0,0 +1,103 @@
+/**
+ * Center-channel vocal reduction.
+ * Lead vocals are usually mixed dead centre, so they show up identically in
+ * both channels. Working in the STFT domain, each bin's centred component is
+ * estimated from the inter-channel similarity and subtracted from both
+ * channels. Bins outside the vocal band are passed through untouched so that
+ * centred bass/kick and cymbals survive.
+ */
+const { fft, hannWindow } = require('./dsp');
+
+/**
+ * Remove the centred component of a stereo signal within a frequency band
+ * @param {Float32Array} left - Left channel samples
+ * @param {Float32Array} right - Right channel samples (same length as left)
+ * @param {number} sampleRate - Sample rate of the samples
+ * @param {Object} options - { lowCutoff, highCutoff, strength, frameSize, overlap }
+ * @returns {Float32Array[]} - [left, right] with the centre removed in the band
+ */
+function reduceCenter(left, right, sampleRate, options = {}) {
+  const lowCutoff = options.lowCutoff ?? 120;
+  const highCutoff = Math.min(options.highCutoff ?? 8000, sampleRate / 2);
+  const strength = options.strength ?? 1;
+  const frameSize = options.frameSize || 4096;
+  const overlap = options.overlap || 4;
+
+  const hop = frameSize / overlap;
+  const half = frameSize / 2;
+  const window = hannWindow(frameSize);
+  const windowGain = window.reduce((sum, w) => sum + w * w, 0) / hop;
+  const outputScale = 1 / (frameSize * windowGain);
+  const lowBin = Math.ceil((lowCutoff * frameSize) / sampleRate);
+  const highBin = Math.floor((highCutoff * frameSize) / sampleRate);
+
+  // Pad both ends by a full frame so the edges get complete overlap-add coverage
+  const length = left.length;
+  const paddedLength = length + 2 * frameSize;
+  const inputs = [left, right].map(channel => {
+    const padded = new Float32Array(paddedLength);
+    padded.set(channel, frameSize);
+    return padded;
+  });
+  const outputs = [new Float64Array(paddedLength), new Float64Array(paddedLength)];
+
+  const lRe = new Float64Array(frameSize);
+  const lIm = new Float64Array(frameSize);
+  const rRe = new Float64Array(frameSize);
+  const rIm = new Float64Array(frameSize);
+
+  for (let start = 0; start + frameSize <= paddedLength; start += hop) {
+    for (let i = 0; i < frameSize; i++) {
+      lRe[i] = inputs[0][start + i] * window[i];
+      rRe[i] = inputs[1][start + i] * window[i];
+      lIm[i] = 0;
+      rIm[i] = 0;
+    }
+    fft(lRe, lIm);
+    fft(rRe, rIm);
+
+    for (let k = lowBin; k <= Math.min(highBin, half); k++) {
+      const energy = lRe[k] * lRe[k] + lIm[k] * lIm[k] + rRe[k] * rRe[k] + rIm[k] * rIm[k];
+      if (energy === 0) continue;
+
+      // 1 when both channels carry the same (in-phase) content, 0 when one is
+      // silent or they are in anti-phase. Squaring sharpens the mask so
+      // partially panned instruments are mostly left alone.
+      const similarity = Math.max(0, (2 * (lRe[k] * rRe[k] + lIm[k] * rIm[k])) / energy);
+      const mask = strength * similarity * similarity;
+      const centerRe = (mask * (lRe[k] + rRe[k])) / 2;
+      const centerIm = (mask * (lIm[k] + rIm[k])) / 2;
+
+      lRe[k] -= centerRe;
+      lIm[k] -= centerIm;
+      rRe[k] -= centerRe;
+      rIm[k] -= centerIm;
+      if (k > 0 && k < half) {
+        const mirror = frameSize - k;
+        lRe[mirror] = lRe[k];
+        lIm[mirror] = -lIm[k];
+        rRe[mirror] = rRe[k];
+        rIm[mirror] = -rIm[k];
+      }
+    }
+
+    // Conjugate so the forward FFT acts as an inverse
+    for (let i = 0; i < frameSize; i++) {
+      lIm[i] = -lIm[i];
+      rIm[i] = -rIm[i];
+    }
+    fft(lRe, lIm);
+    fft(rRe, rIm);
+
+    for (let i = 0; i < frameSize; i++) {
+      outputs[0][start + i] += window[i] * lRe[i] * outputScale;
+      outputs[1][start + i] += window[i] * rRe[i] * outputScale;
+    }
+  }
+
+  return outputs.map(output => Float32Array.from(output.subarray(frameSize, frameSize + length)));
+}
+
+module.exports = {
+  reduceCenter
+};
@@ -0,0 +1,90 @@
+/**
+ * Minimal ZIP reader for karaoke packages (MP3+G zips hold an .mp3 and a .cdg).
+ * Reads the central directory and supports stored and deflated entries, which is
+ * what zip tools produce for these files; no native dependencies.
+ */
+const zlib = require('zlib');
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+// Refuse archives that would inflate beyond this (zip bombs)
+const MAX_TOTAL_SIZE = 200 * 1024 * 1024;
+
+/**
+ * Locate the end-of-central-directory record (it may be followed by a comment)
+ * @param {Buffer} buffer - Archive contents
+ * @returns {number} - Offset of the record
+ */
+function findEndOfCentralDirectory(buffer) {
+  const earliest = Math.max(0, buffer.length - 22 - 0xffff);
+  for (let offset = buffer.length - 22; offset >= earliest; offset--) {
+    if (buffer.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY) return offset;
+  }
+  throw new Error('Not a ZIP archive');
+}
+
+/**
+ * Read every file in a ZIP archive
+ * @param {Buffer} buffer - Archive contents
+ * @returns {Object[]} - [{ name, data: Buffer }] for files (directories are skipped)
+ */
+function readZipEntries(buffer) {
+  const end = findEndOfCentralDirectory(buffer);
+  const entryCount = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+
+  const entries = [];
+  let totalSize = 0;
+
+  for (let i = 0; i < entryCount; i++) {
+    if (buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_HEADER) {
+      throw new Error('Corrupt ZIP central directory');
+    }
+
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString(flags & 0x800 ? 'utf8' : 'latin1', offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) continue;
+    if (flags & 0x1) {
+      throw new Error(`Encrypted ZIP entries are not supported (${name})`);
+    }
+
+    totalSize += size;
+    if (totalSize > MAX_TOTAL_SIZE) {
+      throw new Error('ZIP archive is too large when extracted');
+    }
+
+    if (buffer.readUInt32LE(localOffset) !== LOCAL_FILE_HEADER) {
+      throw new Error(`Corrupt ZIP entry: ${name}`);
+    }
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const compressed = buffer.subarray(dataStart, dataStart + compressedSize);
+
+    let data;
+    if (method === 0) {
+      data = Buffer.from(compressed);
+    } else if (method === 8) {
+      data = zlib.inflateRawSync(compressed, { maxOutputLength: size || 1 });
+    } else {
+      throw new Error(`Unsupported ZIP compression method ${method} (${name})`);
+    }
+
+    entries.push({ name, data });
+  }
+
+  return entries;
+}
+
+module.exports = {
+  readZipEntries
+};
@@ -1,10 +1,11 @@
-const CACHE_NAME = 'karaoke-processor-v1.0.0';
+const CACHE_NAME = 'karaoke-processor-v1.1.0';
 const urlsToCache = [
   '/',
   '/static/js/bundle.js',
   '/static/css/main.css',
   '/manifest.json',
-  '/favicon.ico'
+  '/favicon.ico',
+  '/worklets/pitch-shift-processor.js'
 ];
 
 // Install service worker
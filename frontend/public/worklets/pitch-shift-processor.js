@@ -0,0 +1,233 @@
+// Real-time pitch shifter (AudioWorklet). A phase vocoder: each 2048-sample
+// frame (hop 512) is analysed into spectral peaks and their true frequencies;
+// the bins around each peak are moved together to the shifted frequency with
+// one phase rotation (peak phase locking, after Laroche and Dolson), so a
+// partial keeps its shape and level, and the frame is overlap-added. Output
+// lags the input by FRAME_SIZE samples whatever the ratio, so pitch can change
+// mid-song without a jump in time.
+//
+// Served as a plain script (worklets load by URL, outside the bundle), so it
+// carries its own FFT.
+
+const FRAME_SIZE = 2048;
+const OVERSAMPLING = 4;
+const HOP_SIZE = FRAME_SIZE / OVERSAMPLING;
+// Input fills the FIFO from here to the end before each frame is processed
+const FIFO_START = FRAME_SIZE - HOP_SIZE;
+const BINS = FRAME_SIZE / 2 + 1;
+// Samples per process() call
+const RENDER_QUANTUM = 128;
+const EXPECTED_PHASE_ADVANCE = (2 * Math.PI * HOP_SIZE) / FRAME_SIZE;
+
+// Sum of squared Hann windows at this overlap, to undo the analysis/synthesis windowing
+const WINDOW_GAIN = 1.5;
+
+const hannWindow = new Float32Array(FRAME_SIZE);
+for (let i = 0; i < FRAME_SIZE; i++) {
+  hannWindow[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / FRAME_SIZE);
+}
+
+// In-place iterative radix-2 FFT (inverse without the 1/N scaling)
+function fft(re, im, inverse) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      let t = re[i]; re[i] = re[j]; re[j] = t;
+      t = im[i]; im[i] = im[j]; im[j] = t;
+    }
+  }
+  for (let size = 2; size <= n; size <<= 1) {
+    const angle = ((inverse ? 2 : -2) * Math.PI) / size;
+    const stepRe = Math.cos(angle);
+    const stepIm = Math.sin(angle);
+    for (let start = 0; start < n; start += size) {
+      let wRe = 1;
+      let wIm = 0;
+      for (let k = 0; k < size / 2; k++) {
+        const a = start + k;
+        const b = a + size / 2;
+        const tRe = re[b] * wRe - im[b] * wIm;
+        const tIm = re[b] * wIm + im[b] * wRe;
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
+        const nextRe = wRe * stepRe - wIm * stepIm;
+        wIm = wRe * stepIm + wIm * stepRe;
+        wRe = nextRe;
+      }
+    }
+  }
+}
+
+const wrapPhase = (phase) => phase - 2 * Math.PI * Math.round(phase / (2 * Math.PI));
+
+// Vocoder state of one channel
+class ChannelShifter {
+  constructor() {
+    this.inputFifo = new Float32Array(FRAME_SIZE);
+    this.outputFifo = new Float32Array(FRAME_SIZE);
+    this.accumulator = new Float32Array(FRAME_SIZE * 2);
+    this.re = new Float32Array(FRAME_SIZE);
+    this.im = new Float32Array(FRAME_SIZE);
+    this.spectrumRe = new Float32Array(BINS);
+    this.spectrumIm = new Float32Array(BINS);
+    this.magnitude = new Float32Array(BINS);
+    this.phase = new Float32Array(BINS);
+    this.lastPhase = new Float32Array(BINS);
+    this.synthesisPhase = new Float32Array(BINS);
+    this.nextSynthesisPhase = new Float32Array(BINS);
+    this.peaks = new Int32Array(BINS);
+    this.position = FIFO_START;
+    this.phasesFresh = true; // Next shifted frame starts its phases from the analysis
+  }
+
+  process(input, output, ratio) {
+    for (let i = 0; i < input.length; i++) {
+      this.inputFifo[this.position] = input[i];
+      output[i] = this.outputFifo[this.position - FIFO_START];
+      this.position++;
+
+      if (this.position >= FRAME_SIZE) {
+        this.position = FIFO_START;
+        if (ratio === 1) {
+          this.passFrame();
+        } else {
+          this.shiftFrame(ratio);
+        }
+
+        this.outputFifo.set(this.accumulator.subarray(0, HOP_SIZE));
+        this.accumulator.copyWithin(0, HOP_SIZE);
+        this.accumulator.fill(0, FRAME_SIZE);
+        this.inputFifo.copyWithin(0, HOP_SIZE);
+      }
+    }
+  }
+
+  // Unshifted: plain windowed overlap-add, which reconstructs the input exactly
+  passFrame() {
+    for (let i = 0; i < FRAME_SIZE; i++) {
+      this.accumulator[i] += (hannWindow[i] * hannWindow[i] * this.inputFifo[i]) / WINDOW_GAIN;
+    }
+    this.phasesFresh = true;
+  }
+
+  shiftFrame(ratio) {
+    const { re, im, magnitude, phase, peaks } = this;
+    for (let i = 0; i < FRAME_SIZE; i++) {
+      re[i] = this.inputFifo[i] * hannWindow[i];
+      im[i] = 0;
+    }
+    fft(re, im, false);
+
+    for (let k = 0; k < BINS; k++) {
+      this.spectrumRe[k] = re[k];
+      this.spectrumIm[k] = im[k];
+      magnitude[k] = Math.sqrt(re[k] * re[k] + im[k] * im[k]);
+      phase[k] = Math.atan2(im[k], re[k]);
+    }
+
+    let peakCount = 0;
+    for (let k = 1; k < BINS - 1; k++) {
+      if (magnitude[k] > magnitude[k - 1] && magnitude[k] >= magnitude[k + 1]) peaks[peakCount++] = k;
+    }
+
+    re.fill(0);
+    im.fill(0);
+    this.nextSynthesisPhase.fill(0);
+
+    let regionStart = 0;
+    for (let p = 0; p < peakCount; p++) {
+      const peak = peaks[p];
+
+      // The region of a peak runs to the lowest bin between it and the next peak
+      let regionEnd = BINS - 1;
+      if (p + 1 < peakCount) {
+        regionEnd = peak;
+        for (let k = peak + 1; k < peaks[p + 1]; k++) {
+          if (magnitude[k] < magnitude[regionEnd]) regionEnd = k;
+        }
+      }
+
+      // True frequency of the peak (in bins) from its phase advance since the last frame
+      const deviation = wrapPhase(phase[peak] - this.lastPhase[peak] - peak * EXPECTED_PHASE_ADVANCE);
+      const frequency = peak + deviation / EXPECTED_PHASE_ADVANCE;
+      const shift = Math.round(frequency * ratio - frequency);
+      const target = peak + shift;
+
+      if (target > 0 && target < BINS) {
+        // The shifted peak continues the phase of whatever was synthesized there last frame
+        const peakPhase = this.phasesFresh
+          ? phase[peak]
+          : this.synthesisPhase[target] + frequency * ratio * EXPECTED_PHASE_ADVANCE;
+        const rotation = peakPhase - phase[peak];
+        const cos = Math.cos(rotation);
+        const sin = Math.sin(rotation);
+
+        for (let k = regionStart; k <= regionEnd; k++) {
+          const destination = k + shift;
+          if (destination < 0 || destination >= BINS) continue;
+          re[destination] += this.spectrumRe[k] * cos - this.spectrumIm[k] * sin;
+          im[destination] += this.spectrumRe[k] * sin + this.spectrumIm[k] * cos;
+          this.nextSynthesisPhase[destination] = wrapPhase(phase[k] + rotation);
+        }
+      }
+      regionStart = regionEnd + 1;
+    }
+
+    this.lastPhase.set(phase);
+    this.synthesisPhase.set(this.nextSynthesisPhase);
+    this.phasesFresh = false;
+
+    // Mirror the spectrum for a real signal
+    im[0] = 0;
+    im[BINS - 1] = 0;
+    for (let k = BINS; k < FRAME_SIZE; k++) {
+      re[k] = re[FRAME_SIZE - k];
+      im[k] = -im[FRAME_SIZE - k];
+    }
+    fft(re, im, true);
+
+    for (let i = 0; i < FRAME_SIZE; i++) {
+      this.accumulator[i] += (hannWindow[i] * re[i]) / (FRAME_SIZE * WINDOW_GAIN);
+    }
+  }
+}
+
+class PitchShiftProcessor extends AudioWorkletProcessor {
+  static get parameterDescriptors() {
+    return [{ name: 'pitchRatio', defaultValue: 1, minValue: 0.25, maxValue: 4, automationRate: 'k-rate' }];
+  }
+
+  constructor() {
+    super();
+    this.channels = [];
+    // Fed in place of a missing input, so process() doesn't allocate on the audio thread
+    this.silence = new Float32Array(RENDER_QUANTUM);
+  }
+
+  process(inputs, outputs, parameters) {
+    const input = inputs[0];
+    const output = outputs[0];
+    const ratio = Math.round(parameters.pitchRatio[0] * 10000) / 10000;
+
+    for (let channel = 0; channel < output.length; channel++) {
+      // A mono input feeds every output channel
+      const samples = input[Math.min(channel, input.length - 1)];
+      if (!this.channels[channel]) this.channels[channel] = new ChannelShifter();
+
+      if (samples) {
+        this.channels[channel].process(samples, output[channel], ratio);
+      } else {
+        // No input connected (e.g. between songs): keep flushing silence through
+        this.channels[channel].process(this.silence.subarray(0, output[channel].length), output[channel], ratio);
+      }
+    }
+    return true;
+  }
+}
+
+registerProcessor('pitch-shift-processor', PitchShiftProcessor);
@@ -9,10 +9,29 @@ import Transpose from './pages/Transpose';
 import Library from './pages/Library';
 import StorageManager from './pages/StorageManager';
 import Playlists from './pages/Playlists';
+import Account from './pages/Account';
+import Lyrics from './pages/Lyrics';
+import Singers from './pages/Singers';
+import KaraokeQueue from './pages/KaraokeQueue';
+import ApiService from './services/api';
+import queueRotationService from './services/queueRotationService';
 import './App.css';
 
 function App() {
   const [currentAudio, setCurrentAudioState] = useState(null);
+  const [user, setUser] = useState(null);
+
+  // Restore the signed-in user from the session cookie
+  useEffect(() => {
+    ApiService.getCurrentUser()
+      .then(response => setUser(response.data.user))
+      .catch(error => console.warn('Could not load current user:', error.message));
+  }, []);
+
+  // Keep the karaoke queue rotating whichever page is open
+  useEffect(() => {
+    queueRotationService.start();
+  }, []);
 
   // Load from localStorage on app start
   useEffect(() => {
@@ -39,7 +58,7 @@ function App() {
 
   return (
     <div className="App">
-      <Header />
+      <Header user={user} />
       <main className="main-content">
         <div className="container">
           <Routes>
@@ -67,6 +86,18 @@ function App() {
               path="/library" 
               element={<Library />} 
             />
+            <Route 
+              path="/lyrics" 
+              element={<Lyrics />} 
+            />
+            <Route 
+              path="/singers" 
+              element={<Singers />} 
+            />
+            <Route 
+              path="/queue" 
+              element={<KaraokeQueue />} 
+            />
             <Route 
               path="/playlists" 
               element={<Playlists />} 
@@ -75,6 +106,10 @@ function App() {
               path="/storage" 
               element={<StorageManager />} 
             />
+            <Route 
+              path="/account" 
+              element={<Account user={user} onUserChange={setUser} />} 
+            />
           </Routes>
         </div>
       </main>
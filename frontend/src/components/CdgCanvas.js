@@ -0,0 +1,48 @@
+import React, { useEffect, useRef } from 'react';
+import audioPlayerService from '../services/audioPlayerService';
+import { CdgDecoder, CDG_WIDTH, CDG_HEIGHT } from '../utils/cdgDecoder';
+
+// CD+G graphics of the playing song, drawn in step with the player's position.
+// timeScale maps the recording's time to the graphics' time, so renders at
+// another tempo stay in sync with the original stream.
+const CdgCanvas = ({ karaoke }) => {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !karaoke?.graphics) return undefined;
+
+    const context = canvas.getContext('2d');
+    const imageData = context.createImageData(CDG_WIDTH, CDG_HEIGHT);
+    const timeScale = karaoke.timeScale || 1;
+    let decoder = null;
+    let frame = null;
+    let cancelled = false;
+
+    const draw = () => {
+      decoder.seek(audioPlayerService.getCurrentTime() * timeScale);
+      if (decoder.dirty) {
+        decoder.render(imageData);
+        context.putImageData(imageData, 0, 0);
+      }
+      frame = requestAnimationFrame(draw);
+    };
+
+    karaoke.graphics.arrayBuffer()
+      .then(buffer => {
+        if (cancelled) return;
+        decoder = new CdgDecoder(buffer);
+        draw();
+      })
+      .catch(error => console.error('Failed to load CD+G graphics:', error));
+
+    return () => {
+      cancelled = true;
+      if (frame) cancelAnimationFrame(frame);
+    };
+  }, [karaoke]);
+
+  return <canvas ref={canvasRef} className="cdg-canvas" width={CDG_WIDTH} height={CDG_HEIGHT} />;
+};
+
+export default CdgCanvas;
@@ -1,9 +1,9 @@
 import React from 'react';
 import { Link, useLocation } from 'react-router-dom';
-import { FaMusic, FaHome, FaUpload, FaGoogleDrive, FaYoutube, FaExchangeAlt, FaHdd, FaBoxes, FaList } from 'react-icons/fa';
+import { FaMusic, FaHome, FaUpload, FaGoogleDrive, FaYoutube, FaExchangeAlt, FaHdd, FaBoxes, FaList, FaUser, FaMicrophoneAlt, FaUserFriends, FaListOl } from 'react-icons/fa';
 import './Header.css';
 
-const Header = () => {
+const Header = ({ user }) => {
   const location = useLocation();
 
   const isActive = (path) => location.pathname === path;
@@ -66,6 +66,22 @@ const Header = () => {
               <span>Library</span>
             </Link>
             
+            <Link 
+              to="/lyrics" 
+              className={`nav-link ${isActive('/lyrics') ? 'active' : ''}`}
+            >
+              <FaMicrophoneAlt />
+              <span>Lyrics</span>
+            </Link>
+            
+            <Link 
+              to="/singers" 
+              className={`nav-link ${isActive('/singers') ? 'active' : ''}`}
+            >
+              <FaUserFriends />
+              <span>Singers</span>
+            </Link>
+            
             <Link 
               to="/playlists" 
               className={`nav-link ${isActive('/playlists') ? 'active' : ''}`}
@@ -74,6 +90,14 @@ const Header = () => {
               <span>Playlists</span>
             </Link>
             
+            <Link 
+              to="/queue" 
+              className={`nav-link ${isActive('/queue') ? 'active' : ''}`}
+            >
+              <FaListOl />
+              <span>Queue</span>
+            </Link>
+            
             <Link 
               to="/storage" 
               className={`nav-link ${isActive('/storage') ? 'active' : ''}`}
@@ -81,6 +105,14 @@ const Header = () => {
               <FaHdd />
               <span>Storage</span>
             </Link>
+            
+            <Link 
+              to="/account" 
+              className={`nav-link ${isActive('/account') ? 'active' : ''}`}
+            >
+              <FaUser />
+              <span>{user ? user.username : 'Sign in'}</span>
+            </Link>
           </nav>
         </div>
       </div>
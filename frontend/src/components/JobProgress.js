@@ -0,0 +1,30 @@
+import React from 'react';
+import { FaSpinner, FaTimes } from 'react-icons/fa';
+
+// Progress bar and cancel button for a running background job
+const JobProgress = ({ job, label, onCancel }) => {
+  if (!job) return null;
+
+  const status = job.state === 'queued' ? 'Waiting in queue...' : `${job.progress}% complete`;
+
+  return (
+    <div className="job-progress">
+      <div className="job-progress-header">
+        <span>
+          <FaSpinner className="spinner" /> {label}
+        </span>
+        {onCancel && (
+          <button onClick={onCancel} className="btn btn-sm btn-secondary" title="Cancel">
+            <FaTimes /> Cancel
+          </button>
+        )}
+      </div>
+      <div className="progress-bar">
+        <div className="progress-fill" style={{ width: `${job.progress}%` }}></div>
+      </div>
+      <div className="text-sm mt-2 opacity-75">{status}</div>
+    </div>
+  );
+};
+
+export default JobProgress;
@@ -0,0 +1,108 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { FaPlay, FaPause, FaTimes } from 'react-icons/fa';
+import audioPlayerService from '../services/audioPlayerService';
+import CdgCanvas from './CdgCanvas';
+
+// Lines shown after the current one
+const UPCOMING_LINES = 2;
+
+// Index of the line being sung at a time (-1 before the first line)
+export const findCurrentLine = (lines, time) => {
+  let current = -1;
+  lines.forEach((line, index) => {
+    if (line.time !== null && line.time !== undefined && line.time <= time) current = index;
+  });
+  return current;
+};
+
+// Full-screen karaoke display of the playing song's synchronized lyrics, or its
+// CD+G graphics for MP3+G songs. Lyric times are in the song's own timeline, so
+// they follow seeks and renders at another tempo (whose lyrics are rescaled when
+// the render is saved).
+const KaraokeView = ({ onClose }) => {
+  const [playerState, setPlayerState] = useState(audioPlayerService.getState());
+  const containerRef = useRef(null);
+  const onCloseRef = useRef(onClose);
+  onCloseRef.current = onClose;
+
+  useEffect(() => {
+    return audioPlayerService.addListener(({ state }) => setPlayerState(state));
+  }, []);
+
+  // Go full screen while open; leaving full screen (e.g. Escape) closes the view
+  useEffect(() => {
+    const container = containerRef.current;
+    const handleFullscreenChange = () => {
+      if (!document.fullscreenElement) onCloseRef.current();
+    };
+    // Without full screen support the view is a page overlay; Escape still closes it
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') onCloseRef.current();
+    };
+    document.addEventListener('keydown', handleKeyDown);
+
+    if (container?.requestFullscreen) {
+      container.requestFullscreen()
+        .then(() => document.addEventListener('fullscreenchange', handleFullscreenChange))
+        .catch(error => console.warn('Full screen not available:', error.message));
+    }
+
+    return () => {
+      document.removeEventListener('keydown', handleKeyDown);
+      document.removeEventListener('fullscreenchange', handleFullscreenChange);
+      if (document.fullscreenElement) {
+        document.exitFullscreen().catch(() => {});
+      }
+    };
+  }, []);
+
+  const { currentSong, lyrics, karaoke, currentTime, isPlaying } = playerState;
+  const lines = (lyrics?.lines || []).filter(line => line.time !== null && line.time !== undefined);
+  const currentIndex = findCurrentLine(lines, currentTime);
+  const currentLine = lines[currentIndex];
+  const upcoming = lines.slice(currentIndex + 1, currentIndex + 1 + UPCOMING_LINES);
+
+  return (
+    <div className="karaoke-view" ref={containerRef}>
+      <div className="karaoke-header">
+        <span className="karaoke-title">{currentSong?.title || 'No song playing'}</span>
+        <div className="karaoke-controls">
+          <button onClick={() => audioPlayerService.toggle()} className="btn btn-secondary" disabled={!currentSong}>
+            {isPlaying ? <FaPause /> : <FaPlay />}
+          </button>
+          <button onClick={onClose} className="btn btn-secondary" title="Close (Esc)">
+            <FaTimes />
+          </button>
+        </div>
+      </div>
+
+      <div className="karaoke-lyrics">
+        {karaoke?.format === 'cdg' ? (
+          <CdgCanvas karaoke={karaoke} />
+        ) : lines.length === 0 ? (
+          <p className="karaoke-line upcoming">No synchronized lyrics for this song</p>
+        ) : (
+          <>
+            <p className="karaoke-line previous">{lines[currentIndex - 1]?.text || ' '}</p>
+            <p className="karaoke-line current">
+              {!currentLine ? '♪' : currentLine.words?.length ? (
+                currentLine.words.map((word, index) => (
+                  <span key={index} className={word.time <= currentTime ? 'sung' : ''}>
+                    {word.text}{' '}
+                  </span>
+                ))
+              ) : (
+                currentLine.text || '♪'
+              )}
+            </p>
+            {upcoming.map((line, index) => (
+              <p key={currentIndex + 1 + index} className="karaoke-line upcoming">{line.text || ' '}</p>
+            ))}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default KaraokeView;
@@ -0,0 +1,43 @@
+import React from 'react';
+import audioPlayerService from '../services/audioPlayerService';
+
+const percentOf = (time, duration) => `${Math.min(100, (time / duration) * 100)}%`;
+
+// Song timeline with its practice markers and A-B loop. Clicking the bar or a
+// marker seeks there via onSeek(time).
+const MarkerBar = ({ markers = [], duration, currentTime = 0, loop = null, onSeek }) => {
+  if (!duration) return null;
+
+  const seekToClick = (event) => {
+    const bounds = event.currentTarget.getBoundingClientRect();
+    onSeek(((event.clientX - bounds.left) / bounds.width) * duration);
+  };
+
+  return (
+    <div className="marker-bar" onClick={seekToClick} title="Click to seek">
+      <div className="marker-bar-progress" style={{ width: percentOf(currentTime, duration) }} />
+      {loop && (
+        <div
+          className="marker-bar-loop"
+          style={{ left: percentOf(loop.start, duration), width: percentOf(loop.end - loop.start, duration) }}
+        />
+      )}
+      {markers.map(marker => (
+        <button
+          key={marker.id}
+          className="marker-tick"
+          style={{ left: percentOf(marker.time, duration) }}
+          onClick={(e) => {
+            e.stopPropagation();
+            onSeek(marker.time);
+          }}
+          title={`${marker.name} (${audioPlayerService.formatTime(marker.time)})`}
+        >
+          <span className="marker-label">{marker.name}</span>
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default MarkerBar;
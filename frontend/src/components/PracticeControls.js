@@ -0,0 +1,202 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { FaRedoAlt, FaTimes, FaBookmark, FaTrash, FaStepBackward, FaStepForward } from 'react-icons/fa';
+import toast from 'react-hot-toast';
+import audioPlayerService from '../services/audioPlayerService';
+import MarkerBar from './MarkerBar';
+
+const LOOP_RATES = [1, 0.9, 0.75, 0.5];
+
+// Typing in a field shouldn't trigger the shortcuts
+const isTyping = (target) => ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable;
+
+// A-B loop and practice markers for the song playing in the player.
+// Shortcuts: A / B set the loop points, L ends the loop, M adds a marker,
+// [ and ] jump to the previous and next marker.
+const PracticeControls = () => {
+  const [playerState, setPlayerState] = useState(audioPlayerService.getState());
+  const [pointA, setPointA] = useState(null);
+  const [loopRate, setLoopRate] = useState(1);
+  const [markerName, setMarkerName] = useState('');
+
+  useEffect(() => {
+    return audioPlayerService.addListener(({ event, state }) => {
+      setPlayerState(state);
+      if (event === 'songLoaded') setPointA(null);
+    });
+  }, []);
+
+  const { currentSong, currentTime, duration, markers, loop } = playerState;
+
+  const setA = useCallback(() => {
+    setPointA(audioPlayerService.getCurrentTime());
+  }, []);
+
+  const setB = useCallback(() => {
+    const start = pointA ?? loop?.start;
+    const end = audioPlayerService.getCurrentTime();
+    if (start === null || start === undefined) {
+      toast.error('Set the loop start (A) first');
+      return;
+    }
+    if (end <= start) {
+      toast.error('The loop end (B) must come after its start (A)');
+      return;
+    }
+
+    audioPlayerService.setLoop(start, end, loopRate);
+    setPointA(null);
+  }, [pointA, loop, loopRate]);
+
+  const clearLoop = useCallback(() => {
+    audioPlayerService.clearLoop();
+    setPointA(null);
+  }, []);
+
+  const changeLoopRate = (rate) => {
+    setLoopRate(rate);
+    audioPlayerService.setLoopRate(rate);
+  };
+
+  const addMarker = useCallback(async (name) => {
+    try {
+      const marker = await audioPlayerService.addMarker(name || `Marker ${markers.length + 1}`);
+      if (marker) toast.success(`Added ${marker.name} at ${audioPlayerService.formatTime(marker.time)}`);
+      setMarkerName('');
+    } catch (error) {
+      console.error('Error adding marker:', error);
+      toast.error('Failed to add marker');
+    }
+  }, [markers]);
+
+  const removeMarker = async (marker) => {
+    try {
+      await audioPlayerService.removeMarker(marker.id);
+    } catch (error) {
+      console.error('Error removing marker:', error);
+      toast.error('Failed to remove marker');
+    }
+  };
+
+  useEffect(() => {
+    if (!currentSong) return undefined;
+
+    const handleKeyDown = (event) => {
+      if (isTyping(event.target) || event.ctrlKey || event.metaKey || event.altKey) return;
+
+      switch (event.key.toLowerCase()) {
+        case 'a':
+          setA();
+          break;
+        case 'b':
+          setB();
+          break;
+        case 'l':
+          clearLoop();
+          break;
+        case 'm':
+          addMarker();
+          break;
+        case '[':
+          audioPlayerService.jumpToMarker(-1);
+          break;
+        case ']':
+          audioPlayerService.jumpToMarker(1);
+          break;
+        default:
+          return;
+      }
+      event.preventDefault();
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [currentSong, setA, setB, clearLoop, addMarker]);
+
+  if (!currentSong) return null;
+
+  return (
+    <div className="card mb-6 practice-controls">
+      <h2 className="text-xl font-semibold mb-4">
+        <FaRedoAlt /> Practice
+      </h2>
+
+      <MarkerBar
+        markers={markers}
+        duration={duration}
+        currentTime={currentTime}
+        loop={loop || (pointA !== null ? { start: pointA, end: pointA } : null)}
+        onSeek={(time) => audioPlayerService.seek(time)}
+      />
+
+      <div className="action-buttons mb-4">
+        <button onClick={setA} className="btn btn-sm btn-secondary" title="Loop start (A)">
+          A{pointA !== null && ` ${audioPlayerService.formatTime(pointA)}`}
+        </button>
+        <button onClick={setB} className="btn btn-sm btn-secondary" title="Loop end (B)">
+          B
+        </button>
+        {loop && (
+          <>
+            <span className="text-sm opacity-75">
+              Looping {audioPlayerService.formatTime(loop.start)} – {audioPlayerService.formatTime(loop.end)}
+            </span>
+            <button onClick={clearLoop} className="btn btn-sm btn-secondary" title="End the loop (L)">
+              <FaTimes /> Stop Loop
+            </button>
+          </>
+        )}
+        <select
+          className="select"
+          value={loopRate}
+          onChange={(e) => changeLoopRate(parseFloat(e.target.value))}
+          title="Loop speed (the key stays the same)"
+        >
+          {LOOP_RATES.map(rate => (
+            <option key={rate} value={rate}>{rate === 1 ? 'Loop at full speed' : `Loop at ${rate * 100}%`}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="action-buttons mb-4">
+        <input
+          type="text"
+          className="input"
+          value={markerName}
+          onChange={(e) => setMarkerName(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && addMarker(markerName.trim())}
+          placeholder="Marker name (e.g. Chorus)"
+        />
+        <button onClick={() => addMarker(markerName.trim())} className="btn btn-sm btn-primary" title="Add a marker here (M)">
+          <FaBookmark /> Add Marker
+        </button>
+        <button onClick={() => audioPlayerService.jumpToMarker(-1)} className="btn btn-sm btn-secondary" title="Previous marker ([)">
+          <FaStepBackward />
+        </button>
+        <button onClick={() => audioPlayerService.jumpToMarker(1)} className="btn btn-sm btn-secondary" title="Next marker (])">
+          <FaStepForward />
+        </button>
+      </div>
+
+      {markers.length > 0 && (
+        <div className="marker-list">
+          {markers.map(marker => (
+            <div key={marker.id} className="marker-item">
+              <button onClick={() => audioPlayerService.seek(marker.time)} className="btn btn-sm btn-secondary">
+                {audioPlayerService.formatTime(marker.time)}
+              </button>
+              <span className="marker-name">{marker.name}</span>
+              <button onClick={() => removeMarker(marker)} className="btn btn-sm btn-secondary" title="Delete marker">
+                <FaTrash />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <p className="text-sm opacity-75">
+        Shortcuts: A / B set the loop, L stops it, M adds a marker, [ and ] jump between markers.
+      </p>
+    </div>
+  );
+};
+
+export default PracticeControls;
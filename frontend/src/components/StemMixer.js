@@ -0,0 +1,55 @@
+import React, { useState, useEffect } from 'react';
+import { FaLayerGroup, FaVolumeUp, FaVolumeMute, FaTimes } from 'react-icons/fa';
+import audioPlayerService from '../services/audioPlayerService';
+
+// Per-stem volume and mute controls for the song currently playing from stems
+const StemMixer = () => {
+  const [stems, setStems] = useState(audioPlayerService.getState().stems);
+
+  useEffect(() => {
+    return audioPlayerService.addListener(({ state }) => setStems(state.stems));
+  }, []);
+
+  if (stems.length === 0) return null;
+
+  return (
+    <div className="card mb-6 stem-mixer">
+      <div className="stem-mixer-header">
+        <h2 className="text-xl font-semibold">
+          <FaLayerGroup /> Stem Mixer
+        </h2>
+        <button
+          onClick={() => audioPlayerService.unloadStems()}
+          className="btn btn-sm btn-secondary"
+          title="Play the full mix again"
+        >
+          <FaTimes /> Full Mix
+        </button>
+      </div>
+
+      {stems.map(stem => (
+        <div key={stem.name} className={`stem-row ${stem.muted ? 'muted' : ''}`}>
+          <button
+            onClick={() => audioPlayerService.setStemMuted(stem.name, !stem.muted)}
+            className="btn btn-sm btn-secondary"
+            title={stem.muted ? 'Unmute' : 'Mute'}
+          >
+            {stem.muted ? <FaVolumeMute /> : <FaVolumeUp />}
+          </button>
+          <span className="stem-name">{stem.name}</span>
+          <input
+            type="range"
+            min={0}
+            max={100}
+            value={Math.round(stem.volume * 100)}
+            onChange={(e) => audioPlayerService.setStemVolume(stem.name, parseInt(e.target.value, 10) / 100)}
+            className="stem-volume"
+          />
+          <span className="stem-level">{Math.round(stem.volume * 100)}%</span>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default StemMixer;
@@ -0,0 +1,134 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { FaMicrophone, FaStop, FaCheck, FaUndo } from 'react-icons/fa';
+import toast from 'react-hot-toast';
+import { detectPitch, frequencyToMidi, midiToNoteName } from '../utils/vocalRange';
+
+// A note counts once it's held this many animation frames (about a quarter second)
+// within half a semitone, so slides and cracks don't stretch the range
+const HOLD_FRAMES = 15;
+const HOLD_TOLERANCE = 0.5;
+
+const releaseSession = (session) => {
+  if (!session) return;
+  cancelAnimationFrame(session.frame);
+  session.stream.getTracks().forEach(track => track.stop());
+  session.context.close();
+};
+
+// Microphone range test: the singer glides down to their lowest comfortable note
+// and up to their highest; the lowest and highest held notes become the range.
+const VocalRangeTest = ({ onResult }) => {
+  const [listening, setListening] = useState(false);
+  const [currentNote, setCurrentNote] = useState(null);
+  const [range, setRange] = useState(null);
+  const sessionRef = useRef(null);
+
+  const stop = () => {
+    releaseSession(sessionRef.current);
+    sessionRef.current = null;
+    setListening(false);
+    setCurrentNote(null);
+  };
+
+  // Release the microphone when leaving the page
+  useEffect(() => {
+    const sessions = sessionRef;
+    return () => releaseSession(sessions.current);
+  }, []);
+
+  const start = async () => {
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({
+        audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false }
+      });
+      const context = new (window.AudioContext || window.webkitAudioContext)();
+      const analyser = context.createAnalyser();
+      analyser.fftSize = 2048;
+      context.createMediaStreamSource(stream).connect(analyser);
+
+      const buffer = new Float32Array(analyser.fftSize);
+      const session = { stream, context, frame: null, heldNote: null, heldFrames: 0 };
+      sessionRef.current = session;
+      setRange(null);
+      setListening(true);
+
+      const listen = () => {
+        analyser.getFloatTimeDomainData(buffer);
+        const frequency = detectPitch(buffer, context.sampleRate);
+        const note = frequency ? frequencyToMidi(frequency) : null;
+        setCurrentNote(note);
+
+        if (note !== null && session.heldNote !== null && Math.abs(note - session.heldNote) <= HOLD_TOLERANCE) {
+          session.heldFrames++;
+        } else {
+          session.heldNote = note;
+          session.heldFrames = note !== null ? 1 : 0;
+        }
+
+        if (session.heldFrames === HOLD_FRAMES) {
+          const held = Math.round(session.heldNote);
+          setRange(previous => previous
+            ? { lowest: Math.min(previous.lowest, held), highest: Math.max(previous.highest, held) }
+            : { lowest: held, highest: held });
+        }
+
+        session.frame = requestAnimationFrame(listen);
+      };
+      listen();
+    } catch (error) {
+      console.error('Microphone error:', error);
+      toast.error('Could not access the microphone');
+    }
+  };
+
+  const applyResult = () => {
+    stop();
+    onResult(range);
+  };
+
+  return (
+    <div className="vocal-range-test">
+      <p className="opacity-75 mb-4">
+        Sing a comfortable note, then slide down to the lowest note you can hold easily and up to the
+        highest. Hold each end for a moment.
+      </p>
+
+      <div className="vocal-range-readout">
+        <div>
+          <div className="detail-label">Now</div>
+          <div className="vocal-range-note">{currentNote !== null ? midiToNoteName(currentNote) : '—'}</div>
+        </div>
+        <div>
+          <div className="detail-label">Lowest</div>
+          <div className="vocal-range-note">{range ? midiToNoteName(range.lowest) : '—'}</div>
+        </div>
+        <div>
+          <div className="detail-label">Highest</div>
+          <div className="vocal-range-note">{range ? midiToNoteName(range.highest) : '—'}</div>
+        </div>
+      </div>
+
+      <div className="action-buttons">
+        {!listening ? (
+          <button onClick={start} className="btn btn-primary">
+            <FaMicrophone /> {range ? 'Test Again' : 'Start Test'}
+          </button>
+        ) : (
+          <button onClick={stop} className="btn btn-secondary">
+            <FaStop /> Stop
+          </button>
+        )}
+        {range && !listening && (
+          <button onClick={() => setRange(null)} className="btn btn-secondary">
+            <FaUndo /> Clear
+          </button>
+        )}
+        <button onClick={applyResult} className="btn btn-primary" disabled={!range || range.lowest >= range.highest}>
+          <FaCheck /> Use This Range
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default VocalRangeTest;
@@ -0,0 +1,246 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { FaUser, FaSpinner, FaSignInAlt, FaSignOutAlt, FaKey, FaTrash, FaCopy, FaGoogleDrive } from 'react-icons/fa';
+import toast from 'react-hot-toast';
+import ApiService from '../services/api';
+
+const Account = ({ user, onUserChange }) => {
+  const [mode, setMode] = useState('login');
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [tokens, setTokens] = useState([]);
+  const [tokenName, setTokenName] = useState('');
+  const [newToken, setNewToken] = useState(null);
+
+  const loadTokens = useCallback(async () => {
+    try {
+      const response = await ApiService.listApiTokens();
+      setTokens(response.data.tokens);
+    } catch (error) {
+      const errorInfo = ApiService.handleApiError(error);
+      toast.error(`Could not load API tokens: ${errorInfo.message}`);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (user) {
+      loadTokens();
+    } else {
+      setTokens([]);
+      setNewToken(null);
+    }
+  }, [user, loadTokens]);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setSubmitting(true);
+    try {
+      const response = mode === 'login'
+        ? await ApiService.login(username, password)
+        : await ApiService.register(username, password);
+
+      setPassword('');
+      onUserChange(response.data.user);
+      toast.success(mode === 'login' ? `Signed in as ${response.data.user.username}` : 'Account created');
+    } catch (error) {
+      const errorInfo = ApiService.handleApiError(error);
+      toast.error(errorInfo.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleLogout = async () => {
+    try {
+      await ApiService.logout();
+      onUserChange(null);
+      toast.success('Signed out');
+    } catch (error) {
+      const errorInfo = ApiService.handleApiError(error);
+      toast.error(`Sign out failed: ${errorInfo.message}`);
+    }
+  };
+
+  const createToken = async () => {
+    try {
+      const response = await ApiService.createApiToken(tokenName.trim() || undefined);
+      setNewToken(response.data.token);
+      setTokenName('');
+      await loadTokens();
+    } catch (error) {
+      const errorInfo = ApiService.handleApiError(error);
+      toast.error(`Could not create token: ${errorInfo.message}`);
+    }
+  };
+
+  const revokeToken = async (tokenId) => {
+    try {
+      await ApiService.revokeApiToken(tokenId);
+      setTokens(prev => prev.filter(token => token.id !== tokenId));
+      toast.success('API token revoked');
+    } catch (error) {
+      const errorInfo = ApiService.handleApiError(error);
+      toast.error(`Could not revoke token: ${errorInfo.message}`);
+    }
+  };
+
+  const copyNewToken = async () => {
+    try {
+      await navigator.clipboard.writeText(newToken);
+      toast.success('Token copied');
+    } catch (error) {
+      toast.error('Copy failed - select the token and copy it manually');
+    }
+  };
+
+  const disconnectDrive = async () => {
+    try {
+      await ApiService.disconnectGoogleDrive();
+      onUserChange({ ...user, driveConnected: false });
+      toast.success('Google Drive disconnected');
+    } catch (error) {
+      const errorInfo = ApiService.handleApiError(error);
+      toast.error(`Disconnect failed: ${errorInfo.message}`);
+    }
+  };
+
+  const formatDate = (dateString) => {
+    return dateString ? new Date(dateString).toLocaleDateString() : 'never';
+  };
+
+  if (!user) {
+    return (
+      <div className="account-page">
+        <div className="auth-section">
+          <div className="auth-icon">
+            <FaUser />
+          </div>
+          <h1 className="text-2xl font-bold mb-4">
+            {mode === 'login' ? 'Sign in' : 'Create an account'}
+          </h1>
+          <p className="mb-6 opacity-75">
+            Songs you upload and render on the server are private to your account.
+          </p>
+
+          <form onSubmit={handleSubmit} className="card account-form">
+            <div className="form-group">
+              <label className="form-label" htmlFor="account-username">Username</label>
+              <input
+                id="account-username"
+                type="text"
+                autoComplete="username"
+                value={username}
+                onChange={(e) => setUsername(e.target.value)}
+                className="input"
+                required
+              />
+            </div>
+            <div className="form-group">
+              <label className="form-label" htmlFor="account-password">Password</label>
+              <input
+                id="account-password"
+                type="password"
+                autoComplete={mode === 'login' ? 'current-password' : 'new-password'}
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                className="input"
+                minLength={mode === 'register' ? 8 : undefined}
+                required
+              />
+            </div>
+            <button type="submit" disabled={submitting} className="btn btn-primary">
+              {submitting ? <FaSpinner className="spinner" /> : <FaSignInAlt />}
+              {mode === 'login' ? 'Sign in' : 'Create account'}
+            </button>
+          </form>
+
+          <button
+            onClick={() => setMode(mode === 'login' ? 'register' : 'login')}
+            className="btn btn-secondary mt-4"
+          >
+            {mode === 'login' ? 'New here? Create an account' : 'Already have an account? Sign in'}
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="account-page">
+      <h1 className="section-title">
+        <FaUser /> {user.username}
+      </h1>
+
+      <div className="card">
+        <div className="flex gap-4">
+          <p className="flex-1">Member since {formatDate(user.createdAt)}</p>
+          {user.driveConnected && (
+            <button onClick={disconnectDrive} className="btn btn-secondary">
+              <FaGoogleDrive /> Disconnect Google Drive
+            </button>
+          )}
+          <button onClick={handleLogout} className="btn btn-secondary">
+            <FaSignOutAlt /> Sign out
+          </button>
+        </div>
+      </div>
+
+      <div className="card mt-6">
+        <h2 className="text-xl font-semibold mb-4">
+          <FaKey /> API Tokens
+        </h2>
+        <p className="mb-4 opacity-75">
+          Use a token as <code>Authorization: Bearer &lt;token&gt;</code> to call the API from scripts.
+        </p>
+
+        <div className="flex gap-4 mb-4">
+          <input
+            type="text"
+            placeholder="Token name (e.g. laptop script)"
+            value={tokenName}
+            maxLength={64}
+            onChange={(e) => setTokenName(e.target.value)}
+            className="input flex-1"
+          />
+          <button onClick={createToken} className="btn btn-primary">
+            <FaKey /> Create token
+          </button>
+        </div>
+
+        {newToken && (
+          <div className="new-token mb-4">
+            <p className="text-sm mb-2">Copy this token now - it will not be shown again.</p>
+            <div className="flex gap-4">
+              <code className="flex-1">{newToken}</code>
+              <button onClick={copyNewToken} className="btn btn-secondary btn-sm">
+                <FaCopy /> Copy
+              </button>
+            </div>
+          </div>
+        )}
+
+        {tokens.length === 0 ? (
+          <p className="opacity-75">No API tokens yet.</p>
+        ) : (
+          <div className="file-list">
+            {tokens.map(token => (
+              <div key={token.id} className="file-item">
+                <div className="flex-1">
+                  <strong>{token.name}</strong> <span className="opacity-75">…{token.hint}</span>
+                  <div className="text-sm opacity-75">
+                    Created {formatDate(token.createdAt)} · Last used {formatDate(token.lastUsedAt)}
+                  </div>
+                </div>
+                <button onClick={() => revokeToken(token.id)} className="btn btn-danger btn-sm">
+                  <FaTrash /> Revoke
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Account;
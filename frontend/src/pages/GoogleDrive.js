@@ -185,7 +185,8 @@ const GoogleDrive = ({ setCurrentAudio }) => {
       const response = await ApiService.downloadFromGoogleDrive(file.id);
       
       const audioData = {
-        filename: response.data.filename,
+        filename: file.name,
+        serverAssetId: response.data.asset.id,
         originalName: file.name,
         size: file.size,
         source: 'google-drive'
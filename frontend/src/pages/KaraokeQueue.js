@@ -0,0 +1,416 @@
+import React, { useState, useEffect } from 'react';
+import { FaListOl, FaPlus, FaPlay, FaPause, FaForward, FaTrash, FaGripVertical, FaBullhorn, FaTv, FaSpinner } from 'react-icons/fa';
+import toast from 'react-hot-toast';
+import ApiService from '../services/api';
+import playlistService from '../services/playlistService';
+import localStorageService from '../services/localStorageService';
+import singerService from '../services/singerService';
+import audioPlayerService from '../services/audioPlayerService';
+import queueRotationService from '../services/queueRotationService';
+import KaraokeView from '../components/KaraokeView';
+import JobProgress from '../components/JobProgress';
+import { recommendTransposition } from '../utils/vocalRange';
+import { isPitchShiftSupported } from '../utils/pitchShift';
+
+const SEMITONE_OPTIONS = Array.from({ length: 25 }, (_, i) => i - 12);
+
+const formatShift = (semitones) => (semitones ? `${semitones > 0 ? '+' : ''}${semitones}` : 'Original key');
+
+// The player's song for a queue entry: the library song in the entry's key
+const entrySong = (entry, song) => ({ ...song, transposition: { semitones: entry.semitones }, queueEntryId: entry.id });
+
+// Live karaoke queue for the host (KJ): singers sign up with a song and a key,
+// the rotation stays fair, and the queue survives a browser refresh. The rotation
+// itself runs in queueRotationService, so it keeps going on other pages.
+const KaraokeQueue = () => {
+  const [queue, setQueue] = useState(null);
+  const [songs, setSongs] = useState([]);
+  const [singers, setSingers] = useState([]);
+  const [signup, setSignup] = useState({ singer: '', songId: '', semitones: 0 });
+  const [playerState, setPlayerState] = useState(audioPlayerService.getState());
+  const [preparing, setPreparing] = useState(null);
+  const [announcement, setAnnouncement] = useState(null);
+  const [showKaraoke, setShowKaraoke] = useState(false);
+  const [dragId, setDragId] = useState(null);
+
+  const currentLoaded = Boolean(queue?.current) && playerState.currentSong?.queueEntryId === queue.current.id;
+
+  useEffect(() => {
+    const loadQueue = () => playlistService.getQueue().then(setQueue);
+    const loadSingers = () => singerService.getAllSingers().then(setSingers);
+
+    Promise.all([
+      loadQueue(),
+      loadSingers(),
+      localStorageService.getAllAudioFiles().then(files => setSongs(files.sort((a, b) => a.title.localeCompare(b.title))))
+    ]).catch(error => {
+      console.error('Error loading karaoke queue:', error);
+      toast.error('Failed to load the karaoke queue');
+    });
+
+    window.addEventListener('queueUpdated', loadQueue);
+    window.addEventListener('singersUpdated', loadSingers);
+    return () => {
+      window.removeEventListener('queueUpdated', loadQueue);
+      window.removeEventListener('singersUpdated', loadSingers);
+    };
+  }, []);
+
+  useEffect(() => {
+    return audioPlayerService.addListener(({ state }) => setPlayerState(state));
+  }, []);
+
+  // Next-singer announcements from the rotation
+  useEffect(() => {
+    const showAnnouncement = (event) => setAnnouncement(event.detail);
+    window.addEventListener('queueAnnouncement', showAnnouncement);
+    return () => window.removeEventListener('queueAnnouncement', showAnnouncement);
+  }, []);
+
+  const songFor = (entry) => songs.find(song => song.id === entry.songId);
+
+  const findProfile = (singerName) =>
+    singers.find(singer => singer.name.toLowerCase() === singerName.trim().toLowerCase());
+
+  // Pre-fill the key: the one remembered for the singer (or the song's default),
+  // else the one recommended for a profiled singer's range
+  const suggestShift = async (singerName, songId) => {
+    if (!songId) return 0;
+    const profile = findProfile(singerName);
+    const preference = await localStorageService.getKeyPreference(songId, profile?.id);
+    if (preference) return preference.semitones;
+
+    const song = songs.find(file => file.id === songId);
+    return recommendTransposition(song?.metadata?.melodyRange, profile)?.semitones ?? 0;
+  };
+
+  const updateSignup = async (updates) => {
+    const next = { ...signup, ...updates };
+    setSignup(next);
+    if ('singer' in updates || 'songId' in updates) {
+      const semitones = await suggestShift(next.singer, next.songId);
+      setSignup(current => (current.singer === next.singer && current.songId === next.songId
+        ? { ...current, semitones }
+        : current));
+    }
+  };
+
+  const addSignup = async (e) => {
+    e.preventDefault();
+    if (!signup.singer.trim() || !signup.songId) {
+      toast.error('Enter a singer and choose a song');
+      return;
+    }
+
+    try {
+      const profile = findProfile(signup.singer);
+      const entry = await playlistService.addQueueEntry({ ...signup, singerId: profile?.id });
+      // A profiled singer's key is remembered for next time
+      if (profile) {
+        await localStorageService.setKeyPreference(entry.songId, profile.id, entry.semitones);
+      }
+      toast.success(`${entry.singer} signed up for "${entry.title}"`);
+      setSignup({ singer: '', songId: '', semitones: 0 });
+    } catch (error) {
+      console.error('Error adding to queue:', error);
+      toast.error(error.message || 'Failed to add to the queue');
+    }
+  };
+
+  // Load an entry into the player, rendering its key first if needed (where the
+  // browser can shift the key live, the player does that instead)
+  const loadEntry = async (entry, position = 0) => {
+    const song = songFor(entry);
+    if (!song) {
+      throw new Error(`"${entry.title}" is no longer in the library`);
+    }
+
+    if (!isPitchShiftSupported()) {
+      setPreparing({ entry, job: null });
+      try {
+        await playlistService.ensureTransposedVersion(song, entry.semitones, {
+          onSubmit: (job) => setPreparing({ entry, job }),
+          onProgress: (progress, job) => setPreparing({ entry, job })
+        });
+      } finally {
+        setPreparing(null);
+      }
+    }
+
+    audioPlayerService.setRepeat('none');
+    await audioPlayerService.setPlaylist([entrySong(entry, song)], 0);
+    if (position > 0) {
+      const removeListener = audioPlayerService.addListener(({ event }) => {
+        if (event !== 'metadataLoaded') return;
+        removeListener();
+        audioPlayerService.seek(position);
+      });
+    }
+    queueRotationService.resetPosition(position);
+  };
+
+  // Start the current singer, or bring up the next one
+  const startSinging = async () => {
+    try {
+      let entry = queue.current;
+      if (!entry) {
+        entry = await playlistService.advanceQueue();
+        if (!entry) {
+          toast.error('The queue is empty');
+          return;
+        }
+      }
+
+      setAnnouncement(null);
+      if (playerState.currentSong?.queueEntryId !== entry.id) {
+        await loadEntry(entry, entry.id === queue.current?.id ? queue.position : 0);
+      }
+      await audioPlayerService.play();
+    } catch (error) {
+      console.error('Error starting singer:', error);
+      toast.error(error.cancelled ? 'Render cancelled' : `Could not start: ${error.message}`);
+    }
+  };
+
+  const finishSinger = async () => {
+    try {
+      audioPlayerService.stop();
+      await queueRotationService.advance();
+    } catch (error) {
+      console.error('Error advancing queue:', error);
+      toast.error('Failed to move to the next singer');
+    }
+  };
+
+  const cancelPreparing = async () => {
+    if (!preparing?.job) return;
+    try {
+      await ApiService.cancelJob(preparing.job.id);
+    } catch (error) {
+      const errorInfo = ApiService.handleApiError(error);
+      toast.error(`Cancel failed: ${errorInfo.message}`);
+    }
+  };
+
+  const changeEntryShift = (entry, semitones) => {
+    playlistService.updateQueueEntry(entry.id, { semitones })
+      .catch(error => {
+        console.error('Error updating entry:', error);
+        toast.error('Failed to change the key');
+      });
+  };
+
+  const removeEntry = (entry) => {
+    playlistService.removeQueueEntry(entry.id)
+      .catch(error => {
+        console.error('Error removing entry:', error);
+        toast.error('Failed to remove the entry');
+      });
+  };
+
+  const dropEntry = (targetIndex) => {
+    if (!dragId) return;
+    playlistService.moveQueueEntry(dragId, targetIndex)
+      .catch(error => {
+        console.error('Error reordering queue:', error);
+        toast.error('Failed to reorder the queue');
+      });
+    setDragId(null);
+  };
+
+  const clearQueue = async () => {
+    if (!window.confirm('Clear the whole queue and its history?')) return;
+    audioPlayerService.stop();
+    setAnnouncement(null);
+    await playlistService.clearQueue();
+  };
+
+  if (!queue) {
+    return (
+      <div className="text-center">
+        <div className="spinner mb-4"></div>
+        <h1>Loading Queue...</h1>
+      </div>
+    );
+  }
+
+  const upNext = queue.entries[0];
+
+  return (
+    <div className="karaoke-queue-page">
+      <div className="card mb-6">
+        <h1 className="text-2xl font-bold mb-4">
+          <FaListOl /> Karaoke Queue
+        </h1>
+        <p className="opacity-75 mb-4">
+          Sign singers up with a song and a key. New sign-ups join the rotation fairly; drag entries to
+          reorder. The queue and the current song's position survive a page refresh.
+        </p>
+
+        <form onSubmit={addSignup} className="queue-signup">
+          <div className="form-group">
+            <label className="form-label" htmlFor="queue-singer">Singer</label>
+            <input
+              id="queue-singer"
+              type="text"
+              className="input"
+              list="queue-singer-profiles"
+              value={signup.singer}
+              onChange={(e) => updateSignup({ singer: e.target.value })}
+              placeholder="Singer's name"
+            />
+            <datalist id="queue-singer-profiles">
+              {singers.map(singer => <option key={singer.id} value={singer.name} />)}
+            </datalist>
+          </div>
+          <div className="form-group">
+            <label className="form-label" htmlFor="queue-song">Song</label>
+            <select
+              id="queue-song"
+              className="select"
+              value={signup.songId}
+              onChange={(e) => updateSignup({ songId: e.target.value })}
+            >
+              <option value="">Choose a song...</option>
+              {songs.map(song => <option key={song.id} value={song.id}>{song.title}</option>)}
+            </select>
+          </div>
+          <div className="form-group">
+            <label className="form-label" htmlFor="queue-key">Key</label>
+            <select
+              id="queue-key"
+              className="select"
+              value={signup.semitones}
+              onChange={(e) => updateSignup({ semitones: parseInt(e.target.value, 10) })}
+            >
+              {SEMITONE_OPTIONS.map(value => <option key={value} value={value}>{formatShift(value)}</option>)}
+            </select>
+          </div>
+          <button type="submit" className="btn btn-primary">
+            <FaPlus /> Add to Queue
+          </button>
+        </form>
+      </div>
+
+      {announcement && (
+        <div className="queue-announcement mb-6">
+          <FaBullhorn /> Next up: <strong>{announcement.singer}</strong> singing <strong>{announcement.title}</strong>
+          {announcement.semitones !== 0 && ` (${formatShift(announcement.semitones)})`}
+        </div>
+      )}
+
+      <div className="card mb-6">
+        <h2 className="text-xl font-semibold mb-4">Now Singing</h2>
+        {queue.current ? (
+          <div className="queue-current">
+            <div className="singer-name">{queue.current.singer}</div>
+            <div className="opacity-75">
+              {queue.current.title} · {formatShift(queue.current.semitones)}
+            </div>
+          </div>
+        ) : (
+          <p className="opacity-75 mb-4">Nobody is on yet.</p>
+        )}
+
+        {preparing && (
+          <JobProgress
+            job={preparing.job || { state: 'queued', progress: 0 }}
+            label={`Rendering "${preparing.entry.title}" in ${formatShift(preparing.entry.semitones)}`}
+            onCancel={preparing.job ? cancelPreparing : null}
+          />
+        )}
+
+        <div className="action-buttons mt-4">
+          {currentLoaded && playerState.isPlaying ? (
+            <button onClick={() => audioPlayerService.pause()} className="btn btn-secondary">
+              <FaPause /> Pause
+            </button>
+          ) : (
+            <button
+              onClick={startSinging}
+              className="btn btn-primary"
+              disabled={Boolean(preparing) || (!queue.current && queue.entries.length === 0)}
+            >
+              {preparing ? <FaSpinner className="spinner" /> : <FaPlay />}
+              {queue.current ? (currentLoaded ? ' Resume' : ' Start') : ' Start Next Singer'}
+            </button>
+          )}
+          {queue.current && (
+            <button onClick={finishSinger} className="btn btn-secondary" disabled={Boolean(preparing)}>
+              <FaForward /> Next Singer
+            </button>
+          )}
+          {currentLoaded && (
+            <button onClick={() => setShowKaraoke(true)} className="btn btn-secondary">
+              <FaTv /> Karaoke View
+            </button>
+          )}
+          {upNext && (
+            <button onClick={() => queueRotationService.announce(upNext)} className="btn btn-secondary">
+              <FaBullhorn /> Announce Next
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="card">
+        <div className="queue-list-header mb-4">
+          <h2 className="text-xl font-semibold">Up Next ({queue.entries.length})</h2>
+          {(queue.entries.length > 0 || queue.history.length > 0 || queue.current) && (
+            <button onClick={clearQueue} className="btn btn-sm btn-secondary">
+              <FaTrash /> Clear Queue
+            </button>
+          )}
+        </div>
+
+        {queue.entries.length === 0 ? (
+          <p className="opacity-75">The queue is empty.</p>
+        ) : (
+          <div className="queue-list">
+            {queue.entries.map((entry, index) => (
+              <div
+                key={entry.id}
+                className={`queue-entry ${dragId === entry.id ? 'dragging' : ''}`}
+                draggable
+                onDragStart={() => setDragId(entry.id)}
+                onDragEnd={() => setDragId(null)}
+                onDragOver={(e) => e.preventDefault()}
+                onDrop={() => dropEntry(index)}
+              >
+                <FaGripVertical className="queue-grip" />
+                <span className="queue-position">{index + 1}</span>
+                <div className="singer-info">
+                  <div className="singer-name">{entry.singer}</div>
+                  <div className="text-sm opacity-75">
+                    {entry.title}{!songFor(entry) && ' (missing from library)'}
+                  </div>
+                </div>
+                <select
+                  className="select queue-entry-key"
+                  value={entry.semitones}
+                  onChange={(e) => changeEntryShift(entry, parseInt(e.target.value, 10))}
+                  title="Key"
+                >
+                  {SEMITONE_OPTIONS.map(value => <option key={value} value={value}>{formatShift(value)}</option>)}
+                </select>
+                <button onClick={() => removeEntry(entry)} className="btn btn-sm btn-secondary" title="Remove">
+                  <FaTrash />
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {queue.history.length > 0 && (
+          <p className="text-sm opacity-75 mt-4">
+            {queue.history.length} song{queue.history.length === 1 ? '' : 's'} sung tonight
+          </p>
+        )}
+      </div>
+
+      {showKaraoke && <KaraokeView onClose={() => setShowKaraoke(false)} />}
+    </div>
+  );
+};
+
+export default KaraokeQueue;
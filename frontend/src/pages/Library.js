@@ -1,11 +1,29 @@
 import React, { useState, useEffect } from 'react';
-import { FaHdd, FaTrash, FaDownload, FaUpload, FaSync, FaCloud, FaMusic, FaPlay, FaPause, FaStop, FaPlus, FaList, FaEdit, FaCheck, FaTimes } from 'react-icons/fa';
+import { FaHdd, FaTrash, FaDownload, FaUpload, FaSync, FaCloud, FaMusic, FaPlay, FaPause, FaStop, FaPlus, FaList, FaEdit, FaCheck, FaTimes, FaLayerGroup, FaBalanceScale, FaSpinner, FaMicrophoneAlt, FaTv } from 'react-icons/fa';
 import toast from 'react-hot-toast';
+import ApiService from '../services/api';
 import localStorageService from '../services/localStorageService';
 import audioPlayerService from '../services/audioPlayerService';
 import playlistService from '../services/playlistService';
+import singerService from '../services/singerService';
+import StemMixer from '../components/StemMixer';
+import PracticeControls from '../components/PracticeControls';
+import KaraokeView from '../components/KaraokeView';
+import JobProgress from '../components/JobProgress';
 import '../components/Playlist.css';
 
+// Detected BPM of a song, or null when it has not been analyzed or has no steady beat
+const getBpm = (file) => file.metadata?.tempo?.bpm ?? null;
+
+const SEMITONE_OPTIONS = Array.from({ length: 25 }, (_, i) => i - 12);
+
+const formatShift = (semitones) => (semitones ? `${semitones > 0 ? '+' : ''}${semitones}` : '0 (original)');
+
+// Songs missing a loudness, tempo or melody range analysis (a song without a steady beat
+// or a clear vocal line has been analyzed)
+const needsAnalysis = (file) => !file.metadata?.loudness || file.metadata?.tempo === undefined ||
+  file.metadata?.melodyRange === undefined;
+
 const Library = () => {
   const [audioFiles, setAudioFiles] = useState([]);
   const [storageStats, setStorageStats] = useState(null);
@@ -21,6 +39,31 @@ const Library = () => {
   const [newTitle, setNewTitle] = useState('');
   const [showDeleteUnused, setShowDeleteUnused] = useState(false);
   const [unusedSongs, setUnusedSongs] = useState([]);
+  const [songsWithStems, setSongsWithStems] = useState(new Set());
+  const [analyzingSongs, setAnalyzingSongs] = useState(false);
+  const [minBpm, setMinBpm] = useState('');
+  const [maxBpm, setMaxBpm] = useState('');
+  const [showKaraoke, setShowKaraoke] = useState(false);
+  const [singers, setSingers] = useState([]);
+  const [selectedSingerId, setSelectedSingerId] = useState(singerService.getSelectedSingerId() || '');
+  const [keyPreferences, setKeyPreferences] = useState([]);
+
+  // Singers and the keys remembered for them; playback follows the selected singer
+  useEffect(() => {
+    const loadSingers = () => singerService.getAllSingers().then(setSingers)
+      .catch(error => console.error('Error loading singers:', error));
+    const loadKeyPreferences = () => localStorageService.getAllKeyPreferences().then(setKeyPreferences)
+      .catch(error => console.error('Error loading key preferences:', error));
+
+    loadSingers();
+    loadKeyPreferences();
+    window.addEventListener('singersUpdated', loadSingers);
+    window.addEventListener('keyPreferenceUpdated', loadKeyPreferences);
+    return () => {
+      window.removeEventListener('singersUpdated', loadSingers);
+      window.removeEventListener('keyPreferenceUpdated', loadKeyPreferences);
+    };
+  }, []);
 
   useEffect(() => {
     loadLibrary();
@@ -33,7 +76,7 @@ const Library = () => {
     };
 
     // Listen for player state changes
-    const playerUnsubscribe = audioPlayerService.addListener(setPlayerState);
+    const playerUnsubscribe = audioPlayerService.addListener(({ state }) => setPlayerState(state));
 
     window.addEventListener('storageUpdated', handleStorageUpdate);
     
@@ -47,6 +90,11 @@ const Library = () => {
     try {
       const files = await localStorageService.getAllAudioFiles();
       setAudioFiles(files);
+
+      const derivedFiles = await localStorageService.getAllTransposedFiles();
+      setSongsWithStems(new Set(
+        derivedFiles.filter(file => file.variant === 'stem').map(file => file.originalId)
+      ));
     } catch (error) {
       console.error('Error loading library:', error);
       toast.error('Failed to load audio library');
@@ -73,7 +121,34 @@ const Library = () => {
     }
   };
 
+  const selectSinger = (singerId) => {
+    singerService.setSelectedSingerId(singerId);
+    setSelectedSingerId(singerId);
+  };
+
+  const findKeyPreference = (songId, singerId) =>
+    keyPreferences.find(preference => preference.songId === songId && preference.singerId === (singerId || null));
+
+  // Remember the key a song plays in for the selected singer (or by default); '' forgets it
+  const changeKeyPreference = async (song, value) => {
+    try {
+      await localStorageService.setKeyPreference(song.id, selectedSingerId || null, value === '' ? null : parseInt(value, 10));
+    } catch (error) {
+      console.error('Error saving key preference:', error);
+      toast.error('Failed to save the key');
+    }
+  };
+
   // Shared audio control functions
+  // Play a song with its synchronized lyrics full screen
+  const playKaraoke = async (song) => {
+    if (playerState.currentSong?.id !== song.id) {
+      await audioPlayerService.setPlaylist([song], 0);
+    }
+    setShowKaraoke(true);
+    await audioPlayerService.play();
+  };
+
   const handlePlayPause = async (song) => {
     console.log('🎵 Library handlePlayPause called with:', {
       songId: song.id,
@@ -107,6 +182,22 @@ const Library = () => {
     }
   };
 
+  const handlePlayStems = async (song) => {
+    try {
+      await audioPlayerService.setPlaylist([song], 0);
+      const loaded = await audioPlayerService.loadStems(song.id);
+      if (!loaded) {
+        toast.error('No stems found for this song');
+        return;
+      }
+      await audioPlayerService.play();
+      toast.success(`Playing "${song.title}" from stems`);
+    } catch (error) {
+      console.error('Error playing stems:', error);
+      toast.error('Failed to play stems');
+    }
+  };
+
   const handlePlayAll = async () => {
     if (filteredFiles.length === 0) return;
     
@@ -325,6 +416,48 @@ const Library = () => {
     }
   };
 
+  // Analyze songs that have no loudness or tempo yet (e.g. added before analysis, or never
+  // analyzed) so the player can level them and the library can sort them by BPM.
+  // Each song is uploaded, analyzed and removed again.
+  const analyzeMissingSongs = async () => {
+    const pending = audioFiles.filter(needsAnalysis);
+    if (pending.length === 0) return;
+
+    setAnalyzingSongs(true);
+    let analyzed = 0;
+    try {
+      for (const file of pending) {
+        let assetId = null;
+        try {
+          const upload = await ApiService.uploadAudio(
+            new File([file.blob], file.filename, { type: file.blob.type || 'audio/mpeg' })
+          );
+          assetId = upload.data.file.id;
+          const response = await ApiService.analyzeAudio(assetId);
+          await localStorageService.updateLoudness(file.id, response.data.loudness);
+          await localStorageService.updateTempo(file.id, response.data.tempo);
+          await localStorageService.updateMelodyRange(file.id, response.data.melodyRange);
+          analyzed++;
+        } catch (error) {
+          console.error(`Analysis failed for "${file.title}":`, error);
+        } finally {
+          if (assetId) {
+            ApiService.deleteAudio(assetId).catch(() => {});
+          }
+        }
+      }
+    } finally {
+      setAnalyzingSongs(false);
+      await loadLibrary();
+    }
+
+    if (analyzed === pending.length) {
+      toast.success(`Analyzed ${analyzed} song(s)`);
+    } else {
+      toast.error(`Analyzed ${analyzed} of ${pending.length} song(s) - see the console for failures`);
+    }
+  };
+
   const exportLibrary = async () => {
     try {
       const exportData = await localStorageService.exportLibrary();
@@ -363,12 +496,28 @@ const Library = () => {
     return `${minutes}:${remainingSeconds.toString().padStart(2, '0')}`;
   };
 
+  const matchesTempo = (file) => {
+    if (minBpm === '' && maxBpm === '') return true;
+    const bpm = getBpm(file);
+    if (bpm === null) return false;
+    return (minBpm === '' || bpm >= parseFloat(minBpm)) && (maxBpm === '' || bpm <= parseFloat(maxBpm));
+  };
+
   const filteredFiles = audioFiles
     .filter(file => 
       file.title.toLowerCase().includes(searchQuery.toLowerCase()) ||
       file.filename.toLowerCase().includes(searchQuery.toLowerCase())
     )
+    .filter(matchesTempo)
     .sort((a, b) => {
+      if (sortBy === 'tempo') {
+        // Songs without a detected tempo go last in either order
+        const aBpm = getBpm(a);
+        const bBpm = getBpm(b);
+        if (aBpm === null || bBpm === null) return (aBpm === null) - (bBpm === null);
+        return sortOrder === 'asc' ? aBpm - bBpm : bBpm - aBpm;
+      }
+
       const aValue = a[sortBy];
       const bValue = b[sortBy];
       
@@ -477,7 +626,25 @@ const Library = () => {
                 <option value="title-desc">Title Z-A</option>
                 <option value="size-desc">Largest First</option>
                 <option value="size-asc">Smallest First</option>
+                <option value="tempo-asc">Slowest First</option>
+                <option value="tempo-desc">Fastest First</option>
               </select>
+              <input
+                type="number"
+                min="0"
+                placeholder="Min BPM"
+                value={minBpm}
+                onChange={(e) => setMinBpm(e.target.value)}
+                className="search-input bpm-input"
+              />
+              <input
+                type="number"
+                min="0"
+                placeholder="Max BPM"
+                value={maxBpm}
+                onChange={(e) => setMaxBpm(e.target.value)}
+                className="search-input bpm-input"
+              />
             </div>
 
             <div className="action-buttons">
@@ -510,6 +677,40 @@ const Library = () => {
                 <FaTrash /> Delete Unused Songs
               </button>
               
+              <button
+                onClick={() => audioPlayerService.setLoudnessNormalization(!playerState.loudnessNormalization)}
+                className={`btn ${playerState.loudnessNormalization ? 'btn-primary' : 'btn-secondary'}`}
+                title="Play every song at the same loudness (ReplayGain-style)"
+              >
+                <FaBalanceScale /> Level Volume: {playerState.loudnessNormalization ? 'On' : 'Off'}
+              </button>
+
+              {audioFiles.some(needsAnalysis) && (
+                <button
+                  onClick={analyzeMissingSongs}
+                  className="btn btn-secondary"
+                  disabled={analyzingSongs}
+                  title="Measure loudness and tempo of songs that have not been analyzed"
+                >
+                  {analyzingSongs ? <FaSpinner className="spinner" /> : <FaBalanceScale />} Analyze Songs
+                  ({audioFiles.filter(needsAnalysis).length})
+                </button>
+              )}
+              
+              {singers.length > 0 && (
+                <select
+                  value={selectedSingerId}
+                  onChange={(e) => selectSinger(e.target.value)}
+                  className="sort-select"
+                  title="Songs play in the key remembered for this singer"
+                >
+                  <option value="">Singing as: nobody in particular</option>
+                  {singers.map(singer => (
+                    <option key={singer.id} value={singer.id}>Singing as: {singer.name}</option>
+                  ))}
+                </select>
+              )}
+
               <button onClick={exportLibrary} className="btn btn-primary">
                 <FaDownload /> Export Library
               </button>
@@ -521,6 +722,18 @@ const Library = () => {
           </div>
         </div>
 
+        <StemMixer />
+        <PracticeControls />
+
+        {playerState.pendingRender && (
+          <div className="card mb-6">
+            <JobProgress
+              job={playerState.pendingRender.job || { state: 'queued', progress: 0 }}
+              label={`Rendering ${formatShift(playerState.pendingRender.semitones)} semitones for playback`}
+            />
+          </div>
+        )}
+
         {/* Audio Files Grid */}
         <div className="audio-files-grid">
           {filteredFiles.length === 0 ? (
@@ -603,6 +816,34 @@ const Library = () => {
                       Key: {file.metadata.keyInfo.key} {file.metadata.keyInfo.mode}
                     </p>
                   )}
+                  {getBpm(file) !== null && (
+                    <p className="file-key">
+                      Tempo: {getBpm(file)} BPM
+                    </p>
+                  )}
+                  {file.metadata?.loudness?.integrated != null && (
+                    <p className="file-key">
+                      Loudness: {file.metadata.loudness.integrated.toFixed(1)} LUFS
+                    </p>
+                  )}
+                  <p className="file-key">
+                    Plays in:{' '}
+                    <select
+                      value={findKeyPreference(file.id, selectedSingerId)?.semitones ?? ''}
+                      onChange={(e) => changeKeyPreference(file, e.target.value)}
+                      className="song-key-select"
+                      title={selectedSingerId ? 'Key remembered for the selected singer' : 'Default key for this song'}
+                    >
+                      <option value="">
+                        {selectedSingerId
+                          ? `Song default (${formatShift(findKeyPreference(file.id, null)?.semitones || 0)})`
+                          : 'Original key'}
+                      </option>
+                      {SEMITONE_OPTIONS.map(value => (
+                        <option key={value} value={value}>{formatShift(value)}</option>
+                      ))}
+                    </select>
+                  </p>
                 </div>
 
                 <div className="file-actions">
@@ -624,6 +865,15 @@ const Library = () => {
                       <FaStop />
                     </button>
                   )}
+                  {songsWithStems.has(file.id) && (
+                    <button 
+                      onClick={() => handlePlayStems(file)}
+                      className="btn btn-sm btn-secondary me-1"
+                      title="Play with Stem Mixer"
+                    >
+                      <FaLayerGroup />
+                    </button>
+                  )}
                   <button 
                     onClick={() => setShowAddToPlaylist(file.id)}
                     className="btn btn-sm btn-secondary me-1"
@@ -638,6 +888,22 @@ const Library = () => {
                   >
                     <FaSync />
                   </button>
+                  <button 
+                    onClick={() => window.location.href = `/lyrics?song=${file.id}`}
+                    className="btn btn-sm btn-secondary"
+                    title="Edit Lyrics"
+                  >
+                    <FaMicrophoneAlt />
+                  </button>
+                  {(file.lyrics?.lines?.length > 0 || file.karaoke) && (
+                    <button 
+                      onClick={() => playKaraoke(file)}
+                      className="btn btn-sm btn-secondary"
+                      title="Karaoke View"
+                    >
+                      <FaTv />
+                    </button>
+                  )}
                   <button 
                     onClick={() => deleteFileWithWarning(file.id)}
                     className="btn btn-sm btn-danger"
@@ -757,6 +1023,8 @@ const Library = () => {
           </div>
         )}
       </div>
+
+      {showKaraoke && <KaraokeView onClose={() => setShowKaraoke(false)} />}
     </div>
   );
 };
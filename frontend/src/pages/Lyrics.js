@@ -0,0 +1,381 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { FaMicrophoneAlt, FaPlay, FaPause, FaStop, FaSave, FaDownload, FaUpload, FaUndo, FaHandPointer, FaTv } from 'react-icons/fa';
+import toast from 'react-hot-toast';
+import localStorageService from '../services/localStorageService';
+import audioPlayerService from '../services/audioPlayerService';
+import KaraokeView, { findCurrentLine } from '../components/KaraokeView';
+
+// Step for moving every timestamp at once (tap reaction time is rarely zero)
+const NUDGE_SECONDS = 0.1;
+
+const isTimed = (item) => item.time !== null && item.time !== undefined;
+
+// Lyric timestamp for display, e.g. 83.456 -> '1:23.46'
+const formatTimestamp = (time) => {
+  if (!isTimed({ time })) return '-:--.--';
+  const minutes = Math.floor(time / 60);
+  return `${minutes}:${(time % 60).toFixed(2).padStart(5, '0')}`;
+};
+
+// Words of a line for word-level syncing, keeping times already tapped
+const lineWords = (line) => line.words || line.text.split(/\s+/).filter(Boolean).map(text => ({ time: null, text }));
+
+// Lyrics editor: paste or import lyrics, then tap along with playback to time every
+// line (or every word, for enhanced LRC)
+const Lyrics = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const songId = searchParams.get('song') || '';
+  const [songs, setSongs] = useState([]);
+  const [lines, setLines] = useState([]);
+  const [tags, setTags] = useState({});
+  const [text, setText] = useState('');
+  const [dirty, setDirty] = useState(false);
+  const [syncing, setSyncing] = useState(false);
+  const [wordMode, setWordMode] = useState(false);
+  const [position, setPosition] = useState({ line: 0, word: 0 });
+  const [playerState, setPlayerState] = useState(audioPlayerService.getState());
+  const [showKaraoke, setShowKaraoke] = useState(false);
+
+  const song = songs.find(file => file.id === songId);
+  const songLoaded = playerState.currentSong?.id === songId;
+
+  useEffect(() => {
+    localStorageService.getAllAudioFiles()
+      .then(files => setSongs(files.sort((a, b) => a.title.localeCompare(b.title))))
+      .catch(error => {
+        console.error('Error loading library:', error);
+        toast.error('Failed to load audio library');
+      });
+
+    return audioPlayerService.addListener(({ state }) => setPlayerState(state));
+  }, []);
+
+  const showLyrics = useCallback((lyrics) => {
+    setLines(lyrics?.lines || []);
+    setTags(lyrics?.tags || {});
+    setText((lyrics?.lines || []).map(line => line.text).join('\n'));
+    setDirty(false);
+  }, []);
+
+  // Load the chosen song's lyrics
+  useEffect(() => {
+    setSyncing(false);
+    if (!songId) {
+      showLyrics(null);
+      return;
+    }
+    localStorageService.getAudioFile(songId)
+      .then(file => showLyrics(file?.lyrics))
+      .catch(error => console.error('Error loading lyrics:', error));
+  }, [songId, showLyrics]);
+
+  // Editing the text keeps the timestamps of unchanged lines
+  const handleTextChange = (value) => {
+    setText(value);
+    setLines(value.split('\n').map((lineText, index) => {
+      const existing = lines[index];
+      if (existing && existing.text === lineText.trim()) return existing;
+      return { time: existing ? existing.time : null, text: lineText.trim(), words: null };
+    }));
+    setDirty(true);
+  };
+
+  const ensureSongLoaded = async () => {
+    if (!songLoaded) {
+      await audioPlayerService.loadSong(song);
+    }
+  };
+
+  const startSync = async () => {
+    if (!song || lines.length === 0) return;
+    await ensureSongLoaded();
+    audioPlayerService.seek(0);
+    await audioPlayerService.play();
+    setPosition({ line: 0, word: 0 });
+    setSyncing(true);
+  };
+
+  const stopSync = () => {
+    audioPlayerService.pause();
+    setSyncing(false);
+  };
+
+  // Stamp the current playback time on the next line (or word)
+  const tap = useCallback(() => {
+    if (position.line >= lines.length) return;
+    const time = Math.round(audioPlayerService.getCurrentTime() * 1000) / 1000;
+    const line = lines[position.line];
+    const updated = [...lines];
+
+    if (!wordMode) {
+      updated[position.line] = { ...line, time, words: null };
+      setPosition({ line: position.line + 1, word: 0 });
+    } else {
+      const words = lineWords(line).map((word, index) => (index === position.word ? { ...word, time } : word));
+      updated[position.line] = {
+        ...line,
+        time: position.word === 0 ? time : line.time,
+        words: words.length ? words : null
+      };
+      setPosition(position.word + 1 < words.length
+        ? { line: position.line, word: position.word + 1 }
+        : { line: position.line + 1, word: 0 });
+    }
+
+    setLines(updated);
+    setDirty(true);
+  }, [lines, position, wordMode]);
+
+  // Step back one tap and clear its timestamp
+  const undoTap = useCallback(() => {
+    let { line, word } = position;
+    if (!wordMode || word === 0) {
+      if (line === 0) return;
+      line -= 1;
+      word = wordMode ? Math.max(0, lineWords(lines[line]).length - 1) : 0;
+    } else {
+      word -= 1;
+    }
+
+    const updated = [...lines];
+    const target = updated[line];
+    if (wordMode && target.words) {
+      updated[line] = {
+        ...target,
+        time: word === 0 ? null : target.time,
+        words: target.words.map((item, index) => (index === word ? { ...item, time: null } : item))
+      };
+    } else {
+      updated[line] = { ...target, time: null };
+    }
+
+    setLines(updated);
+    setPosition({ line, word });
+    setDirty(true);
+  }, [lines, position, wordMode]);
+
+  // Space or Enter taps, Backspace undoes while syncing
+  useEffect(() => {
+    if (!syncing) return undefined;
+
+    const handleKeyDown = (event) => {
+      if (event.key === ' ' || event.key === 'Enter') {
+        event.preventDefault();
+        tap();
+      } else if (event.key === 'Backspace') {
+        event.preventDefault();
+        undoTap();
+      }
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [syncing, tap, undoTap]);
+
+  const nudgeAll = (seconds) => {
+    const shift = (item) => (isTimed(item) ? { ...item, time: Math.max(0, Math.round((item.time + seconds) * 1000) / 1000) } : item);
+    setLines(lines.map(line => ({ ...shift(line), words: line.words && line.words.map(shift) })));
+    setDirty(true);
+  };
+
+  // Clicking a timed line jumps there once the song is in the player
+  const seekToLine = (line) => {
+    if (!isTimed(line) || !songLoaded) return;
+    audioPlayerService.seek(line.time);
+  };
+
+  const saveLyrics = async () => {
+    try {
+      // Word timings only count when every word of the line was tapped
+      const lyrics = {
+        lines: lines.map(line => ({
+          ...line,
+          words: line.words && line.words.every(isTimed) ? line.words : null
+        })),
+        tags
+      };
+      await localStorageService.updateLyrics(songId, lyrics);
+      setLines(lyrics.lines);
+      setDirty(false);
+      toast.success('Lyrics saved');
+    } catch (error) {
+      console.error('Error saving lyrics:', error);
+      toast.error('Failed to save lyrics');
+    }
+  };
+
+  const importLrcFile = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      const lyrics = await localStorageService.importLrc(songId, await file.text());
+      showLyrics(lyrics);
+      toast.success(`Imported ${lyrics.lines.length} lines`);
+    } catch (error) {
+      console.error('Error importing LRC:', error);
+      toast.error(`Import failed: ${error.message}`);
+    }
+  };
+
+  const exportLrcFile = async () => {
+    try {
+      if (dirty) await saveLyrics();
+      const enhanced = lines.some(line => line.words?.length && line.words.every(isTimed));
+      const lrc = await localStorageService.exportLrc(songId, { enhanced });
+
+      const url = URL.createObjectURL(new Blob([lrc], { type: 'text/plain' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${song.title.replace(/[^a-zA-Z0-9\s\-_()]/g, '')}.lrc`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error exporting LRC:', error);
+      toast.error(`Export failed: ${error.message}`);
+    }
+  };
+
+  const openKaraoke = async () => {
+    if (dirty) await saveLyrics();
+    await ensureSongLoaded();
+    setShowKaraoke(true);
+  };
+
+  const activeLine = syncing
+    ? position.line
+    : songLoaded ? findCurrentLine(lines, playerState.currentTime) : -1;
+
+  return (
+    <div className="lyrics-page">
+      <div className="card mb-6">
+        <h1 className="text-2xl font-bold mb-4">
+          <FaMicrophoneAlt /> Lyrics
+        </h1>
+        <p className="opacity-75 mb-4">
+          Paste a song's lyrics or import an LRC file, then tap along while it plays to time each line
+          (or each word). Timed lyrics scroll in the karaoke view.
+        </p>
+
+        <div className="form-group">
+          <label className="form-label" htmlFor="lyrics-song">Song</label>
+          <select
+            id="lyrics-song"
+            className="select"
+            value={songId}
+            onChange={(e) => setSearchParams(e.target.value ? { song: e.target.value } : {})}
+            disabled={syncing}
+          >
+            <option value="">Choose a song from your library...</option>
+            {songs.map(file => (
+              <option key={file.id} value={file.id}>{file.title}</option>
+            ))}
+          </select>
+        </div>
+
+        {song && (
+          <div className="action-buttons">
+            <label className="btn btn-secondary">
+              <FaUpload /> Import LRC
+              <input type="file" accept=".lrc,text/plain" onChange={importLrcFile} hidden />
+            </label>
+            <button onClick={exportLrcFile} className="btn btn-secondary" disabled={!lines.some(isTimed)}>
+              <FaDownload /> Export LRC
+            </button>
+            <button onClick={saveLyrics} className="btn btn-primary" disabled={!dirty}>
+              <FaSave /> Save
+            </button>
+            <button onClick={openKaraoke} className="btn btn-primary" disabled={!lines.some(isTimed)}>
+              <FaTv /> Karaoke View
+            </button>
+          </div>
+        )}
+      </div>
+
+      {song && (
+        <div className="lyrics-editor">
+          <div className="card">
+            <h2 className="text-xl font-semibold mb-4">Text</h2>
+            <textarea
+              className="lyrics-text"
+              value={text}
+              onChange={(e) => handleTextChange(e.target.value)}
+              placeholder="One lyric line per row"
+              disabled={syncing}
+              rows={20}
+            />
+          </div>
+
+          <div className="card">
+            <h2 className="text-xl font-semibold mb-4">Timing</h2>
+
+            <div className="action-buttons mb-4">
+              {!syncing ? (
+                <>
+                  <button onClick={startSync} className="btn btn-primary" disabled={lines.length === 0}>
+                    <FaHandPointer /> Start Tapping
+                  </button>
+                  <label className="lyrics-option">
+                    <input type="checkbox" checked={wordMode} onChange={(e) => setWordMode(e.target.checked)} />
+                    Time every word
+                  </label>
+                </>
+              ) : (
+                <>
+                  <button onClick={tap} className="btn btn-primary btn-lg" disabled={position.line >= lines.length}>
+                    <FaHandPointer /> Tap (Space)
+                  </button>
+                  <button onClick={undoTap} className="btn btn-secondary">
+                    <FaUndo /> Undo (Backspace)
+                  </button>
+                  <button onClick={stopSync} className="btn btn-secondary">
+                    <FaStop /> Stop
+                  </button>
+                </>
+              )}
+              {songLoaded && (
+                <button onClick={() => audioPlayerService.toggle()} className="btn btn-secondary">
+                  {playerState.isPlaying ? <FaPause /> : <FaPlay />}
+                </button>
+              )}
+              <button onClick={() => nudgeAll(-NUDGE_SECONDS)} className="btn btn-sm btn-secondary" disabled={syncing}>
+                Earlier
+              </button>
+              <button onClick={() => nudgeAll(NUDGE_SECONDS)} className="btn btn-sm btn-secondary" disabled={syncing}>
+                Later
+              </button>
+            </div>
+
+            <div className="lyrics-lines">
+              {lines.map((line, index) => (
+                <div
+                  key={index}
+                  className={`lyrics-line ${index === activeLine ? 'active' : ''}`}
+                  onClick={() => !syncing && seekToLine(line)}
+                >
+                  <span className="lyrics-time">{formatTimestamp(line.time)}</span>
+                  <span className="lyrics-line-text">
+                    {syncing && wordMode && index === position.line
+                      ? lineWords(line).map((word, wordIndex) => (
+                        <span key={wordIndex} className={wordIndex === position.word ? 'next-word' : ''}>
+                          {word.text}{' '}
+                        </span>
+                      ))
+                      : line.text || '♪'}
+                  </span>
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {showKaraoke && <KaraokeView onClose={() => setShowKaraoke(false)} />}
+    </div>
+  );
+};
+
+export default Lyrics;
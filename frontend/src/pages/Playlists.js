@@ -1,11 +1,32 @@
 import React, { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
-import { FaMusic, FaPlus, FaPlay, FaPause, FaStop, FaList, FaRandom, FaTrash, FaEdit, FaDownload } from 'react-icons/fa';
+import { FaMusic, FaPlus, FaPlay, FaPause, FaStop, FaList, FaRandom, FaTrash, FaEdit, FaDownload, FaExchangeAlt, FaRedo, FaStepForward } from 'react-icons/fa';
 import toast from 'react-hot-toast';
 import playlistService from '../services/playlistService';
 import audioPlayerService from '../services/audioPlayerService';
+import ApiService from '../services/api';
+import JobProgress from '../components/JobProgress';
 import '../components/Playlist.css';
 
+// Keys offered as batch transposition targets (spelled like detected keys)
+const KEY_OPTIONS = ['C', 'C#', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B'];
+
+// Repeat button: each click moves to the next mode
+const REPEAT_LABELS = { none: 'Off', all: 'All', one: 'One' };
+const NEXT_REPEAT_MODE = { none: 'all', all: 'one', one: 'none' };
+
+// Crossfade lengths offered between songs, in seconds (0 = gapless)
+const CROSSFADE_OPTIONS = [0, 2, 4, 6, 8, 12];
+
+// Short description of a song's batch transposition outcome
+const describeOutcome = (outcome) => {
+  if (outcome.error) return `Failed: ${outcome.error}`;
+  if (outcome.unchanged) return 'Already in key';
+  const shift = `${outcome.semitones > 0 ? '+' : ''}${outcome.semitones}`;
+  const key = outcome.keyInfo ? ` → ${outcome.keyInfo.newKey}` : '';
+  return `${shift}${key}${outcome.stored ? '' : ' (already saved)'}`;
+};
+
 const Playlists = () => {
   const [playlists, setPlaylists] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -15,6 +36,13 @@ const Playlists = () => {
   const [playerState, setPlayerState] = useState(audioPlayerService.getState());
   const [newPlaylistName, setNewPlaylistName] = useState('');
   const [newPlaylistDescription, setNewPlaylistDescription] = useState('');
+  const [batchMode, setBatchMode] = useState('semitones'); // 'semitones' or 'key'
+  const [batchSemitones, setBatchSemitones] = useState(0);
+  const [batchTargetKey, setBatchTargetKey] = useState('C');
+  const [songTargetKeys, setSongTargetKeys] = useState({}); // songId -> key overriding batchTargetKey
+  const [batchRunning, setBatchRunning] = useState(false);
+  const [batchJob, setBatchJob] = useState(null);
+  const [batchResults, setBatchResults] = useState({}); // songId -> outcome of the last batch
 
   useEffect(() => {
     loadPlaylists();
@@ -25,7 +53,7 @@ const Playlists = () => {
     };
 
     // Listen for player state changes
-    const playerUnsubscribe = audioPlayerService.addListener(setPlayerState);
+    const playerUnsubscribe = audioPlayerService.addListener(({ state }) => setPlayerState(state));
 
     window.addEventListener('playlistUpdated', handlePlaylistUpdate);
     window.addEventListener('playlistDeleted', handlePlaylistUpdate);
@@ -90,6 +118,8 @@ const Playlists = () => {
       const songs = await playlistService.getPlaylistSongs(playlist.id);
       setPlaylistSongs(songs);
       setSelectedPlaylist(playlist);
+      setSongTargetKeys({});
+      setBatchResults({});
     } catch (error) {
       console.error('Error loading playlist songs:', error);
       toast.error('Failed to load playlist songs');
@@ -164,6 +194,51 @@ const Playlists = () => {
     }
   };
 
+  // Render the open playlist in the singer's key and keep the versions in the library
+  const transposeSelectedPlaylist = async () => {
+    if (!selectedPlaylist) return;
+
+    setBatchRunning(true);
+    setBatchResults({});
+    try {
+      const outcomes = await playlistService.transposePlaylist(selectedPlaylist.id, {
+        ...(batchMode === 'key'
+          ? { targetKey: batchTargetKey, targetKeys: songTargetKeys }
+          : { semitones: batchSemitones }),
+        onSubmit: setBatchJob,
+        onProgress: (progress, job) => setBatchJob(job)
+      });
+      setBatchResults(Object.fromEntries(outcomes.map(outcome => [outcome.song.id, outcome])));
+
+      const failed = outcomes.filter(outcome => outcome.error).length;
+      const stored = outcomes.filter(outcome => outcome.stored).length;
+      if (failed > 0) {
+        toast.error(`${failed} song(s) could not be transposed`);
+      }
+      toast.success(`Saved ${stored} transposed version(s) of "${selectedPlaylist.name}"`);
+    } catch (error) {
+      if (error.cancelled) {
+        toast('Batch transposition cancelled');
+      } else {
+        const errorInfo = ApiService.handleApiError(error);
+        toast.error(errorInfo.message);
+      }
+    } finally {
+      setBatchRunning(false);
+      setBatchJob(null);
+    }
+  };
+
+  const cancelBatchJob = async () => {
+    if (!batchJob) return;
+    try {
+      await ApiService.cancelJob(batchJob.id);
+    } catch (error) {
+      const errorInfo = ApiService.handleApiError(error);
+      toast.error(`Cancel failed: ${errorInfo.message}`);
+    }
+  };
+
   const exportPlaylist = async (playlist) => {
     try {
       const exportData = await playlistService.exportPlaylist(playlist.id);
@@ -368,9 +443,92 @@ const Playlists = () => {
                     >
                       <FaRandom /> Shuffle
                     </button>
+                    <button
+                      onClick={() => audioPlayerService.setRepeat(NEXT_REPEAT_MODE[playerState.repeat])}
+                      className={`btn ${playerState.repeat !== 'none' ? 'btn-primary' : 'btn-secondary'}`}
+                      title="Repeat off, the whole playlist, or the current song"
+                    >
+                      <FaRedo /> Repeat: {REPEAT_LABELS[playerState.repeat]}
+                    </button>
+                    {playerState.isPlaying && playerState.playlist.length > 1 && (
+                      <button onClick={() => audioPlayerService.next()} className="btn btn-secondary">
+                        <FaStepForward /> Next
+                      </button>
+                    )}
+                    <select
+                      className="select"
+                      value={playerState.crossfade}
+                      onChange={(e) => audioPlayerService.setCrossfade(Number(e.target.value))}
+                      title="How songs follow each other"
+                      aria-label="Crossfade"
+                    >
+                      {CROSSFADE_OPTIONS.map(seconds => (
+                        <option key={seconds} value={seconds}>
+                          {seconds ? `Crossfade ${seconds}s` : 'Gapless (no crossfade)'}
+                        </option>
+                      ))}
+                    </select>
                   </div>
                 </div>
 
+                {playerState.isPlaying && playerState.nextSong && (
+                  <p className="up-next">Up next: {playerState.nextSong.title}</p>
+                )}
+
+                {playlistSongs.length > 0 && (
+                  <div className="batch-transpose">
+                    <h3><FaExchangeAlt /> Transpose for a Singer</h3>
+                    <div className="batch-transpose-options">
+                      <select
+                        className="select"
+                        value={batchMode}
+                        onChange={(e) => setBatchMode(e.target.value)}
+                        disabled={batchRunning}
+                        aria-label="Transposition mode"
+                      >
+                        <option value="semitones">Fixed offset</option>
+                        <option value="key">Target key</option>
+                      </select>
+                      {batchMode === 'semitones' ? (
+                        <input
+                          type="number"
+                          className="form-input"
+                          min="-12"
+                          max="12"
+                          value={batchSemitones}
+                          onChange={(e) => setBatchSemitones(Math.max(-12, Math.min(12, parseInt(e.target.value, 10) || 0)))}
+                          disabled={batchRunning}
+                          aria-label="Semitones"
+                        />
+                      ) : (
+                        <select
+                          className="select"
+                          value={batchTargetKey}
+                          onChange={(e) => setBatchTargetKey(e.target.value)}
+                          disabled={batchRunning}
+                          aria-label="Target key"
+                        >
+                          {KEY_OPTIONS.map(key => <option key={key} value={key}>{key}</option>)}
+                        </select>
+                      )}
+                      <button
+                        onClick={transposeSelectedPlaylist}
+                        className="btn btn-primary"
+                        disabled={batchRunning || (batchMode === 'semitones' && batchSemitones === 0)}
+                      >
+                        <FaExchangeAlt /> {batchRunning ? 'Transposing...' : 'Transpose All'}
+                      </button>
+                    </div>
+                    {batchMode === 'key' && (
+                      <p className="batch-transpose-hint">
+                        Each song moves by the smallest shift from its key to the target; pick a key per song below to override it.
+                      </p>
+                    )}
+                    {batchRunning && !batchJob && <p className="batch-transpose-hint">Preparing songs...</p>}
+                    <JobProgress job={batchJob} label="Transposing playlist" onCancel={cancelBatchJob} />
+                  </div>
+                )}
+
                 <div className="playlist-songs">
                   {playlistSongs.length === 0 ? (
                     <div className="empty-playlist">
@@ -399,8 +557,23 @@ const Playlists = () => {
                             <h4 className="song-title">{song.title}</h4>
                             <p className="song-details">
                               {formatDuration(song.metadata?.duration)} • {song.source}
+                              {song.metadata?.keyInfo?.key && ` • ${song.metadata.keyInfo.key}`}
+                              {batchResults[song.id] && ` • ${describeOutcome(batchResults[song.id])}`}
                             </p>
                           </div>
+
+                          {batchMode === 'key' && (
+                            <select
+                              className="select song-target-key"
+                              value={songTargetKeys[song.id] || ''}
+                              onChange={(e) => setSongTargetKeys(prev => ({ ...prev, [song.id]: e.target.value }))}
+                              disabled={batchRunning}
+                              aria-label={`Target key for ${song.title}`}
+                            >
+                              <option value="">{batchTargetKey}</option>
+                              {KEY_OPTIONS.map(key => <option key={key} value={key}>{key}</option>)}
+                            </select>
+                          )}
                           
                           <div className="song-actions">
                             <button 
@@ -0,0 +1,213 @@
+import React, { useState, useEffect } from 'react';
+import { FaUserFriends, FaPlus, FaEdit, FaTrash, FaSave, FaTimes, FaMicrophone, FaCheckCircle } from 'react-icons/fa';
+import toast from 'react-hot-toast';
+import singerService from '../services/singerService';
+import VocalRangeTest from '../components/VocalRangeTest';
+import { RANGE_NOTE_OPTIONS, midiToNoteName } from '../utils/vocalRange';
+
+// A typical untrained range (C3-G4) to start new profiles from
+const DEFAULT_RANGE = { lowest: 48, highest: 67 };
+
+const emptyForm = () => ({ id: null, name: '', ...DEFAULT_RANGE, source: 'manual' });
+
+// Singer profiles: each singer's comfortable range, used on the Transpose page
+// to recommend the key a song should be sung in
+const Singers = () => {
+  const [singers, setSingers] = useState([]);
+  const [selectedSingerId, setSelectedSingerId] = useState(singerService.getSelectedSingerId());
+  const [form, setForm] = useState(null);
+  const [testing, setTesting] = useState(false);
+
+  useEffect(() => {
+    const loadSingers = () => {
+      singerService.getAllSingers()
+        .then(setSingers)
+        .catch(error => {
+          console.error('Error loading singers:', error);
+          toast.error('Failed to load singers');
+        });
+    };
+
+    loadSingers();
+    window.addEventListener('singersUpdated', loadSingers);
+    return () => window.removeEventListener('singersUpdated', loadSingers);
+  }, []);
+
+  const openForm = (singer = null) => {
+    setForm(singer ? { ...singer } : emptyForm());
+    setTesting(false);
+  };
+
+  const closeForm = () => {
+    setForm(null);
+    setTesting(false);
+  };
+
+  const handleTestResult = (range) => {
+    setForm(previous => ({ ...previous, ...range, source: 'mic' }));
+    setTesting(false);
+    toast.success(`Measured ${midiToNoteName(range.lowest)} – ${midiToNoteName(range.highest)}`);
+  };
+
+  const saveSinger = async () => {
+    if (!form.name.trim()) {
+      toast.error('Please enter a name');
+      return;
+    }
+
+    try {
+      const singerData = { name: form.name.trim(), lowest: form.lowest, highest: form.highest, source: form.source };
+      const singer = form.id
+        ? await singerService.updateSinger(form.id, singerData)
+        : await singerService.createSinger(singerData);
+
+      if (!selectedSingerId) {
+        singerService.setSelectedSingerId(singer.id);
+        setSelectedSingerId(singer.id);
+      }
+      toast.success(`Saved ${singer.name}`);
+      closeForm();
+    } catch (error) {
+      console.error('Error saving singer:', error);
+      toast.error(error.message || 'Failed to save singer');
+    }
+  };
+
+  const deleteSinger = async (singer) => {
+    if (!window.confirm(`Delete ${singer.name}'s profile?`)) return;
+
+    try {
+      await singerService.deleteSinger(singer.id);
+      setSelectedSingerId(singerService.getSelectedSingerId());
+      toast.success('Singer deleted');
+    } catch (error) {
+      console.error('Error deleting singer:', error);
+      toast.error('Failed to delete singer');
+    }
+  };
+
+  const selectSinger = (singerId) => {
+    singerService.setSelectedSingerId(singerId);
+    setSelectedSingerId(singerId);
+  };
+
+  return (
+    <div className="singers-page">
+      <div className="card mb-6">
+        <h1 className="text-2xl font-bold mb-4">
+          <FaUserFriends /> Singers
+        </h1>
+        <p className="opacity-75 mb-4">
+          Save each singer's comfortable range. The Transpose page compares it with a song's melody and
+          recommends the best key.
+        </p>
+
+        {!form && (
+          <button onClick={() => openForm()} className="btn btn-primary">
+            <FaPlus /> Add Singer
+          </button>
+        )}
+
+        {form && (
+          <div className="singer-form">
+            <div className="form-group">
+              <label className="form-label" htmlFor="singer-name">Name</label>
+              <input
+                id="singer-name"
+                type="text"
+                className="input"
+                value={form.name}
+                onChange={(e) => setForm({ ...form, name: e.target.value })}
+                placeholder="Singer's name"
+              />
+            </div>
+
+            <div className="singer-range-inputs">
+              <div className="form-group">
+                <label className="form-label" htmlFor="singer-lowest">Lowest comfortable note</label>
+                <select
+                  id="singer-lowest"
+                  className="select"
+                  value={form.lowest}
+                  onChange={(e) => setForm({ ...form, lowest: parseInt(e.target.value, 10), source: 'manual' })}
+                >
+                  {RANGE_NOTE_OPTIONS.map(note => (
+                    <option key={note} value={note}>{midiToNoteName(note)}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="form-group">
+                <label className="form-label" htmlFor="singer-highest">Highest comfortable note</label>
+                <select
+                  id="singer-highest"
+                  className="select"
+                  value={form.highest}
+                  onChange={(e) => setForm({ ...form, highest: parseInt(e.target.value, 10), source: 'manual' })}
+                >
+                  {RANGE_NOTE_OPTIONS.map(note => (
+                    <option key={note} value={note}>{midiToNoteName(note)}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            {testing ? (
+              <div className="card mb-4">
+                <VocalRangeTest onResult={handleTestResult} />
+              </div>
+            ) : (
+              <button onClick={() => setTesting(true)} className="btn btn-secondary mb-4">
+                <FaMicrophone /> Measure with Microphone
+              </button>
+            )}
+
+            <div className="action-buttons">
+              <button onClick={saveSinger} className="btn btn-primary" disabled={form.lowest >= form.highest}>
+                <FaSave /> Save
+              </button>
+              <button onClick={closeForm} className="btn btn-secondary">
+                <FaTimes /> Cancel
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+
+      {singers.length > 0 && (
+        <div className="card">
+          <h2 className="text-xl font-semibold mb-4">Profiles</h2>
+          <div className="singer-list">
+            {singers.map(singer => (
+              <div key={singer.id} className={`singer-item ${singer.id === selectedSingerId ? 'selected' : ''}`}>
+                <div className="singer-info">
+                  <div className="singer-name">{singer.name}</div>
+                  <div className="text-sm opacity-75">
+                    {midiToNoteName(singer.lowest)} – {midiToNoteName(singer.highest)}
+                    {' '}({singer.highest - singer.lowest} semitones, {singer.source === 'mic' ? 'measured' : 'entered'})
+                  </div>
+                </div>
+                <div className="action-buttons">
+                  {singer.id === selectedSingerId ? (
+                    <span className="singer-selected"><FaCheckCircle /> Selected</span>
+                  ) : (
+                    <button onClick={() => selectSinger(singer.id)} className="btn btn-sm btn-secondary">
+                      Select
+                    </button>
+                  )}
+                  <button onClick={() => openForm(singer)} className="btn btn-sm btn-secondary" title="Edit">
+                    <FaEdit />
+                  </button>
+                  <button onClick={() => deleteSinger(singer)} className="btn btn-sm btn-secondary" title="Delete">
+                    <FaTrash />
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Singers;
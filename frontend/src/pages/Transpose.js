@@ -1,13 +1,110 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { Range } from 'react-range';
-import { FaExchangeAlt, FaMusic, FaDownload, FaSpinner, FaVolumeUp, FaSave } from 'react-icons/fa';
+import { FaExchangeAlt, FaMusic, FaDownload, FaSpinner, FaVolumeUp, FaSave, FaMicrophoneSlash, FaLayerGroup, FaBalanceScale, FaGuitar, FaUserFriends, FaBookmark, FaHeadphones, FaStop, FaLaptop } from 'react-icons/fa';
 import toast from 'react-hot-toast';
 import ApiService from '../services/api';
 import localStorageService from '../services/localStorageService';
+import singerService from '../services/singerService';
+import audioPlayerService from '../services/audioPlayerService';
 import { getStreamUrl } from '../utils/api';
+import JobProgress from '../components/JobProgress';
+import MarkerBar from '../components/MarkerBar';
+import PracticeControls from '../components/PracticeControls';
+import { recommendTransposition, shiftMelodyRange, midiToNoteName } from '../utils/vocalRange';
+import { renderOffline, isPitchShiftSupported } from '../utils/pitchShift';
+
+// Output formats offered for renders (sent as the `output` option)
+const OUTPUT_PRESETS = {
+  'mp3-128': { label: 'MP3 128 kbps', output: { format: 'mp3', bitrate: 128 } },
+  'mp3-320': { label: 'MP3 320 kbps', output: { format: 'mp3', bitrate: 320 } },
+  'mp3-v0': { label: 'MP3 VBR (V0)', output: { format: 'mp3', vbr: 0 } },
+  'aac-256': { label: 'AAC / M4A 256 kbps', output: { format: 'aac', bitrate: 256 } },
+  'opus-160': { label: 'Opus / OGG 160 kbps', output: { format: 'opus', bitrate: 160 } },
+  'flac': { label: 'FLAC (lossless)', output: { format: 'flac' } },
+  'wav-24': { label: 'WAV 24-bit (lossless)', output: { format: 'wav', bitDepth: 24 } }
+};
+
+// File extension of a server filename, used to name library copies
+const getExtension = (filename) => filename.split('.').pop();
+
+// Loudness targets offered for normalized renders (integrated LUFS)
+const LOUDNESS_TARGETS = {
+  '-14': 'Streaming (-14 LUFS)',
+  '-16': 'Podcast / mobile (-16 LUFS)',
+  '-23': 'Broadcast EBU R128 (-23 LUFS)'
+};
+
+// Short description of a loudness measurement, e.g. '-9.8 LUFS, peak -0.3 dBTP'
+const formatLoudness = (loudness) => {
+  if (!loudness || loudness.integrated === null) return 'silent';
+  return `${loudness.integrated.toFixed(1)} LUFS, peak ${loudness.truePeak.toFixed(1)} dBTP`;
+};
+
+// Loudness of a server render for its library copy (the player levels songs with it);
+// a failed measurement only means the copy plays unleveled
+const measureRenderLoudness = async (assetId) => {
+  try {
+    const response = await ApiService.measureLoudness(assetId);
+    return response.data.loudness;
+  } catch (error) {
+    console.warn('Loudness measurement failed:', error);
+    return null;
+  }
+};
+
+// Synchronized lyrics, CD+G graphics and practice markers of a library song, retimed
+// for a render at tempoPercent so they stay aligned with the faster or slower copy
+const renderSyncedTracks = async (song, tempoPercent) => {
+  if (!song?.id) return { lyrics: null, karaoke: null, markers: [] };
+  const source = await localStorageService.getAudioFile(song.id);
+  return {
+    lyrics: localStorageService.scaleLyrics(source?.lyrics || null, tempoPercent / 100),
+    karaoke: localStorageService.scaleKaraoke(source?.karaoke || null, tempoPercent / 100),
+    markers: localStorageService.scaleMarkers(source?.markers || [], tempoPercent / 100)
+  };
+};
+
+// Playback position of a preview <audio> element, for its marker bar
+const elementPosition = (event) => ({ time: event.target.currentTime, duration: event.target.duration });
+
+// Note spellings for transposed chords: sharps when shifting up, flats when shifting down
+// (the same convention as the New Key display)
+const SHARP_NOTES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+const FLAT_NOTES = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab', 'A', 'Bb', 'B'];
+
+// Name of a detected chord moved by a number of semitones, e.g. ('Am7', +2) -> 'Bm7'
+const transposeChord = (chord, shift) => {
+  if (!chord.root) return 'N.C.';
+  if (shift === 0) return chord.chord;
+
+  let index = SHARP_NOTES.indexOf(chord.root);
+  if (index === -1) index = FLAT_NOTES.indexOf(chord.root);
+  const newIndex = ((index + shift) % 12 + 12) % 12;
+  return (shift > 0 ? SHARP_NOTES : FLAT_NOTES)[newIndex] + chord.quality;
+};
+
+// Tempo analysis of a render played at tempoPercent of the original speed
+const scaleTempo = (tempo, tempoPercent) => {
+  if (!tempo?.bpm) return tempo;
+  const ratio = tempoPercent / 100;
+  return {
+    ...tempo,
+    bpm: Math.round(tempo.bpm * ratio * 10) / 10,
+    beatInterval: tempo.beatInterval / ratio,
+    beats: tempo.beats.map(time => Math.round((time / ratio) * 1000) / 1000)
+  };
+};
 
 const Transpose = ({ currentAudio, setCurrentAudio }) => {
   const [semitones, setSemitones] = useState(0);
+  const [cents, setCents] = useState(0);
+  const [tempoPercent, setTempoPercent] = useState(100);
+  const [tuning, setTuning] = useState(null);
+  const [estimatingTuning, setEstimatingTuning] = useState(false);
+  const [engine, setEngine] = useState('auto');
+  const [quality, setQuality] = useState('standard');
+  const [preserveFormants, setPreserveFormants] = useState(false);
+  const [outputPreset, setOutputPreset] = useState('mp3-128');
   const [processing, setProcessing] = useState(false);
   const [analyzedAudio, setAnalyzedAudio] = useState(null);
   const [transposedAudio, setTransposedAudio] = useState(null);
@@ -16,43 +113,76 @@ const Transpose = ({ currentAudio, setCurrentAudio }) => {
   const [isPlayingTransposed, setIsPlayingTransposed] = useState(false);
   const [originalAudioRef, setOriginalAudioRef] = useState(null);
   const [transposedAudioRef, setTransposedAudioRef] = useState(null);
+  const [vocalStrength, setVocalStrength] = useState(1);
+  const [removingVocals, setRemovingVocals] = useState(false);
+  const [instrumental, setInstrumental] = useState(null);
+  const [separatingStems, setSeparatingStems] = useState(false);
+  const [stems, setStems] = useState([]);
+  const [loudnessTarget, setLoudnessTarget] = useState('-14');
+  const [normalizing, setNormalizing] = useState(false);
+  const [normalized, setNormalized] = useState(null);
+  const [chords, setChords] = useState(null);
+  const [detectingChords, setDetectingChords] = useState(false);
+  // Running background jobs keyed by the card that started them
+  const [jobs, setJobs] = useState({});
+  const [singers, setSingers] = useState([]);
+  const [selectedSingerId, setSelectedSingerId] = useState(singerService.getSelectedSingerId() || '');
+  const [livePreview, setLivePreview] = useState(false);
+  const [browserRender, setBrowserRender] = useState(null); // { progress } while rendering offline
+  const [markers, setMarkers] = useState([]);
+  const [originalPosition, setOriginalPosition] = useState({ time: 0, duration: 0 });
+  const [transposedPosition, setTransposedPosition] = useState({ time: 0, duration: 0 });
 
   // Helper function to calculate target key
-  const calculateTargetKey = (originalKey, semitones) => {
-    if (!originalKey) return `${semitones > 0 ? '+' : ''}${semitones}`;
+  const calculateTargetKey = (originalKey, semitones, cents = 0) => {
+    if (!originalKey) return `${semitones > 0 ? '+' : ''}${semitones}${formatCents(cents)}`;
     
     const notes = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
     const noteIndex = notes.indexOf(originalKey.replace(/m$/, ''));
     
     if (noteIndex === -1) return `${originalKey} ${semitones > 0 ? '+' : ''}${semitones}`;
     
-    const targetIndex = (noteIndex + semitones + 12) % 12;
+    const nearest = Math.round(semitones + cents / 100);
+    const targetIndex = ((noteIndex + nearest) % 12 + 12) % 12;
     const targetNote = notes[targetIndex];
     const isMinor = originalKey.endsWith('m');
     
     return targetNote + (isMinor ? 'm' : '');
   };
 
+  // Format a cents offset as " +15¢" (empty when there is no offset)
+  const formatCents = (value) => {
+    if (!value) return '';
+    return ` ${value > 0 ? '+' : ''}${value}¢`;
+  };
+
+  // Format a practice speed as " @ 80%" (empty at normal speed)
+  const formatTempo = (percent) => {
+    if (!percent || percent === 100) return '';
+    return ` @ ${percent}%`;
+  };
+
   // Function to save transposed audio to library
   const saveTransposedToLibrary = async () => {
-    if (!transposedAudio?.transposedFile) {
+    if (!transposedAudio?.transposedAssetId) {
       toast.error('No transposed audio available to save');
       return;
     }
 
     try {
       // Download the transposed audio blob
-      const response = await ApiService.downloadAudio(transposedAudio.transposedFile);
-      const audioBlob = new Blob([response.data], { type: 'audio/mpeg' });
+      const response = await ApiService.downloadAudio(transposedAudio.transposedAssetId);
+      const audioBlob = new Blob([response.data], { type: response.data.type || 'audio/mpeg' });
+      const loudness = await measureRenderLoudness(transposedAudio.transposedAssetId);
       
       // Calculate target key
       const originalKey = analyzedAudio?.keyInfo?.key;
-      const targetKey = calculateTargetKey(originalKey, semitones);
+      const targetKey = calculateTargetKey(originalKey, transposedAudio.semitones, transposedAudio.cents);
       
       // Generate a meaningful filename
       const originalTitle = currentAudio?.title || currentAudio?.filename?.replace(/\.[^/.]+$/, '') || 'Audio';
-      const newTitle = `${originalTitle} (${targetKey})`;
-      const newFilename = `${newTitle.replace(/[^a-zA-Z0-9\s\-_()]/g, '')}.mp3`;
+      const newTitle = `${originalTitle} (${targetKey}${formatTempo(transposedAudio.tempoPercent)})`;
+      const newFilename = `${newTitle.replace(/[^a-zA-Z0-9\s\-_()]/g, '')}.${getExtension(transposedAudio.asset.originalName)}`;
       
       // Prepare metadata
       const metadata = {
@@ -61,10 +191,16 @@ const Transpose = ({ currentAudio, setCurrentAudio }) => {
         originalName: `${originalTitle}_transposed_${targetKey}`,
         source: 'transpose',
         duration: currentAudio?.duration,
+        loudness: loudness,
+        tempo: scaleTempo(analyzedAudio?.tempo, transposedAudio.tempoPercent),
+        melodyRange: shiftMelodyRange(analyzedAudio?.melodyRange, transposedAudio.semitones),
+        ...(await renderSyncedTracks(currentAudio, transposedAudio.tempoPercent)),
         keyInfo: {
           key: targetKey,
           originalKey: originalKey,
-          semitones: semitones
+          semitones: transposedAudio.semitones,
+          cents: transposedAudio.cents,
+          tempo: transposedAudio.tempoPercent / 100
         }
       };
 
@@ -81,24 +217,25 @@ const Transpose = ({ currentAudio, setCurrentAudio }) => {
 
   // Function to save transposed audio with provided data
   const saveTransposedToLibraryWithData = async (transposedData) => {
-    if (!transposedData?.transposedFile) {
+    if (!transposedData?.transposedAssetId) {
       console.error('No transposed audio data available to save');
       return;
     }
 
     try {
       // Download the transposed audio blob
-      const response = await ApiService.downloadAudio(transposedData.transposedFile);
-      const audioBlob = new Blob([response.data], { type: 'audio/mpeg' });
+      const response = await ApiService.downloadAudio(transposedData.transposedAssetId);
+      const audioBlob = new Blob([response.data], { type: response.data.type || 'audio/mpeg' });
+      const loudness = await measureRenderLoudness(transposedData.transposedAssetId);
       
       // Calculate target key
       const originalKey = analyzedAudio?.keyInfo?.key;
-      const targetKey = calculateTargetKey(originalKey, transposedData.semitones);
+      const targetKey = calculateTargetKey(originalKey, transposedData.semitones, transposedData.cents);
       
       // Generate a meaningful filename
       const originalTitle = currentAudio?.title || currentAudio?.filename?.replace(/\.[^/.]+$/, '') || 'Audio';
-      const newTitle = `${originalTitle} (${targetKey})`;
-      const newFilename = `${newTitle.replace(/[^a-zA-Z0-9\s\-_()]/g, '')}.mp3`;
+      const newTitle = `${originalTitle} (${targetKey}${formatTempo(transposedData.tempoPercent)})`;
+      const newFilename = `${newTitle.replace(/[^a-zA-Z0-9\s\-_()]/g, '')}.${getExtension(transposedData.asset.originalName)}`;
       
       // Prepare metadata
       const metadata = {
@@ -107,10 +244,16 @@ const Transpose = ({ currentAudio, setCurrentAudio }) => {
         originalName: `${originalTitle}_transposed_${targetKey}`,
         source: 'transpose',
         duration: currentAudio?.duration,
+        loudness: loudness,
+        tempo: scaleTempo(analyzedAudio?.tempo, transposedData.tempoPercent),
+        melodyRange: shiftMelodyRange(analyzedAudio?.melodyRange, transposedData.semitones),
+        ...(await renderSyncedTracks(currentAudio, transposedData.tempoPercent)),
         keyInfo: {
           key: targetKey,
           originalKey: originalKey,
-          semitones: transposedData.semitones
+          semitones: transposedData.semitones,
+          cents: transposedData.cents,
+          tempo: transposedData.tempoPercent / 100
         }
       };
 
@@ -132,17 +275,17 @@ const Transpose = ({ currentAudio, setCurrentAudio }) => {
       filename: currentAudio.filename,
       id: currentAudio.id,
       source: currentAudio.source,
-      serverFilename: currentAudio.serverFilename,
+      serverAssetId: currentAudio.serverAssetId,
       hasId: !!currentAudio.id,
       keys: Object.keys(currentAudio)
     });
 
     setAnalyzing(true);
     try {
-      let serverFilename = currentAudio.filename;
+      let serverAssetId = currentAudio.serverAssetId;
       
       // Check if file exists on server, if not, upload it first
-      if (currentAudio.source === 'upload' && !currentAudio.serverFilename) {
+      if (!serverAssetId) {
         console.log('📤 File not on server, uploading for analysis...');
         
         // Check if we have the ID needed for local storage lookup
@@ -192,30 +335,38 @@ const Transpose = ({ currentAudio, setCurrentAudio }) => {
         
         // Upload to server for analysis
         const uploadResponse = await ApiService.uploadAudio(file);
-        serverFilename = uploadResponse.data.file.filename;
+        serverAssetId = uploadResponse.data.file.id;
         
-        console.log('✅ File uploaded to server for analysis:', serverFilename);
+        console.log('✅ File uploaded to server for analysis:', serverAssetId);
         
-        // Update currentAudio with serverFilename for future use
+        // Update currentAudio with serverAssetId for future use
         if (setCurrentAudio) {
           const updatedAudio = {
             ...currentAudio,
-            serverFilename: serverFilename
+            serverAssetId: serverAssetId
           };
           setCurrentAudio(updatedAudio);
         }
         
-      } else if (currentAudio.serverFilename) {
-        serverFilename = currentAudio.serverFilename;
-        console.log('📂 Using existing server filename:', serverFilename);
       } else {
-        console.log('🤔 No server upload needed, using original filename:', serverFilename);
+        console.log('📂 Using existing server asset:', serverAssetId);
       }
       
-      console.log('🔬 Analyzing audio with filename:', serverFilename);
-      const response = await ApiService.analyzeAudio(serverFilename);
+      console.log('🔬 Analyzing audio asset:', serverAssetId);
+      const response = await ApiService.analyzeAudio(serverAssetId);
       setAnalyzedAudio(response.data);
       console.log('✅ Analysis completed successfully');
+
+      // Remember the loudness so the player can level this song against the rest of the library
+      if (currentAudio.id && response.data.loudness) {
+        await localStorageService.updateLoudness(currentAudio.id, response.data.loudness);
+      }
+      if (currentAudio.id && response.data.tempo) {
+        await localStorageService.updateTempo(currentAudio.id, response.data.tempo);
+      }
+      if (currentAudio.id) {
+        await localStorageService.updateMelodyRange(currentAudio.id, response.data.melodyRange);
+      }
     } catch (error) {
       console.error('❌ Analysis error:', error);
       const errorInfo = ApiService.handleApiError(error);
@@ -248,14 +399,222 @@ const Transpose = ({ currentAudio, setCurrentAudio }) => {
     }
   }, [currentAudio?.filename, analyzeAudio]);
 
+  // Singer profiles for key recommendations
+  useEffect(() => {
+    const loadSingers = () => {
+      singerService.getAllSingers()
+        .then(setSingers)
+        .catch(error => console.error('Error loading singers:', error));
+    };
+
+    loadSingers();
+    window.addEventListener('singersUpdated', loadSingers);
+    return () => window.removeEventListener('singersUpdated', loadSingers);
+  }, []);
+
+  // Practice markers of the song, shown on both previews
+  useEffect(() => {
+    const songId = currentAudio?.id;
+    if (!songId) {
+      setMarkers([]);
+      return undefined;
+    }
+
+    localStorageService.getAudioFile(songId)
+      .then(song => setMarkers(song?.markers || []))
+      .catch(error => console.error('Error loading markers:', error));
+
+    const handleMarkersUpdated = (event) => {
+      if (event.detail.songId === songId) setMarkers(event.detail.markers);
+    };
+    window.addEventListener('markersUpdated', handleMarkersUpdated);
+    return () => window.removeEventListener('markersUpdated', handleMarkersUpdated);
+  }, [currentAudio?.id]);
+
+  const selectSinger = (singerId) => {
+    singerService.setSelectedSingerId(singerId);
+    setSelectedSingerId(singerId);
+  };
+
+  const selectedSinger = singers.find(singer => singer.id === selectedSingerId);
+
+  // Remember the slider's key for the selected singer (or as the song's default),
+  // so the Library, Playlists and Queue play this song in it
+  const rememberKey = async () => {
+    try {
+      await localStorageService.setKeyPreference(currentAudio.id, selectedSinger?.id || null, semitones);
+      toast.success(`${selectedSinger ? selectedSinger.name : 'This song'} will play ${semitones > 0 ? '+' : ''}${semitones} semitones`);
+    } catch (error) {
+      console.error('Error saving key preference:', error);
+      toast.error('Failed to remember the key');
+    }
+  };
+  const recommendation = recommendTransposition(analyzedAudio?.melodyRange, selectedSinger);
+
+  // Live preview: the song plays in the player and follows the sliders as they move
+  useEffect(() => {
+    if (!livePreview) return;
+    audioPlayerService.setLiveTransposition({ semitones, cents, tempo: tempoPercent / 100 });
+  }, [livePreview, semitones, cents, tempoPercent]);
+
+  // Another song in the player (or stopping it) ends the preview
+  useEffect(() => {
+    return audioPlayerService.addListener(({ event }) => {
+      if (event === 'songLoaded' || event === 'stop') setLivePreview(false);
+    });
+  }, []);
+
+  const startLivePreview = async () => {
+    // Play the original: the sliders, not a remembered key, set the pitch
+    await audioPlayerService.playSong({ ...currentAudio, transposition: { semitones: 0 } });
+    setLivePreview(true);
+  };
+
+  const stopLivePreview = async () => {
+    setLivePreview(false);
+    audioPlayerService.pause();
+    await audioPlayerService.clearLiveTransposition();
+  };
+
+  // Render the slider settings in the browser and keep the result as a version of the song
+  const renderInBrowser = async () => {
+    setBrowserRender({ progress: 0 });
+    try {
+      const audioFile = await localStorageService.getAudioFile(currentAudio.id);
+      if (!audioFile?.blob) {
+        throw new Error('Audio file not found in local storage');
+      }
+
+      const tempo = tempoPercent / 100;
+      const blob = await renderOffline(audioFile.blob, {
+        semitones,
+        cents,
+        tempo,
+        onProgress: (progress) => setBrowserRender({ progress })
+      });
+
+      const originalKey = analyzedAudio?.keyInfo?.key;
+      const mode = analyzedAudio?.keyInfo?.mode;
+      await localStorageService.storeTransposedFile(currentAudio.id, blob, semitones, {
+        originalKey,
+        originalMode: mode,
+        newKey: calculateNewKey(originalKey, mode, semitones, cents),
+        newMode: mode,
+        semitoneChange: semitones,
+        cents,
+        tempo
+      });
+      window.dispatchEvent(new Event('storageUpdated'));
+      toast.success(`Saved the ${semitones > 0 ? '+' : ''}${semitones} semitone${formatCents(cents)}${formatTempo(tempoPercent)} version`);
+    } catch (error) {
+      console.error('Browser render error:', error);
+      toast.error(`Render failed: ${error.message}`);
+    } finally {
+      setBrowserRender(null);
+    }
+  };
+
+  // A chord chart belongs to one song
+  useEffect(() => {
+    setChords(null);
+  }, [currentAudio?.filename]);
+
+  // Make sure the current song is on the server, uploading it from local storage if needed
+  const ensureServerFile = async () => {
+    let serverAssetId = currentAudio.serverAssetId;
+    
+    // Check if file exists on server, if not, upload it first
+    if (!serverAssetId) {
+      console.log('📤 File not on server, uploading for processing...');
+      
+      // Check if we have the ID needed for local storage lookup
+      if (!currentAudio.id) {
+        throw new Error('Current audio missing ID - cannot retrieve from local storage');
+      }
+      
+      // Get the file from local storage
+      const audioFile = await localStorageService.getAudioFile(currentAudio.id);
+      if (!audioFile || !audioFile.blob) {
+        throw new Error('Audio file not found in local storage');
+      }
+      
+      // Validate the blob is actual audio data
+      if (audioFile.blob.size < 1000 || audioFile.blob.type.includes('text/html')) {
+        throw new Error('Invalid audio file - corrupted or HTML content detected');
+      }
+      
+      // Create File object from blob
+      const file = new File([audioFile.blob], currentAudio.filename, {
+        type: audioFile.blob.type || 'audio/mpeg'
+      });
+      
+      // Validate file size before upload - different limits for different platforms
+      const isVercel = process.env.REACT_APP_VERCEL || window.location.hostname.includes('vercel.app');
+      const maxSize = isVercel ? 4 * 1024 * 1024 : 50 * 1024 * 1024; // 4MB for Vercel, 50MB for others
+      const sizeLimit = isVercel ? '4MB' : '50MB';
+      const platform = isVercel ? 'vercel' : (window.location.hostname.includes('onrender.com') ? 'render' : 'local');
+      
+      if (file.size > maxSize) {
+        throw new Error(`File size exceeds ${sizeLimit} limit for ${platform} deployment. Please use a smaller audio file.`);
+      }
+      
+      console.log('📤 Uploading file for processing:', {
+        name: file.name,
+        size: file.size,
+        type: file.type
+      });
+      
+      // Upload to server for processing
+      const uploadResponse = await ApiService.uploadAudio(file);
+      serverAssetId = uploadResponse.data.file.id;
+      
+      console.log('✅ File uploaded to server for processing:', serverAssetId);
+      
+      // Update currentAudio with serverAssetId for future use
+      const updatedAudio = {
+        ...currentAudio,
+        serverAssetId: serverAssetId
+      };
+      setCurrentAudio(updatedAudio);
+      
+    } else {
+      console.log('📂 Using existing server asset:', serverAssetId);
+    }
+
+    return serverAssetId;
+  };
+
+  // Run a server job, tracking its progress under `slot` until it finishes
+  const runProcessingJob = async (slot, type, params) => {
+    const track = (job) => setJobs(prev => ({ ...prev, [slot]: job }));
+    try {
+      return await ApiService.runJob(type, params, {
+        onSubmit: track,
+        onProgress: (progress, job) => track(job)
+      });
+    } finally {
+      setJobs(({ [slot]: finished, ...rest }) => rest);
+    }
+  };
+
+  const cancelProcessingJob = async (slot) => {
+    if (!jobs[slot]) return;
+    try {
+      await ApiService.cancelJob(jobs[slot].id);
+    } catch (error) {
+      const errorInfo = ApiService.handleApiError(error);
+      toast.error(`Cancel failed: ${errorInfo.message}`);
+    }
+  };
+
   const transposeAudio = async () => {
     if (!currentAudio?.filename) {
       toast.error('No audio file selected');
       return;
     }
 
-    if (semitones === 0) {
-      toast.error('Please select a transposition amount');
+    if (semitones === 0 && cents === 0 && tempoPercent === 100) {
+      toast.error('Please select a transposition amount or practice speed');
       return;
     }
 
@@ -263,93 +622,43 @@ const Transpose = ({ currentAudio, setCurrentAudio }) => {
       filename: currentAudio.filename,
       id: currentAudio.id,
       source: currentAudio.source,
-      serverFilename: currentAudio.serverFilename,
-      semitones: semitones
+      serverAssetId: currentAudio.serverAssetId,
+      semitones: semitones,
+      cents: cents,
+      tempoPercent: tempoPercent
     });
 
     setProcessing(true);
     try {
-      let serverFilename = currentAudio.filename;
-      
-      // Check if file exists on server, if not, upload it first
-      if (currentAudio.source === 'upload' && !currentAudio.serverFilename) {
-        console.log('📤 File not on server, uploading for processing...');
-        
-        // Check if we have the ID needed for local storage lookup
-        if (!currentAudio.id) {
-          throw new Error('Current audio missing ID - cannot retrieve from local storage');
-        }
-        
-        // Get the file from local storage
-        const audioFile = await localStorageService.getAudioFile(currentAudio.id);
-        if (!audioFile || !audioFile.blob) {
-          throw new Error('Audio file not found in local storage');
-        }
-        
-        // Validate the blob is actual audio data
-        if (audioFile.blob.size < 1000 || audioFile.blob.type.includes('text/html')) {
-          throw new Error('Invalid audio file - corrupted or HTML content detected');
-        }
-        
-        // Create File object from blob
-        const file = new File([audioFile.blob], currentAudio.filename, {
-          type: audioFile.blob.type || 'audio/mpeg'
-        });
-        
-        // Validate file size before upload - different limits for different platforms
-        const isVercel = process.env.REACT_APP_VERCEL || window.location.hostname.includes('vercel.app');
-        const maxSize = isVercel ? 4 * 1024 * 1024 : 50 * 1024 * 1024; // 4MB for Vercel, 50MB for others
-        const sizeLimit = isVercel ? '4MB' : '50MB';
-        const platform = isVercel ? 'vercel' : (window.location.hostname.includes('onrender.com') ? 'render' : 'local');
-        
-        if (file.size > maxSize) {
-          throw new Error(`File size exceeds ${sizeLimit} limit for ${platform} deployment. Please use a smaller audio file.`);
-        }
-        
-        console.log('📤 Uploading file for processing:', {
-          name: file.name,
-          size: file.size,
-          type: file.type
-        });
-        
-        // Upload to server for processing
-        const uploadResponse = await ApiService.uploadAudio(file);
-        serverFilename = uploadResponse.data.file.filename;
-        
-        console.log('✅ File uploaded to server for processing:', serverFilename);
-        
-        // Update currentAudio with serverFilename for future use
-        const updatedAudio = {
-          ...currentAudio,
-          serverFilename: serverFilename
-        };
-        setCurrentAudio(updatedAudio);
-        
-      } else if (currentAudio.serverFilename) {
-        serverFilename = currentAudio.serverFilename;
-        console.log('📂 Using existing server filename:', serverFilename);
-      }
+      const serverAssetId = await ensureServerFile();
       
       const originalKey = analyzedAudio?.keyInfo?.key;
       const mode = analyzedAudio?.keyInfo?.mode;
 
-      const response = await ApiService.transposeAudio(
-        serverFilename,
-        semitones,
-        originalKey,
-        mode
-      );
+      const renderOptions = { cents, engine, quality, preserveFormants, output: OUTPUT_PRESETS[outputPreset].output };
+
+      // Speed changes go through the tempo job, which can transpose in the same render
+      const result = tempoPercent !== 100
+        ? await runProcessingJob('transpose', 'tempo', {
+          assetId: serverAssetId, tempo: tempoPercent / 100, semitones, originalKey, mode, ...renderOptions
+        })
+        : await runProcessingJob('transpose', 'transpose', {
+          assetId: serverAssetId, semitones, originalKey, mode, ...renderOptions
+        });
 
       const transposedData = {
-        ...response.data,
+        ...result,
+        transposedAssetId: result.asset.id,
         semitones: semitones,
+        cents: cents,
+        tempoPercent: tempoPercent,
         originalKey: originalKey,
         mode: mode
       };
       
       setTransposedAudio(transposedData);
 
-      toast.success(`Successfully transposed by ${Math.abs(semitones)} semitones ${semitones > 0 ? 'up' : 'down'}`);
+      toast.success(`${result.cache?.hit ? 'Loaded cached render' : 'Successfully processed'}: ${semitones > 0 ? '+' : ''}${semitones} semitones${formatCents(cents)}${formatTempo(tempoPercent)}`);
       
       // Auto-save to library
       try {
@@ -359,6 +668,10 @@ const Transpose = ({ currentAudio, setCurrentAudio }) => {
         // Don't show error toast as main transposition succeeded
       }
     } catch (error) {
+      if (error.cancelled) {
+        toast('Processing cancelled');
+        return;
+      }
       console.error('Transpose error:', error);
       const errorInfo = ApiService.handleApiError(error);
       
@@ -382,20 +695,155 @@ const Transpose = ({ currentAudio, setCurrentAudio }) => {
     }
   };
 
+  const createInstrumental = async () => {
+    if (!currentAudio?.filename) {
+      toast.error('No audio file selected');
+      return;
+    }
+
+    setRemovingVocals(true);
+    try {
+      const serverAssetId = await ensureServerFile();
+      const result = await runProcessingJob('instrumental', 'instrumental', {
+        assetId: serverAssetId,
+        strength: vocalStrength,
+        output: OUTPUT_PRESETS[outputPreset].output
+      });
+
+      const download = await ApiService.downloadAudio(result.asset.id);
+      const audioBlob = new Blob([download.data], { type: download.data.type || 'audio/mpeg' });
+
+      // Keep the instrumental as a derived version of the original song
+      if (currentAudio.id) {
+        await localStorageService.storeDerivedFile(currentAudio.id, audioBlob, 'instrumental', {
+          method: result.method,
+          strength: result.strength,
+          lowCutoff: result.lowCutoff,
+          highCutoff: result.highCutoff,
+          serverAssetId: result.asset.id
+        });
+      }
+
+      if (instrumental?.url) {
+        URL.revokeObjectURL(instrumental.url);
+      }
+      setInstrumental({ ...result, url: URL.createObjectURL(audioBlob) });
+      toast.success('Karaoke instrumental created');
+    } catch (error) {
+      if (error.cancelled) {
+        toast('Vocal removal cancelled');
+        return;
+      }
+      console.error('Vocal removal error:', error);
+      const errorInfo = ApiService.handleApiError(error);
+      toast.error(`Vocal removal failed: ${errorInfo.message || error.message}`);
+    } finally {
+      setRemovingVocals(false);
+    }
+  };
+
+  const createStems = async () => {
+    if (!currentAudio?.id) {
+      toast.error('Save the song to your library before splitting it into stems');
+      return;
+    }
+
+    setSeparatingStems(true);
+    try {
+      const serverAssetId = await ensureServerFile();
+      const result = await runProcessingJob('stems', 'stems', {
+        assetId: serverAssetId,
+        output: OUTPUT_PRESETS[outputPreset].output
+      });
+
+      // Replace any stems from an earlier separation
+      await localStorageService.deleteDerivedFiles(currentAudio.id, 'stem');
+      for (const stem of result.stems) {
+        const download = await ApiService.downloadAudio(stem.asset.id);
+        const stemBlob = new Blob([download.data], { type: download.data.type || 'audio/mpeg' });
+        await localStorageService.storeDerivedFile(currentAudio.id, stemBlob, 'stem', {
+          stem: stem.name,
+          serverAssetId: stem.asset.id
+        });
+      }
+
+      setStems(result.stems.map(stem => stem.name));
+      toast.success(`Saved ${result.stems.length} stems - open the Library to mix them`);
+    } catch (error) {
+      if (error.cancelled) {
+        toast('Stem separation cancelled');
+        return;
+      }
+      console.error('Stem separation error:', error);
+      const errorInfo = ApiService.handleApiError(error);
+      toast.error(`Stem separation failed: ${errorInfo.message || error.message}`);
+    } finally {
+      setSeparatingStems(false);
+    }
+  };
+
+  const createNormalized = async () => {
+    if (!currentAudio?.filename) {
+      toast.error('No audio file selected');
+      return;
+    }
+
+    setNormalizing(true);
+    try {
+      const serverAssetId = await ensureServerFile();
+      const result = await runProcessingJob('normalize', 'normalize', {
+        assetId: serverAssetId,
+        targetLufs: parseFloat(loudnessTarget),
+        output: OUTPUT_PRESETS[outputPreset].output
+      });
+
+      const download = await ApiService.downloadAudio(result.asset.id);
+      const audioBlob = new Blob([download.data], { type: download.data.type || 'audio/mpeg' });
+
+      // Keep the normalized copy as a derived version of the original song
+      if (currentAudio.id) {
+        await localStorageService.storeDerivedFile(currentAudio.id, audioBlob, 'normalized', {
+          targetLufs: result.targetLufs,
+          gain: result.gain,
+          limitedByPeak: result.limitedByPeak,
+          serverAssetId: result.asset.id
+        });
+      }
+
+      if (normalized?.url) {
+        URL.revokeObjectURL(normalized.url);
+      }
+      setNormalized({ ...result, url: URL.createObjectURL(audioBlob) });
+      toast.success(result.limitedByPeak
+        ? `Normalized with ${result.gain} dB gain (held back by the true-peak limit)`
+        : `Normalized to ${result.targetLufs} LUFS`);
+    } catch (error) {
+      if (error.cancelled) {
+        toast('Normalization cancelled');
+        return;
+      }
+      console.error('Normalization error:', error);
+      const errorInfo = ApiService.handleApiError(error);
+      toast.error(`Normalization failed: ${errorInfo.message || error.message}`);
+    } finally {
+      setNormalizing(false);
+    }
+  };
+
   const downloadTransposed = async () => {
-    if (!transposedAudio?.transposedFile) {
+    if (!transposedAudio?.transposedAssetId) {
       toast.error('No transposed audio available');
       return;
     }
 
     try {
-      const response = await ApiService.downloadAudio(transposedAudio.transposedFile);
+      const response = await ApiService.downloadAudio(transposedAudio.transposedAssetId);
       
       // Create download link
       const url = window.URL.createObjectURL(new Blob([response.data]));
       const link = document.createElement('a');
       link.href = url;
-      link.download = transposedAudio.transposedFile;
+      link.download = transposedAudio.asset.originalName;
       document.body.appendChild(link);
       link.click();
       link.remove();
@@ -408,6 +856,43 @@ const Transpose = ({ currentAudio, setCurrentAudio }) => {
     }
   };
 
+  const retuneToA440 = async () => {
+    if (!analyzedAudio?.assetId) {
+      toast.error('Analyze the audio before retuning');
+      return;
+    }
+
+    setEstimatingTuning(true);
+    try {
+      const response = await ApiService.estimateTuning(analyzedAudio.assetId);
+      setTuning(response.data);
+      setCents(Math.max(-100, Math.min(100, response.data.correctionCents)));
+      toast.success(`Tuned to A=${response.data.referenceFrequency} Hz, correcting ${response.data.correctionCents}¢`);
+    } catch (error) {
+      const errorInfo = ApiService.handleApiError(error);
+      toast.error(`Tuning estimation failed: ${errorInfo.message}`);
+    } finally {
+      setEstimatingTuning(false);
+    }
+  };
+
+  const detectChords = async () => {
+    if (!currentAudio?.filename) return;
+
+    setDetectingChords(true);
+    try {
+      const serverAssetId = await ensureServerFile();
+      const response = await ApiService.detectChords(serverAssetId);
+      setChords(response.data.chords);
+      toast.success(`Detected ${response.data.chords.filter(chord => chord.root).length} chord changes`);
+    } catch (error) {
+      const errorInfo = ApiService.handleApiError(error);
+      toast.error(`Chord detection failed: ${errorInfo.message}`);
+    } finally {
+      setDetectingChords(false);
+    }
+  };
+
   const getIntervalName = (semitones) => {
     const intervals = {
       0: 'Original',
@@ -440,7 +925,7 @@ const Transpose = ({ currentAudio, setCurrentAudio }) => {
     return intervals[semitones] || `${Math.abs(semitones)} semitones ${semitones > 0 ? 'up' : 'down'}`;
   };
 
-  const calculateNewKey = (originalKey, mode, semitones) => {
+  const calculateNewKey = (originalKey, mode, semitones, cents = 0) => {
     if (!originalKey) return null;
 
     const notes = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
@@ -453,8 +938,15 @@ const Transpose = ({ currentAudio, setCurrentAudio }) => {
     
     if (noteIndex === -1) return originalKey;
 
-    const newIndex = (noteIndex + semitones + 12) % 12;
-    return semitones >= 0 ? notes[newIndex] : flatNotes[newIndex];
+    // Snap to the nearest key; any remaining offset is shown as cents
+    const nearest = Math.round(semitones + cents / 100);
+    const newIndex = ((noteIndex + nearest) % 12 + 12) % 12;
+    return nearest >= 0 ? notes[newIndex] : flatNotes[newIndex];
+  };
+
+  const getResidualCents = (semitones, cents) => {
+    const total = semitones + cents / 100;
+    return Math.round((total - Math.round(total)) * 100);
   };
 
   const formatDuration = (seconds) => {
@@ -499,8 +991,9 @@ const Transpose = ({ currentAudio, setCurrentAudio }) => {
           }
         } catch (error) {
           console.error('❌ Error loading original audio from local storage:', error);
-          // Fallback to server stream
-          const audioSrc = getStreamUrl(currentAudio.filename);
+          // Fallback to server stream, when the song is on the server
+          if (!currentAudio.serverAssetId) throw error;
+          const audioSrc = getStreamUrl(currentAudio.serverAssetId);
           if (originalAudioRef.src !== audioSrc) {
             originalAudioRef.src = audioSrc;
             await originalAudioRef.load();
@@ -517,7 +1010,7 @@ const Transpose = ({ currentAudio, setCurrentAudio }) => {
   };
 
   const toggleTransposedAudio = async () => {
-    if (!transposedAudioRef || !transposedAudio?.transposedFile) return;
+    if (!transposedAudioRef || !transposedAudio?.transposedAssetId) return;
     
     if (isPlayingTransposed) {
       transposedAudioRef.pause();
@@ -531,7 +1024,7 @@ const Transpose = ({ currentAudio, setCurrentAudio }) => {
         }
         
         // Ensure the audio source is set
-        const audioSrc = getStreamUrl(transposedAudio.transposedFile);
+        const audioSrc = getStreamUrl(transposedAudio.transposedAssetId);
         if (transposedAudioRef.src !== audioSrc) {
           transposedAudioRef.src = audioSrc;
           await transposedAudioRef.load();
@@ -613,6 +1106,28 @@ const Transpose = ({ currentAudio, setCurrentAudio }) => {
                     }
                   </span>
                 </div>
+                <div className="audio-detail">
+                  <span className="detail-label">Tempo:</span>
+                  <span className="detail-value">
+                    {analyzedAudio.tempo?.bpm
+                      ? `${analyzedAudio.tempo.bpm} BPM (${Math.round(analyzedAudio.tempo.confidence * 100)}% confidence)`
+                      : 'No steady beat'}
+                  </span>
+                </div>
+                {analyzedAudio.loudness && (
+                  <div className="audio-detail">
+                    <span className="detail-label">Loudness:</span>
+                    <span className="detail-value">{formatLoudness(analyzedAudio.loudness)}</span>
+                  </div>
+                )}
+                <div className="audio-detail">
+                  <span className="detail-label">Melody Range:</span>
+                  <span className="detail-value">
+                    {analyzedAudio.melodyRange
+                      ? `${analyzedAudio.melodyRange.lowestNote} – ${analyzedAudio.melodyRange.highestNote}`
+                      : 'No clear vocal line'}
+                  </span>
+                </div>
               </div>
             )}
 
@@ -641,6 +1156,8 @@ const Transpose = ({ currentAudio, setCurrentAudio }) => {
                 onEnded={handleOriginalAudioEnd}
                 onPause={() => setIsPlayingOriginal(false)}
                 onPlay={() => setIsPlayingOriginal(true)}
+                onLoadedMetadata={(e) => setOriginalPosition(elementPosition(e))}
+                onTimeUpdate={(e) => setOriginalPosition(elementPosition(e))}
                 onError={(e) => {
                   console.error('Audio loading error:', e);
                   toast.error('Failed to load audio file');
@@ -650,6 +1167,14 @@ const Transpose = ({ currentAudio, setCurrentAudio }) => {
                 crossOrigin="anonymous"
                 className="audio-controls"
               />
+              <MarkerBar
+                markers={markers}
+                duration={originalPosition.duration}
+                currentTime={originalPosition.time}
+                onSeek={(time) => {
+                  originalAudioRef.currentTime = time;
+                }}
+              />
             </div>
           </div>
         </div>
@@ -658,18 +1183,19 @@ const Transpose = ({ currentAudio, setCurrentAudio }) => {
         {transposedAudio && (
           <div className="card">
             <h2 className="text-xl font-semibold mb-4">
-              <FaExchangeAlt /> Transposed Audio ({transposedAudio.semitones > 0 ? '+' : ''}{transposedAudio.semitones} semitones)
+              <FaExchangeAlt /> Transposed Audio ({transposedAudio.semitones > 0 ? '+' : ''}{transposedAudio.semitones} semitones{formatCents(transposedAudio.cents)}{formatTempo(transposedAudio.tempoPercent)})
             </h2>
             
             <div className="audio-player-section">
               <div className="audio-player-header">
                 <h4>
-                  Transposed to {calculateNewKey(transposedAudio.originalKey, transposedAudio.mode, transposedAudio.semitones)} {transposedAudio.mode}
+                  Transposed to {calculateNewKey(transposedAudio.originalKey, transposedAudio.mode, transposedAudio.semitones, transposedAudio.cents)} {transposedAudio.mode}
+                  {formatCents(getResidualCents(transposedAudio.semitones, transposedAudio.cents))}
                 </h4>
                 <button 
                   onClick={toggleTransposedAudio}
                   className={`play-button ${isPlayingTransposed ? 'playing' : ''}`}
-                  disabled={!transposedAudio?.transposedFile}
+                  disabled={!transposedAudio?.transposedAssetId}
                 >
                   {isPlayingTransposed ? <FaVolumeUp /> : <FaMusic />}
                   {isPlayingTransposed ? 'Playing...' : 'Play Transposed'}
@@ -680,6 +1206,8 @@ const Transpose = ({ currentAudio, setCurrentAudio }) => {
                 onEnded={handleTransposedAudioEnd}
                 onPause={() => setIsPlayingTransposed(false)}
                 onPlay={() => setIsPlayingTransposed(true)}
+                onLoadedMetadata={(e) => setTransposedPosition(elementPosition(e))}
+                onTimeUpdate={(e) => setTransposedPosition(elementPosition(e))}
                 onError={(e) => {
                   console.error('Transposed audio loading error:', e);
                   toast.error('Failed to load transposed audio file');
@@ -689,6 +1217,14 @@ const Transpose = ({ currentAudio, setCurrentAudio }) => {
                 crossOrigin="anonymous"
                 className="audio-controls"
               />
+              <MarkerBar
+                markers={localStorageService.scaleMarkers(markers, (transposedAudio.tempoPercent || 100) / 100)}
+                duration={transposedPosition.duration}
+                currentTime={transposedPosition.time}
+                onSeek={(time) => {
+                  transposedAudioRef.currentTime = time;
+                }}
+              />
             </div>
           </div>
         )}
@@ -696,6 +1232,57 @@ const Transpose = ({ currentAudio, setCurrentAudio }) => {
         {/* Transposition Controls */}
         <div className="transpose-controls">
           <h2 className="transpose-title">Transposition Settings</h2>
+
+          {/* Key recommendation for the selected singer */}
+          {singers.length > 0 && (
+            <div className="form-group">
+              <label className="form-label" htmlFor="transpose-singer">
+                <FaUserFriends /> Singer
+              </label>
+              <select
+                id="transpose-singer"
+                className="select"
+                value={selectedSingerId}
+                onChange={(e) => selectSinger(e.target.value)}
+              >
+                <option value="">No singer</option>
+                {singers.map(singer => (
+                  <option key={singer.id} value={singer.id}>
+                    {singer.name} ({midiToNoteName(singer.lowest)} – {midiToNoteName(singer.highest)})
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          {selectedSinger && analyzedAudio && (
+            recommendation ? (
+              <div className={`key-recommendation ${recommendation.fits ? '' : 'out-of-range'}`}>
+                <div className="font-semibold">
+                  Recommended for {selectedSinger.name}: {recommendation.semitones > 0 ? '+' : ''}{recommendation.semitones} semitones
+                  {analyzedAudio.keyInfo?.key &&
+                    ` (${calculateNewKey(analyzedAudio.keyInfo.key, analyzedAudio.keyInfo.mode, recommendation.semitones)} ${analyzedAudio.keyInfo.mode})`}
+                </div>
+                <div className="text-sm opacity-75 mb-2">
+                  Melody becomes {recommendation.lowestNote} – {recommendation.highestNote}
+                  {recommendation.fits
+                    ? ', inside the singer\'s range'
+                    : `, ${recommendation.outOfRange} semitone${recommendation.outOfRange === 1 ? '' : 's'} beyond the singer's range`}
+                </div>
+                <button
+                  onClick={() => setSemitones(recommendation.semitones)}
+                  className="btn btn-sm btn-primary"
+                  disabled={semitones === recommendation.semitones}
+                >
+                  Apply
+                </button>
+              </div>
+            ) : (
+              <div className="text-sm opacity-75 mb-4">
+                No clear vocal line was found in this song, so no key can be recommended.
+              </div>
+            )
+          )}
           
           {/* Semitone Slider */}
           <div className="semitone-slider">
@@ -761,6 +1348,211 @@ const Transpose = ({ currentAudio, setCurrentAudio }) => {
             </div>
           </div>
 
+          {/* Fine Tune Slider */}
+          <div className="semitone-slider">
+            <label className="form-label text-center">
+              Fine Tune: {cents > 0 ? '+' : ''}{cents} cents
+            </label>
+
+            <div className="slider-container">
+              <Range
+                step={1}
+                min={-100}
+                max={100}
+                values={[cents]}
+                onChange={(values) => setCents(values[0])}
+                renderTrack={({ props, children }) => {
+                  const { key, ...otherProps } = props;
+                  return (
+                    <div
+                      key={key || 'cents-track'}
+                      {...otherProps}
+                      style={{
+                        ...otherProps.style,
+                        height: '6px',
+                        width: '100%',
+                        backgroundColor: '#e5e7eb',
+                        borderRadius: '3px'
+                      }}
+                    >
+                      {children}
+                    </div>
+                  );
+                }}
+                renderThumb={({ props, index }) => {
+                  const { key, ...otherProps } = props;
+                  return (
+                    <div
+                      key={key || `cents-thumb-${index || 0}`}
+                      {...otherProps}
+                      style={{
+                        ...otherProps.style,
+                        height: '20px',
+                        width: '20px',
+                        borderRadius: '50%',
+                        backgroundColor: '#4f46e5',
+                        border: '2px solid white',
+                        boxShadow: '0 2px 4px rgba(0,0,0,0.1)'
+                      }}
+                    />
+                  );
+                }}
+              />
+
+              <div className="slider-labels">
+                <span>-100¢</span>
+                <span>0</span>
+                <span>+100¢</span>
+              </div>
+            </div>
+
+            <div className="flex items-center justify-center gap-2 mt-4">
+              <button
+                onClick={retuneToA440}
+                disabled={estimatingTuning || !analyzedAudio?.assetId}
+                className="btn btn-secondary"
+                title="Estimate the track's reference pitch and correct it to A440"
+              >
+                {estimatingTuning ? <><FaSpinner className="spinner" /> Estimating...</> : 'Retune to A440'}
+              </button>
+              {cents !== 0 && (
+                <button onClick={() => setCents(0)} className="btn btn-secondary">
+                  Reset Fine Tune
+                </button>
+              )}
+            </div>
+
+            {tuning && (
+              <div className="interval-display">
+                Detected reference: A = {tuning.referenceFrequency} Hz
+                ({tuning.centsOffset > 0 ? '+' : ''}{tuning.centsOffset}¢ from A440,
+                {' '}{Math.round(tuning.confidence * 100)}% confidence)
+              </div>
+            )}
+          </div>
+
+          {/* Practice Speed Slider */}
+          <div className="semitone-slider">
+            <label className="form-label text-center">
+              Practice Speed: {tempoPercent}%
+            </label>
+
+            <div className="slider-container">
+              <Range
+                step={5}
+                min={50}
+                max={150}
+                values={[tempoPercent]}
+                onChange={(values) => setTempoPercent(values[0])}
+                renderTrack={({ props, children }) => {
+                  const { key, ...otherProps } = props;
+                  return (
+                    <div
+                      key={key || 'tempo-track'}
+                      {...otherProps}
+                      style={{
+                        ...otherProps.style,
+                        height: '6px',
+                        width: '100%',
+                        backgroundColor: '#e5e7eb',
+                        borderRadius: '3px'
+                      }}
+                    >
+                      {children}
+                    </div>
+                  );
+                }}
+                renderThumb={({ props, index }) => {
+                  const { key, ...otherProps } = props;
+                  return (
+                    <div
+                      key={key || `tempo-thumb-${index || 0}`}
+                      {...otherProps}
+                      style={{
+                        ...otherProps.style,
+                        height: '20px',
+                        width: '20px',
+                        borderRadius: '50%',
+                        backgroundColor: '#4f46e5',
+                        border: '2px solid white',
+                        boxShadow: '0 2px 4px rgba(0,0,0,0.1)'
+                      }}
+                    />
+                  );
+                }}
+              />
+
+              <div className="slider-labels">
+                <span>50% (Half Speed)</span>
+                <span>100%</span>
+                <span>150%</span>
+              </div>
+            </div>
+
+            {tempoPercent !== 100 && (
+              <div className="flex items-center justify-center gap-2 mt-4">
+                <button onClick={() => setTempoPercent(100)} className="btn btn-secondary">
+                  Reset Speed
+                </button>
+              </div>
+            )}
+          </div>
+
+          {/* Pitch Engine Settings */}
+          <div className="grid grid-2">
+            <div className="form-group">
+              <label className="form-label" htmlFor="pitch-engine">Pitch Engine</label>
+              <select
+                id="pitch-engine"
+                className="select"
+                value={engine}
+                onChange={(e) => setEngine(e.target.value)}
+              >
+                <option value="auto">Auto (best available)</option>
+                <option value="rubberband">Rubber Band (FFmpeg)</option>
+                <option value="vocoder">Phase Vocoder</option>
+                <option value="resample">Resample (fastest)</option>
+              </select>
+            </div>
+            <div className="form-group">
+              <label className="form-label" htmlFor="render-quality">Quality</label>
+              <select
+                id="render-quality"
+                className="select"
+                value={quality}
+                onChange={(e) => setQuality(e.target.value)}
+              >
+                <option value="draft">Draft</option>
+                <option value="standard">Standard</option>
+                <option value="high">High</option>
+              </select>
+            </div>
+          </div>
+          <div className="form-group">
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={preserveFormants}
+                onChange={(e) => setPreserveFormants(e.target.checked)}
+                disabled={engine === 'resample'}
+              />
+              Preserve vocal formants (recommended for songs with vocals)
+            </label>
+          </div>
+          <div className="form-group">
+            <label className="form-label" htmlFor="output-format">Output Format</label>
+            <select
+              id="output-format"
+              className="select"
+              value={outputPreset}
+              onChange={(e) => setOutputPreset(e.target.value)}
+            >
+              {Object.entries(OUTPUT_PRESETS).map(([value, preset]) => (
+                <option key={value} value={value}>{preset.label}</option>
+              ))}
+            </select>
+          </div>
+
           {/* Key Display */}
           {analyzedAudio?.keyInfo && (
             <div className="current-key-display">
@@ -776,15 +1568,56 @@ const Transpose = ({ currentAudio, setCurrentAudio }) => {
                 <div className="new-key">
                   <div className="key-label">New Key</div>
                   <div className="key-value">
-                    {calculateNewKey(analyzedAudio.keyInfo.key, analyzedAudio.keyInfo.mode, semitones)}
+                    {calculateNewKey(analyzedAudio.keyInfo.key, analyzedAudio.keyInfo.mode, semitones, cents)}
                   </div>
                   <div className="key-mode">{analyzedAudio.keyInfo.mode}</div>
                 </div>
               </div>
               
               <div className="interval-display">
-                Interval: {getIntervalName(semitones)}
+                Interval: {getIntervalName(Math.round(semitones + cents / 100))}
+                {formatCents(getResidualCents(semitones, cents))}
+              </div>
+            </div>
+          )}
+
+          {currentAudio?.id && (
+            <div className="text-center mt-4">
+              <button onClick={rememberKey} className="btn btn-sm btn-secondary" title="Used when the song is played from the Library, Playlists or Queue">
+                <FaBookmark /> Remember {semitones > 0 ? '+' : ''}{semitones} semitones {selectedSinger ? `for ${selectedSinger.name}` : 'as this song\'s key'}
+              </button>
+            </div>
+          )}
+
+          {/* Live preview and in-browser render, no server needed */}
+          {currentAudio?.id && isPitchShiftSupported() && (
+            <div className="live-transpose">
+              <p className="text-sm opacity-75 mb-2">
+                Hear the settings instantly in the player, or render them here without uploading.
+              </p>
+              <div className="action-buttons">
+                {livePreview ? (
+                  <button onClick={stopLivePreview} className="btn btn-secondary">
+                    <FaStop /> Stop Preview
+                  </button>
+                ) : (
+                  <button onClick={startLivePreview} className="btn btn-secondary">
+                    <FaHeadphones /> Preview Live
+                  </button>
+                )}
+                <button
+                  onClick={renderInBrowser}
+                  className="btn btn-secondary"
+                  disabled={!!browserRender || (semitones === 0 && cents === 0 && tempoPercent === 100)}
+                >
+                  <FaLaptop /> Render in Browser
+                </button>
               </div>
+              <JobProgress
+                job={browserRender && { state: 'running', progress: browserRender.progress }}
+                label="Rendering in the browser"
+              />
+              {livePreview && <PracticeControls />}
             </div>
           )}
 
@@ -792,7 +1625,7 @@ const Transpose = ({ currentAudio, setCurrentAudio }) => {
           <div className="text-center mt-6">
             <button
               onClick={transposeAudio}
-              disabled={processing || semitones === 0}
+              disabled={processing || (semitones === 0 && cents === 0 && tempoPercent === 100)}
               className="btn btn-primary btn-lg"
             >
               {processing ? (
@@ -811,10 +1644,15 @@ const Transpose = ({ currentAudio, setCurrentAudio }) => {
               <FaSpinner className="spinner text-2xl mb-4" />
               <h3 className="text-lg font-semibold mb-2">Processing Audio</h3>
               <p className="opacity-75">
-                Transposing your audio by {Math.abs(semitones)} semitones 
-                {semitones > 0 ? ' up' : ' down'}. This may take a moment...
+                Transposing your audio by {semitones > 0 ? '+' : ''}{semitones} semitones
+                {formatCents(cents)}{formatTempo(tempoPercent)}. This may take a moment...
               </p>
             </div>
+            <JobProgress
+              job={jobs.transpose}
+              label="Rendering"
+              onCancel={() => cancelProcessingJob('transpose')}
+            />
           </div>
         )}
 
@@ -828,7 +1666,7 @@ const Transpose = ({ currentAudio, setCurrentAudio }) => {
             
             <div className="audio-info">
               <h3 className="audio-title">
-                {transposedAudio.originalFile} → {transposedAudio.transposedFile}
+                {currentAudio?.originalName || currentAudio?.title || currentAudio?.filename} → {transposedAudio.asset.originalName}
               </h3>
               
               <div className="audio-details">
@@ -836,8 +1674,16 @@ const Transpose = ({ currentAudio, setCurrentAudio }) => {
                   <span className="detail-label">Semitones Changed:</span>
                   <span className="detail-value">
                     {transposedAudio.semitones > 0 ? '+' : ''}{transposedAudio.semitones}
+                    {formatCents(transposedAudio.cents)}
                   </span>
                 </div>
+
+                {transposedAudio.tempoPercent !== 100 && (
+                  <div className="audio-detail">
+                    <span className="detail-label">Speed:</span>
+                    <span className="detail-value">{transposedAudio.tempoPercent}%</span>
+                  </div>
+                )}
                 
                 {transposedAudio.keyInfo && (
                   <>
@@ -859,6 +1705,28 @@ const Transpose = ({ currentAudio, setCurrentAudio }) => {
                     </div>
                   </>
                 )}
+
+                {transposedAudio.engine && (
+                  <div className="audio-detail">
+                    <span className="detail-label">Engine:</span>
+                    <span className="detail-value">
+                      {transposedAudio.engine} ({transposedAudio.quality}
+                      {transposedAudio.preserveFormants ? ', formants preserved' : ''})
+                    </span>
+                  </div>
+                )}
+
+                {transposedAudio.output && (
+                  <div className="audio-detail">
+                    <span className="detail-label">Format:</span>
+                    <span className="detail-value">
+                      {transposedAudio.output.format.toUpperCase()}
+                      {transposedAudio.output.bitrate ? ` ${transposedAudio.output.bitrate} kbps` : ''}
+                      {transposedAudio.output.vbr !== undefined ? ` VBR V${transposedAudio.output.vbr}` : ''}
+                      {transposedAudio.output.bitDepth ? ` ${transposedAudio.output.bitDepth}-bit` : ''}
+                    </span>
+                  </div>
+                )}
                 
                 {transposedAudio.metadata && (
                   <>
@@ -897,6 +1765,7 @@ const Transpose = ({ currentAudio, setCurrentAudio }) => {
                 <button
                   onClick={() => {
                     setSemitones(0);
+                    setCents(0);
                     setTransposedAudio(null);
                   }}
                   className="btn btn-secondary"
@@ -909,6 +1778,221 @@ const Transpose = ({ currentAudio, setCurrentAudio }) => {
           </div>
         )}
 
+        {/* Karaoke Instrumental */}
+        <div className="card mt-6">
+          <h2 className="text-xl font-semibold mb-4">
+            <FaMicrophoneSlash /> Karaoke Instrumental
+          </h2>
+          <p className="opacity-75 mb-4">
+            Remove the centre-panned lead vocal while keeping bass, kick and cymbals.
+            Works best on stereo studio recordings.
+          </p>
+
+          <div className="form-group">
+            <label className="form-label" htmlFor="vocal-strength">Vocal Reduction</label>
+            <select
+              id="vocal-strength"
+              className="select"
+              value={vocalStrength}
+              onChange={(e) => setVocalStrength(parseFloat(e.target.value))}
+              disabled={removingVocals}
+            >
+              <option value={0.6}>Light</option>
+              <option value={0.85}>Medium</option>
+              <option value={1}>Full</option>
+            </select>
+          </div>
+
+          <div className="flex items-center justify-center gap-2 mt-4">
+            <button
+              onClick={createInstrumental}
+              disabled={removingVocals || !currentAudio?.filename}
+              className="btn btn-primary"
+            >
+              {removingVocals ? (
+                <><FaSpinner className="spinner" /> Removing Vocals...</>
+              ) : (
+                <><FaMicrophoneSlash /> Remove Vocals</>
+              )}
+            </button>
+            <button
+              onClick={createStems}
+              disabled={separatingStems || !currentAudio?.filename}
+              className="btn btn-secondary"
+              title="Split into vocals, drums, bass and other (needs a separation model on the server)"
+            >
+              {separatingStems ? (
+                <><FaSpinner className="spinner" /> Separating...</>
+              ) : (
+                <><FaLayerGroup /> Split into Stems</>
+              )}
+            </button>
+          </div>
+
+          <JobProgress
+            job={jobs.instrumental}
+            label="Removing vocals"
+            onCancel={() => cancelProcessingJob('instrumental')}
+          />
+          <JobProgress
+            job={jobs.stems}
+            label="Separating stems"
+            onCancel={() => cancelProcessingJob('stems')}
+          />
+
+          {stems.length > 0 && (
+            <div className="interval-display">
+              Stems saved: {stems.join(', ')}. Use the stem mixer in the Library to set each level.
+            </div>
+          )}
+
+          {instrumental && (
+            <div className="audio-player-section mt-4">
+              <div className="audio-player-header">
+                <h4>Instrumental ({instrumental.method === 'model' ? 'separation model' : 'centre cancellation'})</h4>
+              </div>
+              <audio
+                src={instrumental.url}
+                controls
+                preload="metadata"
+                className="audio-controls"
+              />
+            </div>
+          )}
+        </div>
+
+        {/* Chord Chart */}
+        <div className="card mt-6">
+          <h2 className="text-xl font-semibold mb-4">
+            <FaGuitar /> Chord Chart
+          </h2>
+          <p className="opacity-75 mb-4">
+            Detect the song's chords to play along. The chart follows the semitone slider,
+            so accompanists can read the chords in the key the singer will sing in.
+          </p>
+
+          <div className="flex items-center justify-center gap-2 mb-4">
+            <button
+              onClick={detectChords}
+              disabled={detectingChords || !currentAudio?.filename}
+              className="btn btn-primary"
+            >
+              {detectingChords ? (
+                <><FaSpinner className="spinner" /> Detecting Chords...</>
+              ) : (
+                <><FaGuitar /> {chords ? 'Detect Again' : 'Detect Chords'}</>
+              )}
+            </button>
+          </div>
+
+          {chords && (
+            <>
+              {Math.round(semitones + cents / 100) !== 0 && analyzedAudio?.keyInfo && (
+                <p className="text-center opacity-75 mb-2">
+                  Transposed from {analyzedAudio.keyInfo.key} to{' '}
+                  {calculateNewKey(analyzedAudio.keyInfo.key, analyzedAudio.keyInfo.mode, semitones, cents)}{' '}
+                  {analyzedAudio.keyInfo.mode}
+                </p>
+              )}
+              <div className="chord-chart">
+                {chords.map((chord, index) => (
+                  <div
+                    key={index}
+                    className={`chord-chip ${chord.root ? '' : 'no-chord'}`}
+                    title={`${formatDuration(chord.start)} - ${formatDuration(chord.end)}`}
+                  >
+                    <span className="chord-name">{transposeChord(chord, Math.round(semitones + cents / 100))}</span>
+                    <span className="chord-time">{formatDuration(chord.start)}</span>
+                  </div>
+                ))}
+              </div>
+            </>
+          )}
+        </div>
+
+        {/* Loudness Normalization */}
+        <div className="card mt-6">
+          <h2 className="text-xl font-semibold mb-4">
+            <FaBalanceScale /> Loudness
+          </h2>
+          <p className="opacity-75 mb-4">
+            The Library player already levels songs to a common loudness while playing.
+            Render a normalized copy to use the song outside this app at a standard level.
+          </p>
+
+          {analyzedAudio?.loudness && (
+            <div className="audio-details mb-4">
+              <div className="audio-detail">
+                <span className="detail-label">Integrated:</span>
+                <span className="detail-value">
+                  {analyzedAudio.loudness.integrated === null ? 'silent' : `${analyzedAudio.loudness.integrated.toFixed(1)} LUFS`}
+                </span>
+              </div>
+              <div className="audio-detail">
+                <span className="detail-label">True Peak:</span>
+                <span className="detail-value">
+                  {analyzedAudio.loudness.truePeak === null ? '-' : `${analyzedAudio.loudness.truePeak.toFixed(1)} dBTP`}
+                </span>
+              </div>
+              <div className="audio-detail">
+                <span className="detail-label">Loudness Range:</span>
+                <span className="detail-value">
+                  {analyzedAudio.loudness.loudnessRange === null ? '-' : `${analyzedAudio.loudness.loudnessRange.toFixed(1)} LU`}
+                </span>
+              </div>
+            </div>
+          )}
+
+          <div className="form-group">
+            <label className="form-label" htmlFor="loudness-target">Target</label>
+            <select
+              id="loudness-target"
+              className="select"
+              value={loudnessTarget}
+              onChange={(e) => setLoudnessTarget(e.target.value)}
+              disabled={normalizing}
+            >
+              {Object.entries(LOUDNESS_TARGETS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="flex items-center justify-center gap-2 mt-4">
+            <button
+              onClick={createNormalized}
+              disabled={normalizing || !currentAudio?.filename}
+              className="btn btn-primary"
+            >
+              {normalizing ? (
+                <><FaSpinner className="spinner" /> Normalizing...</>
+              ) : (
+                <><FaBalanceScale /> Render Normalized Copy</>
+              )}
+            </button>
+          </div>
+
+          <JobProgress
+            job={jobs.normalize}
+            label="Normalizing"
+            onCancel={() => cancelProcessingJob('normalize')}
+          />
+
+          {normalized && (
+            <div className="audio-player-section mt-4">
+              <div className="audio-player-header">
+                <h4>Normalized ({normalized.gain > 0 ? '+' : ''}{normalized.gain} dB)</h4>
+              </div>
+              <audio
+                src={normalized.url}
+                controls
+                preload="metadata"
+                className="audio-controls"
+              />
+            </div>
+          )}
+        </div>
+
         {/* Help Section */}
         <div className="card mt-6">
           <h3 className="text-lg font-semibold mb-4">How to Use</h3>
@@ -6,6 +6,16 @@ import toast from 'react-hot-toast';
 import ApiService from '../services/api';
 import localStorageService from '../services/localStorageService';
 
+// Karaoke packages: MP3+G (audio + .cdg, or both zipped) and .kar/MIDI files
+const KARAOKE_EXTENSIONS = ['.cdg', '.kar', '.mid', '.midi', '.zip'];
+
+const isKaraokeFile = (file) => KARAOKE_EXTENSIONS.some(extension => file.name.toLowerCase().endsWith(extension));
+
+const base64ToBlob = (base64, type) => {
+  const bytes = Uint8Array.from(atob(base64), character => character.charCodeAt(0));
+  return new Blob([bytes], { type });
+};
+
 const Upload = ({ setCurrentAudio }) => {
   const [uploading, setUploading] = useState(false);
   const [uploadProgress, setUploadProgress] = useState(0);
@@ -26,11 +36,16 @@ const Upload = ({ setCurrentAudio }) => {
     const sizeLimit = isVercel ? '4MB' : '50MB';
     const platform = isVercel ? 'vercel' : (window.location.hostname.includes('onrender.com') ? 'render' : 'local');
     
-    if (file.size > maxSize) {
+    if (acceptedFiles.some(accepted => accepted.size > maxSize)) {
       toast.error(`File size must be less than ${sizeLimit} for ${platform} deployment`);
       return;
     }
 
+    if (acceptedFiles.some(isKaraokeFile)) {
+      await uploadKaraoke(acceptedFiles);
+      return;
+    }
+
     setUploading(true);
     setUploadProgress(0);
 
@@ -81,16 +96,16 @@ const Upload = ({ setCurrentAudio }) => {
           const updatedMetadata = {
             ...originalMetadata,
             metadata: response.data.metadata,
-            serverFilename: response.data.file?.filename // Keep server filename for processing
+            serverAssetId: response.data.file?.id // Keep the server asset ID for processing
           };
           
           // Update the existing stored file with server metadata
           await localStorageService.updateAudioFileMetadata(storedFile.id, updatedMetadata);
           
-          // Update currentAudio with server filename
+          // Update currentAudio with the server asset ID
           const updatedCurrentAudio = {
             ...immediateAudioData,
-            serverFilename: response.data.file?.filename
+            serverAssetId: response.data.file?.id
           };
           setCurrentAudio(updatedCurrentAudio);
         }
@@ -115,12 +130,79 @@ const Upload = ({ setCurrentAudio }) => {
     }
   };
 
+  // Karaoke songs need the server: it unpacks the package (and synthesizes the
+  // backing track for .kar files) before the song is stored locally
+  const uploadKaraoke = async (files) => {
+    setUploading(true);
+    setUploadProgress(0);
+
+    try {
+      const response = await ApiService.importKaraoke(files, (progress) => {
+        setUploadProgress(progress * 0.5);
+      });
+      const { file: serverFile, metadata, karaoke } = response.data;
+      setUploadProgress(60);
+
+      const audioResponse = await ApiService.downloadAudio(serverFile.id);
+      const audioBlob = new Blob([audioResponse.data], { type: serverFile.mimetype || 'audio/mpeg' });
+      setUploadProgress(80);
+
+      const karaokeData = karaoke.format === 'cdg'
+        ? { format: 'cdg', graphics: base64ToBlob(karaoke.graphics, 'application/octet-stream'), timeScale: 1 }
+        : { format: 'kar', midi: base64ToBlob(karaoke.midi, 'audio/midi'), timeScale: 1 };
+      const originalMetadata = {
+        title: karaoke.lyrics?.tags?.ti || serverFile.originalName,
+        filename: serverFile.originalName,
+        originalName: serverFile.originalName,
+        size: audioBlob.size,
+        source: 'upload',
+        duration: metadata?.duration,
+        sampleRate: metadata?.sampleRate,
+        lyrics: karaoke.lyrics || null,
+        karaoke: karaokeData
+      };
+
+      const storedFile = await localStorageService.storeAudioFile(audioBlob, originalMetadata);
+      await localStorageService.updateAudioFileMetadata(storedFile.id, {
+        metadata,
+        serverAssetId: serverFile.id
+      });
+
+      setCurrentAudio({
+        id: storedFile.id,
+        filename: serverFile.originalName,
+        originalName: serverFile.originalName,
+        title: originalMetadata.title,
+        size: audioBlob.size,
+        source: 'upload',
+        serverAssetId: serverFile.id
+      });
+      window.dispatchEvent(new Event('storageUpdated'));
+
+      setUploadProgress(100);
+      setUploadedFile({ file: new File([audioBlob], serverFile.originalName, { type: audioBlob.type }), storedFile });
+      setShowDriveSync(true);
+
+      toast.success(`Imported karaoke song ${originalMetadata.title}`);
+    } catch (error) {
+      const errorInfo = ApiService.handleApiError(error);
+      toast.error(errorInfo.message);
+    } finally {
+      setUploading(false);
+      setUploadProgress(0);
+    }
+  };
+
   const { getRootProps, getInputProps, isDragActive } = useDropzone({
     onDrop,
     accept: {
-      'audio/*': ['.mp3', '.wav', '.aac', '.m4a', '.ogg', '.flac']
+      'audio/*': ['.mp3', '.wav', '.aac', '.m4a', '.ogg', '.flac'],
+      'application/octet-stream': ['.cdg', '.kar'],
+      'audio/midi': ['.mid', '.midi', '.kar'],
+      'application/zip': ['.zip']
     },
-    multiple: false,
+    multiple: true,
+    maxFiles: 2,
     maxSize: (process.env.REACT_APP_VERCEL || window.location.hostname.includes('vercel.app')) ? 4 * 1024 * 1024 : 50 * 1024 * 1024
   });
 
@@ -188,7 +270,8 @@ Backup Instructions for ${uploadedFile?.file.name}:
         </h1>
         <p className="text-center mb-6">
           Upload an audio file from your device to get started with transposition.
-          Supports MP3, WAV, AAC, M4A, OGG, and FLAC formats.
+          Supports MP3, WAV, AAC, M4A, OGG, and FLAC formats, plus karaoke files:
+          MP3+G (drop the audio and .cdg together, or a zip of both) and .kar/MIDI.
         </p>
 
         {/* Upload Area */}
@@ -221,7 +304,7 @@ Backup Instructions for ${uploadedFile?.file.name}:
                   {isDragActive ? 'Drop the audio file here' : 'Drag and drop an audio file here'}
                 </div>
                 <div className="dropzone-hint">
-                  or click to browse files (MP3, WAV, AAC, M4A, OGG, FLAC)
+                  or click to browse files (MP3, WAV, AAC, M4A, OGG, FLAC, MP3+G, KAR)
                 </div>
                 <div className="dropzone-hint mt-4">
                   Maximum file size: {(process.env.REACT_APP_VERCEL || window.location.hostname.includes('vercel.app')) ? '4MB' : '50MB'} • Files stored locally on your device
@@ -6,12 +6,14 @@ import toast from 'react-hot-toast';
 import ApiService from '../services/api';
 import localStorageService from '../services/localStorageService';
 import { getStreamUrl } from '../utils/api';
+import JobProgress from '../components/JobProgress';
 
 const YouTube = ({ setCurrentAudio }) => {
   const [url, setUrl] = useState('');
   const [videoInfo, setVideoInfo] = useState(null);
   const [loading, setLoading] = useState(false);
   const [downloading, setDownloading] = useState(false);
+  const [downloadJob, setDownloadJob] = useState(null);
   const [validating, setValidating] = useState(false);
   const [downloadedAudio, setDownloadedAudio] = useState(null);
   const [analyzedAudio, setAnalyzedAudio] = useState(null);
@@ -84,23 +86,27 @@ const YouTube = ({ setCurrentAudio }) => {
 
     setDownloading(true);
     try {
-      // Download audio from server
-      const response = await ApiService.downloadYouTubeAudio(url);
+      // Download audio on the server as a background job so long videos report progress
+      const result = await ApiService.runJob('youtube-download', { url, quality: 'highestaudio' }, {
+        onSubmit: setDownloadJob,
+        onProgress: (progress, job) => setDownloadJob(job)
+      });
       
       const audioData = {
-        filename: response.data.filename,
-        originalName: response.data.videoInfo.title,
+        filename: result.asset.originalName,
+        serverAssetId: result.asset.id,
+        originalName: result.videoInfo.title,
         metadata: {
-          duration: response.data.videoInfo.duration,
-          title: response.data.videoInfo.title,
-          author: response.data.videoInfo.author
+          duration: result.videoInfo.duration,
+          title: result.videoInfo.title,
+          author: result.videoInfo.author
         },
         source: 'youtube',
-        videoInfo: response.data.videoInfo
+        videoInfo: result.videoInfo
       };
 
       // Store the downloaded file in local storage
-      const audioFileResponse = await fetch(getStreamUrl(audioData.filename));
+      const audioFileResponse = await fetch(getStreamUrl(audioData.serverAssetId), { credentials: 'include' });
       const audioBlob = await audioFileResponse.blob();
       
       const storedFile = await localStorageService.storeAudioFile(
@@ -108,6 +114,7 @@ const YouTube = ({ setCurrentAudio }) => {
         {
           title: audioData.originalName,
           filename: audioData.filename,
+          serverAssetId: audioData.serverAssetId,
           size: audioBlob.size,
           source: 'youtube',
           metadata: {
@@ -126,25 +133,51 @@ const YouTube = ({ setCurrentAudio }) => {
       // Dispatch storage update event
       window.dispatchEvent(new Event('storageUpdated'));
       
-      toast.success(`Successfully downloaded and stored "${response.data.videoInfo.title}" locally`);
+      toast.success(`Successfully downloaded and stored "${result.videoInfo.title}" locally`);
       
       // Auto-analyze the downloaded audio
-      analyzeAudio(audioData);
+      analyzeAudio({ ...audioData, id: storedFile.id });
     } catch (error) {
+      if (error.cancelled) {
+        toast('Download cancelled');
+        return;
+      }
       const errorInfo = ApiService.handleApiError(error);
       toast.error(`Download failed: ${errorInfo.message}`);
     } finally {
       setDownloading(false);
+      setDownloadJob(null);
+    }
+  };
+
+  const cancelDownload = async () => {
+    if (!downloadJob) return;
+    try {
+      await ApiService.cancelJob(downloadJob.id);
+    } catch (error) {
+      const errorInfo = ApiService.handleApiError(error);
+      toast.error(`Cancel failed: ${errorInfo.message}`);
     }
   };
 
   const analyzeAudio = useCallback(async (audioData = downloadedAudio) => {
-    if (!audioData?.filename) return;
+    if (!audioData?.serverAssetId) return;
 
     setAnalyzing(true);
     try {
-      const response = await ApiService.analyzeAudio(audioData.filename);
+      const response = await ApiService.analyzeAudio(audioData.serverAssetId);
       setAnalyzedAudio(response.data);
+
+      // Remember the loudness so the player can level this song against the rest of the library
+      if (audioData.id && response.data.loudness) {
+        await localStorageService.updateLoudness(audioData.id, response.data.loudness);
+      }
+      if (audioData.id && response.data.tempo) {
+        await localStorageService.updateTempo(audioData.id, response.data.tempo);
+      }
+      if (audioData.id) {
+        await localStorageService.updateMelodyRange(audioData.id, response.data.melodyRange);
+      }
     } catch (error) {
       const errorInfo = ApiService.handleApiError(error);
       toast.error(`Analysis failed: ${errorInfo.message}`);
@@ -154,7 +187,7 @@ const YouTube = ({ setCurrentAudio }) => {
   }, [downloadedAudio]);
 
   const transposeAudio = async () => {
-    if (!downloadedAudio?.filename) {
+    if (!downloadedAudio?.serverAssetId) {
       toast.error('No audio file downloaded');
       return;
     }
@@ -170,7 +203,7 @@ const YouTube = ({ setCurrentAudio }) => {
       const mode = analyzedAudio?.keyInfo?.mode;
 
       const response = await ApiService.transposeAudio(
-        downloadedAudio.filename,
+        downloadedAudio.serverAssetId,
         semitones,
         originalKey,
         mode
@@ -178,6 +211,7 @@ const YouTube = ({ setCurrentAudio }) => {
 
       setTransposedAudio({
         ...response.data,
+        transposedAssetId: response.data.asset.id,
         semitones: semitones,
         originalKey: originalKey,
         mode: mode
@@ -193,7 +227,7 @@ const YouTube = ({ setCurrentAudio }) => {
   };
 
   const toggleOriginalAudio = async () => {
-    if (!originalAudioRef || !downloadedAudio?.filename) return;
+    if (!originalAudioRef || !downloadedAudio?.serverAssetId) return;
     
     if (isPlayingOriginal) {
       originalAudioRef.pause();
@@ -205,7 +239,7 @@ const YouTube = ({ setCurrentAudio }) => {
           setIsPlayingTransposed(false);
         }
         
-        const audioSrc = getStreamUrl(downloadedAudio.filename);
+        const audioSrc = getStreamUrl(downloadedAudio.serverAssetId);
         if (originalAudioRef.src !== audioSrc) {
           originalAudioRef.src = audioSrc;
           await originalAudioRef.load();
@@ -221,7 +255,7 @@ const YouTube = ({ setCurrentAudio }) => {
   };
 
   const toggleTransposedAudio = async () => {
-    if (!transposedAudioRef || !transposedAudio?.transposedFile) return;
+    if (!transposedAudioRef || !transposedAudio?.transposedAssetId) return;
     
     if (isPlayingTransposed) {
       transposedAudioRef.pause();
@@ -233,7 +267,7 @@ const YouTube = ({ setCurrentAudio }) => {
           setIsPlayingOriginal(false);
         }
         
-        const audioSrc = getStreamUrl(transposedAudio.transposedFile);
+        const audioSrc = getStreamUrl(transposedAudio.transposedAssetId);
         if (transposedAudioRef.src !== audioSrc) {
           transposedAudioRef.src = audioSrc;
           await transposedAudioRef.load();
@@ -462,6 +496,20 @@ const YouTube = ({ setCurrentAudio }) => {
                         }
                       </span>
                     </div>
+                    {analyzedAudio.tempo?.bpm && (
+                      <div className="audio-detail">
+                        <span className="detail-label">Tempo:</span>
+                        <span className="detail-value">{analyzedAudio.tempo.bpm} BPM</span>
+                      </div>
+                    )}
+                    {analyzedAudio.loudness?.integrated != null && (
+                      <div className="audio-detail">
+                        <span className="detail-label">Loudness:</span>
+                        <span className="detail-value">
+                          {analyzedAudio.loudness.integrated.toFixed(1)} LUFS, peak {analyzedAudio.loudness.truePeak.toFixed(1)} dBTP
+                        </span>
+                      </div>
+                    )}
                   </div>
                 )}
                 
@@ -495,7 +543,7 @@ const YouTube = ({ setCurrentAudio }) => {
                     <button 
                       onClick={toggleOriginalAudio}
                       className={`play-button ${isPlayingOriginal ? 'playing' : ''}`}
-                      disabled={!downloadedAudio?.filename}
+                      disabled={!downloadedAudio?.serverAssetId}
                     >
                       {isPlayingOriginal ? <FaVolumeUp /> : <FaMusic />}
                       {isPlayingOriginal ? 'Playing...' : 'Play Original'}
@@ -635,7 +683,7 @@ const YouTube = ({ setCurrentAudio }) => {
                     <button 
                       onClick={toggleTransposedAudio}
                       className={`play-button ${isPlayingTransposed ? 'playing' : ''}`}
-                      disabled={!transposedAudio?.transposedFile}
+                      disabled={!transposedAudio?.transposedAssetId}
                     >
                       {isPlayingTransposed ? <FaVolumeUp /> : <FaMusic />}
                       {isPlayingTransposed ? 'Playing...' : 'Play Transposed'}
@@ -690,6 +738,7 @@ const YouTube = ({ setCurrentAudio }) => {
                 depending on the video length.
               </p>
             </div>
+            <JobProgress job={downloadJob} label="Downloading" onCancel={cancelDownload} />
           </div>
         )}
       </div>
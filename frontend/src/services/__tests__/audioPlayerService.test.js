@@ -0,0 +1,126 @@
+import audioPlayerService from '../audioPlayerService';
+import singerService from '../singerService';
+
+describe('audioPlayerService.getPreferredTransposition', () => {
+  const preferences = { 'song1:ann': 3, 'song1:default': -2 };
+  const storageService = {
+    getKeyPreference: async (songId, singerId) => {
+      const semitones = preferences[`${songId}:${singerId}`] ?? preferences[`${songId}:default`];
+      return semitones === undefined ? null : { semitones };
+    }
+  };
+
+  afterEach(() => {
+    singerService.setSelectedSingerId(null);
+  });
+
+  it('uses the selected singer’s key', async () => {
+    singerService.setSelectedSingerId('ann');
+    expect(await audioPlayerService.getPreferredTransposition({ id: 'song1' }, storageService)).toBe(3);
+  });
+
+  it('uses the singer a queued song is for over the selected one', async () => {
+    singerService.setSelectedSingerId('bob');
+    expect(await audioPlayerService.getPreferredTransposition({ id: 'song1', singerId: 'ann' }, storageService)).toBe(3);
+    expect(await audioPlayerService.getPreferredTransposition({ id: 'song1' }, storageService)).toBe(-2);
+  });
+
+  it('plays the original without a preference', async () => {
+    expect(await audioPlayerService.getPreferredTransposition({ id: 'song2' }, storageService)).toBe(0);
+  });
+});
+
+describe('audioPlayerService.getNextIndex', () => {
+  afterEach(() => {
+    Object.assign(audioPlayerService, { playlist: [], currentIndex: 0, shuffle: false, repeat: 'none' });
+  });
+
+  it('moves through the playlist and stops at the end', () => {
+    Object.assign(audioPlayerService, { playlist: ['a', 'b', 'c'], currentIndex: 1 });
+    expect(audioPlayerService.getNextIndex()).toBe(2);
+
+    audioPlayerService.currentIndex = 2;
+    expect(audioPlayerService.getNextIndex()).toBe(-1);
+    audioPlayerService.repeat = 'all';
+    expect(audioPlayerService.getNextIndex()).toBe(0);
+  });
+
+  it('never shuffles back to the current song', () => {
+    Object.assign(audioPlayerService, { playlist: ['a', 'b', 'c'], currentIndex: 2, shuffle: true });
+    const random = jest.spyOn(Math, 'random');
+
+    random.mockReturnValue(0);
+    expect(audioPlayerService.getNextIndex()).toBe(0);
+    random.mockReturnValue(0.999);
+    expect(audioPlayerService.getNextIndex()).toBe(1);
+    random.mockRestore();
+  });
+
+  it('has nothing to shuffle to in a one-song playlist unless repeating', () => {
+    Object.assign(audioPlayerService, { playlist: ['a'], shuffle: true });
+    expect(audioPlayerService.getNextIndex()).toBe(-1);
+    audioPlayerService.repeat = 'all';
+    expect(audioPlayerService.getNextIndex()).toBe(0);
+  });
+});
+
+describe('audioPlayerService crossfade', () => {
+  // Put the current song `remaining` seconds from the end of a `duration`-second song
+  const playAt = (duration, remaining) => {
+    Object.defineProperty(audioPlayerService.audio, 'duration', { value: duration, configurable: true });
+    audioPlayerService.audio.currentTime = duration - remaining;
+  };
+
+  beforeEach(() => {
+    Object.assign(audioPlayerService, { crossfade: 5, preloaded: {}, gainNode: {}, isPlaying: true, outgoingDeck: null, loop: null });
+  });
+
+  afterEach(() => {
+    Object.assign(audioPlayerService, { crossfade: 0, preloaded: null, gainNode: null, isPlaying: false });
+    audioPlayerService.audio.playbackRate = 1;
+  });
+
+  it('starts within the crossfade length of the end', () => {
+    playAt(200, 6);
+    expect(audioPlayerService.shouldStartCrossfade()).toBe(false);
+    playAt(200, 4);
+    expect(audioPlayerService.shouldStartCrossfade()).toBe(true);
+  });
+
+  it('counts the remaining time at the playback rate', () => {
+    playAt(200, 8);
+    audioPlayerService.audio.playbackRate = 2;
+    expect(audioPlayerService.shouldStartCrossfade()).toBe(true);
+  });
+
+  it('fades over at most half of a short song', () => {
+    playAt(6, 4);
+    expect(audioPlayerService.shouldStartCrossfade()).toBe(false);
+    playAt(6, 3);
+    expect(audioPlayerService.shouldStartCrossfade()).toBe(true);
+  });
+
+  it('waits for a preloaded song and never starts while looping or already fading', () => {
+    playAt(200, 1);
+    audioPlayerService.preloaded = null;
+    expect(audioPlayerService.shouldStartCrossfade()).toBe(false);
+
+    audioPlayerService.preloaded = {};
+    audioPlayerService.loop = { start: 10, end: 20 };
+    expect(audioPlayerService.shouldStartCrossfade()).toBe(false);
+
+    audioPlayerService.loop = null;
+    audioPlayerService.outgoingDeck = {};
+    expect(audioPlayerService.shouldStartCrossfade()).toBe(false);
+  });
+
+  it('clamps and remembers the crossfade length', () => {
+    audioPlayerService.setCrossfade(30);
+    expect(audioPlayerService.crossfade).toBe(12);
+    expect(localStorage.getItem('crossfadeDuration')).toBe('12');
+
+    audioPlayerService.setCrossfade(-1);
+    expect(audioPlayerService.crossfade).toBe(0);
+    expect(audioPlayerService.shouldStartCrossfade()).toBe(false);
+  });
+});
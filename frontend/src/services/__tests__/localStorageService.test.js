@@ -0,0 +1,148 @@
+import localStorageService from '../localStorageService';
+
+describe('localStorageService.parseLrc', () => {
+  it('reads timed lines in time order with their header tags', () => {
+    const lyrics = localStorageService.parseLrc([
+      '[ar:Artist]',
+      '[ti:Title]',
+      '[00:12.50]Second line',
+      '[00:05.00]First line',
+      'not a lyric',
+      ''
+    ].join('\r\n'));
+
+    expect(lyrics.tags).toEqual({ ar: 'Artist', ti: 'Title' });
+    expect(lyrics.lines).toEqual([
+      { time: 5, text: 'First line', words: null },
+      { time: 12.5, text: 'Second line', words: null }
+    ]);
+  });
+
+  it('accepts every timestamp precision', () => {
+    const { lines } = localStorageService.parseLrc('[01:02]a\n[01:02.3]b\n[01:02.345]c\n[01:02:45]d');
+    expect(lines.map(line => line.time)).toEqual([62, 62.3, 62.345, 62.45]);
+  });
+
+  it('repeats a line carrying several time tags', () => {
+    const { lines } = localStorageService.parseLrc('[00:10.00][01:10.00]Chorus');
+    expect(lines).toEqual([
+      { time: 10, text: 'Chorus', words: null },
+      { time: 70, text: 'Chorus', words: null }
+    ]);
+  });
+
+  it('reads word timings from enhanced LRC', () => {
+    const { lines } = localStorageService.parseLrc('[00:12.00]<00:12.00>Hello <00:12.40>there');
+    expect(lines).toEqual([{
+      time: 12,
+      text: 'Hello there',
+      words: [{ time: 12, text: 'Hello' }, { time: 12.4, text: 'there' }]
+    }]);
+  });
+
+  it('applies the offset tag and drops it', () => {
+    const lyrics = localStorageService.parseLrc('[offset:+500]\n[00:10.00]<00:10.20>Line\n[00:00.20]Intro');
+    expect(lyrics.tags).toEqual({});
+    expect(lyrics.lines.map(line => line.time)).toEqual([0, 9.5]);
+    expect(lyrics.lines[1].words[0].time).toBeCloseTo(9.7);
+  });
+});
+
+describe('localStorageService.formatLrc', () => {
+  const lyrics = {
+    tags: { ti: 'Title' },
+    lines: [
+      { time: 5, text: 'First line', words: null },
+      { time: 83.456, text: 'Hello there', words: [{ time: 83.456, text: 'Hello' }, { time: 84, text: 'there' }] },
+      { time: null, text: 'Not timed yet', words: null }
+    ]
+  };
+
+  it('writes header tags and timed lines', () => {
+    expect(localStorageService.formatLrc(lyrics)).toBe('[ti:Title]\n[00:05.00]First line\n[01:23.46]Hello there\n');
+  });
+
+  it('writes word timings when enhanced', () => {
+    expect(localStorageService.formatLrc(lyrics, { enhanced: true }))
+      .toBe('[ti:Title]\n[00:05.00]First line\n[01:23.46]<01:23.46>Hello <01:24.00>there\n');
+  });
+
+  it('round-trips through parseLrc', () => {
+    const parsed = localStorageService.parseLrc(localStorageService.formatLrc(lyrics, { enhanced: true }));
+    expect(parsed.lines.map(line => line.text)).toEqual(['First line', 'Hello there']);
+    expect(parsed.lines[1].words.map(word => word.time)).toEqual([83.46, 84]);
+  });
+});
+
+describe('localStorageService.scaleLyrics', () => {
+  it('retimes lines and words for another tempo', () => {
+    const lyrics = { tags: {}, lines: [{ time: 10, text: 'Line', words: [{ time: 11, text: 'Line' }] }] };
+    const scaled = localStorageService.scaleLyrics(lyrics, 2);
+    expect(scaled.lines[0].time).toBe(5);
+    expect(scaled.lines[0].words[0].time).toBe(5.5);
+    expect(localStorageService.scaleLyrics(lyrics, 1)).toBe(lyrics);
+  });
+});
+
+describe('localStorageService key preferences', () => {
+  // In-memory stand-in for the keyPreferences store; requests succeed asynchronously like IndexedDB's
+  const fakeDatabase = () => {
+    const records = new Map();
+    const request = (result) => {
+      const pending = { result };
+      setTimeout(() => pending.onsuccess());
+      return pending;
+    };
+    const store = {
+      get: (id) => request(records.get(id)),
+      getAll: () => request([...records.values()]),
+      put: (record) => request(records.set(record.id, record) && record.id),
+      delete: (id) => request(records.delete(id) && undefined),
+      index: (field) => ({ getAll: (value) => request([...records.values()].filter(record => record[field] === value)) })
+    };
+    return { transaction: () => ({ objectStore: () => store }) };
+  };
+
+  beforeEach(() => {
+    localStorageService.db = fakeDatabase();
+  });
+
+  afterEach(() => {
+    localStorageService.db = null;
+  });
+
+  it('prefers the singer’s key over the song’s default', async () => {
+    await localStorageService.setKeyPreference('song1', null, -2);
+    await localStorageService.setKeyPreference('song1', 'ann', 3);
+
+    expect((await localStorageService.getKeyPreference('song1', 'ann')).semitones).toBe(3);
+    expect((await localStorageService.getKeyPreference('song1', 'bob')).semitones).toBe(-2);
+    expect((await localStorageService.getKeyPreference('song1')).semitones).toBe(-2);
+    expect(await localStorageService.getKeyPreference('song2', 'ann')).toBeNull();
+  });
+
+  it('forgets a preference set to null and announces changes', async () => {
+    const listener = jest.fn();
+    window.addEventListener('keyPreferenceUpdated', listener);
+
+    await localStorageService.setKeyPreference('song1', 'ann', 3);
+    await localStorageService.setKeyPreference('song1', 'ann', null);
+    window.removeEventListener('keyPreferenceUpdated', listener);
+
+    expect(await localStorageService.getKeyPreference('song1', 'ann')).toBeNull();
+    expect(listener.mock.calls.map(([event]) => event.detail)).toEqual([
+      { songId: 'song1', singerId: 'ann', semitones: 3 },
+      { songId: 'song1', singerId: 'ann', semitones: null }
+    ]);
+  });
+
+  it('deletes every preference of a singer', async () => {
+    await localStorageService.setKeyPreference('song1', 'ann', 3);
+    await localStorageService.setKeyPreference('song2', 'ann', 1);
+    await localStorageService.setKeyPreference('song2', 'bob', -1);
+
+    await localStorageService.deleteKeyPreferences('singerId', 'ann');
+    const remaining = await localStorageService.getAllKeyPreferences();
+    expect(remaining.map(preference => preference.id)).toEqual(['song2:bob']);
+  });
+});
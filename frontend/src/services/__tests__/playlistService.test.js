@@ -0,0 +1,48 @@
+import playlistService from '../playlistService';
+
+const entry = (singer, extra = {}) => ({ singer, ...extra });
+
+// Where the rotation puts a new sign-up, as the queue's singer names
+const signUp = (entries, newEntry) => {
+  const queue = [...entries];
+  queue.splice(playlistService.getRotationIndex(queue, newEntry), 0, newEntry);
+  return queue.map(queued => queued.singer);
+};
+
+describe('playlistService.getRotationIndex', () => {
+  it('puts the first sign-up first', () => {
+    expect(playlistService.getRotationIndex([], entry('Ann'))).toBe(0);
+  });
+
+  it('puts a new singer after everyone else’s first song', () => {
+    const queue = [entry('Ann'), entry('Bob'), entry('Ann')];
+    expect(signUp(queue, entry('Cat'))).toEqual(['Ann', 'Bob', 'Cat', 'Ann']);
+  });
+
+  it('puts a second song after every other singer’s first', () => {
+    const queue = [entry('Ann'), entry('Bob'), entry('Cat')];
+    expect(signUp(queue, entry('Ann'))).toEqual(['Ann', 'Bob', 'Cat', 'Ann']);
+  });
+
+  it('lets a newcomer in ahead of a singer’s later songs', () => {
+    const queue = [entry('Ann'), entry('Ann'), entry('Ann')];
+    expect(signUp(queue, entry('Bob'))).toEqual(['Ann', 'Bob', 'Ann', 'Ann']);
+  });
+
+  it('matches singers by name regardless of case and spacing', () => {
+    const queue = [entry('Ann'), entry('Bob')];
+    expect(signUp(queue, entry(' ann '))).toEqual(['Ann', 'Bob', ' ann ']);
+  });
+
+  it('matches singer profiles by id rather than name', () => {
+    const queue = [entry('Ann', { singerId: 's1' }), entry('Ann', { singerId: 's1' })];
+    expect(signUp(queue, entry('Annie', { singerId: 's1' }))).toEqual(['Ann', 'Ann', 'Annie']);
+    expect(playlistService.getRotationIndex(queue, entry('Ann', { singerId: 's2' }))).toBe(1);
+  });
+
+  it('keeps a manual reordering of the queue', () => {
+    // Ann's second song was moved up ahead of Bob's first
+    const queue = [entry('Ann'), entry('Ann'), entry('Bob')];
+    expect(signUp(queue, entry('Cat'))).toEqual(['Ann', 'Ann', 'Bob', 'Cat']);
+  });
+});
@@ -22,11 +22,16 @@ const getApiBaseUrl = () => {
 
 const API_BASE_URL = getApiBaseUrl();
 
+// Poll interval used when Server-Sent Events are unavailable
+const JOB_POLL_INTERVAL = 1000;
+const FINAL_JOB_STATES = ['completed', 'failed', 'cancelled'];
+
 class ApiService {
   constructor() {
     this.client = axios.create({
       baseURL: API_BASE_URL,
       timeout: 300000, // 5 minutes for large file operations
+      withCredentials: true, // Send the session cookie to the API
       headers: {
         'Content-Type': 'application/json',
       },
@@ -61,6 +66,35 @@ class ApiService {
     return this.client.defaults.baseURL;
   }
 
+  // Account API methods
+  async getCurrentUser() {
+    return this.client.get('/auth/me');
+  }
+
+  async register(username, password) {
+    return this.client.post('/auth/register', { username, password });
+  }
+
+  async login(username, password) {
+    return this.client.post('/auth/login', { username, password });
+  }
+
+  async logout() {
+    return this.client.post('/auth/logout');
+  }
+
+  async listApiTokens() {
+    return this.client.get('/auth/tokens');
+  }
+
+  async createApiToken(name) {
+    return this.client.post('/auth/tokens', { name });
+  }
+
+  async revokeApiToken(tokenId) {
+    return this.client.delete(`/auth/tokens/${tokenId}`);
+  }
+
   // Audio API methods
   async uploadAudio(file, onProgress) {
     const formData = new FormData();
@@ -79,35 +113,184 @@ class ApiService {
     });
   }
 
-  async transposeAudio(filename, semitones, originalKey = null, mode = null) {
+  // Karaoke songs: an MP3+G pair or zip, or a .kar/MIDI file
+  async importKaraoke(files, onProgress) {
+    const formData = new FormData();
+    files.forEach(file => formData.append('files', file));
+
+    return this.client.post('/audio/karaoke', formData, {
+      headers: {
+        'Content-Type': 'multipart/form-data',
+      },
+      onUploadProgress: (progressEvent) => {
+        const percentCompleted = Math.round(
+          (progressEvent.loaded * 100) / progressEvent.total
+        );
+        onProgress?.(percentCompleted);
+      },
+    });
+  }
+
+  async transposeAudio(assetId, semitones, originalKey = null, mode = null, options = {}) {
     return this.client.post('/audio/transpose', {
-      filename,
+      assetId,
       semitones,
       originalKey,
       mode,
+      ...options,
+    });
+  }
+
+  async changeTempo(assetId, tempo, originalKey = null, mode = null, options = {}) {
+    return this.client.post('/audio/tempo', {
+      assetId,
+      tempo,
+      originalKey,
+      mode,
+      ...options,
     });
   }
 
-  async analyzeAudio(filename) {
-    return this.client.post('/audio/analyze', { filename });
+  async extractInstrumental(assetId, options = {}) {
+    return this.client.post('/audio/instrumental', {
+      assetId,
+      ...options,
+    });
   }
 
-  async downloadAudio(filename) {
-    return this.client.get(`/audio/download/${filename}`, {
+  async separateStems(assetId) {
+    return this.client.post('/audio/stems', { assetId });
+  }
+
+  async analyzeAudio(assetId) {
+    return this.client.post('/audio/analyze', { assetId });
+  }
+
+  async detectChords(assetId) {
+    return this.client.post('/audio/chords', { assetId });
+  }
+
+  async measureLoudness(assetId) {
+    return this.client.post('/audio/loudness', { assetId });
+  }
+
+  async normalizeAudio(assetId, options = {}) {
+    return this.client.post('/audio/normalize', {
+      assetId,
+      ...options,
+    });
+  }
+
+  async estimateTuning(assetId) {
+    return this.client.post('/audio/tuning', { assetId });
+  }
+
+  async downloadAudio(assetId) {
+    return this.client.get(`/audio/download/${assetId}`, {
       responseType: 'blob',
     });
   }
 
-  async deleteAudio(filename) {
-    return this.client.delete(`/audio/${filename}`);
+  async deleteAudio(assetId) {
+    return this.client.delete(`/audio/${assetId}`);
   }
 
   async listAudioFiles() {
     return this.client.get('/audio/files');
   }
 
-  async convertToMp3(filename) {
-    return this.client.post('/audio/convert', { filename });
+  async convertToMp3(assetId) {
+    return this.client.post('/audio/convert', { assetId });
+  }
+
+  // Background job methods
+  async submitJob(type, params) {
+    return this.client.post('/jobs', { type, params });
+  }
+
+  async getJob(jobId) {
+    return this.client.get(`/jobs/${jobId}`);
+  }
+
+  async cancelJob(jobId) {
+    return this.client.post(`/jobs/${jobId}/cancel`);
+  }
+
+  /**
+   * Follow a job until it finishes, via Server-Sent Events with a polling fallback
+   * @param {string} jobId - Job id
+   * @param {Function} onUpdate - Called with each job snapshot
+   * @returns {Function} - Stops watching
+   */
+  watchJob(jobId, onUpdate) {
+    let stopped = false;
+    let pollTimer = null;
+    let source = null;
+
+    const handle = (job) => {
+      if (stopped) return;
+      onUpdate(job);
+      if (FINAL_JOB_STATES.includes(job.state)) stop();
+    };
+
+    const poll = async () => {
+      try {
+        const response = await this.getJob(jobId);
+        handle(response.data.job);
+      } catch (error) {
+        console.error('Job poll error:', error);
+      }
+      if (!stopped) pollTimer = setTimeout(poll, JOB_POLL_INTERVAL);
+    };
+
+    const stop = () => {
+      stopped = true;
+      clearTimeout(pollTimer);
+      source?.close();
+    };
+
+    if (typeof EventSource !== 'undefined') {
+      source = new EventSource(`${this.baseURL}/jobs/${jobId}/events`, { withCredentials: true });
+      source.onmessage = (event) => handle(JSON.parse(event.data));
+      source.onerror = () => {
+        // The stream closes normally once the job finishes; otherwise fall back to polling
+        source.close();
+        if (!stopped) poll();
+      };
+    } else {
+      poll();
+    }
+
+    return stop;
+  }
+
+  /**
+   * Submit a job and wait for its result
+   * @param {string} type - Job type (transpose, tempo, convert, instrumental, normalize, stems, batch-transpose, youtube-download)
+   * @param {Object} params - Job parameters, as for the equivalent synchronous endpoint
+   * @param {Object} callbacks - { onProgress(percent, job), onSubmit(job) }
+   * @returns {Promise<Object>} - The job result (same body the synchronous endpoint returns)
+   */
+  async runJob(type, params, { onProgress, onSubmit } = {}) {
+    const response = await this.submitJob(type, params);
+    const { job } = response.data;
+    onSubmit?.(job);
+
+    return new Promise((resolve, reject) => {
+      this.watchJob(job.id, (update) => {
+        onProgress?.(update.progress, update);
+
+        if (update.state === 'completed') {
+          resolve(update.result);
+        } else if (update.state === 'failed') {
+          reject(new Error(update.error || 'Job failed'));
+        } else if (update.state === 'cancelled') {
+          const error = new Error('Job cancelled');
+          error.cancelled = true;
+          reject(error);
+        }
+      });
+    });
   }
 
   // Google Drive API methods
@@ -115,14 +298,18 @@ class ApiService {
     return this.client.get('/google-drive/auth-url');
   }
 
-  async handleGoogleAuthCallback(code) {
-    return this.client.post('/google-drive/auth-callback', { code });
+  async handleGoogleAuthCallback(code, state) {
+    return this.client.post('/google-drive/auth-callback', { code, state });
   }
 
   async setGoogleDriveTokens(tokens) {
     return this.client.post('/google-drive/set-tokens', { tokens });
   }
 
+  async disconnectGoogleDrive() {
+    return this.client.post('/google-drive/disconnect');
+  }
+
   async listGoogleDriveFiles(folderId = null) {
     const params = folderId ? { folderId } : {};
     return this.client.get('/google-drive/files', { params });
@@ -195,7 +382,7 @@ class ApiService {
         case 400:
           return { type: 'validation', message };
         case 401:
-          return { type: 'auth', message, requiresAuth: data?.requiresAuth };
+          return { type: 'auth', message, requiresAuth: data?.requiresAuth, requiresLogin: data?.requiresLogin };
         case 404:
           return { type: 'notfound', message };
         case 413:
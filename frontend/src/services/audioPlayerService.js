@@ -1,6 +1,52 @@
+import { isPitchShiftSupported, createPitchShifter, pitchRatio } from '../utils/pitchShift';
+
+// How far (seconds) a stem may drift from the main element before it is re-aligned
+const STEM_DRIFT_TOLERANCE = 0.08;
+
+// Display order for separated stems; unknown stem names go last
+const STEM_ORDER = ['vocals', 'drums', 'bass', 'other'];
+
+// ReplayGain-style leveling: songs are played back at this integrated loudness (LUFS)...
+const DEFAULT_TARGET_LOUDNESS = -18;
+// ...unless that would push their true peak above this ceiling (dBTP)
+const TRUE_PEAK_CEILING = -1;
+const LOUDNESS_NORMALIZATION_KEY = 'loudnessNormalization';
+
+const NO_LIVE_TRANSPOSITION = { semitones: 0, cents: 0, tempo: 1 };
+
+// Crossfade between playlist songs, in seconds (0 = back to back, without a gap)
+const CROSSFADE_KEY = 'crossfadeDuration';
+const MAX_CROSSFADE = 12;
+
+const dbToGain = (db) => Math.pow(10, db / 20);
+
+// Jumping back a marker from less than this far (seconds) past it goes to the one before
+const MARKER_REPLAY_WINDOW = 1;
+// How close (seconds of real time) to B the loop switches from timeupdate to a precise timer
+const LOOP_TIMER_WINDOW = 0.5;
+
+// One of the two playback decks. With Web Audio each deck has its own chain:
+// element -> input -> (pitch shifter) -> output (replay gain and fades) -> gainNode
+const createDeck = () => ({
+  audio: new Audio(),
+  url: null, // Blob URL of the loaded song, revoked when the deck loads another
+  input: null,
+  shifter: null, // Promise of the AudioWorklet node, created on first live shift
+  output: null
+});
+
 class AudioPlayerService {
   constructor() {
-    this.audio = new Audio();
+    // The active deck plays the current song; the other preloads the next one so
+    // songs follow without a gap, or crossfade
+    this.decks = [createDeck(), createDeck()];
+    this.deck = this.decks[0];
+    this.preloaded = null; // { deck, index, song, ...prepared song } ready on the idle deck
+    this.preloadCount = 0; // Lets a slow preload notice it was overtaken
+    this.outgoingDeck = null; // Deck fading out during a crossfade
+    this.fadingStems = []; // Stems of the song fading out
+    this.transitionTimer = null;
+    this.crossfade = Math.min(MAX_CROSSFADE, Number(localStorage.getItem(CROSSFADE_KEY)) || 0);
     this.currentSong = null;
     this.isPlaying = false;
     this.currentTime = 0;
@@ -11,10 +57,36 @@ class AudioPlayerService {
     this.shuffle = false;
     this.repeat = 'none'; // 'none', 'one', 'all'
     this.listeners = new Set();
+    this.stems = []; // { name, audio, volume, muted } played in sync with this.audio
+    this.stemMix = {}; // Last volume/mute per stem name, reused for the next song
+    this.loudnessNormalization = localStorage.getItem(LOUDNESS_NORMALIZATION_KEY) !== 'false';
+    this.targetLoudness = DEFAULT_TARGET_LOUDNESS;
+    this.currentLoudness = null; // metadata.loudness of the current song, when measured
+    this.replayGain = 0; // dB applied to the current song
+    this.audioContext = null; // Created on first play (browsers require a user gesture)
+    this.gainNode = null;
+    this.liveTransposition = NO_LIVE_TRANSPOSITION; // Applied while playing, without a render
+    this.currentLyrics = null; // Synchronized lyrics of the current song, in its own timeline
+    this.currentKaraoke = null; // CD+G graphics / MIDI of the current song (see scaleKaraoke)
+    this.currentMarkers = []; // Practice markers of the current song: [{ id, name, time }]
+    this.loop = null; // { start, end, rate } A-B section repeating, optionally slowed
+    this.loopTimer = null;
+    this.currentTransposition = 0; // Semitones of the version playing (0 = original)
+    this.pendingRender = null; // { songId, semitones, job } while a version in another key renders
+    this.loadCount = 0; // Lets a slow load notice it was overtaken by another
 
     this.setupEventListeners();
   }
 
+  // Element of the active deck
+  get audio() {
+    return this.deck.audio;
+  }
+
+  get idleDeck() {
+    return this.decks.find(deck => deck !== this.deck);
+  }
+
   canPlayType(type) {
     return this.audio.canPlayType(type);
   }
@@ -26,7 +98,9 @@ class AudioPlayerService {
       'audio/wav',
       'audio/ogg',
       'audio/m4a',
-      'audio/aac'
+      'audio/mp4',
+      'audio/aac',
+      'audio/flac'
     ];
     
     console.log('Browser audio format support:');
@@ -36,31 +110,61 @@ class AudioPlayerService {
   }
 
   setupEventListeners() {
-    this.audio.addEventListener('loadedmetadata', () => {
+    // Only the active deck's events count: the idle deck preloads and the outgoing
+    // one fades out without listeners hearing about it
+    const onDeckEvent = (type, handler) => {
+      this.decks.forEach(deck => {
+        deck.audio.addEventListener(type, (event) => {
+          if (deck === this.deck) handler(event);
+        });
+      });
+    };
+
+    onDeckEvent('loadedmetadata', () => {
       this.duration = this.audio.duration;
       this.notifyListeners('metadataLoaded');
     });
 
-    this.audio.addEventListener('timeupdate', () => {
+    onDeckEvent('timeupdate', () => {
       this.currentTime = this.audio.currentTime;
+      this.checkLoop();
+      this.syncStems();
       this.notifyListeners('timeUpdate');
+      if (this.shouldStartCrossfade()) {
+        this.startTransition(this.crossfade);
+      }
     });
 
-    this.audio.addEventListener('play', () => {
+    onDeckEvent('play', () => {
       this.isPlaying = true;
+      this.syncStems(true);
+      this.stems.forEach(stem => this.playStem(stem));
       this.notifyListeners('play');
     });
 
-    this.audio.addEventListener('pause', () => {
+    onDeckEvent('pause', () => {
       this.isPlaying = false;
+      this.stems.forEach(stem => stem.audio.pause());
       this.notifyListeners('pause');
     });
 
-    this.audio.addEventListener('ended', () => {
+    onDeckEvent('seeked', () => {
+      this.syncStems(true);
+    });
+
+    onDeckEvent('ratechange', () => {
+      this.stems.forEach(stem => {
+        stem.audio.playbackRate = this.audio.playbackRate;
+        stem.audio.preservesPitch = this.audio.preservesPitch;
+      });
+    });
+
+    onDeckEvent('ended', () => {
+      this.notifyListeners('ended');
       this.handleSongEnd();
     });
 
-    this.audio.addEventListener('error', (error) => {
+    onDeckEvent('error', (error) => {
       console.error('🚨 Audio playback error:', error);
       console.error('Audio element error details:', {
         src: this.audio.src,
@@ -84,13 +188,37 @@ class AudioPlayerService {
       this.notifyListeners('error', error);
     });
 
-    this.audio.addEventListener('loadstart', () => {
+    onDeckEvent('loadstart', () => {
       this.notifyListeners('loadStart');
     });
 
-    this.audio.addEventListener('canplaythrough', () => {
+    onDeckEvent('canplaythrough', () => {
       this.notifyListeners('canPlayThrough');
     });
+
+    // Pick up loudness measured while the song is loaded
+    window.addEventListener('loudnessUpdated', (event) => {
+      const { songId, loudness } = event.detail;
+      if (this.currentSong?.id !== songId) return;
+      this.currentLoudness = loudness;
+      this.applyReplayGain();
+    });
+
+    // Pick up markers edited while the song is loaded
+    window.addEventListener('markersUpdated', (event) => {
+      const { songId, markers } = event.detail;
+      if (this.currentSong?.id !== songId) return;
+      this.currentMarkers = markers;
+      this.notifyListeners('markersChange');
+    });
+
+    // Pick up lyrics edited while the song is loaded
+    window.addEventListener('lyricsUpdated', (event) => {
+      const { songId, lyrics } = event.detail;
+      if (this.currentSong?.id !== songId) return;
+      this.currentLyrics = lyrics;
+      this.notifyListeners('lyricsChange');
+    });
   }
 
   addListener(callback) {
@@ -118,12 +246,26 @@ class AudioPlayerService {
       playlist: this.playlist,
       currentIndex: this.currentIndex,
       shuffle: this.shuffle,
-      repeat: this.repeat
+      repeat: this.repeat,
+      stems: this.stems.map(({ name, volume, muted }) => ({ name, volume, muted })),
+      loudnessNormalization: this.loudnessNormalization,
+      loudness: this.currentLoudness,
+      replayGain: this.replayGain,
+      lyrics: this.currentLyrics,
+      karaoke: this.currentKaraoke,
+      markers: this.currentMarkers,
+      loop: this.loop,
+      transposition: this.currentTransposition,
+      liveTransposition: this.liveTransposition,
+      pendingRender: this.pendingRender,
+      crossfade: this.crossfade,
+      nextSong: this.preloaded?.song || null
     };
   }
 
   async loadSong(song) {
-    let audioFile; // Declare in function scope for error logging
+    let prepared; // Declare in function scope for error logging
+    const loadId = ++this.loadCount;
     
     try {
       console.log('🎵 Loading song:', song);
@@ -142,29 +284,19 @@ class AudioPlayerService {
       
       // Stop current playback
       this.pause();
+      this.clearPreload();
+      this.unloadStems();
       
       this.currentSong = song;
       
-      // Dynamically import and initialize localStorageService to avoid bundling issues
-      const { default: storageService } = await import('./localStorageService');
-      await storageService.init();
-      console.log('🗄️ LocalStorageService initialized');
-      
-      // Get audio file from IndexedDB (this returns the full audio file object)
-      audioFile = await storageService.getAudioFile(song.id);
-      console.log('📁 Retrieved audioFile from IndexedDB:', audioFile);
-      
-      console.log('Retrieved audio file from storage:', {
-        hasAudioFile: !!audioFile,
-        hasBlob: !!(audioFile && audioFile.blob),
-        audioFileStructure: audioFile ? Object.keys(audioFile) : 'none',
-        blobSize: audioFile && audioFile.blob ? audioFile.blob.size : 'none',
-        blobType: audioFile && audioFile.blob ? audioFile.blob.type : 'none'
-      });
+      prepared = await this.prepareSong(song);
+      if (loadId !== this.loadCount) return false;
+      this.applyPrepared(prepared);
       
+      const audioFile = prepared.audioFile;
       if (audioFile && audioFile.blob && audioFile.blob.size > 0) {
         // Validate blob type
-        const supportedTypes = ['audio/mpeg', 'audio/mp3', 'audio/wav', 'audio/ogg', 'audio/m4a', 'audio/aac'];
+        const supportedTypes = ['audio/mpeg', 'audio/mp3', 'audio/wav', 'audio/ogg', 'audio/m4a', 'audio/mp4', 'audio/aac', 'audio/flac'];
         const blobType = audioFile.blob.type || 'audio/mpeg';
         
         console.log('Audio format validation:', {
@@ -173,59 +305,256 @@ class AudioPlayerService {
           isSupported: supportedTypes.includes(blobType) || supportedTypes.some(type => blobType.startsWith(type.split('/')[0]))
         });
         
-        // Create URL from blob for local files
-        const audioUrl = URL.createObjectURL(audioFile.blob);
-        
         console.log('Loading audio from blob:', {
           songId: song.id,
           songTitle: song.title,
           blobSize: audioFile.blob.size,
-          blobType: blobType,
-          audioUrl: audioUrl
-        });
-        
-        this.audio.src = audioUrl;
-        
-        // Clean up previous blob URL to prevent memory leaks
-        this.audio.addEventListener('loadstart', () => {
-          // URL.revokeObjectURL will be called after audio loads
+          blobType: blobType
         });
         
+        this.setDeckSource(this.deck, audioFile.blob);
       } else {
-        console.log('Invalid or empty blob, using server stream fallback:', {
-          songId: song.id,
-          filename: song.filename,
-          hasAudioFile: !!audioFile,
-          hasBlob: !!(audioFile && audioFile.blob),
-          blobSize: audioFile && audioFile.blob ? audioFile.blob.size : 0
-        });
-        
-        // Fallback to server stream if available
-        this.audio.src = `/api/stream/${song.filename}`;
+        // Library songs only keep their audio in the browser; the server has no copy to stream
+        this.clearDeck(this.deck);
+        throw new Error(`No stored audio for "${song.title || song.id}"`);
       }
 
-      console.log('🔄 Current audio src before load:', this.audio.src);
-      console.log('📊 Audio readyState:', this.audio.readyState);
-      
-      this.audio.load();
-      console.log('✅ Audio.load() called');
+      await this.applyLiveTransposition();
       
       this.notifyListeners('songLoaded', song);
+      this.preloadNext();
       
       return true;
     } catch (error) {
       console.error('Failed to load song:', error);
       console.error('Song object:', song);
-      if (audioFile) {
-        console.error('Audio file result:', audioFile);
+      if (prepared) {
+        console.error('Audio file result:', prepared.audioFile);
       }
       this.notifyListeners('error', error);
       return false;
     }
   }
 
+  // Everything needed to play a song: its audio (in the key it should play in), loudness,
+  // lyrics and karaoke graphics. With renderMissing false, returns null instead of
+  // rendering a missing version on the server.
+  async prepareSong(song, { renderMissing = true } = {}) {
+    // Dynamically import and initialize localStorageService to avoid bundling issues
+    const { default: storageService } = await import('./localStorageService');
+    await storageService.init();
+    
+    // Get audio file from IndexedDB (this returns the full audio file object)
+    let audioFile = await storageService.getAudioFile(song.id);
+    console.log('📁 Retrieved audioFile from IndexedDB:', audioFile);
+    const prepared = {
+      song,
+      loudness: audioFile?.metadata?.loudness || null,
+      lyrics: audioFile?.lyrics || null,
+      karaoke: audioFile?.karaoke || null,
+      markers: audioFile?.markers || [],
+      transposition: 0,
+      liveTransposition: NO_LIVE_TRANSPOSITION
+    };
+
+    // A song with a transposition (e.g. a karaoke queue entry) plays its version in
+    // that key; otherwise the key remembered for the singer, or the song's default key.
+    // Without a stored version the original is shifted live where the browser can.
+    // Lyrics and graphics keep the original's timing.
+    const semitones = song.transposition
+      ? song.transposition.semitones
+      : await this.getPreferredTransposition(song, storageService);
+    if (audioFile && semitones) {
+      const version = await this.getTransposedVersion(audioFile, semitones, { render: renderMissing });
+      if (version) {
+        audioFile = { ...audioFile, blob: version.blob };
+        prepared.transposition = semitones;
+      } else if (isPitchShiftSupported()) {
+        prepared.liveTransposition = { ...NO_LIVE_TRANSPOSITION, semitones };
+        prepared.transposition = semitones;
+      } else if (!renderMissing) {
+        return null;
+      }
+    }
+
+    return { ...prepared, audioFile };
+  }
+
+  // Make a prepared song the current one, fading its deck in over `fadeSeconds`
+  applyPrepared(prepared, fadeSeconds = 0) {
+    this.currentSong = prepared.song;
+    this.currentLoudness = prepared.loudness;
+    this.currentLyrics = prepared.lyrics;
+    this.currentKaraoke = prepared.karaoke;
+    this.currentMarkers = prepared.markers;
+    this.loop = null;
+    this.currentTransposition = prepared.transposition;
+    this.liveTransposition = prepared.liveTransposition;
+    this.applyReplayGain(fadeSeconds);
+  }
+
+  // Load a blob (or URL) into a deck, releasing the blob URL it held before
+  setDeckSource(deck, source) {
+    if (deck.url) URL.revokeObjectURL(deck.url);
+    deck.url = source instanceof Blob ? URL.createObjectURL(source) : null;
+    deck.audio.src = deck.url || source;
+    deck.audio.load();
+  }
+
+  // Empty a deck so it doesn't hold on to a song
+  clearDeck(deck) {
+    if (deck.url) URL.revokeObjectURL(deck.url);
+    deck.url = null;
+    deck.audio.removeAttribute('src');
+    deck.audio.load();
+  }
+
+  // Index of the song after the current one (a random other song when shuffling),
+  // or -1 at the end of the playlist
+  getNextIndex() {
+    if (this.playlist.length === 0) return -1;
+
+    if (this.shuffle) {
+      if (this.playlist.length === 1) return this.repeat === 'all' ? 0 : -1;
+      const offset = 1 + Math.floor(Math.random() * (this.playlist.length - 1));
+      return (this.currentIndex + offset) % this.playlist.length;
+    }
+
+    const nextIndex = this.currentIndex + 1;
+    if (nextIndex < this.playlist.length) return nextIndex;
+    return this.repeat === 'all' ? 0 : -1;
+  }
+
+  // Load the next song on the idle deck so it can start the moment the current one ends.
+  // Songs that would need a server render first are left to next().
+  async preloadNext() {
+    this.clearPreload();
+    if (this.repeat === 'one' || this.outgoingDeck || !this.currentSong) return;
+
+    const index = this.getNextIndex();
+    if (index === -1) return;
+
+    const preloadId = this.preloadCount;
+    try {
+      const prepared = await this.prepareSong(this.playlist[index], { renderMissing: false });
+      if (preloadId !== this.preloadCount || !prepared?.audioFile?.blob) return;
+
+      const deck = this.idleDeck;
+      this.setDeckSource(deck, prepared.audioFile.blob);
+      this.preloaded = { ...prepared, deck, index };
+      this.notifyListeners('preloaded', prepared.song);
+    } catch (error) {
+      console.error('Failed to preload the next song:', error);
+    }
+  }
+
+  clearPreload() {
+    this.preloadCount++;
+    if (!this.preloaded) return;
+    this.clearDeck(this.preloaded.deck);
+    this.preloaded = null;
+  }
+
+  // Crossfade once the current song is within the crossfade length of its end
+  // (at most half the song, so short songs still get heard)
+  shouldStartCrossfade() {
+    if (!this.crossfade || !this.preloaded || this.outgoingDeck || !this.gainNode || !this.isPlaying || this.loop) {
+      return false;
+    }
+    const remaining = (this.audio.duration - this.audio.currentTime) / (this.audio.playbackRate || 1);
+    return remaining <= Math.min(this.crossfade, this.audio.duration / 2);
+  }
+
+  // Switch to the preloaded song: the idle deck becomes the active one and the old
+  // deck fades out over `fade` seconds (immediately for 0)
+  async startTransition(fade = 0) {
+    const prepared = this.preloaded;
+    if (!prepared || this.outgoingDeck) return false;
+
+    const outgoing = this.deck;
+    this.preloaded = null;
+    this.outgoingDeck = outgoing;
+    this.fadingStems = this.stems;
+    this.stems = [];
+
+    const fadeSeconds = this.gainNode ? fade : 0;
+    this.deck = prepared.deck;
+    this.currentIndex = prepared.index;
+    this.duration = this.audio.duration || 0;
+    this.currentTime = 0;
+    this.audio.currentTime = 0;
+    this.audio.muted = false;
+
+    if (this.gainNode) {
+      this.setDeckGain(outgoing, 0, fadeSeconds);
+    }
+    this.applyPrepared(prepared, fadeSeconds);
+    this.notifyListeners('songLoaded', prepared.song);
+    if (this.audio.readyState >= 1) {
+      this.notifyListeners('metadataLoaded');
+    }
+
+    this.transitionTimer = setTimeout(() => this.finishTransition(), fadeSeconds * 1000);
+    await this.play();
+    return true;
+  }
+
+  // Silence the deck that faded out and preload the song after the new one
+  finishTransition() {
+    if (!this.outgoingDeck) return;
+
+    clearTimeout(this.transitionTimer);
+    const outgoing = this.outgoingDeck;
+    this.outgoingDeck = null;
+    outgoing.audio.pause();
+    outgoing.audio.muted = false;
+    this.releaseStems(this.fadingStems);
+    this.fadingStems = [];
+    this.preloadNext();
+  }
+
+  // Semitones remembered for the song: for song.singerId or the selected singer, else its default
+  async getPreferredTransposition(song, storageService) {
+    const { default: singerService } = await import('./singerService');
+    const singerId = song.singerId || singerService.getSelectedSingerId();
+    const preference = await storageService.getKeyPreference(song.id, singerId);
+    return preference?.semitones || 0;
+  }
+
+  // The stored version of a song in a key. Without one it is rendered on the server,
+  // unless the browser can shift the original live (or `render` is false). Returns null
+  // to play the original.
+  async getTransposedVersion(audioFile, semitones, { render = true } = {}) {
+    const { default: playlistService } = await import('./playlistService');
+    const stored = await playlistService.findTransposedVersion(audioFile, semitones);
+    if (stored || isPitchShiftSupported() || !render) return stored;
+
+    const track = (job) => {
+      this.pendingRender = { songId: audioFile.id, semitones, job };
+      this.notifyListeners('renderProgress', this.pendingRender);
+    };
+
+    try {
+      return await playlistService.ensureTransposedVersion(audioFile, semitones, {
+        onSubmit: track,
+        onProgress: (progress, job) => track(job)
+      });
+    } catch (error) {
+      console.error(`Failed to render "${audioFile.title}" ${semitones > 0 ? '+' : ''}${semitones} semitones:`, error);
+      this.notifyListeners('renderFailed', error);
+      return null;
+    } finally {
+      this.pendingRender = null;
+    }
+  }
+
   async play() {
     try {
+      this.setupGainStage();
+      if (this.audioContext?.state === 'suspended') {
+        await this.audioContext.resume();
+      }
+      await this.applyLiveTransposition();
       await this.audio.play();
     } catch (error) {
       console.error('Failed to play audio:', error);
@@ -234,6 +563,7 @@ class AudioPlayerService {
   }
 
   pause() {
+    this.finishTransition();
     this.audio.pause();
   }
 
@@ -250,16 +580,342 @@ class AudioPlayerService {
     await this.play();
   }
 
+  // Exact playback position (state.currentTime only advances with timeupdate events)
+  getCurrentTime() {
+    return this.audio.currentTime;
+  }
+
+  // Jumping out of the A-B section ends the loop
   seek(time) {
-    this.audio.currentTime = Math.max(0, Math.min(time, this.duration));
+    this.finishTransition();
+    const target = Math.max(0, Math.min(time, this.duration));
+    if (this.loop && (target < this.loop.start || target > this.loop.end)) {
+      this.clearLoop();
+    }
+    this.audio.currentTime = target;
+  }
+
+  // Repeat the section from `start` to `end` (seconds), at `rate` times normal speed
+  // (e.g. 0.75 to practice it slower, with the pitch kept)
+  setLoop(start, end, rate = 1) {
+    if (!(end > start)) {
+      throw new Error('The loop must end after it starts');
+    }
+
+    this.loop = { start: Math.max(0, start), end: this.duration ? Math.min(end, this.duration) : end, rate };
+    this.applyLiveTransposition();
+    const now = this.audio.currentTime;
+    if (now < this.loop.start || now >= this.loop.end) {
+      this.audio.currentTime = this.loop.start;
+    }
+    this.notifyListeners('loopChange', this.loop);
+  }
+
+  setLoopRate(rate) {
+    if (!this.loop) return;
+    this.loop = { ...this.loop, rate };
+    this.applyLiveTransposition();
+    this.notifyListeners('loopChange', this.loop);
+  }
+
+  clearLoop() {
+    if (!this.loop) return;
+    clearTimeout(this.loopTimer);
+    this.loop = null;
+    this.applyLiveTransposition();
+    this.notifyListeners('loopChange', null);
+  }
+
+  // Back to A once playback reaches B. timeupdate only fires every ~250ms, so close
+  // to B a timer takes over to jump on time.
+  checkLoop() {
+    clearTimeout(this.loopTimer);
+    if (!this.loop || !this.isPlaying) return;
+
+    const remaining = (this.loop.end - this.audio.currentTime) / (this.audio.playbackRate || 1);
+    if (remaining <= 0) {
+      this.audio.currentTime = this.loop.start;
+    } else if (remaining < LOOP_TIMER_WINDOW) {
+      this.loopTimer = setTimeout(() => this.checkLoop(), remaining * 1000);
+    }
+  }
+
+  // Add a practice marker to the current song (at the playback position by default)
+  async addMarker(name, time = this.audio.currentTime) {
+    if (!this.currentSong) return null;
+
+    const { default: storageService } = await import('./localStorageService');
+    const marker = { id: storageService.generateId(), name, time: Math.round(time * 100) / 100 };
+    await storageService.updateMarkers(this.currentSong.id, [...this.currentMarkers, marker]);
+    return marker;
+  }
+
+  async removeMarker(markerId) {
+    if (!this.currentSong) return;
+
+    const { default: storageService } = await import('./localStorageService');
+    await storageService.updateMarkers(this.currentSong.id, this.currentMarkers.filter(marker => marker.id !== markerId));
+  }
+
+  // Seek to the next (direction 1) or previous (-1) marker. Returns the marker, or null
+  // when there is none that way.
+  jumpToMarker(direction) {
+    const now = this.audio.currentTime;
+    const marker = direction > 0
+      ? this.currentMarkers.find(m => m.time > now + 0.05)
+      : [...this.currentMarkers].reverse().find(m => m.time < now - MARKER_REPLAY_WINDOW);
+    if (!marker) return null;
+
+    this.seek(marker.time);
+    return marker;
   }
 
   setVolume(volume) {
     this.volume = Math.max(0, Math.min(1, volume));
-    this.audio.volume = this.volume;
+    this.decks.forEach(deck => {
+      deck.audio.volume = this.getElementVolume(this.volume);
+    });
+    this.stems.forEach(stem => this.applyStemVolume(stem));
     this.notifyListeners('volumeChange');
   }
 
+  // Route playback through a Web Audio gain node so quiet songs can be boosted,
+  // not only attenuated. Without Web Audio the gain is folded into element volume.
+  setupGainStage() {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (this.audioContext || !AudioContextClass) return;
+
+    try {
+      this.audioContext = new AudioContextClass();
+      this.gainNode = this.audioContext.createGain();
+      this.gainNode.connect(this.audioContext.destination);
+      this.decks.forEach(deck => {
+        deck.output = this.audioContext.createGain();
+        deck.output.connect(this.gainNode);
+        deck.input = this.audioContext.createGain();
+        deck.input.connect(deck.output);
+        this.audioContext.createMediaElementSource(deck.audio).connect(deck.input);
+      });
+      this.stems.forEach(stem => this.connectToGainStage(stem));
+      this.applyReplayGain();
+    } catch (error) {
+      console.error('Web Audio unavailable, leveling by volume only:', error);
+      this.audioContext = null;
+      this.gainNode = null;
+      this.decks.forEach(deck => {
+        deck.input = null;
+        deck.output = null;
+      });
+    }
+  }
+
+  // Stems play through the active deck's chain, so they are shifted and faded with it
+  connectToGainStage(stem) {
+    if (!this.deck.input) return;
+    stem.source = this.audioContext.createMediaElementSource(stem.audio);
+    stem.source.connect(this.deck.input);
+  }
+
+  // Set a deck's output gain, ramping from `fromGain` over `fadeSeconds` (replacing any
+  // fade in progress)
+  setDeckGain(deck, gain, fadeSeconds = 0, fromGain = deck.output?.gain.value) {
+    if (!deck.output) return;
+    const param = deck.output.gain;
+    const now = this.audioContext.currentTime;
+    param.cancelScheduledValues(now);
+    param.setValueAtTime(fromGain, now);
+    if (fadeSeconds > 0) {
+      param.linearRampToValueAtTime(gain, now + fadeSeconds);
+    } else {
+      param.setValueAtTime(gain, now);
+    }
+  }
+
+  // Change key and speed of what's playing without rendering a new version.
+  // { semitones, cents, tempo } with tempo as a playback rate (1 = normal speed).
+  async setLiveTransposition({ semitones = 0, cents = 0, tempo = 1 } = {}) {
+    this.liveTransposition = { semitones, cents, tempo };
+    await this.applyLiveTransposition();
+    this.notifyListeners('transpositionChange', this.liveTransposition);
+  }
+
+  async clearLiveTransposition() {
+    await this.setLiveTransposition(NO_LIVE_TRANSPOSITION);
+  }
+
+  // Speed comes from the playback rate; the active deck's pitch shifter (between its
+  // input and output) undoes the rate's pitch change and applies the transposition. Until
+  // Web Audio is set up, or where worklets are unavailable, only the speed changes.
+  async applyLiveTransposition() {
+    const deck = this.deck;
+    const { semitones, cents } = this.liveTransposition;
+    const tempo = this.liveTransposition.tempo * (this.loop?.rate || 1);
+    const ratio = pitchRatio(semitones, cents, tempo);
+    let shifter = null;
+
+    if (deck.input && (ratio !== 1 || deck.shifter)) {
+      try {
+        if (!deck.shifter) {
+          deck.shifter = createPitchShifter(this.audioContext);
+          const node = await deck.shifter;
+          deck.input.disconnect();
+          deck.input.connect(node).connect(deck.output);
+        }
+        shifter = await deck.shifter;
+        shifter.parameters.get('pitchRatio').setValueAtTime(ratio, this.audioContext.currentTime);
+      } catch (error) {
+        console.error('Live pitch shifting unavailable, changing speed only:', error);
+        deck.shifter = null;
+        shifter = null;
+      }
+    }
+
+    // The media element resets playbackRate to defaultPlaybackRate when a song loads
+    const preservesPitch = !shifter;
+    deck.audio.defaultPlaybackRate = tempo;
+    deck.audio.playbackRate = tempo;
+    deck.audio.preservesPitch = preservesPitch;
+    this.stems.forEach(stem => {
+      stem.audio.preservesPitch = preservesPitch;
+    });
+  }
+
+  // Playback gain (dB) that brings a measured song to the target loudness,
+  // limited so its true peak stays below the ceiling
+  computeReplayGain(loudness) {
+    if (!loudness || typeof loudness.integrated !== 'number') return 0;
+
+    const gain = this.targetLoudness - loudness.integrated;
+    const headroom = typeof loudness.truePeak === 'number' ? TRUE_PEAK_CEILING - loudness.truePeak : gain;
+    return Math.round(Math.min(gain, headroom) * 10) / 10;
+  }
+
+  // Apply the current song's replay gain on the active deck, optionally fading in from silence
+  applyReplayGain(fadeSeconds = 0) {
+    this.replayGain = this.loudnessNormalization ? this.computeReplayGain(this.currentLoudness) : 0;
+    if (this.gainNode) {
+      this.setDeckGain(this.deck, dbToGain(this.replayGain), fadeSeconds, fadeSeconds > 0 ? 0 : undefined);
+    }
+    this.audio.volume = this.getElementVolume(this.volume);
+    this.stems.forEach(stem => this.applyStemVolume(stem));
+    this.notifyListeners('gainChange');
+  }
+
+  // Element volume for a user volume; only needed to carry the replay gain without Web Audio
+  getElementVolume(volume) {
+    if (this.gainNode) return volume;
+    return volume * Math.min(1, dbToGain(this.replayGain));
+  }
+
+  setLoudnessNormalization(enabled) {
+    this.loudnessNormalization = enabled;
+    localStorage.setItem(LOUDNESS_NORMALIZATION_KEY, String(enabled));
+    this.applyReplayGain();
+  }
+
+  // Play the current song from its separated stems instead of the full mix.
+  // The main element stays the transport (events, seeking, playlist) but is muted.
+  async loadStems(songId = this.currentSong?.id) {
+    if (!songId) return false;
+
+    const { default: storageService } = await import('./localStorageService');
+    const stemFiles = await storageService.getStems(songId);
+    if (stemFiles.length === 0) return false;
+
+    this.unloadStems();
+
+    const rank = (name) => (STEM_ORDER.includes(name) ? STEM_ORDER.indexOf(name) : STEM_ORDER.length);
+    this.stems = stemFiles
+      .map(file => {
+        const name = file.info?.stem || file.id;
+        const audio = new Audio();
+        audio.preload = 'auto';
+        audio.src = URL.createObjectURL(file.blob);
+        audio.playbackRate = this.audio.playbackRate;
+        audio.preservesPitch = this.audio.preservesPitch;
+        audio.addEventListener('loadedmetadata', () => {
+          audio.currentTime = this.audio.currentTime;
+        });
+        return { name, audio, volume: 1, muted: false, ...this.stemMix[name] };
+      })
+      .sort((a, b) => rank(a.name) - rank(b.name));
+
+    this.stems.forEach(stem => {
+      this.connectToGainStage(stem);
+      this.applyStemVolume(stem);
+    });
+    this.audio.muted = true;
+
+    if (this.isPlaying) {
+      this.stems.forEach(stem => this.playStem(stem));
+    }
+
+    this.notifyListeners('stemsLoaded', this.stems.map(stem => stem.name));
+    return true;
+  }
+
+  // Go back to playing the full mix
+  unloadStems() {
+    if (this.stems.length === 0) return;
+
+    this.releaseStems(this.stems);
+    this.stems = [];
+    this.audio.muted = false;
+    this.notifyListeners('stemsUnloaded');
+  }
+
+  releaseStems(stems) {
+    stems.forEach(({ audio, source }) => {
+      source?.disconnect();
+      audio.pause();
+      URL.revokeObjectURL(audio.src);
+      audio.removeAttribute('src');
+      audio.load();
+    });
+  }
+
+  setStemVolume(name, volume) {
+    const stem = this.stems.find(s => s.name === name);
+    if (!stem) return;
+
+    stem.volume = Math.max(0, Math.min(1, volume));
+    this.applyStemVolume(stem);
+    this.notifyListeners('stemChange', { name });
+  }
+
+  setStemMuted(name, muted) {
+    const stem = this.stems.find(s => s.name === name);
+    if (!stem) return;
+
+    stem.muted = muted;
+    this.applyStemVolume(stem);
+    this.notifyListeners('stemChange', { name });
+  }
+
+  applyStemVolume(stem) {
+    stem.audio.volume = stem.muted ? 0 : this.getElementVolume(stem.volume * this.volume);
+    this.stemMix[stem.name] = { volume: stem.volume, muted: stem.muted };
+  }
+
+  async playStem(stem) {
+    try {
+      await stem.audio.play();
+    } catch (error) {
+      console.error(`Failed to play ${stem.name} stem:`, error);
+    }
+  }
+
+  // Re-align stems that drifted away from the main element
+  syncStems(force = false) {
+    this.stems.forEach(({ audio }) => {
+      if (audio.readyState < 1) return; // No metadata yet; aligned on loadedmetadata
+      const drift = Math.abs(audio.currentTime - this.audio.currentTime);
+      if (force || drift > STEM_DRIFT_TOLERANCE) {
+        audio.currentTime = this.audio.currentTime;
+      }
+    });
+  }
+
   async setPlaylist(songs, startIndex = 0) {
     console.log('🎵 setPlaylist called with:', {
       songsCount: songs.length,
@@ -281,21 +937,15 @@ class AudioPlayerService {
   async next() {
     if (this.playlist.length === 0) return;
 
-    let nextIndex;
-    
-    if (this.shuffle) {
-      nextIndex = Math.floor(Math.random() * this.playlist.length);
-    } else {
-      nextIndex = this.currentIndex + 1;
-      if (nextIndex >= this.playlist.length) {
-        if (this.repeat === 'all') {
-          nextIndex = 0;
-        } else {
-          return; // End of playlist
-        }
-      }
+    // The preloaded song starts straight away
+    if (this.preloaded) {
+      await this.startTransition(0);
+      return;
     }
 
+    const nextIndex = this.getNextIndex();
+    if (nextIndex === -1) return; // End of playlist
+
     this.currentIndex = nextIndex;
     await this.loadSong(this.playlist[this.currentIndex]);
     await this.play();
@@ -331,7 +981,10 @@ class AudioPlayerService {
   }
 
   handleSongEnd() {
-    if (this.repeat === 'one') {
+    if (this.loop) {
+      this.seek(this.loop.start);
+      this.play();
+    } else if (this.repeat === 'one') {
       this.seek(0);
       this.play();
     } else {
@@ -341,14 +994,23 @@ class AudioPlayerService {
 
   setShuffle(enabled) {
     this.shuffle = enabled;
+    this.preloadNext();
     this.notifyListeners('shuffleChange');
   }
 
   setRepeat(mode) {
     this.repeat = mode; // 'none', 'one', 'all'
+    this.preloadNext();
     this.notifyListeners('repeatChange');
   }
 
+  // Seconds two playlist songs overlap (0 = back to back, without a gap)
+  setCrossfade(seconds) {
+    this.crossfade = Math.max(0, Math.min(MAX_CROSSFADE, seconds));
+    localStorage.setItem(CROSSFADE_KEY, String(this.crossfade));
+    this.notifyListeners('crossfadeChange');
+  }
+
   async playPlaylist(playlist) {
     const { default: playlistService } = await import('./playlistService');
     const songs = await playlistService.getPlaylistSongs(playlist.id);
@@ -369,6 +1031,8 @@ class AudioPlayerService {
 
   stop() {
     this.pause();
+    this.clearPreload();
+    this.unloadStems();
     this.seek(0);
     this.currentSong = null;
     this.playlist = [];
@@ -381,9 +1045,7 @@ class AudioPlayerService {
     this.stop();
     
     // Revoke any object URLs
-    if (this.audio.src && this.audio.src.startsWith('blob:')) {
-      URL.revokeObjectURL(this.audio.src);
-    }
+    this.decks.forEach(deck => this.clearDeck(deck));
     
     this.listeners.clear();
   }
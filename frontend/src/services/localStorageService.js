@@ -1,20 +1,50 @@
-// IndexedDB service for local audio storage
+// LRC time tag: [mm:ss], [mm:ss.xx] or [mm:ss.xxx] (some editors write [mm:ss:xx])
+const LRC_TIME_TAG = /\[(\d+):(\d{1,2})(?:[.:](\d{1,3}))?\]/g;
+// Enhanced LRC word tag: <mm:ss.xx>
+const LRC_WORD_TAG = /<(\d+):(\d{1,2})(?:[.:](\d{1,3}))?>/;
+// LRC header tag, e.g. [ar:Artist] or [offset:+250]
+const LRC_HEADER_TAG = /^\[([a-z#]+):(.*)\]$/i;
+
+// Seconds of an LRC timestamp's minutes, seconds and fraction digits
+const lrcSeconds = (minutes, seconds, fraction = '') =>
+  parseInt(minutes, 10) * 60 + parseInt(seconds, 10) + (fraction ? parseInt(fraction, 10) / Math.pow(10, fraction.length) : 0);
+
+// LRC timestamp of a time in seconds, e.g. 83.456 -> '01:23.46'
+const lrcTimestamp = (time) => {
+  const centiseconds = Math.round(Math.max(0, time) * 100);
+  const minutes = Math.floor(centiseconds / 6000);
+  const seconds = (centiseconds % 6000) / 100;
+  return `${String(minutes).padStart(2, '0')}:${seconds.toFixed(2).padStart(5, '0')}`;
+};
+
+// IndexedDB service for local audio storage. Its database also holds the singer
+// profiles and the live karaoke queue (see singerService and playlistService), so
+// records that refer to songs and singers can be changed in one transaction.
 class LocalStorageService {
   constructor() {
     this.dbName = 'KaraokeProcessorDB';
-    this.dbVersion = 1;
+    this.dbVersion = 2;
     this.db = null;
+    this.opening = null;
   }
 
+  // Open the database once; every caller shares the connection
   async init() {
-    return new Promise((resolve, reject) => {
+    if (!this.opening) {
+      this.opening = this.openDatabase().catch(error => {
+        this.opening = null;
+        throw error;
+      });
+    }
+    return this.opening;
+  }
+
+  async openDatabase() {
+    const db = await new Promise((resolve, reject) => {
       const request = indexedDB.open(this.dbName, this.dbVersion);
       
       request.onerror = () => reject(request.error);
-      request.onsuccess = () => {
-        this.db = request.result;
-        resolve(this.db);
-      };
+      request.onsuccess = () => resolve(request.result);
       
       request.onupgradeneeded = (event) => {
         const db = event.target.result;
@@ -42,8 +72,27 @@ class LocalStorageService {
           libraryStore.createIndex('artist', 'artist', { unique: false });
           libraryStore.createIndex('tags', 'tags', { multiEntry: true });
         }
+
+        // Remembered keys: a song's default and each singer's (version 2)
+        if (!db.objectStoreNames.contains('keyPreferences')) {
+          const preferenceStore = db.createObjectStore('keyPreferences', { keyPath: 'id' });
+          preferenceStore.createIndex('songId', 'songId', { unique: false });
+          preferenceStore.createIndex('singerId', 'singerId', { unique: false });
+        }
+
+        // Singer profiles and the live karaoke queue (version 2)
+        if (!db.objectStoreNames.contains('singers')) {
+          const singerStore = db.createObjectStore('singers', { keyPath: 'id' });
+          singerStore.createIndex('name', 'name', { unique: false });
+        }
+        if (!db.objectStoreNames.contains('queue')) {
+          db.createObjectStore('queue', { keyPath: 'id' });
+        }
       };
     });
+
+    this.db = db;
+    return db;
   }
 
   // Store audio file locally
@@ -93,10 +142,16 @@ class LocalStorageService {
       size: validatedBlob.size,
       type: validatedBlob.type,
       dateAdded: new Date(),
+      lyrics: metadata.lyrics || null, // { lines: [{ time, text, words }], tags } - see parseLrc
+      karaoke: metadata.karaoke || null, // { format: 'cdg'|'kar', graphics/midi: Blob, timeScale } - see scaleKaraoke
+      markers: metadata.markers || [], // [{ id, name, time }] practice markers - see updateMarkers
       metadata: {
         duration: metadata.duration,
         sampleRate: metadata.sampleRate,
-        keyInfo: metadata.keyInfo
+        keyInfo: metadata.keyInfo,
+        loudness: metadata.loudness, // EBU R128 measurement from /api/audio/analyze or /loudness
+        tempo: metadata.tempo, // { bpm, confidence, beatInterval, beats } from /api/audio/analyze
+        melodyRange: metadata.melodyRange // { lowest, highest, median } MIDI notes of the sung melody
       }
     };
 
@@ -118,6 +173,7 @@ class LocalStorageService {
     const transposedFile = {
       id,
       originalId,
+      variant: 'transposed',
       blob: transposedBlob,
       semitones,
       keyInfo,
@@ -133,6 +189,56 @@ class LocalStorageService {
     return transposedFile;
   }
 
+  // Store a derived version of a song (e.g. 'instrumental') next to its transposed versions
+  async storeDerivedFile(originalId, derivedBlob, variant, info = {}) {
+    if (!this.db) await this.init();
+    
+    const id = this.generateId();
+    const derivedFile = {
+      id,
+      originalId,
+      variant,
+      blob: derivedBlob,
+      semitones: info.semitones || 0,
+      keyInfo: info.keyInfo || null,
+      info,
+      size: derivedBlob.size,
+      type: derivedBlob.type || 'audio/mpeg',
+      dateCreated: new Date()
+    };
+
+    const transaction = this.db.transaction(['transposedFiles'], 'readwrite');
+    const store = transaction.objectStore('transposedFiles');
+    await this.promisifyRequest(store.add(derivedFile));
+    
+    return derivedFile;
+  }
+
+  // Get derived versions of a song, optionally only one variant
+  async getDerivedFiles(originalId, variant = null) {
+    const files = await this.getTransposedFiles(originalId);
+    // Records stored before variants existed are transposed versions
+    return variant ? files.filter(file => (file.variant || 'transposed') === variant) : files;
+  }
+
+  // Delete derived versions of a song of one variant (e.g. before storing new stems)
+  async deleteDerivedFiles(originalId, variant) {
+    const files = await this.getDerivedFiles(originalId, variant);
+    
+    const transaction = this.db.transaction(['transposedFiles'], 'readwrite');
+    const store = transaction.objectStore('transposedFiles');
+    for (const file of files) {
+      await this.promisifyRequest(store.delete(file.id));
+    }
+    
+    this.updateStorageStats();
+  }
+
+  // Get the separated stems (vocals, drums, ...) of a song
+  async getStems(originalId) {
+    return this.getDerivedFiles(originalId, 'stem');
+  }
+
   // Get audio file by ID
   async getAudioFile(id) {
     if (!this.db) await this.init();
@@ -171,6 +277,199 @@ class LocalStorageService {
     return updatedFile;
   }
 
+  // Store a song's loudness measurement (used by the player for volume leveling)
+  async updateLoudness(id, loudness) {
+    const existingFile = await this.getAudioFile(id);
+    if (!existingFile) {
+      throw new Error('Audio file not found');
+    }
+
+    const updatedFile = await this.updateAudioFileMetadata(id, {
+      metadata: { ...existingFile.metadata, loudness }
+    });
+
+    window.dispatchEvent(new CustomEvent('loudnessUpdated', {
+      detail: { songId: id, loudness }
+    }));
+
+    return updatedFile;
+  }
+
+  // Store a song's tempo analysis (BPM and beat grid)
+  async updateTempo(id, tempo) {
+    const existingFile = await this.getAudioFile(id);
+    if (!existingFile) {
+      throw new Error('Audio file not found');
+    }
+
+    return this.updateAudioFileMetadata(id, {
+      metadata: { ...existingFile.metadata, tempo }
+    });
+  }
+
+  // Store a song's melody range (null when no singing was found)
+  async updateMelodyRange(id, melodyRange) {
+    const existingFile = await this.getAudioFile(id);
+    if (!existingFile) {
+      throw new Error('Audio file not found');
+    }
+
+    return this.updateAudioFileMetadata(id, {
+      metadata: { ...existingFile.metadata, melodyRange }
+    });
+  }
+
+  // Parse LRC or enhanced (word-level) LRC text into
+  // { lines: [{ time, text, words: [{ time, text }] | null }], tags }.
+  // The [offset:] tag is applied to the times; other header tags are kept for export.
+  parseLrc(text) {
+    const tags = {};
+    const lines = [];
+
+    for (const rawLine of text.split(/\r?\n/)) {
+      const line = rawLine.trim();
+      if (!line) continue;
+
+      const header = LRC_HEADER_TAG.exec(line);
+      if (header && !/^\d+$/.test(header[1])) {
+        tags[header[1].toLowerCase()] = header[2].trim();
+        continue;
+      }
+
+      // A line may carry several time tags (e.g. a repeated chorus)
+      const times = [];
+      let content = line;
+      LRC_TIME_TAG.lastIndex = 0;
+      let match;
+      while ((match = LRC_TIME_TAG.exec(line)) && match.index === line.length - content.length) {
+        times.push(lrcSeconds(match[1], match[2], match[3]));
+        content = line.slice(LRC_TIME_TAG.lastIndex);
+      }
+      if (times.length === 0) continue;
+
+      // Enhanced LRC: <mm:ss.xx>word <mm:ss.xx>word ...
+      const parts = content.split(LRC_WORD_TAG);
+      let words = null;
+      if (parts.length > 1) {
+        words = [];
+        for (let i = 1; i < parts.length; i += 4) {
+          const wordText = parts[i + 3].trim();
+          if (wordText) {
+            words.push({ time: lrcSeconds(parts[i], parts[i + 1], parts[i + 2]), text: wordText });
+          }
+        }
+      }
+      const lineText = words ? [parts[0].trim(), ...words.map(word => word.text)].filter(Boolean).join(' ') : content.trim();
+
+      for (const time of times) {
+        lines.push({ time, text: lineText, words });
+      }
+    }
+
+    // A positive offset makes lyrics appear earlier
+    const offset = parseInt(tags.offset, 10) / 1000 || 0;
+    delete tags.offset;
+    const shift = (time) => Math.max(0, time - offset);
+
+    return {
+      lines: lines
+        .map(line => ({
+          ...line,
+          time: shift(line.time),
+          words: line.words && line.words.map(word => ({ ...word, time: shift(word.time) }))
+        }))
+        .sort((a, b) => a.time - b.time),
+      tags
+    };
+  }
+
+  // Format lyrics as LRC; enhanced adds word timestamps to lines that have them.
+  // Lines that have not been timed yet are left out.
+  formatLrc(lyrics, options = {}) {
+    const header = Object.entries(lyrics.tags || {}).map(([tag, value]) => `[${tag}:${value}]`);
+    const lines = lyrics.lines
+      .filter(line => line.time !== null && line.time !== undefined)
+      .map(line => {
+        if (options.enhanced && line.words?.length) {
+          const words = line.words.map(word => `<${lrcTimestamp(word.time)}>${word.text}`).join(' ');
+          return `[${lrcTimestamp(line.time)}]${words}`;
+        }
+        return `[${lrcTimestamp(line.time)}]${line.text}`;
+      });
+    return [...header, ...lines].join('\n') + '\n';
+  }
+
+  // Lyrics for a copy of a song played at a different speed (ratio = new tempo / old tempo)
+  scaleLyrics(lyrics, ratio) {
+    if (!lyrics || ratio === 1) return lyrics;
+    const scale = (time) => (time === null || time === undefined ? time : Math.round((time / ratio) * 1000) / 1000);
+    return {
+      ...lyrics,
+      lines: lyrics.lines.map(line => ({
+        ...line,
+        time: scale(line.time),
+        words: line.words && line.words.map(word => ({ ...word, time: scale(word.time) }))
+      }))
+    };
+  }
+
+  // Karaoke graphics/MIDI for a copy of a song played at a different speed. The
+  // streams are kept as imported; timeScale maps this recording's time to theirs.
+  scaleKaraoke(karaoke, ratio) {
+    if (!karaoke || ratio === 1) return karaoke;
+    return { ...karaoke, timeScale: (karaoke.timeScale || 1) * ratio };
+  }
+
+  // Practice markers for a copy of a song played at a different speed
+  scaleMarkers(markers, ratio) {
+    if (!markers || ratio === 1) return markers;
+    return markers.map(marker => ({ ...marker, time: Math.round((marker.time / ratio) * 1000) / 1000 }));
+  }
+
+  // Store a song's practice markers ("chorus", "bridge"), kept in time order
+  async updateMarkers(id, markers) {
+    const sorted = [...markers].sort((a, b) => a.time - b.time);
+    const updatedFile = await this.updateAudioFileMetadata(id, { markers: sorted });
+
+    window.dispatchEvent(new CustomEvent('markersUpdated', {
+      detail: { songId: id, markers: sorted }
+    }));
+
+    return updatedFile;
+  }
+
+  // Store a song's synchronized lyrics (times in seconds of this recording)
+  async updateLyrics(id, lyrics) {
+    const updatedFile = await this.updateAudioFileMetadata(id, { lyrics });
+
+    window.dispatchEvent(new CustomEvent('lyricsUpdated', {
+      detail: { songId: id, lyrics }
+    }));
+
+    return updatedFile;
+  }
+
+  // Import an LRC / enhanced LRC file as a song's lyrics
+  async importLrc(id, text) {
+    const lyrics = this.parseLrc(text);
+    if (lyrics.lines.length === 0) {
+      throw new Error('No timed lyrics found in LRC file');
+    }
+    await this.updateLyrics(id, lyrics);
+    return lyrics;
+  }
+
+  // Export a song's lyrics as LRC text (enhanced keeps word timings)
+  async exportLrc(id, options = {}) {
+    const song = await this.getAudioFile(id);
+    if (!song?.lyrics) {
+      throw new Error('Song has no lyrics');
+    }
+
+    const tags = { ti: song.title, ...song.lyrics.tags };
+    return this.formatLrc({ ...song.lyrics, tags }, options);
+  }
+
   // Get all audio files
   async getAllAudioFiles() {
     if (!this.db) await this.init();
@@ -208,10 +507,70 @@ class LocalStorageService {
     for (const file of transposedFiles) {
       await this.promisifyRequest(transposedStore.delete(file.id));
     }
+
+    await this.deleteKeyPreferences('songId', id);
     
     this.updateStorageStats();
   }
 
+  // Remember the key a song is sung in: by a singer, or by default (singerId null).
+  // semitones null forgets the preference.
+  async setKeyPreference(songId, singerId, semitones) {
+    if (!this.db) await this.init();
+
+    const id = `${songId}:${singerId || 'default'}`;
+    const transaction = this.db.transaction(['keyPreferences'], 'readwrite');
+    const store = transaction.objectStore('keyPreferences');
+
+    if (semitones === null || semitones === undefined) {
+      await this.promisifyRequest(store.delete(id));
+    } else {
+      await this.promisifyRequest(store.put({
+        id,
+        songId,
+        singerId: singerId || null,
+        semitones,
+        dateModified: new Date().toISOString()
+      }));
+    }
+
+    window.dispatchEvent(new CustomEvent('keyPreferenceUpdated', { detail: { songId, singerId: singerId || null, semitones } }));
+  }
+
+  // The key to play a song in for a singer: their own preference, else the song's default.
+  // Returns the preference record, or null when neither is set.
+  async getKeyPreference(songId, singerId = null) {
+    if (!this.db) await this.init();
+
+    const transaction = this.db.transaction(['keyPreferences'], 'readonly');
+    const store = transaction.objectStore('keyPreferences');
+    const singerPreference = singerId ? await this.promisifyRequest(store.get(`${songId}:${singerId}`)) : null;
+    return singerPreference || (await this.promisifyRequest(store.get(`${songId}:default`))) || null;
+  }
+
+  async getAllKeyPreferences() {
+    if (!this.db) await this.init();
+
+    const transaction = this.db.transaction(['keyPreferences'], 'readonly');
+    const store = transaction.objectStore('keyPreferences');
+    return this.promisifyRequest(store.getAll());
+  }
+
+  // Forget every preference of a song or a singer (field: 'songId' or 'singerId')
+  // Pass a readwrite transaction that includes keyPreferences to delete them as
+  // part of a larger change (e.g. deleting the singer they belong to)
+  async deleteKeyPreferences(field, value, transaction = null) {
+    if (!this.db) await this.init();
+
+    transaction = transaction || this.db.transaction(['keyPreferences'], 'readwrite');
+    const store = transaction.objectStore('keyPreferences');
+    const preferences = await this.promisifyRequest(store.index(field).getAll(value));
+
+    for (const preference of preferences) {
+      await this.promisifyRequest(store.delete(preference.id));
+    }
+  }
+
   // Get storage statistics
   async getStorageStats() {
     if (!this.db) await this.init();
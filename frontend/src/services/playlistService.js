@@ -1,9 +1,19 @@
 import localStorageService from './localStorageService';
+import ApiService from './api';
+
+// The live karaoke queue is a single record in the queue store
+const LIVE_QUEUE_ID = 'live';
+
+// Rotation key of a queue entry: the singer profile, or the name as typed
+const singerKey = (entry) => entry.singerId || entry.singer.trim().toLowerCase();
+
+const emptyQueue = () => ({ id: LIVE_QUEUE_ID, entries: [], current: null, history: [], position: 0 });
 
 class PlaylistService {
   constructor() {
     this.dbName = 'KaraokeProcessor';
     this.playlistStoreName = 'playlists';
+    this.queueStoreName = 'queue';
     this.db = null;
   }
 
@@ -354,6 +364,271 @@ class PlaylistService {
     
     return allPlaylists.filter(playlist => playlist.songs.includes(songId));
   }
+
+  // Make sure a library song is on the server, uploading it from local storage if needed
+  async ensureServerAsset(song) {
+    if (song.serverAssetId) return song.serverAssetId;
+
+    if (!song.blob) {
+      throw new Error(`"${song.title}" has no audio to upload`);
+    }
+
+    const file = new File([song.blob], song.filename || song.title, {
+      type: song.blob.type || 'audio/mpeg'
+    });
+    const response = await ApiService.uploadAudio(file);
+    const serverAssetId = response.data.file.id;
+    await localStorageService.updateAudioFileMetadata(song.id, { serverAssetId });
+    return serverAssetId;
+  }
+
+  // Render every song of a playlist in a singer's key with one background job, and
+  // store the renders as transposed versions of the songs.
+  // options: { semitones } for a fixed offset or { targetKey } for a key, plus
+  // targetKeys ({ songId: key }) to give songs their own key, render settings
+  // (cents, engine, quality, output, ...) and { onProgress, onSubmit } for the job.
+  // Returns one { song, semitones, keyInfo, unchanged, stored, error } per song.
+  async transposePlaylist(playlistId, options = {}) {
+    const { semitones, targetKey, targetKeys = {}, onProgress, onSubmit, ...renderOptions } = options;
+    const songs = await this.getPlaylistSongs(playlistId);
+    if (songs.length === 0) {
+      throw new Error('Playlist has no songs');
+    }
+
+    const batchSongs = [];
+    for (const song of songs) {
+      const keyInfo = song.metadata?.keyInfo;
+      batchSongs.push({
+        assetId: await this.ensureServerAsset(song),
+        ...(targetKeys[song.id] ? { targetKey: targetKeys[song.id] } : {}),
+        // Keys known from analysis save the server a detection pass
+        ...(keyInfo?.key ? { originalKey: keyInfo.key } : {}),
+        ...(keyInfo?.mode ? { mode: keyInfo.mode } : {})
+      });
+    }
+
+    const result = await ApiService.runJob('batch-transpose', {
+      ...renderOptions,
+      ...(targetKey ? { targetKey } : { semitones }),
+      songs: batchSongs
+    }, { onProgress, onSubmit });
+
+    const cents = renderOptions.cents || 0;
+    const outcomes = [];
+    for (const [index, item] of result.results.entries()) {
+      const song = songs[index];
+      const outcome = { song, semitones: item.semitones, keyInfo: item.keyInfo || null, unchanged: Boolean(item.unchanged) };
+
+      if (item.error || item.unchanged) {
+        outcomes.push({ ...outcome, error: item.error || null, stored: false });
+        continue;
+      }
+
+      try {
+        // Running a batch again doesn't duplicate versions the song already has
+        const existing = await localStorageService.getDerivedFiles(song.id, 'transposed');
+        const duplicate = existing.some(file => file.semitones === item.semitones && (file.keyInfo?.cents || 0) === cents &&
+          (file.keyInfo?.tempo || 1) === 1);
+        if (!duplicate) {
+          const response = await ApiService.downloadAudio(item.asset.id);
+          const blob = new Blob([response.data], { type: response.data.type || 'audio/mpeg' });
+          await localStorageService.storeTransposedFile(song.id, blob, item.semitones, item.keyInfo);
+        }
+        outcomes.push({ ...outcome, stored: !duplicate });
+      } catch (error) {
+        console.error(`Failed to store transposed "${song.title}":`, error);
+        outcomes.push({ ...outcome, error: error.message, stored: false });
+      }
+    }
+
+    window.dispatchEvent(new Event('storageUpdated'));
+    return outcomes;
+  }
+
+  // A stored version of a song at a whole-semitone transposition and normal speed, or null
+  async findTransposedVersion(song, semitones) {
+    const existing = await localStorageService.getDerivedFiles(song.id, 'transposed');
+    return existing.find(file => file.semitones === semitones && !file.keyInfo?.cents &&
+      (file.keyInfo?.tempo || 1) === 1) || null;
+  }
+
+  // Make sure a song has a stored version at a transposition, rendering it on the
+  // server when it doesn't. options: { onProgress, onSubmit } for the render job.
+  // Returns the transposed version, or null for 0 semitones (the original plays).
+  async ensureTransposedVersion(song, semitones, options = {}) {
+    if (!semitones) return null;
+
+    const match = await this.findTransposedVersion(song, semitones);
+    if (match) return match;
+
+    const keyInfo = song.metadata?.keyInfo;
+    const result = await ApiService.runJob('transpose', {
+      assetId: await this.ensureServerAsset(song),
+      semitones,
+      ...(keyInfo?.key ? { originalKey: keyInfo.key } : {}),
+      ...(keyInfo?.mode ? { mode: keyInfo.mode } : {})
+    }, options);
+
+    const response = await ApiService.downloadAudio(result.asset.id);
+    const blob = new Blob([response.data], { type: response.data.type || 'audio/mpeg' });
+    const stored = await localStorageService.storeTransposedFile(song.id, blob, semitones, result.keyInfo);
+    window.dispatchEvent(new Event('storageUpdated'));
+    return stored;
+  }
+
+  // Live karaoke queue: { entries (waiting, in singing order), current, history, position },
+  // stored in the library database with the songs and singers it refers to.
+  // An entry is { id, singer, singerId, songId, title, semitones, dateAdded }.
+  async getQueue() {
+    const db = await localStorageService.init();
+
+    const queue = await new Promise((resolve, reject) => {
+      const transaction = db.transaction([this.queueStoreName], 'readonly');
+      const store = transaction.objectStore(this.queueStoreName);
+      const request = store.get(LIVE_QUEUE_ID);
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    return queue || emptyQueue();
+  }
+
+  // Read, change and write the queue in one readwrite transaction, so concurrent
+  // changes (e.g. the position save and advancing when a song ends) can't write
+  // back a stale copy. update(queue) must be synchronous and returns the new
+  // queue, or null to leave it as it is. Resolves to the queue after the change.
+  async updateQueue(update) {
+    const db = await localStorageService.init();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([this.queueStoreName], 'readwrite');
+      const store = transaction.objectStore(this.queueStoreName);
+      const request = store.get(LIVE_QUEUE_ID);
+      let result = null;
+      let changed = false;
+
+      request.onsuccess = () => {
+        const queue = request.result || emptyQueue();
+        try {
+          const updated = update(queue);
+          result = updated ? { ...updated, id: LIVE_QUEUE_ID, dateModified: new Date().toISOString() } : queue;
+          changed = Boolean(updated);
+          if (changed) store.put(result);
+        } catch (error) {
+          transaction.abort();
+          reject(error);
+        }
+      };
+
+      transaction.oncomplete = () => {
+        if (changed) {
+          window.dispatchEvent(new CustomEvent('queueUpdated', { detail: result }));
+        }
+        resolve(result);
+      };
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  // Where a new sign-up goes in a fair round-robin: a singer's n-th waiting song
+  // plays after every other singer's n-th, so nobody sings twice while someone
+  // who signed up is still waiting for a turn. Manual reordering is kept.
+  getRotationIndex(entries, entry) {
+    const key = singerKey(entry);
+    const round = entries.filter(other => singerKey(other) === key).length;
+
+    const seen = {};
+    let index = 0;
+    entries.forEach((other, position) => {
+      const otherKey = singerKey(other);
+      const otherRound = seen[otherKey] || 0;
+      seen[otherKey] = otherRound + 1;
+      if (otherRound <= round) index = position + 1;
+    });
+    return index;
+  }
+
+  // entryData: { singer, singerId, songId, semitones }
+  async addQueueEntry(entryData) {
+    if (!entryData.singer?.trim()) {
+      throw new Error('Singer name is required');
+    }
+
+    await localStorageService.init();
+    const song = await localStorageService.getAudioFile(entryData.songId);
+    if (!song) {
+      throw new Error('Song not found in library');
+    }
+
+    const entry = {
+      id: `entry_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      singer: entryData.singer.trim(),
+      singerId: entryData.singerId || null,
+      songId: song.id,
+      title: song.title,
+      semitones: entryData.semitones || 0,
+      dateAdded: new Date().toISOString()
+    };
+
+    await this.updateQueue(queue => {
+      const entries = [...queue.entries];
+      entries.splice(this.getRotationIndex(entries, entry), 0, entry);
+      return { ...queue, entries };
+    });
+    return entry;
+  }
+
+  async updateQueueEntry(entryId, updates) {
+    return this.updateQueue(queue => ({
+      ...queue,
+      entries: queue.entries.map(entry => (entry.id === entryId ? { ...entry, ...updates } : entry))
+    }));
+  }
+
+  async removeQueueEntry(entryId) {
+    return this.updateQueue(queue => ({ ...queue, entries: queue.entries.filter(entry => entry.id !== entryId) }));
+  }
+
+  // Move a waiting entry to another place in the singing order
+  async moveQueueEntry(entryId, toIndex) {
+    return this.updateQueue(queue => {
+      const entries = [...queue.entries];
+      const fromIndex = entries.findIndex(entry => entry.id === entryId);
+      if (fromIndex === -1) {
+        throw new Error('Queue entry not found');
+      }
+
+      const [entry] = entries.splice(fromIndex, 1);
+      entries.splice(Math.max(0, Math.min(toIndex, entries.length)), 0, entry);
+      return { ...queue, entries };
+    });
+  }
+
+  // Finish the current singer and bring up the next entry (null when the queue is empty)
+  async advanceQueue() {
+    let next = null;
+    await this.updateQueue(queue => {
+      const [first = null, ...entries] = queue.entries;
+      const history = queue.current
+        ? [...queue.history, { ...queue.current, finishedAt: new Date().toISOString() }]
+        : queue.history;
+
+      next = first;
+      return { ...queue, entries, current: next, history, position: 0 };
+    });
+    return next;
+  }
+
+  // Remember how far into the current entry playback is, so a refresh can resume it.
+  // Only saved while that entry is still current, so a late save can't touch the next one.
+  async saveQueuePosition(entryId, position) {
+    return this.updateQueue(queue => (queue.current?.id === entryId ? { ...queue, position } : null));
+  }
+
+  async clearQueue() {
+    return this.updateQueue(() => emptyQueue());
+  }
 }
 
 const playlistService = new PlaylistService();
@@ -0,0 +1,71 @@
+import audioPlayerService from './audioPlayerService';
+import playlistService from './playlistService';
+
+// How often the playback position is saved while a singer is on (seconds)
+const POSITION_SAVE_INTERVAL = 5;
+
+// Keeps the live karaoke queue moving with the player, whichever page is open:
+// saves the current singer's position, and when their song ends brings up the
+// next entry and announces it. The Queue page shows the announcement from the
+// 'queueAnnouncement' window event.
+class QueueRotationService {
+  constructor() {
+    this.lastSavedPosition = 0;
+    this.removeListener = null;
+  }
+
+  start() {
+    if (this.removeListener) return;
+    this.removeListener = audioPlayerService.addListener(({ event, state }) => this.handlePlayerEvent(event, state));
+  }
+
+  // Where position saving counts from, after loading an entry part-way through
+  resetPosition(position = 0) {
+    this.lastSavedPosition = position;
+  }
+
+  handlePlayerEvent(event, state) {
+    const entryId = state.currentSong?.queueEntryId;
+    if (!entryId) return;
+
+    if (event === 'timeUpdate' && Math.abs(state.currentTime - this.lastSavedPosition) >= POSITION_SAVE_INTERVAL) {
+      this.lastSavedPosition = state.currentTime;
+      this.savePosition(entryId, state.currentTime);
+    } else if (event === 'pause' && state.currentTime < state.duration) {
+      // An ended song pauses too, but its entry is finished rather than paused
+      this.savePosition(entryId, state.currentTime);
+    } else if (event === 'ended') {
+      this.advance().catch(() => {}); // Logged in advance
+    }
+  }
+
+  savePosition(entryId, position) {
+    playlistService.saveQueuePosition(entryId, position)
+      .catch(error => console.error('Error saving queue position:', error));
+  }
+
+  // Bring up the next singer; resolves to their entry (null when the queue is empty)
+  async advance() {
+    try {
+      const next = await playlistService.advanceQueue();
+      this.resetPosition();
+      this.announce(next);
+      return next;
+    } catch (error) {
+      console.error('Error advancing queue:', error);
+      throw error;
+    }
+  }
+
+  announce(entry) {
+    if (!entry) return;
+    window.dispatchEvent(new CustomEvent('queueAnnouncement', { detail: entry }));
+    if ('speechSynthesis' in window) {
+      window.speechSynthesis.cancel();
+      window.speechSynthesis.speak(new SpeechSynthesisUtterance(`Next up, ${entry.singer}, singing ${entry.title}`));
+    }
+  }
+}
+
+const queueRotationService = new QueueRotationService();
+export default queueRotationService;
@@ -0,0 +1,142 @@
+import localStorageService from './localStorageService';
+
+// Singer profiles: each singer's comfortable vocal range, used to recommend keys.
+// Stored in the library database (see localStorageService), next to the remembered
+// keys and queue entries that refer to them.
+const SELECTED_SINGER_KEY = 'selectedSingerId';
+
+class SingerService {
+  constructor() {
+    this.singerStoreName = 'singers';
+    this.db = null;
+  }
+
+  async init() {
+    this.db = await localStorageService.init();
+    return this.db;
+  }
+
+  generateId() {
+    return `singer_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  // Ranges are MIDI note numbers; the lowest must be below the highest
+  validateRange(lowest, highest) {
+    if (!Number.isInteger(lowest) || !Number.isInteger(highest) || lowest >= highest) {
+      throw new Error('Lowest note must be below highest note');
+    }
+  }
+
+  // singerData: { name, lowest, highest, source: 'manual' | 'mic' }
+  async createSinger(singerData) {
+    await this.init();
+    this.validateRange(singerData.lowest, singerData.highest);
+
+    const singer = {
+      id: this.generateId(),
+      name: singerData.name || 'New Singer',
+      lowest: singerData.lowest,
+      highest: singerData.highest,
+      source: singerData.source || 'manual',
+      dateCreated: new Date().toISOString(),
+      dateModified: new Date().toISOString()
+    };
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.singerStoreName], 'readwrite');
+      const store = transaction.objectStore(this.singerStoreName);
+      const request = store.add(singer);
+
+      request.onsuccess = () => {
+        window.dispatchEvent(new CustomEvent('singersUpdated', { detail: singer }));
+        resolve(singer);
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async getAllSingers() {
+    await this.init();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.singerStoreName], 'readonly');
+      const store = transaction.objectStore(this.singerStoreName);
+      const request = store.getAll();
+
+      request.onsuccess = () => resolve(request.result.sort((a, b) => a.name.localeCompare(b.name)));
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async getSinger(singerId) {
+    await this.init();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.singerStoreName], 'readonly');
+      const store = transaction.objectStore(this.singerStoreName);
+      const request = store.get(singerId);
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async updateSinger(singerId, updates) {
+    await this.init();
+
+    const singer = await this.getSinger(singerId);
+    if (!singer) {
+      throw new Error('Singer not found');
+    }
+
+    const updatedSinger = {
+      ...singer,
+      ...updates,
+      dateModified: new Date().toISOString()
+    };
+    this.validateRange(updatedSinger.lowest, updatedSinger.highest);
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.singerStoreName], 'readwrite');
+      const store = transaction.objectStore(this.singerStoreName);
+      const request = store.put(updatedSinger);
+
+      request.onsuccess = () => {
+        window.dispatchEvent(new CustomEvent('singersUpdated', { detail: updatedSinger }));
+        resolve(updatedSinger);
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Deletes the singer's remembered keys in the same transaction
+  async deleteSinger(singerId) {
+    await this.init();
+
+    const transaction = this.db.transaction([this.singerStoreName, 'keyPreferences'], 'readwrite');
+    await localStorageService.deleteKeyPreferences('singerId', singerId, transaction);
+    await localStorageService.promisifyRequest(transaction.objectStore(this.singerStoreName).delete(singerId));
+
+    if (this.getSelectedSingerId() === singerId) {
+      this.setSelectedSingerId(null);
+    }
+    window.dispatchEvent(new CustomEvent('singersUpdated', { detail: { id: singerId, deleted: true } }));
+    return true;
+  }
+
+  // The singer key recommendations are made for, remembered across visits
+  getSelectedSingerId() {
+    return localStorage.getItem(SELECTED_SINGER_KEY);
+  }
+
+  setSelectedSingerId(singerId) {
+    if (singerId) {
+      localStorage.setItem(SELECTED_SINGER_KEY, singerId);
+    } else {
+      localStorage.removeItem(SELECTED_SINGER_KEY);
+    }
+  }
+}
+
+const singerService = new SingerService();
+export default singerService;
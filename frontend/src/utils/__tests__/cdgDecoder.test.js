@@ -0,0 +1,75 @@
+import { CdgDecoder, CDG_PACKETS_PER_SECOND, CDG_WIDTH, CDG_HEIGHT } from '../cdgDecoder';
+
+const PACKET_SIZE = 24;
+
+// One CD+G packet: command, instruction and 16 data bytes
+const packet = (instruction, data = []) => {
+  const bytes = new Uint8Array(PACKET_SIZE);
+  bytes[0] = 0x09;
+  bytes[1] = instruction;
+  bytes.set(data, 4);
+  return bytes;
+};
+
+const stream = (...packets) => {
+  const data = new Uint8Array(packets.length * PACKET_SIZE);
+  packets.forEach((bytes, index) => data.set(bytes, index * PACKET_SIZE));
+  return data;
+};
+
+const pixelAt = (decoder, x, y) => decoder.pixels[y * CDG_WIDTH + x];
+
+// Palette entries 0-7: 0 black, 1 red (4 bits per channel across two 6-bit bytes)
+const loadColors = packet(30, [0x00, 0x00, 0x3c, 0x00]);
+const clearTo = (color) => packet(1, [color]);
+// 6x12 tile at tile row 1, column 2: color 1 where the bit is set, color 0 elsewhere
+const tile = (instruction, rows) => packet(instruction, [0, 1, 1, 2, ...rows]);
+
+describe('CdgDecoder', () => {
+  it('runs packets up to the seek time only', () => {
+    const decoder = new CdgDecoder(stream(clearTo(1), clearTo(2)));
+
+    decoder.seek(1 / CDG_PACKETS_PER_SECOND);
+    expect(pixelAt(decoder, 0, 0)).toBe(1);
+
+    decoder.seek(1);
+    expect(pixelAt(decoder, 0, 0)).toBe(2);
+  });
+
+  it('replays from the start when seeking backwards', () => {
+    const decoder = new CdgDecoder(stream(clearTo(1), clearTo(2)));
+    decoder.seek(1);
+    decoder.seek(1 / CDG_PACKETS_PER_SECOND);
+    expect(pixelAt(decoder, 0, 0)).toBe(1);
+  });
+
+  it('draws tiles and XORs them', () => {
+    const rows = new Array(12).fill(0b100000);
+    const decoder = new CdgDecoder(stream(clearTo(0), tile(6, rows), tile(38, rows)));
+
+    decoder.seek(2 / CDG_PACKETS_PER_SECOND);
+    expect(pixelAt(decoder, 12, 12)).toBe(1);
+    expect(pixelAt(decoder, 13, 12)).toBe(0);
+
+    decoder.seek(1);
+    expect(pixelAt(decoder, 12, 12)).toBe(0);
+  });
+
+  it('ignores packets that are not CD+G commands', () => {
+    const other = clearTo(5);
+    other[0] = 0x08;
+    const decoder = new CdgDecoder(stream(other));
+    decoder.seek(1);
+    expect(pixelAt(decoder, 0, 0)).toBe(0);
+  });
+
+  it('renders through the palette', () => {
+    const decoder = new CdgDecoder(stream(loadColors, clearTo(1)));
+    const imageData = { data: new Uint8ClampedArray(CDG_WIDTH * CDG_HEIGHT * 4) };
+
+    decoder.seek(1);
+    decoder.render(imageData);
+    expect(Array.from(imageData.data.slice(0, 4))).toEqual([255, 0, 0, 255]);
+    expect(decoder.dirty).toBe(false);
+  });
+});
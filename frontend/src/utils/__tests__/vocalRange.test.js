@@ -0,0 +1,59 @@
+import { detectPitch, recommendTransposition, shiftMelodyRange } from '../vocalRange';
+
+const SAMPLE_RATE = 44100;
+
+const sine = (frequency, length = 2048) =>
+  Float32Array.from({ length }, (_, i) => 0.5 * Math.sin(2 * Math.PI * frequency * i / SAMPLE_RATE));
+
+describe('recommendTransposition', () => {
+  it('picks the shift that centres the melody in the singer’s range', () => {
+    const melodyRange = { lowest: 60, highest: 72, median: 66 };
+    expect(recommendTransposition(melodyRange, { lowest: 53, highest: 67 })).toEqual({
+      semitones: -6,
+      lowest: 54,
+      highest: 66,
+      lowestNote: 'F#3',
+      highestNote: 'F#4',
+      outOfRange: 0,
+      fits: true
+    });
+  });
+
+  it('needs both a melody range and a singer', () => {
+    expect(recommendTransposition(null, { lowest: 53, highest: 67 })).toBeNull();
+    expect(recommendTransposition({ lowest: 60, highest: 72, median: 66 }, null)).toBeNull();
+  });
+});
+
+describe('shiftMelodyRange', () => {
+  it('moves every note and renames them', () => {
+    const shifted = shiftMelodyRange({ lowest: 57, highest: 69, median: 64, voicedSeconds: 30 }, -2);
+    expect(shifted).toEqual({
+      lowest: 55,
+      highest: 67,
+      median: 62,
+      lowestNote: 'G3',
+      highestNote: 'G4',
+      medianNote: 'D4',
+      voicedSeconds: 30
+    });
+  });
+});
+
+describe('detectPitch', () => {
+  it('finds the frequency of a sung note', () => {
+    expect(detectPitch(sine(220), SAMPLE_RATE)).toBeCloseTo(220, 0);
+    expect(detectPitch(sine(523.25), SAMPLE_RATE)).toBeCloseTo(523.25, 0);
+  });
+
+  it('ignores quiet and unpitched input', () => {
+    expect(detectPitch(new Float32Array(2048), SAMPLE_RATE)).toBeNull();
+
+    let seed = 1;
+    const noise = Float32Array.from({ length: 2048 }, () => {
+      seed = (seed * 16807) % 2147483647;
+      return seed / 1073741823.5 - 1;
+    });
+    expect(detectPitch(noise, SAMPLE_RATE)).toBeNull();
+  });
+});
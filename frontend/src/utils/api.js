@@ -6,9 +6,9 @@ export const getApiUrl = (endpoint = '') => {
   return endpoint ? `${baseUrl}/api/${endpoint}` : `${baseUrl}/api`;
 };
 
-export const getStreamUrl = (filename) => {
+export const getStreamUrl = (assetId) => {
   const baseUrl = process.env.REACT_APP_API_URL || 
     (process.env.NODE_ENV === 'production' ? '' : 'http://localhost:3001');
     
-  return `${baseUrl}/api/audio/stream/${filename}`;
+  return `${baseUrl}/api/audio/stream/${assetId}`;
 };
\ No newline at end of file
@@ -0,0 +1,174 @@
+// CD+G (MP3+G) graphics decoder. The .cdg stream is a series of 24-byte
+// subcode packets played at 300 packets per second; each one draws into a
+// 300x216 indexed-colour screen with a 16-colour palette.
+
+export const CDG_PACKETS_PER_SECOND = 300;
+export const CDG_WIDTH = 300;
+export const CDG_HEIGHT = 216;
+
+const PACKET_SIZE = 24;
+const CDG_COMMAND = 0x09;
+
+// Instructions (packet byte 1)
+const MEMORY_PRESET = 1;
+const BORDER_PRESET = 2;
+const TILE_NORMAL = 6;
+const SCROLL_PRESET = 20;
+const SCROLL_COPY = 24;
+const DEFINE_TRANSPARENT = 28;
+const LOAD_COLORS_LOW = 30;
+const LOAD_COLORS_HIGH = 31;
+const TILE_XOR = 38;
+
+// Tiles are 6x12 pixels; the border is one tile wide around the visible area
+const TILE_WIDTH = 6;
+const TILE_HEIGHT = 12;
+
+export class CdgDecoder {
+  constructor(data) {
+    this.data = data instanceof Uint8Array ? data : new Uint8Array(data);
+    this.packetCount = Math.floor(this.data.length / PACKET_SIZE);
+    this.pixels = new Uint8Array(CDG_WIDTH * CDG_HEIGHT);
+    this.reset();
+  }
+
+  reset() {
+    this.pixels.fill(0);
+    this.palette = new Array(16).fill(null).map(() => [0, 0, 0]);
+    this.position = 0; // Next packet to execute
+    this.hOffset = 0;
+    this.vOffset = 0;
+    this.dirty = true;
+  }
+
+  // Execute packets up to a point in time; going backwards replays from the start
+  seek(seconds) {
+    const target = Math.min(this.packetCount, Math.max(0, Math.floor(seconds * CDG_PACKETS_PER_SECOND)));
+    if (target < this.position) this.reset();
+
+    while (this.position < target) {
+      this.executePacket(this.position * PACKET_SIZE);
+      this.position++;
+    }
+  }
+
+  executePacket(offset) {
+    if ((this.data[offset] & 0x3f) !== CDG_COMMAND) return;
+
+    const instruction = this.data[offset + 1] & 0x3f;
+    const data = this.data.subarray(offset + 4, offset + 20);
+
+    switch (instruction) {
+      case MEMORY_PRESET:
+        this.pixels.fill(data[0] & 0x0f);
+        break;
+      case BORDER_PRESET:
+        this.presetBorder(data[0] & 0x0f);
+        break;
+      case TILE_NORMAL:
+      case TILE_XOR:
+        this.drawTile(data, instruction === TILE_XOR);
+        break;
+      case SCROLL_PRESET:
+      case SCROLL_COPY:
+        this.scroll(data, instruction === SCROLL_COPY);
+        break;
+      case DEFINE_TRANSPARENT:
+        // Only matters when overlaying video
+        return;
+      case LOAD_COLORS_LOW:
+      case LOAD_COLORS_HIGH:
+        this.loadColors(data, instruction === LOAD_COLORS_LOW ? 0 : 8);
+        break;
+      default:
+        return;
+    }
+
+    this.dirty = true;
+  }
+
+  presetBorder(color) {
+    for (let y = 0; y < CDG_HEIGHT; y++) {
+      for (let x = 0; x < CDG_WIDTH; x++) {
+        const inside = x >= TILE_WIDTH && x < CDG_WIDTH - TILE_WIDTH &&
+          y >= TILE_HEIGHT && y < CDG_HEIGHT - TILE_HEIGHT;
+        if (!inside) this.pixels[y * CDG_WIDTH + x] = color;
+      }
+    }
+  }
+
+  drawTile(data, xor) {
+    const color0 = data[0] & 0x0f;
+    const color1 = data[1] & 0x0f;
+    const top = (data[2] & 0x1f) * TILE_HEIGHT;
+    const left = (data[3] & 0x3f) * TILE_WIDTH;
+    if (top + TILE_HEIGHT > CDG_HEIGHT || left + TILE_WIDTH > CDG_WIDTH) return;
+
+    for (let row = 0; row < TILE_HEIGHT; row++) {
+      const bits = data[4 + row] & 0x3f;
+      for (let column = 0; column < TILE_WIDTH; column++) {
+        const color = bits & (0x20 >> column) ? color1 : color0;
+        const index = (top + row) * CDG_WIDTH + left + column;
+        this.pixels[index] = xor ? this.pixels[index] ^ color : color;
+      }
+    }
+  }
+
+  // Move the screen a tile at a time (copy wraps the pixels round, preset fills
+  // with a colour) and set the fine pixel offset of the visible area
+  scroll(data, copy) {
+    const color = data[0] & 0x0f;
+    const hScroll = data[1] & 0x3f;
+    const vScroll = data[2] & 0x3f;
+    const hCommand = (hScroll & 0x30) >> 4;
+    const vCommand = (vScroll & 0x30) >> 4;
+    this.hOffset = Math.min(hScroll & 0x07, TILE_WIDTH - 1);
+    this.vOffset = Math.min(vScroll & 0x0f, TILE_HEIGHT - 1);
+
+    const dx = hCommand === 1 ? TILE_WIDTH : hCommand === 2 ? -TILE_WIDTH : 0;
+    const dy = vCommand === 1 ? TILE_HEIGHT : vCommand === 2 ? -TILE_HEIGHT : 0;
+    if (dx === 0 && dy === 0) return;
+
+    const previous = this.pixels.slice();
+    for (let y = 0; y < CDG_HEIGHT; y++) {
+      for (let x = 0; x < CDG_WIDTH; x++) {
+        const sourceX = x - dx;
+        const sourceY = y - dy;
+        const outside = sourceX < 0 || sourceX >= CDG_WIDTH || sourceY < 0 || sourceY >= CDG_HEIGHT;
+        this.pixels[y * CDG_WIDTH + x] = outside && !copy
+          ? color
+          : previous[((sourceY + CDG_HEIGHT) % CDG_HEIGHT) * CDG_WIDTH + ((sourceX + CDG_WIDTH) % CDG_WIDTH)];
+      }
+    }
+  }
+
+  // Colours are 4 bits per channel packed into the low 6 bits of two bytes
+  loadColors(data, first) {
+    for (let i = 0; i < 8; i++) {
+      const high = data[i * 2] & 0x3f;
+      const low = data[i * 2 + 1] & 0x3f;
+      const red = (high >> 2) & 0x0f;
+      const green = ((high & 0x03) << 2) | ((low >> 4) & 0x03);
+      const blue = low & 0x0f;
+      this.palette[first + i] = [red * 17, green * 17, blue * 17];
+    }
+  }
+
+  // Draw the screen (with the current fine scroll offset) into a CDG_WIDTH x CDG_HEIGHT ImageData
+  render(imageData) {
+    const output = imageData.data;
+    for (let y = 0; y < CDG_HEIGHT; y++) {
+      const sourceY = Math.min(CDG_HEIGHT - 1, y + this.vOffset);
+      for (let x = 0; x < CDG_WIDTH; x++) {
+        const sourceX = Math.min(CDG_WIDTH - 1, x + this.hOffset);
+        const [red, green, blue] = this.palette[this.pixels[sourceY * CDG_WIDTH + sourceX]];
+        const index = (y * CDG_WIDTH + x) * 4;
+        output[index] = red;
+        output[index + 1] = green;
+        output[index + 2] = blue;
+        output[index + 3] = 255;
+      }
+    }
+    this.dirty = false;
+  }
+}
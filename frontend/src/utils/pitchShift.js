@@ -0,0 +1,113 @@
+// In-browser pitch and tempo: the phase vocoder AudioWorklet in
+// public/worklets/pitch-shift-processor.js, used live by the player and offline
+// for renders, so changing key needs no server.
+//
+// Tempo is a plain playback-rate change (which also moves the pitch); the worklet
+// then shifts the pitch by the requested interval divided by that rate.
+
+export const PITCH_SHIFT_WORKLET_URL = `${process.env.PUBLIC_URL}/worklets/pitch-shift-processor.js`;
+
+// Samples the worklet delays its output by (its frame size)
+export const PITCH_SHIFT_LATENCY = 2048;
+
+const RENDER_SAMPLE_RATE = 44100;
+
+// How often (seconds of audio) an offline render reports progress
+const RENDER_PROGRESS_INTERVAL = 5;
+
+// addModule() promise per audio context; a worklet module is loaded once per context
+const loadedContexts = new WeakMap();
+
+// AudioWorklet needs a secure context (https or localhost)
+export const isPitchShiftSupported = () =>
+  typeof window.AudioWorkletNode === 'function' && window.isSecureContext !== false;
+
+// Frequency ratio the worklet applies for a transposition at a playback rate
+export const pitchRatio = (semitones = 0, cents = 0, tempo = 1) =>
+  Math.pow(2, (semitones + cents / 100) / 12) / tempo;
+
+export const loadPitchShifter = (context) => {
+  if (!loadedContexts.has(context)) {
+    loadedContexts.set(context, context.audioWorklet.addModule(PITCH_SHIFT_WORKLET_URL));
+  }
+  return loadedContexts.get(context);
+};
+
+export const createPitchShifter = async (context, ratio = 1) => {
+  await loadPitchShifter(context);
+  const node = new window.AudioWorkletNode(context, 'pitch-shift-processor', { outputChannelCount: [2] });
+  node.parameters.get('pitchRatio').value = ratio;
+  return node;
+};
+
+// 16-bit PCM WAV of `length` frames of an AudioBuffer starting at `offset`
+export const encodeWav = (audioBuffer, offset = 0, length = audioBuffer.length - offset) => {
+  const channels = Array.from({ length: audioBuffer.numberOfChannels }, (_, i) => audioBuffer.getChannelData(i));
+  const blockAlign = channels.length * 2;
+  const dataSize = length * blockAlign;
+  const view = new DataView(new ArrayBuffer(44 + dataSize));
+  const writeString = (position, text) => {
+    for (let i = 0; i < text.length; i++) view.setUint8(position + i, text.charCodeAt(i));
+  };
+
+  writeString(0, 'RIFF');
+  view.setUint32(4, 36 + dataSize, true);
+  writeString(8, 'WAVE');
+  writeString(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, channels.length, true);
+  view.setUint32(24, audioBuffer.sampleRate, true);
+  view.setUint32(28, audioBuffer.sampleRate * blockAlign, true);
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, 16, true);
+  writeString(36, 'data');
+  view.setUint32(40, dataSize, true);
+
+  let position = 44;
+  for (let i = offset; i < offset + length; i++) {
+    for (const channel of channels) {
+      const sample = Math.max(-1, Math.min(1, channel[i] || 0));
+      view.setInt16(position, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+      position += 2;
+    }
+  }
+
+  return new Blob([view.buffer], { type: 'audio/wav' });
+};
+
+// Render an audio blob transposed and/or at another tempo, entirely in the browser.
+// options: { semitones, cents, tempo, onProgress(percent) }. Returns a WAV blob.
+export const renderOffline = async (blob, { semitones = 0, cents = 0, tempo = 1, onProgress } = {}) => {
+  const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+  if (!OfflineContext || !isPitchShiftSupported()) {
+    throw new Error('This browser cannot render audio offline');
+  }
+
+  const decoder = new OfflineContext(2, 1, RENDER_SAMPLE_RATE);
+  const source = await decoder.decodeAudioData(await blob.arrayBuffer());
+
+  // Render the worklet's delay past the end, then trim it from the start
+  const length = Math.ceil(source.length / tempo);
+  const context = new OfflineContext(2, length + PITCH_SHIFT_LATENCY, RENDER_SAMPLE_RATE);
+  const player = context.createBufferSource();
+  player.buffer = source;
+  player.playbackRate.value = tempo;
+  const shifter = await createPitchShifter(context, pitchRatio(semitones, cents, tempo));
+  player.connect(shifter).connect(context.destination);
+  player.start();
+
+  // Progress comes from suspending the render, which not every browser supports
+  if (onProgress && typeof context.suspend === 'function') {
+    const duration = context.length / RENDER_SAMPLE_RATE;
+    for (let time = RENDER_PROGRESS_INTERVAL; time < duration; time += RENDER_PROGRESS_INTERVAL) {
+      context.suspend(time).then(() => {
+        onProgress(Math.round((time / duration) * 100));
+        context.resume();
+      });
+    }
+  }
+
+  const rendered = await context.startRendering();
+  return encodeWav(rendered, PITCH_SHIFT_LATENCY, length);
+};
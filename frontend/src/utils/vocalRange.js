@@ -0,0 +1,115 @@
+// Vocal range helpers: note names, fitting a song's melody range to a singer's
+// range (the same ranking /api/audio/analyze uses), and pitch detection for the
+// microphone range test. Notes are MIDI numbers throughout (60 = C4).
+
+const NOTE_NAMES = ['C', 'C#', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B'];
+
+// Notes offered when entering a range by hand: C2 to C6
+export const RANGE_NOTE_OPTIONS = Array.from({ length: 49 }, (_, i) => 36 + i);
+
+// Transpositions considered when recommending a key
+const RECOMMENDATION_SHIFTS = Array.from({ length: 25 }, (_, i) => i - 12);
+
+// Pitch detection: voice band (Hz), minimum level, and how periodic a frame must be
+const MIN_VOICE_FREQUENCY = 70;
+const MAX_VOICE_FREQUENCY = 1100;
+const MIN_RMS = 0.01;
+const MIN_CLARITY = 0.9;
+
+export const midiToNoteName = (note) => {
+  const rounded = Math.round(note);
+  return `${NOTE_NAMES[((rounded % 12) + 12) % 12]}${Math.floor(rounded / 12) - 1}`;
+};
+
+export const frequencyToMidi = (frequency) => 69 + 12 * Math.log2(frequency / 440);
+
+// A melody range moved by a number of semitones, e.g. for a transposed render
+export const shiftMelodyRange = (melodyRange, semitones) => {
+  if (!melodyRange || !semitones) return melodyRange;
+  const lowest = melodyRange.lowest + semitones;
+  const highest = melodyRange.highest + semitones;
+  const median = melodyRange.median + semitones;
+  return {
+    ...melodyRange,
+    lowest,
+    highest,
+    median,
+    lowestNote: midiToNoteName(lowest),
+    highestNote: midiToNoteName(highest),
+    medianNote: midiToNoteName(median)
+  };
+};
+
+// Best transposition of a melody for a singer: fewest semitones out of range,
+// then the melody's median nearest the middle of the range, then the smallest shift.
+// Returns { semitones, lowest, highest, lowestNote, highestNote, outOfRange, fits } or null.
+export const recommendTransposition = (melodyRange, singer) => {
+  if (!melodyRange || !singer) return null;
+
+  const singerMiddle = (singer.lowest + singer.highest) / 2;
+  const [best] = RECOMMENDATION_SHIFTS
+    .map(semitones => {
+      const lowest = melodyRange.lowest + semitones;
+      const highest = melodyRange.highest + semitones;
+      const outOfRange = Math.max(0, singer.lowest - lowest) + Math.max(0, highest - singer.highest);
+      return {
+        semitones,
+        lowest,
+        highest,
+        outOfRange,
+        centering: Math.abs(melodyRange.median + semitones - singerMiddle)
+      };
+    })
+    .sort((a, b) => a.outOfRange - b.outOfRange || a.centering - b.centering ||
+      Math.abs(a.semitones) - Math.abs(b.semitones));
+
+  return {
+    semitones: best.semitones,
+    lowest: best.lowest,
+    highest: best.highest,
+    lowestNote: midiToNoteName(best.lowest),
+    highestNote: midiToNoteName(best.highest),
+    outOfRange: best.outOfRange,
+    fits: best.outOfRange === 0
+  };
+};
+
+// Fundamental frequency of a mono frame by normalized autocorrelation, or null
+// when the frame is too quiet or not clearly pitched
+export const detectPitch = (samples, sampleRate) => {
+  let energy = 0;
+  for (let i = 0; i < samples.length; i++) energy += samples[i] * samples[i];
+  if (Math.sqrt(energy / samples.length) < MIN_RMS) return null;
+
+  const minLag = Math.floor(sampleRate / MAX_VOICE_FREQUENCY);
+  const maxLag = Math.min(Math.floor(sampleRate / MIN_VOICE_FREQUENCY), samples.length - 1);
+  const correlations = new Float32Array(maxLag + 2);
+
+  for (let lag = minLag; lag <= maxLag + 1 && lag < samples.length; lag++) {
+    let sum = 0;
+    let norm = 0;
+    for (let i = 0; i + lag < samples.length; i++) {
+      sum += samples[i] * samples[i + lag];
+      norm += samples[i] * samples[i] + samples[i + lag] * samples[i + lag];
+    }
+    correlations[lag] = norm > 0 ? (2 * sum) / norm : 0;
+  }
+
+  // The first peak close to the highest one avoids picking a multiple of the period
+  let highest = 0;
+  for (let lag = minLag; lag <= maxLag; lag++) highest = Math.max(highest, correlations[lag]);
+  if (highest < MIN_CLARITY) return null;
+
+  for (let lag = minLag + 1; lag <= maxLag; lag++) {
+    const value = correlations[lag];
+    if (value >= highest * 0.95 && value >= correlations[lag - 1] && value >= correlations[lag + 1]) {
+      // Parabolic interpolation around the peak
+      const before = correlations[lag - 1];
+      const after = correlations[lag + 1];
+      const curvature = before - 2 * value + after;
+      const shift = curvature !== 0 ? (0.5 * (before - after)) / curvature : 0;
+      return sampleRate / (lag + shift);
+    }
+  }
+  return null;
+};